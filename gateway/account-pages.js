@@ -0,0 +1,126 @@
+// Pages the links in account mails lead to (see users-service/emails.js):
+// /verify-email, /accept-invitation and /reset-password, served by the
+// gateway so APP_URL can point at it.
+//
+// Each page takes `token` (and `tenant`, sent as X-Tenant-Id) from its query
+// string and POSTs them, with what the user typed, to the matching
+// /api/auth endpoint. Self-contained like the /docs page; the token never
+// leaves the page through a Referer header or a cached copy.
+
+const PAGES = {
+  'verify-email': {
+    title: 'Confirm your email address',
+    fields: [],
+    submit: 'Confirm'
+  },
+  'accept-invitation': {
+    title: 'Accept your invitation',
+    fields: [
+      { name: 'name', label: 'Name (optional)', type: 'text', autocomplete: 'name' },
+      { name: 'password', label: 'Password', type: 'password', autocomplete: 'new-password', required: true }
+    ],
+    submit: 'Set password'
+  },
+  'reset-password': {
+    title: 'Reset your password',
+    fields: [
+      { name: 'password', label: 'New password', type: 'password', autocomplete: 'new-password', required: true }
+    ],
+    submit: 'Reset password'
+  }
+};
+
+const STYLE = `
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  main { max-width: 360px; margin: 64px auto; padding: 24px; background: #fff; border: 1px solid #d0d7de; border-radius: 6px; }
+  h1 { font-size: 20px; margin: 0 0 16px; }
+  label { display: block; margin: 12px 0 4px; }
+  input { width: 100%; box-sizing: border-box; padding: 6px 8px; }
+  button { margin-top: 16px; padding: 6px 16px; cursor: pointer; }
+  .error { color: #cf222e; } .done { color: #1a7f37; }
+`;
+
+const SCRIPT = `
+  const endpoint = document.currentScript.dataset.endpoint;
+  const form = document.querySelector('form');
+  const result = document.getElementById('result');
+  const query = new URLSearchParams(location.search);
+
+  function show(text, className) {
+    result.textContent = text;
+    result.className = className;
+  }
+
+  if (!query.get('token')) {
+    form.hidden = true;
+    show('This link is incomplete; open the one from the mail again.', 'error');
+  }
+
+  form.addEventListener('submit', async event => {
+    event.preventDefault();
+    const body = { token: query.get('token') };
+    new FormData(form).forEach((value, name) => {
+      if (value !== '') body[name] = value;
+    });
+    const headers = { 'Content-Type': 'application/json' };
+    if (query.get('tenant')) headers['X-Tenant-Id'] = query.get('tenant');
+
+    form.querySelector('button').disabled = true;
+    try {
+      const response = await fetch('/api/auth/' + endpoint, { method: 'POST', headers, body: JSON.stringify(body) });
+      const answer = await response.json();
+      if (response.ok) {
+        form.hidden = true;
+        return show(answer.message, 'done');
+      }
+      const errors = (answer.errors || []).map(error => error.field + ' ' + error.message);
+      show([answer.detail, ...errors].join('; '), 'error');
+    } catch (error) {
+      show('The request failed: ' + error.message, 'error');
+    }
+    form.querySelector('button').disabled = false;
+  });
+`;
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function renderPage(endpoint, { title, fields, submit }) {
+  const inputs = fields.map(field => `
+  <label for="${field.name}">${escapeHtml(field.label)}</label>
+  <input id="${field.name}" name="${field.name}" type="${field.type}" autocomplete="${field.autocomplete}"` +
+    `${field.required ? ' required' : ''}>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<form>${inputs}
+  <button type="submit">${escapeHtml(submit)}</button>
+</form>
+<p id="result"></p>
+</main>
+<script data-endpoint="${endpoint}">${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function serveAccountPages(app) {
+  for (const [endpoint, page] of Object.entries(PAGES)) {
+    const html = renderPage(endpoint, page);
+    app.get(`/${endpoint}`, (req, res) => {
+      res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' });
+      res.type('html').send(html);
+    });
+  }
+}
+
+module.exports = { serveAccountPages };
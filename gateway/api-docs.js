@@ -0,0 +1,141 @@
+const logger = require('../shared/logger');
+const { createDocument } = require('../shared/openapi');
+const { renderDocsPage } = require('../shared/docs-page');
+const { matchRoute, readBody } = require('./proxy');
+const { requiredAccess } = require('./auth');
+
+// The gateway's OpenAPI document at /openapi.json, browsable at /docs: the
+// documents the services publish at /openapi.json under the public paths of
+// the route table, plus the gateway's own endpoints.
+//
+// Service documents are fetched through the upstream clients and kept for
+// `refreshInterval` ms; a stale one is served while it is fetched again,
+// and the last good one is kept while a service cannot be reached. Only
+// methods a route allows are published, with the route's access rule as
+// security requirement (and in `x-access`) and the upstream in
+// `x-upstream`. Operation IDs are prefixed with the upstream name, as the
+// services share some (webhooks).
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const SECURITY_SCHEMES = {
+  bearerAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'Access token from POST /api/auth/login'
+  }
+};
+
+// Public path of an upstream path, when a route serves it
+function publicPath(routes, route, path) {
+  if (path !== route.rewrite && !path.startsWith(route.rewrite + '/')) return null;
+  const result = route.prefix + path.slice(route.rewrite.length);
+  // A longer prefix of another route may claim the path
+  return matchRoute(routes, result) === route ? result : null;
+}
+
+function publicOperation(route, method, operation) {
+  const access = requiredAccess(route, method.toUpperCase());
+  return {
+    ...operation,
+    operationId: `${route.upstream}.${operation.operationId}`,
+    // Public operations take a token as well, e.g. to see more
+    security: access === 'public' ? [{}, { bearerAuth: [] }] : [{ bearerAuth: [] }],
+    'x-access': access,
+    'x-upstream': route.upstream
+  };
+}
+
+// Serves GET /openapi.json and GET /docs on app. Returns document(), which
+// resolves with the current document.
+function serveApiDocs(app, { routes, upstreams, info, paths = {}, refreshInterval = 60000 }) {
+  const names = [...new Set(routes.map(route => route.upstream))];
+  const specs = new Map();
+  const pending = new Map();
+  let built = null;
+
+  async function fetchSpec(name) {
+    const response = await upstreams[name].request({
+      method: 'GET',
+      path: '/openapi.json',
+      headers: { accept: 'application/json' }
+    }, { retryable: true });
+    const text = (await readBody(response.data)).toString('utf8');
+    if (response.status !== 200) throw new Error(`${name} service answered ${response.status}`);
+    return JSON.parse(text);
+  }
+
+  // Fetch the document of upstream name unless a fresh one is held
+  function load(name) {
+    const entry = specs.get(name);
+    if (entry && Date.now() - entry.checkedAt < refreshInterval) return Promise.resolve();
+    if (!pending.has(name)) {
+      pending.set(name, fetchSpec(name)
+        .then(document => specs.set(name, { document, checkedAt: Date.now(), fetchedAt: new Date().toISOString(), error: null }))
+        .catch(error => {
+          logger.warn('Failed to fetch OpenAPI document', { upstream: name, error: error.message });
+          specs.set(name, { ...entry, checkedAt: Date.now(), error: error.message });
+        })
+        .finally(() => pending.delete(name)));
+    }
+    return pending.get(name);
+  }
+
+  function build() {
+    const document = createDocument(app, { ...info, paths });
+    document.components.securitySchemes = SECURITY_SCHEMES;
+    document['x-upstreams'] = {};
+
+    names.forEach(name => {
+      const entry = specs.get(name) || {};
+      document['x-upstreams'][name] = { fetchedAt: entry.fetchedAt || null, error: entry.error || null };
+      if (!entry.document) return;
+
+      const components = entry.document.components || {};
+      ['schemas', 'responses'].forEach(kind => {
+        document.components[kind] = { ...components[kind], ...document.components[kind] };
+      });
+
+      routes.filter(route => route.upstream === name).forEach(route => {
+        Object.entries(entry.document.paths || {}).forEach(([path, item]) => {
+          const target = publicPath(routes, route, path);
+          if (!target) return;
+          HTTP_METHODS.filter(method => item[method] && route.methods.includes(method.toUpperCase()))
+            .forEach(method => {
+              document.paths[target] = {
+                ...document.paths[target],
+                [method]: publicOperation(route, method, item[method])
+              };
+            });
+        });
+      });
+    });
+    return document;
+  }
+
+  // The current document; waits for the services only the first time
+  async function document() {
+    const loads = Promise.all(names.map(load));
+    if (!built) await loads;
+    // Rebuilt whenever a service document was (re)fetched
+    const version = JSON.stringify(names.map(name => {
+      const { fetchedAt, error } = specs.get(name) || {};
+      return [fetchedAt, error];
+    }));
+    if (!built || built.version !== version) built = { version, document: build() };
+    return built.document;
+  }
+
+  app.get('/openapi.json', async (req, res) => {
+    res.json(await document());
+  });
+
+  app.get('/docs', (req, res) => {
+    res.type('html').send(renderDocsPage({ title: info.title, specUrl: '/openapi.json' }));
+  });
+
+  return { document };
+}
+
+module.exports = { serveApiDocs };
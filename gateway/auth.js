@@ -0,0 +1,91 @@
+const { verifyToken } = require('../shared/tokens');
+const { matchRoute } = require('./proxy');
+const { sendProblem } = require('../shared/problem');
+const { DEFAULT_TENANT } = require('../shared/tenancy');
+
+// Authentication and authorization for proxied routes.
+//
+// authenticate() verifies a Bearer access token if one is sent and replaces
+// any client-supplied identity headers with X-User-Id / X-User-Role for the
+// services, and takes the user's tenant from the token (see tenancy.js).
+// authorize() applies the `access` rules from the route table:
+//
+//   public - anyone
+//   user   - any authenticated user
+//   self   - the user whose ID follows the prefix (/api/users/:id), or an admin
+//   admin  - admins only
+//
+// Methods without a rule are public for reads and `user` for writes.
+
+const IDENTITY_HEADERS = ['x-user-id', 'x-user-role', 'x-user-email'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function authenticate() {
+  return (req, res, next) => {
+    IDENTITY_HEADERS.forEach(name => delete req.headers[name]);
+
+    const header = req.get('Authorization');
+    if (header) {
+      const [scheme, token] = header.split(' ');
+      const claims = scheme === 'Bearer' ? verifyToken(token) : null;
+
+      if (!claims || claims.type !== 'access') {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return sendProblem(res, 'INVALID_TOKEN');
+      }
+
+      req.user = { id: claims.sub, role: claims.role, email: claims.email, tenant: claims.tenant || DEFAULT_TENANT };
+      req.headers['x-user-id'] = String(claims.sub);
+      req.headers['x-user-email'] = claims.email;
+    }
+
+    req.headers['x-user-role'] = req.user ? req.user.role : 'anonymous';
+    next();
+  };
+}
+
+function requiredAccess(route, method) {
+  const rules = route.access || {};
+  if (rules[method]) return rules[method];
+  if (method === 'HEAD' && rules.GET) return rules.GET;
+  return READ_METHODS.includes(method) ? 'public' : 'user';
+}
+
+// Why `user` may not call `method` on `path` of `route`: a problem code with
+// its detail, or null when the call is allowed
+function accessDenied(user, route, method, path) {
+  const access = requiredAccess(route, method);
+  if (access === 'public') return null;
+
+  if (!user) return { code: 'AUTHENTICATION_REQUIRED' };
+
+  if (user.role === 'admin' || access === 'user') return null;
+
+  if (access === 'self') {
+    const resourceId = path.slice(route.prefix.length).split('/')[1];
+    if (resourceId === String(user.id)) return null;
+  }
+
+  return { code: 'FORBIDDEN', detail: `${method} ${route.prefix} requires ${access} access`, required: access };
+}
+
+function authorize(routes) {
+  return (req, res, next) => {
+    const route = matchRoute(routes, req.path);
+    if (!route) return next();
+
+    const denied = accessDenied(req.user, route, req.method, req.path);
+    if (!denied) return next();
+
+    if (denied.code === 'AUTHENTICATION_REQUIRED') {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendProblem(res, 'AUTHENTICATION_REQUIRED');
+    }
+
+    sendProblem(res, 'FORBIDDEN', denied.detail, {
+      required: denied.required
+    });
+  };
+}
+
+module.exports = { authenticate, authorize, accessDenied, requiredAccess };
@@ -0,0 +1,94 @@
+// Circuit breaker for one upstream service.
+//
+//   closed    - requests flow; consecutive failures are counted
+//   open      - requests are rejected immediately until resetTimeout passes
+//   half-open - a limited number of trial requests are let through; a success
+//               closes the circuit, a failure opens it again
+
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeout = 30000, halfOpenMaxCalls = 1 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.counters = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+    this.lastFailure = null;
+  }
+
+  // Ask before each request; false means fail fast
+  tryAcquire() {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        this.counters.rejected++;
+        return false;
+      }
+      this.state = 'half-open';
+      this.halfOpenCalls = 0;
+    }
+
+    if (this.state === 'half-open') {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        this.counters.rejected++;
+        return false;
+      }
+      this.halfOpenCalls++;
+    }
+
+    return true;
+  }
+
+  recordSuccess() {
+    this.counters.successes++;
+    this.consecutiveFailures = 0;
+    if (this.state === 'half-open') {
+      this.state = 'closed';
+    }
+  }
+
+  recordFailure(reason) {
+    this.counters.failures++;
+    this.consecutiveFailures++;
+    this.lastFailure = { reason, at: new Date().toISOString() };
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  // Release a half-open slot for a request that ended without a verdict
+  // (e.g. the client went away)
+  release() {
+    if (this.state === 'half-open' && this.halfOpenCalls > 0) {
+      this.halfOpenCalls--;
+    }
+  }
+
+  open() {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.counters.opened++;
+  }
+
+  // Seconds until the circuit will let a trial request through
+  retryAfterSeconds() {
+    if (this.state !== 'open') return 0;
+    return Math.max(1, Math.ceil((this.openedAt + this.resetTimeout - Date.now()) / 1000));
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfter: this.retryAfterSeconds(),
+      ...this.counters,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+module.exports = { CircuitBreaker };
@@ -0,0 +1,326 @@
+const logger = require('../shared/logger');
+const { sendProblem } = require('../shared/problem');
+const { matchRoute, readBody } = require('./proxy');
+
+// Checks proxied traffic against the gateway's OpenAPI document (see
+// api-docs.js), i.e. against what the services publish about themselves.
+//
+//   CONTRACT_VALIDATION=off      nothing is checked (the default)
+//   CONTRACT_VALIDATION=report   violations are logged and counted
+//   CONTRACT_VALIDATION=enforce  requests that violate the contract are also
+//                                rejected with 400 VALIDATION_FAILED before
+//                                they reach the service
+//
+// Requests are checked for their path and query parameters (unknown query
+// parameters included, which the services reject) and their JSON body;
+// responses for a documented status and content type and their JSON body.
+// Response bodies are checked as they stream to the client, so a response
+// that breaks the contract is reported but still delivered. Requests for
+// operations missing from a service's document are reported as
+// `undocumented`. Services whose document could not be fetched are not
+// checked.
+//
+// Violations are counted in contract_violations_total{upstream,kind}, kind
+// being request, response or undocumented.
+
+const MODES = ['off', 'report', 'enforce'];
+
+// Larger request bodies are streamed on unchecked
+const MAX_CHECKED_BODY = 1024 * 1024;
+const MAX_LOGGED_ERRORS = 10;
+
+function resolve(document, value) {
+  while (value && value.$ref) {
+    value = value.$ref.slice(2).split('/').reduce((node, key) => node && node[key], document);
+  }
+  return value;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function child(field, name) {
+  return field ? `${field}.${name}` : name;
+}
+
+// Problems with value against a JSON Schema, as { field, message }. Covers
+// what the services' documents use (see shared/openapi.js).
+function checkSchema(document, schema, value, field) {
+  schema = resolve(document, schema);
+  if (!schema) return [];
+  const fail = message => [{ field, message }];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+      return fail(`must be ${types.join(' or ')}`);
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  switch (actual) {
+    case 'string':
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return fail(`must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(`must match ${schema.pattern}`);
+      if (schema.format === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+        return fail('must be a valid email address');
+      }
+      break;
+    case 'integer':
+    case 'number':
+      if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        return fail(`must be greater than ${schema.exclusiveMinimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+      break;
+    case 'array':
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return fail(`must have at least ${schema.minItems} item(s)`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return fail(`must have at most ${schema.maxItems} item(s)`);
+      }
+      if (schema.items) {
+        return value.flatMap((item, i) => checkSchema(document, schema.items, item, `${field}[${i}]`));
+      }
+      break;
+    case 'object': {
+      const properties = schema.properties || {};
+      const errors = (schema.required || [])
+        .filter(name => value[name] === undefined)
+        .map(name => ({ field: child(field, name), message: 'is required' }));
+      Object.entries(value).forEach(([name, item]) => {
+        if (properties[name]) {
+          errors.push(...checkSchema(document, properties[name], item, child(field, name)));
+        } else if (schema.additionalProperties === false) {
+          errors.push({ field: child(field, name), message: 'is not allowed' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...checkSchema(document, schema.additionalProperties, item, child(field, name)));
+        }
+      });
+      return errors;
+    }
+  }
+  return [];
+}
+
+// Path and query values are strings; convert them to the schema's type
+function fromString(value, schema) {
+  const type = [].concat(schema.type).find(name => name !== 'null');
+  switch (type) {
+    case 'integer':
+      return /^-?\d+$/.test(value) ? Number(value) : value;
+    case 'number':
+      return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      return value.split(',').map(item => item.trim()).filter(Boolean)
+        .map(item => (schema.items ? fromString(item, schema.items) : item));
+    default:
+      return value;
+  }
+}
+
+// Proxied operations of the document with a matcher for their path. Paths
+// with fewer parameters go first, so /webhooks/dead-letters wins over
+// /webhooks/{id}.
+function compile(document) {
+  const operations = [];
+  Object.entries(document.paths).forEach(([path, item]) => {
+    const names = [];
+    const source = path.split('/').map(segment => {
+      const parameter = /^\{(\w+)\}$/.exec(segment);
+      if (!parameter) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(parameter[1]);
+      return '([^/]+)';
+    }).join('/');
+    const pattern = new RegExp(`^${source}/?$`);
+
+    Object.entries(item).forEach(([method, operation]) => {
+      if (operation['x-upstream']) {
+        operations.push({ method: method.toUpperCase(), pattern, names, operation, upstream: operation['x-upstream'] });
+      }
+    });
+  });
+  return operations.sort((a, b) => a.names.length - b.names.length);
+}
+
+function findOperation(operations, method, path) {
+  for (const entry of operations) {
+    if (entry.method !== method) continue;
+    const match = entry.pattern.exec(path);
+    if (match) {
+      return { ...entry, params: Object.fromEntries(entry.names.map((name, i) => [name, match[i + 1]])) };
+    }
+  }
+  return null;
+}
+
+function checkRequest(document, match, req, body) {
+  const parameters = (match.operation.parameters || []).map(parameter => resolve(document, parameter));
+  const errors = [];
+  const located = (location, problems) => problems.map(problem => ({ location, ...problem }));
+
+  parameters.filter(parameter => parameter.in === 'path').forEach(parameter => {
+    let value = match.params[parameter.name];
+    try {
+      value = decodeURIComponent(value);
+    } catch (error) {
+      // Left as sent
+    }
+    errors.push(...located('params', checkSchema(document, parameter.schema,
+      fromString(value, resolve(document, parameter.schema)), parameter.name)));
+  });
+
+  const query = parameters.filter(parameter => parameter.in === 'query');
+  Object.keys(req.query).forEach(name => {
+    if (!query.some(parameter => parameter.name === name)) {
+      errors.push({ location: 'query', field: name, message: 'is not allowed' });
+    }
+  });
+  query.forEach(parameter => {
+    let value = req.query[parameter.name];
+    if (value === undefined) {
+      if (parameter.required) errors.push({ location: 'query', field: parameter.name, message: 'is required' });
+      return;
+    }
+    // ?fields=id&fields=name is the same as ?fields=id,name
+    if (Array.isArray(value)) value = value.join(',');
+    errors.push(...located('query', checkSchema(document, parameter.schema,
+      fromString(value, resolve(document, parameter.schema)), parameter.name)));
+  });
+
+  const requestBody = resolve(document, match.operation.requestBody);
+  const media = requestBody && requestBody.content && requestBody.content['application/json'];
+  if (media && body !== undefined) {
+    errors.push(...located('body', checkSchema(document, media.schema, body, '')));
+  }
+  return errors;
+}
+
+function checkResponse(document, operation, status, headers, text) {
+  if (status === 204 || status === 304) return [];
+  const response = resolve(document, operation.responses[String(status)] || operation.responses.default);
+  if (!response) return [{ field: '', message: `status ${status} is not documented` }];
+  if (!response.content) return [];
+
+  const type = (headers['content-type'] || '').split(';')[0].trim();
+  const media = response.content[type];
+  if (!media) return [{ field: '', message: `content type ${type || '(none)'} is not documented for status ${status}` }];
+  if (!media.schema || !/^application\/(.+\+)?json$/.test(type)) return [];
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    return [{ field: '', message: 'is not valid JSON' }];
+  }
+  return checkSchema(document, media.schema, body, '');
+}
+
+// JSON request body, {} when there is none, or undefined when it is not JSON
+function parseBody(req, buffer) {
+  if (buffer.length === 0) return {};
+  if (!req.is('application/json')) return {};
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    // The service answers MALFORMED_BODY itself
+    return undefined;
+  }
+}
+
+// Middleware checking requests to routes against document() (see
+// api-docs.js); responses are checked by the proxy through
+// res.locals.checkResponse.
+function createContractValidator({ mode = 'off', routes, document, metrics = null }) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown contract validation mode "${mode}", expected one of ${MODES.join(', ')}`);
+  }
+  if (mode === 'off') return (req, res, next) => next();
+
+  const violations = metrics && metrics.counter('contract_violations_total',
+    'Requests and responses not matching the services\' OpenAPI documents', ['upstream', 'kind']);
+  let compiled = { document: null, operations: [] };
+
+  function report(kind, upstream, req, operation, errors) {
+    if (violations) violations.inc({ upstream, kind });
+    logger.warn('API contract violation', {
+      kind,
+      upstream,
+      method: req.method,
+      url: req.originalUrl,
+      operationId: operation ? operation.operationId : null,
+      errors: errors.slice(0, MAX_LOGGED_ERRORS)
+    });
+  }
+
+  return async (req, res, next) => {
+    const route = matchRoute(routes, req.path);
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    if (!route || !route.methods.includes(method)) return next();
+
+    const current = await document();
+    const upstream = current['x-upstreams'][route.upstream];
+    if (!upstream || !upstream.fetchedAt) return next();
+    if (compiled.document !== current) compiled = { document: current, operations: compile(current) };
+
+    const match = findOperation(compiled.operations, method, req.path);
+    if (!match) {
+      report('undocumented', route.upstream, req, null, [
+        { field: '', message: `${method} ${req.path} is not in the ${route.upstream} service's document` }
+      ]);
+      return next();
+    }
+
+    // The proxy sends a buffered body on as it is
+    let body;
+    if (match.operation.requestBody) {
+      const hasBody = req.headers['content-length'] !== undefined ||
+        req.headers['transfer-encoding'] !== undefined;
+      if (Buffer.isBuffer(req.body)) {
+        // Already read to transform it (versioning.js)
+        body = parseBody(req, req.body);
+      } else if (!hasBody) {
+        body = {};
+      } else if (parseInt(req.headers['content-length']) <= MAX_CHECKED_BODY) {
+        req.body = await readBody(req);
+        body = parseBody(req, req.body);
+      }
+    }
+
+    const errors = checkRequest(current, match, req, body);
+    if (errors.length > 0) {
+      report('request', route.upstream, req, match.operation, errors);
+      if (mode === 'enforce') {
+        const summary = errors.map(({ field, message }) => `${field || 'body'} ${message}`).join('; ');
+        return sendProblem(res, 'VALIDATION_FAILED', summary, { errors });
+      }
+    }
+
+    if (req.method !== 'HEAD') {
+      res.locals.checkResponse = (status, headers, text) => {
+        if (headers['content-encoding']) return;
+        const problems = checkResponse(current, match.operation, status, headers, text);
+        if (problems.length > 0) report('response', route.upstream, req, match.operation, problems);
+      };
+    }
+    next();
+  };
+}
+
+module.exports = { createContractValidator };
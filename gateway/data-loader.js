@@ -0,0 +1,81 @@
+// Per-request batching and caching of record lookups, for GraphQL resolvers.
+//
+// load(key) calls made while a query is being resolved are collected until
+// the current turn of the event loop is over and then fetched with a single
+// call of the batch function, so `product { movements { items { user } } }`
+// costs one users request instead of one per movement. Each key is fetched
+// at most once per loader; a loader lives for one request, so nothing is
+// cached across requests.
+
+const MAX_BATCH_SIZE = 100;
+
+class DataLoader {
+  // batchLoad(keys) resolves with one value (or Error) per key, in order
+  constructor(batchLoad, { maxBatchSize = MAX_BATCH_SIZE } = {}) {
+    this.batchLoad = batchLoad;
+    this.maxBatchSize = maxBatchSize;
+    this.cache = new Map();
+    this.queue = [];
+  }
+
+  load(key) {
+    key = String(key);
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({ key, resolve, reject });
+      if (this.queue.length === 1) setImmediate(() => this.dispatch());
+    });
+    this.cache.set(key, promise);
+    return promise;
+  }
+
+  loadMany(keys) {
+    return Promise.all(keys.map(key => this.load(key)));
+  }
+
+  // Remember a value fetched some other way, e.g. as part of a list
+  prime(key, value) {
+    key = String(key);
+    if (!this.cache.has(key)) this.cache.set(key, Promise.resolve(value));
+    return this;
+  }
+
+  clear(key) {
+    this.cache.delete(String(key));
+    return this;
+  }
+
+  dispatch() {
+    const queue = this.queue;
+    this.queue = [];
+
+    for (let i = 0; i < queue.length; i += this.maxBatchSize) {
+      const batch = queue.slice(i, i + this.maxBatchSize);
+      Promise.resolve()
+        .then(() => this.batchLoad(batch.map(entry => entry.key)))
+        .then(values => {
+          if (!Array.isArray(values) || values.length !== batch.length) {
+            throw new Error(`Batch function returned ${Array.isArray(values) ? values.length : 'no'} values for ${batch.length} keys`);
+          }
+          batch.forEach((entry, index) => {
+            if (values[index] instanceof Error) {
+              this.clear(entry.key);
+              entry.reject(values[index]);
+            } else {
+              entry.resolve(values[index]);
+            }
+          });
+        })
+        .catch(error => {
+          // A failed batch is not cached, so a later load tries again
+          batch.forEach(entry => {
+            this.clear(entry.key);
+            entry.reject(error);
+          });
+        });
+    }
+  }
+}
+
+module.exports = { DataLoader };
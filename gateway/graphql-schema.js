@@ -0,0 +1,461 @@
+const { buildSchema } = require('graphql');
+const { DataLoader } = require('./data-loader');
+const { versionTag } = require('../shared/http-cache');
+
+// The gateway's GraphQL schema. Every field is backed by the public REST
+// routes of the users and products services (the same paths, access rules
+// and validation as /api/...), reached through the request's `api` client
+// (see graphql.js). Users and products looked up by ID go through per-request
+// loaders that batch them into one `?ids=` list request per service.
+
+const SDL = `
+"A registered user"
+type User {
+  id: ID!
+  name: String!
+  email: String!
+  role: Role!
+  status: AccountStatus!
+  createdAt: String!
+  updatedAt: String
+}
+
+enum Role {
+  user
+  admin
+}
+
+"Only active users can log in"
+enum AccountStatus {
+  invited
+  unverified
+  active
+  locked
+  deactivated
+}
+
+"A catalog product"
+type Product {
+  id: ID!
+  name: String!
+  description: String!
+  "List price, in currency"
+  price: Float!
+  currency: String!
+  "Price after the best running promotion; the list price without one"
+  effectivePrice: Float!
+  category: Category!
+  "Units on hand, including reserved ones"
+  stock: Int!
+  "Units held by active reservations"
+  reserved: Int!
+  "stock - reserved"
+  available: Int!
+  "Raised by every change; pass it to updateProduct / adjustStock to detect concurrent edits"
+  version: Int!
+  createdAt: String!
+  updatedAt: String
+  "Stock ledger, newest first"
+  movements(type: MovementType, limit: Int = 20, offset: Int, cursor: String, sort: [String!]): MovementPage!
+}
+
+type Category {
+  name: String!
+  productCount: Int!
+  averagePrice: Float!
+  products(minPrice: Float, maxPrice: Float, inStock: Boolean, limit: Int = 20, offset: Int, cursor: String, sort: [String!]): ProductPage!
+}
+
+type StockMovement {
+  id: ID!
+  product: Product
+  type: MovementType!
+  delta: Int!
+  "Stock after the change"
+  stock: Int!
+  reason: String
+  reservationId: ID
+  "Who made the change, if it was made by a user"
+  user: User
+  at: String!
+}
+
+enum MovementType {
+  initial
+  update
+  adjustment
+  set
+  reserve
+  release
+  commit
+}
+
+"Paging of a list; pass nextCursor / prevCursor as \`cursor\` for the adjacent page"
+type PageInfo {
+  total: Int!
+  count: Int!
+  limit: Int!
+  offset: Int
+  nextCursor: String
+  prevCursor: String
+}
+
+type UserPage {
+  items: [User!]!
+  pageInfo: PageInfo!
+}
+
+type ProductPage {
+  items: [Product!]!
+  pageInfo: PageInfo!
+}
+
+type MovementPage {
+  items: [StockMovement!]!
+  pageInfo: PageInfo!
+}
+
+type SearchHit {
+  score: Float!
+  product: Product!
+}
+
+type FacetValue {
+  value: String!
+  count: Int!
+  min: Float
+  max: Float
+}
+
+type SearchFacets {
+  category: [FacetValue!]!
+  price: [FacetValue!]!
+}
+
+type SearchPage {
+  query: String
+  items: [SearchHit!]!
+  facets: SearchFacets!
+  pageInfo: PageInfo!
+}
+
+type Suggestion {
+  text: String!
+  matches: Int!
+}
+
+type RoleCount {
+  role: Role!
+  count: Int!
+}
+
+type StatusCount {
+  status: AccountStatus!
+  count: Int!
+}
+
+type UserStats {
+  total: Int!
+  byRole: [RoleCount!]!
+  byStatus: [StatusCount!]!
+  recentUsers: [User!]!
+}
+
+type CategoryCount {
+  category: String!
+  count: Int!
+}
+
+type ProductStats {
+  total: Int!
+  totalValue: Float!
+  averagePrice: Float!
+  totalStock: Int!
+  byCategory: [CategoryCount!]!
+}
+
+type Query {
+  "The logged-in user"
+  me: User
+  user(id: ID!): User
+  users(role: Role, status: AccountStatus, limit: Int = 20, offset: Int, cursor: String, sort: [String!]): UserPage!
+  product(id: ID!): Product
+  products(category: String, minPrice: Float, maxPrice: Float, inStock: Boolean, limit: Int = 20, offset: Int, cursor: String, sort: [String!]): ProductPage!
+  "Ranked full-text search; sort by \\"-score\\" (the default with q) or any product field"
+  search(q: String, category: String, minPrice: Float, maxPrice: Float, inStock: Boolean, limit: Int = 20, offset: Int, cursor: String, sort: [String!]): SearchPage!
+  suggest(q: String!, limit: Int = 10): [Suggestion!]!
+  categories: [Category!]!
+  category(name: String!): Category
+  userStats: UserStats!
+  productStats: ProductStats!
+}
+
+input CreateUserInput {
+  name: String!
+  email: String!
+  password: String!
+  role: Role
+}
+
+input UpdateUserInput {
+  name: String
+  email: String
+  password: String
+  role: Role
+}
+
+input CreateProductInput {
+  name: String!
+  description: String
+  price: Float!
+  currency: String
+  category: String!
+  stock: Int
+}
+
+input UpdateProductInput {
+  name: String
+  description: String
+  price: Float
+  currency: String
+  category: String
+  stock: Int
+}
+
+type Mutation {
+  createUser(input: CreateUserInput!): User!
+  updateUser(id: ID!, input: UpdateUserInput!): User!
+  deleteUser(id: ID!): User!
+  createProduct(input: CreateProductInput!): Product!
+  "Fails with PRECONDITION_FAILED if version is given and the product has changed since"
+  updateProduct(id: ID!, input: UpdateProductInput!, version: Int): Product!
+  deleteProduct(id: ID!): Product!
+  "Change stock by delta or set it to quantity; exactly one of the two"
+  adjustStock(id: ID!, delta: Int, quantity: Int, reason: String!, version: Int): Product!
+}
+`;
+
+// Path with the defined params as query string; lists are comma-separated
+function withQuery(path, params) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([name, value]) => {
+    if (value === undefined || value === null) return;
+    query.set(name, Array.isArray(value) ? value.join(',') : String(value));
+  });
+  const search = query.toString();
+  return search ? `${path}?${search}` : path;
+}
+
+function pageInfo(body) {
+  return {
+    total: body.total,
+    count: body.count,
+    limit: body.limit,
+    offset: body.offset,
+    nextCursor: body.nextCursor,
+    prevCursor: body.prevCursor
+  };
+}
+
+// Loaders for records looked up by ID, one request per batch
+function createLoaders(api) {
+  function byId(path, collection, { singleById = false } = {}) {
+    return new DataLoader(async ids => {
+      // IDs the services would reject cannot exist
+      const valid = ids.filter(id => /^[1-9][0-9]{0,9}$/.test(id));
+      if (valid.length === 0) return ids.map(() => null);
+
+      // Listing users is for admins, but everyone may read their own record,
+      // so a single user ID (as `me` loads) is read by itself
+      if (singleById && valid.length === 1) {
+        const record = await api.get(`${path}/${valid[0]}`).catch(error => {
+          if (error.extensions && error.extensions.code === 'NOT_FOUND') return null;
+          throw error;
+        });
+        return ids.map(id => (id === valid[0] ? record : null));
+      }
+
+      const body = await api.get(withQuery(path, { ids: valid, limit: valid.length }));
+      const found = new Map(body[collection].map(record => [String(record.id), record]));
+      return ids.map(id => found.get(id) || null);
+    });
+  }
+
+  return {
+    users: byId('/api/users', 'users', { singleById: true }),
+    products: byId('/api/products', 'products')
+  };
+}
+
+// Lists fill the loaders, so fields of the same records need no request
+function prime(loader, records) {
+  records.forEach(record => loader.prime(record.id, record));
+  return records;
+}
+
+async function productPage({ api, loaders }, { category, minPrice, maxPrice, inStock, limit, offset, cursor, sort }) {
+  const body = await api.get(withQuery('/api/products', { category, minPrice, maxPrice, inStock, limit, offset, cursor, sort }));
+  return { items: prime(loaders.products, body.products), pageInfo: pageInfo(body) };
+}
+
+function toCategory(category) {
+  return { name: category.name, productCount: category.count, averagePrice: category.averagePrice };
+}
+
+async function findCategory(api, name) {
+  const body = await api.get('/api/categories');
+  return body.categories.find(category => category.name.toLowerCase() === name.toLowerCase());
+}
+
+// Mutations answer with the changed record, which replaces the loaded one
+function changed(loader, record) {
+  loader.clear(record.id).prime(record.id, record);
+  return record;
+}
+
+const resolvers = {
+  Query: {
+    me: (source, args, { user, loaders }) => (user ? loaders.users.load(user.id) : null),
+
+    user: (source, { id }, { loaders }) => loaders.users.load(id),
+
+    users: async (source, { role, status, limit, offset, cursor, sort }, { api, loaders }) => {
+      const body = await api.get(withQuery('/api/users', { role, status, limit, offset, cursor, sort }));
+      return { items: prime(loaders.users, body.users), pageInfo: pageInfo(body) };
+    },
+
+    product: (source, { id }, { loaders }) => loaders.products.load(id),
+
+    products: (source, args, context) => productPage(context, args),
+
+    search: async (source, args, { api, loaders }) => {
+      const body = await api.get(withQuery('/api/search', args));
+      return {
+        query: body.query,
+        items: body.products.map(product => {
+          loaders.products.prime(product.id, product);
+          return { score: product.score, product };
+        }),
+        facets: body.facets,
+        pageInfo: pageInfo(body)
+      };
+    },
+
+    suggest: async (source, { q, limit }, { api }) => {
+      const body = await api.get(withQuery('/api/search/suggest', { q, limit }));
+      return body.suggestions;
+    },
+
+    categories: async (source, args, { api }) => {
+      const body = await api.get('/api/categories');
+      return body.categories.map(toCategory);
+    },
+
+    category: async (source, { name }, { api }) => {
+      const category = await findCategory(api, name);
+      return category ? toCategory(category) : null;
+    },
+
+    userStats: async (source, args, { api }) => {
+      const stats = await api.get('/api/stats/users');
+      return {
+        total: stats.total,
+        byRole: Object.entries(stats.byRole).map(([role, count]) => ({ role, count })),
+        byStatus: Object.entries(stats.byStatus).map(([status, count]) => ({ status, count })),
+        recentUsers: stats.recentUsers
+      };
+    },
+
+    productStats: async (source, args, { api }) => {
+      const stats = await api.get('/api/stats/products');
+      return {
+        ...stats,
+        byCategory: Object.entries(stats.byCategory).map(([category, count]) => ({ category, count }))
+      };
+    }
+  },
+
+  Mutation: {
+    createUser: async (source, { input }, { api, loaders }) => {
+      const body = await api.send('POST', '/api/users', input);
+      return changed(loaders.users, body.user);
+    },
+
+    updateUser: async (source, { id, input }, { api, loaders }) => {
+      const body = await api.send('PUT', `/api/users/${encodeURIComponent(id)}`, input);
+      return changed(loaders.users, body.user);
+    },
+
+    deleteUser: async (source, { id }, { api, loaders }) => {
+      const body = await api.send('DELETE', `/api/users/${encodeURIComponent(id)}`);
+      loaders.users.clear(id);
+      return body.user;
+    },
+
+    createProduct: async (source, { input }, { api, loaders }) => {
+      const body = await api.send('POST', '/api/products', input);
+      return changed(loaders.products, body.product);
+    },
+
+    updateProduct: async (source, { id, input, version }, { api, loaders }) => {
+      const headers = version === undefined || version === null ? {} : { 'If-Match': versionTag(version) };
+      const body = await api.send('PUT', `/api/products/${encodeURIComponent(id)}`, input, headers);
+      return changed(loaders.products, body.product);
+    },
+
+    deleteProduct: async (source, { id }, { api, loaders }) => {
+      const body = await api.send('DELETE', `/api/products/${encodeURIComponent(id)}`);
+      loaders.products.clear(id);
+      return body.product;
+    },
+
+    adjustStock: async (source, { id, delta, quantity, reason, version }, { api, loaders }) => {
+      const headers = version === undefined || version === null ? {} : { 'If-Match': versionTag(version) };
+      const body = await api.send('PATCH', `/api/products/${encodeURIComponent(id)}/stock`, { delta, quantity, reason }, headers);
+      return changed(loaders.products, body.product);
+    }
+  },
+
+  Product: {
+    category: async (product, args, { api }) => {
+      const category = await findCategory(api, product.category);
+      return category ? toCategory(category) : { name: product.category, productCount: 0, averagePrice: 0 };
+    },
+
+    available: product => product.stock - (product.reserved || 0),
+
+    reserved: product => product.reserved || 0,
+
+    movements: async (product, { type, limit, offset, cursor, sort }, { api }) => {
+      const body = await api.get(withQuery(`/api/products/${product.id}/stock/movements`, { type, limit, offset, cursor, sort }));
+      return { items: body.movements, pageInfo: pageInfo(body) };
+    }
+  },
+
+  Category: {
+    products: (category, args, context) => productPage(context, { ...args, category: category.name })
+  },
+
+  StockMovement: {
+    product: (movement, args, { loaders }) => loaders.products.load(movement.productId),
+
+    user: (movement, args, { loaders }) => (movement.userId ? loaders.users.load(movement.userId) : null)
+  }
+};
+
+// Fields without a resolver read the property of the same name
+function addResolvers(schema, resolversByType) {
+  Object.entries(resolversByType).forEach(([typeName, fields]) => {
+    const type = schema.getType(typeName);
+    Object.entries(fields).forEach(([fieldName, resolve]) => {
+      const field = type && type.getFields()[fieldName];
+      if (!field) throw new Error(`Resolver for unknown field ${typeName}.${fieldName}`);
+      field.resolve = resolve;
+    });
+  });
+  return schema;
+}
+
+const schema = addResolvers(buildSchema(SDL), resolvers);
+
+module.exports = { schema, createLoaders };
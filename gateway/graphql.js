@@ -0,0 +1,355 @@
+const express = require('express');
+const {
+  GraphQLError, Kind, GraphQLSkipDirective, GraphQLIncludeDirective, parse, validate, execute, printSchema,
+  getOperationAST, getVariableValues, getArgumentValues, getDirectiveValues, getNamedType, isObjectType
+} = require('graphql');
+const logger = require('../shared/logger');
+const { PROBLEMS } = require('../shared/problem');
+const { schema, createLoaders } = require('./graphql-schema');
+const { matchRoute, readBody, writeTags, forwardedHeaders } = require('./proxy');
+const { accessDenied } = require('./auth');
+
+// GraphQL endpoint of the gateway (schema in graphql-schema.js).
+//
+//   POST /graphql          {"query": "...", "variables": {...}, "operationName": "..."}
+//   GET  /graphql?query=   queries only; `variables` as JSON
+//   GET  /graphql/schema   the schema in SDL
+//
+// Resolvers call the services through the route table as if the client had
+// called /api/... itself: with its identity, subject to the routes' access
+// rules, through the upstream clients (timeouts, retries, circuit breakers)
+// and dropping cached responses on writes. Identical reads within one
+// request are sent once. Queries deeper or more complex than the limits are
+// rejected before any service is called:
+//
+//   depth       - levels of nested fields (`{ product { category { name } } }` is 3)
+//   complexity  - one point per field, where a field taking a `limit` argument
+//                 multiplies the points of its selection by that limit
+//
+// Introspection fields are not measured, so tools can always read the schema.
+//
+// Malformed and invalid requests get 400 with `errors`; executed operations
+// get 200 with `data` and any field `errors`, whose `extensions.code` is the
+// problem code the service answered with (NOT_FOUND, FORBIDDEN, ...).
+
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+const IDENTITY_HEADERS = ['x-user-id', 'x-user-role', 'x-user-email', 'x-tenant-id'];
+
+function upstreamFailure(error, route) {
+  if (error.code === 'CIRCUIT_OPEN') {
+    return new GraphQLError(`${route.upstream} service is unavailable: ${error.message}`, {
+      extensions: { code: 'UPSTREAM_UNAVAILABLE', upstream: route.upstream, retryAfter: error.retryAfter }
+    });
+  }
+  if (error.code === 'TIMEOUT') {
+    return new GraphQLError(`${route.upstream} service timed out: ${error.message}`, {
+      extensions: { code: 'UPSTREAM_TIMEOUT', upstream: route.upstream }
+    });
+  }
+  return new GraphQLError(`Failed to reach ${route.upstream} service: ${error.message}`, {
+    extensions: { code: 'UPSTREAM_UNREACHABLE', upstream: route.upstream }
+  });
+}
+
+// Client for the public routes, acting for the user of req
+function createApiClient(req, { routes, upstreams, cache }) {
+  const reads = new Map();
+
+  async function call(method, path, body, extraHeaders = {}) {
+    const pathname = path.split('?')[0];
+    const route = matchRoute(routes, pathname);
+    if (!route || !route.methods.includes(method)) throw new Error(`No gateway route for ${method} ${pathname}`);
+
+    const denied = accessDenied(req.user, route, method, pathname);
+    if (denied) {
+      throw new GraphQLError(denied.detail || PROBLEMS[denied.code].title, {
+        extensions: { code: denied.code, ...(denied.required && { required: denied.required }) }
+      });
+    }
+
+    const data = body === undefined ? undefined : JSON.stringify(body);
+    const headers = {
+      accept: 'application/json',
+      ...Object.fromEntries(IDENTITY_HEADERS.filter(name => req.headers[name]).map(name => [name, req.headers[name]])),
+      ...forwardedHeaders(req, route),
+      ...extraHeaders
+    };
+    if (data !== undefined) {
+      headers['content-type'] = 'application/json';
+      headers['content-length'] = String(Buffer.byteLength(data));
+    }
+
+    let response;
+    try {
+      response = await upstreams[route.upstream].request({
+        method,
+        path: route.rewrite + path.slice(route.prefix.length),
+        headers,
+        data
+      }, { retryable: IDEMPOTENT_METHODS.includes(method) });
+    } catch (error) {
+      throw upstreamFailure(error, route);
+    } finally {
+      if (cache && method !== 'GET') cache.invalidate(writeTags(route));
+    }
+
+    const text = (await readBody(response.data)).toString('utf8');
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      throw new GraphQLError(`${route.upstream} service answered ${response.status} without JSON`, {
+        extensions: { code: 'DEPENDENCY_FAILED', upstream: route.upstream, status: response.status }
+      });
+    }
+
+    if (response.status >= 400) {
+      throw new GraphQLError(payload.detail || payload.title || `${route.upstream} service answered ${response.status}`, {
+        extensions: {
+          code: payload.code || 'DEPENDENCY_FAILED',
+          status: response.status,
+          ...(payload.errors && { errors: payload.errors })
+        }
+      });
+    }
+    return payload;
+  }
+
+  return {
+    get(path) {
+      if (!reads.has(path)) reads.set(path, call('GET', path));
+      return reads.get(path);
+    },
+    send: call
+  };
+}
+
+function sendErrors(res, status, errors) {
+  res.status(status).json({ errors });
+}
+
+// Depth and complexity of a validated operation, with its coerced variables
+function measure(document, operation, variables) {
+  const fragments = new Map(document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map(fragment => [fragment.name.value, fragment]));
+  const included = node =>
+    !(getDirectiveValues(GraphQLSkipDirective, node, variables) || {}).if &&
+    (getDirectiveValues(GraphQLIncludeDirective, node, variables) || { if: true }).if;
+
+  function walk(type, selectionSet, depth) {
+    let deepest = depth - 1;
+    let complexity = 0;
+    selectionSet.selections.filter(included).forEach(node => {
+      if (node.kind !== Kind.FIELD) {
+        const fragment = node.kind === Kind.FRAGMENT_SPREAD ? fragments.get(node.name.value) : node;
+        const nested = walk(type, fragment.selectionSet, depth);
+        complexity += nested.complexity;
+        deepest = Math.max(deepest, nested.depth);
+        return;
+      }
+      if (node.name.value.startsWith('__')) return;
+
+      deepest = Math.max(deepest, depth);
+      const field = type.getFields()[node.name.value];
+      const fieldType = getNamedType(field.type);
+      if (!isObjectType(fieldType)) {
+        complexity += 1;
+        return;
+      }
+      const nested = walk(fieldType, node.selectionSet, depth + 1);
+      const { limit } = getArgumentValues(field, node, variables);
+      complexity += 1 + (limit > 0 ? limit : 1) * nested.complexity;
+      deepest = Math.max(deepest, nested.depth);
+    });
+    return { depth: deepest, complexity };
+  }
+
+  const rootType = operation.operation === 'mutation' ? schema.getMutationType() : schema.getQueryType();
+  return walk(rootType, operation.selectionSet, 1);
+}
+
+// Errors of a query over the limits
+function limitErrors({ depth, complexity }, { maxDepth, maxComplexity }) {
+  const errors = [];
+  if (depth > maxDepth) {
+    errors.push(new GraphQLError(`Query depth ${depth} exceeds the maximum of ${maxDepth}.`, {
+      extensions: { code: 'QUERY_TOO_DEEP', depth, maxDepth }
+    }));
+  }
+  if (complexity > maxComplexity) {
+    errors.push(new GraphQLError(`Query complexity ${complexity} exceeds the maximum of ${maxComplexity}.`, {
+      extensions: { code: 'QUERY_TOO_COMPLEX', complexity, maxComplexity }
+    }));
+  }
+  return errors;
+}
+
+// Operations of the endpoint at path, for the gateway's OpenAPI document
+function graphqlPaths(path) {
+  const result = {
+    description: 'GraphQL response: `data` and any field `errors`',
+    content: { 'application/json': { schema: { type: 'object' } } }
+  };
+  // Rate limiting, for instance
+  const problem = { $ref: '#/components/responses/Problem' };
+  return {
+    [path]: {
+      get: {
+        operationId: 'graphqlQuery',
+        tags: ['graphql'],
+        summary: 'Run a GraphQL query',
+        parameters: [
+          { name: 'query', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'variables', in: 'query', description: 'JSON object', schema: { type: 'string' } },
+          { name: 'operationName', in: 'query', schema: { type: 'string' } }
+        ],
+        responses: { 200: result, 400: result, 405: result, default: problem }
+      },
+      post: {
+        operationId: 'graphqlRequest',
+        tags: ['graphql'],
+        summary: 'Run a GraphQL query or mutation',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  query: { type: 'string' },
+                  variables: { type: ['object', 'null'] },
+                  operationName: { type: ['string', 'null'] }
+                },
+                required: ['query']
+              }
+            }
+          }
+        },
+        responses: { 200: result, 400: result, default: problem }
+      }
+    },
+    [`${path}/schema`]: {
+      get: {
+        operationId: 'graphqlSchema',
+        tags: ['graphql'],
+        summary: 'The GraphQL schema in SDL',
+        responses: { 200: { description: 'SDL', content: { 'text/plain': {} } } }
+      }
+    }
+  };
+}
+
+function createGraphQLRouter({ routes, upstreams, cache = null, metrics = null, maxDepth, maxComplexity }) {
+  const router = express.Router();
+  const operations = metrics && metrics.counter('graphql_operations_total',
+    'GraphQL operations by type and outcome', ['operation', 'result']);
+
+  function count(operation, result) {
+    if (operations) operations.inc({ operation, result });
+  }
+
+  async function handle(req, res, { query, variables, operationName }) {
+    res.locals.routeTemplate = '/graphql';
+
+    if (typeof query !== 'string' || !query.trim()) {
+      return sendErrors(res, 400, [{ message: 'Must provide query string.' }]);
+    }
+    if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+      return sendErrors(res, 400, [{ message: 'Variables must be an object.' }]);
+    }
+    if (operationName !== undefined && operationName !== null && typeof operationName !== 'string') {
+      return sendErrors(res, 400, [{ message: 'operationName must be a string.' }]);
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      if (!(error instanceof GraphQLError)) throw error;
+      count('unknown', 'invalid');
+      return sendErrors(res, 400, [error]);
+    }
+
+    const definition = getOperationAST(document, operationName);
+    const operation = definition ? definition.operation : 'unknown';
+    const invalid = validate(schema, document);
+    if (invalid.length === 0 && !definition) {
+      invalid.push(new GraphQLError(operationName
+        ? `Unknown operation named "${operationName}".`
+        : 'Must provide operation name if query contains multiple operations.'));
+    }
+    const coerced = invalid.length === 0 && getVariableValues(schema, definition.variableDefinitions, variables || {});
+    if (coerced && coerced.errors) invalid.push(...coerced.errors);
+    if (invalid.length > 0) {
+      count(operation, 'invalid');
+      return sendErrors(res, 400, invalid);
+    }
+
+    const tooExpensive = limitErrors(measure(document, definition, coerced.coerced), { maxDepth, maxComplexity });
+    if (tooExpensive.length > 0) {
+      count(operation, 'rejected');
+      return sendErrors(res, 400, tooExpensive);
+    }
+
+    if (req.method === 'GET' && operation === 'mutation') {
+      res.set('Allow', 'POST');
+      return sendErrors(res, 405, [{ message: 'Mutations must be sent with POST.' }]);
+    }
+
+    const api = createApiClient(req, { routes, upstreams, cache });
+    const result = await execute({
+      schema,
+      document,
+      operationName,
+      variableValues: variables,
+      contextValue: { user: req.user || null, api, loaders: createLoaders(api) }
+    });
+
+    // Errors without a code are bugs, not answers of the services
+    if (result.errors) {
+      result.errors = result.errors.map(error => {
+        if (error.extensions.code) return error;
+        logger.error('GraphQL resolver failed', { path: (error.path || []).join('.'), error: error.originalError || error });
+        return new GraphQLError(error.message, {
+          nodes: error.nodes,
+          path: error.path,
+          originalError: error.originalError,
+          extensions: { code: 'INTERNAL_ERROR' }
+        });
+      });
+    }
+    count(operation, result.errors ? 'partial' : 'ok');
+    res.json(result);
+  }
+
+  const sdl = printSchema(schema) + '\n';
+  router.get('/schema', (req, res) => {
+    res.type('text/plain').send(sdl);
+  });
+
+  router.get('/', (req, res) => {
+    const { query, operationName } = req.query;
+    let { variables } = req.query;
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch (error) {
+        return sendErrors(res, 400, [{ message: 'Variables are invalid JSON.' }]);
+      }
+    }
+    return handle(req, res, { query, variables, operationName });
+  });
+
+  router.post('/', express.json({ limit: '100kb' }), (req, res) => {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return sendErrors(res, 400, [{ message: 'POST body must be a JSON object with a query.' }]);
+    }
+    return handle(req, res, body);
+  });
+
+  return router;
+}
+
+module.exports = { createGraphQLRouter, graphqlPaths };
@@ -0,0 +1,74 @@
+const axios = require('axios');
+const { outgoingHeaders } = require('../shared/tracing');
+
+// GET /health/deep - ask every instance of every upstream for its readiness
+// and report per-dependency status and latency with an overall verdict:
+//
+//   healthy   - every dependency is up
+//   degraded  - some dependency (or some of its instances) is down
+//   unhealthy - the gateway is shutting down or no dependency is up (503)
+
+async function probe(url, timeout) {
+  const started = Date.now();
+  try {
+    const response = await axios.get(`${url}/health/ready`, {
+      timeout,
+      headers: outgoingHeaders(),
+      validateStatus: () => true
+    });
+    return {
+      url,
+      status: response.status === 200 ? 'up' : 'down',
+      httpStatus: response.status,
+      latencyMs: Date.now() - started
+    };
+  } catch (error) {
+    return {
+      url,
+      status: 'down',
+      error: error.message,
+      latencyMs: Date.now() - started
+    };
+  }
+}
+
+async function checkDependency(upstream, timeout) {
+  const instances = await Promise.all(upstream.instanceUrls().map(url => probe(url, timeout)));
+  const up = instances.filter(instance => instance.status === 'up');
+
+  let status = 'degraded';
+  if (up.length === instances.length) status = 'up';
+  if (up.length === 0) status = 'down';
+
+  return {
+    status,
+    // Latency of the fastest healthy instance, or of the slowest failure
+    latencyMs: up.length > 0
+      ? Math.min(...up.map(instance => instance.latencyMs))
+      : Math.max(...instances.map(instance => instance.latencyMs)),
+    circuit: upstream.health().circuit.state,
+    instances
+  };
+}
+
+function createDeepHealthHandler({ upstreams, lifecycle, timeout = 2000 }) {
+  return async (req, res) => {
+    const names = Object.keys(upstreams);
+    const results = await Promise.all(names.map(name => checkDependency(upstreams[name], timeout)));
+    const dependencies = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+    let status = 'degraded';
+    if (results.every(dependency => dependency.status === 'up')) status = 'healthy';
+    if (!lifecycle.ready || results.every(dependency => dependency.status === 'down')) status = 'unhealthy';
+
+    res.status(status === 'unhealthy' ? 503 : 200).json({
+      status,
+      service: 'api-gateway',
+      timestamp: new Date().toISOString(),
+      ready: lifecycle.ready,
+      dependencies
+    });
+  };
+}
+
+module.exports = { createDeepHealthHandler };
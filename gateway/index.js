@@ -1,34 +1,130 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
+const { createProxy, rejectAmbiguousPaths } = require('./proxy');
+const { authenticate, authorize } = require('./auth');
+const { isDefaultSecret, requireSecret } = require('../shared/tokens');
+const { createUpstreams } = require('./upstream');
+const { ServiceRegistry, createRegistryRouter } = require('./registry');
+const { createDeepHealthHandler } = require('./health');
+const { createRateLimiter, parseApiKeys } = require('./rate-limit');
+const { createLimiterStore } = require('./limiter-store');
+const { ResponseCache } = require('./response-cache');
+const { createGraphQLRouter, graphqlPaths } = require('./graphql');
+const { serveApiDocs } = require('./api-docs');
+const { serveAccountPages } = require('./account-pages');
+const { createContractValidator } = require('./contract');
+const { createVersioning } = require('./versioning');
+const { createTenantResolver } = require('./tenancy');
+const { createLifecycle } = require('../shared/lifecycle');
+const { createMetrics } = require('../shared/metrics');
+const tracing = require('../shared/tracing');
+const logger = require('../shared/logger');
+const { errorHandler, notFoundHandler } = require('../shared/problem');
+const {
+  routes, upstreams: upstreamConfig, rateLimits, responseCache, apiVersions, tenancy, graphql, openapi
+} = require('./routes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const HOST = process.env.HOST || '0.0.0.0';
 
-// Microservice URLs - Update these with your VM IPs
-const USERS_SERVICE_URL = process.env.USERS_SERVICE_URL || 'http://192.168.56.11:3001';
-const PRODUCTS_SERVICE_URL = process.env.PRODUCTS_SERVICE_URL || 'http://192.168.56.12:3002';
+// Structured JSON logs (LOG_LEVEL sets the minimum level)
+logger.configure({ service: 'api-gateway' });
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Refuse to run with the public default JWT_SECRET outside development
+requireSecret();
+
+// Readiness, in-flight request tracking and graceful shutdown
+const lifecycle = createLifecycle({ service: 'api-gateway' });
+
+// Prometheus metrics, exposed at /metrics
+const metrics = createMetrics({ service: 'api-gateway' });
+
+// Registry of self-registered service instances
+const registry = new ServiceRegistry({
+  ttl: parseInt(process.env.REGISTRY_TTL_MS) || 30000
+});
+
+// Upstream clients with load balancing, timeouts, retries and circuit breakers
+const upstreams = createUpstreams(upstreamConfig, registry, metrics);
 
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-  next();
+// Rate limiter state: in this process, or shared through Redis / kv-store
+const limiterStore = createLimiterStore({
+  driver: process.env.RATE_LIMIT_STORE || 'memory',
+  url: process.env.REDIS_URL,
+  timeout: parseInt(process.env.REDIS_TIMEOUT_MS) || 1000
 });
+lifecycle.onShutdown(() => limiterStore.close());
+
+// LRU cache for GET responses of routes with a `cache` entry
+const cache = responseCache.maxEntries > 0 ? new ResponseCache(responseCache) : null;
+
+// API versions and their transformers (see versioning.js)
+const versioning = createVersioning({ ...apiVersions, metrics });
+if (cache) {
+  metrics.gauge('gateway_cache_entries', 'Responses in the gateway cache', [], () => cache.stats().entries);
+  metrics.gauge('gateway_cache_bytes', 'Body bytes held by the gateway cache', [], () => cache.stats().bytes);
+}
+
+// Middleware
+// Bodies are not parsed here: the proxy streams them to the services as-is.
+// Tracing comes first so every later log line carries the request's IDs.
+app.use(tracing.middleware);
+app.use(lifecycle.track);
+app.use(metrics.middleware);
+// Browsers may read the paging, rate limit and versioning headers of proxied
+// responses
+app.use(cors({
+  exposedHeaders: [
+    'Link', 'X-Total-Count', 'X-Request-Id', 'X-Cache', 'Retry-After',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+    'API-Version', 'Deprecation', 'Sunset'
+  ]
+}));
+// Before routing and access checks, which must see the path the services will
+app.use(rejectAmbiguousPaths());
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
-    status: 'healthy',
+    status: lifecycle.ready ? 'healthy' : 'shutting-down',
     service: 'api-gateway',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    upstreams: Object.fromEntries(
+      Object.values(upstreams).map(upstream => [upstream.name, upstream.health()])
+    ),
+    cache: cache ? cache.stats() : null
   });
 });
 
+// Liveness and readiness probes
+app.get('/health/live', lifecycle.liveHandler);
+app.get('/health/ready', lifecycle.readyHandler);
+
+// Prometheus metrics
+app.get('/metrics', metrics.handler);
+
+// Readiness of every upstream instance, with latency and an overall verdict
+app.get('/health/deep', createDeepHealthHandler({
+  upstreams,
+  lifecycle,
+  timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000
+}));
+
+// OpenAPI document of the gateway and the services behind it, and a page to
+// browse and try it
+const apiDocs = serveApiDocs(app, {
+  routes,
+  upstreams,
+  info: { title: 'API Gateway', version: '1.0.0' },
+  paths: graphqlPaths(graphql.path),
+  refreshInterval: openapi.refreshInterval
+});
+
+// Pages the links in account mails open
+serveAccountPages(app);
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -36,206 +132,91 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
-      users: '/api/users',
-      products: '/api/products'
+      live: '/health/live',
+      ready: '/health/ready',
+      deep: '/health/deep',
+      metrics: '/metrics',
+      registry: '/registry/services',
+      graphql: graphql.path,
+      openapi: '/openapi.json',
+      docs: '/docs',
+      versions: '/versions',
+      ...Object.fromEntries(routes.map(route => [route.prefix, {
+        upstream: route.upstream,
+        methods: route.methods
+      }]))
     }
   });
 });
 
-// ============================================
-// USERS SERVICE ROUTES
-// ============================================
-
-// Get all users
-app.get('/api/users', async (req, res) => {
-  try {
-    const response = await axios.get(`${USERS_SERVICE_URL}/users`);
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching users:', error.message);
-    res.status(500).json({
-      error: 'Failed to fetch users',
-      message: error.message
-    });
-  }
-});
-
-// Get user by ID
-app.get('/api/users/:id', async (req, res) => {
-  try {
-    const response = await axios.get(`${USERS_SERVICE_URL}/users/${req.params.id}`);
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching user:', error.message);
-    if (error.response && error.response.status === 404) {
-      res.status(404).json({ error: 'User not found' });
-    } else {
-      res.status(500).json({
-        error: 'Failed to fetch user',
-        message: error.message
-      });
-    }
-  }
-});
-
-// Create new user
-app.post('/api/users', async (req, res) => {
-  try {
-    const response = await axios.post(`${USERS_SERVICE_URL}/users`, req.body);
-    res.status(201).json(response.data);
-  } catch (error) {
-    console.error('Error creating user:', error.message);
-    res.status(500).json({
-      error: 'Failed to create user',
-      message: error.message
-    });
-  }
-});
-
-// Update user
-app.put('/api/users/:id', async (req, res) => {
-  try {
-    const response = await axios.put(`${USERS_SERVICE_URL}/users/${req.params.id}`, req.body);
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error updating user:', error.message);
-    if (error.response && error.response.status === 404) {
-      res.status(404).json({ error: 'User not found' });
-    } else {
-      res.status(500).json({
-        error: 'Failed to update user',
-        message: error.message
-      });
-    }
-  }
-});
+// API versions and the requests served per version
+app.get('/versions', versioning.handler);
 
-// Delete user
-app.delete('/api/users/:id', async (req, res) => {
-  try {
-    const response = await axios.delete(`${USERS_SERVICE_URL}/users/${req.params.id}`);
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error deleting user:', error.message);
-    if (error.response && error.response.status === 404) {
-      res.status(404).json({ error: 'User not found' });
-    } else {
-      res.status(500).json({
-        error: 'Failed to delete user',
-        message: error.message
-      });
-    }
-  }
-});
+// Service registry (see registry.js)
+app.use('/registry', createRegistryRouter(registry, {
+  token: process.env.REGISTRY_TOKEN,
+  networks: process.env.REGISTRY_ALLOWED_NETWORKS
+}));
 
 // ============================================
-// PRODUCTS SERVICE ROUTES
+// PROXIED SERVICE ROUTES (see routes.js)
 // ============================================
 
-// Get all products
-app.get('/api/products', async (req, res) => {
-  try {
-    const response = await axios.get(`${PRODUCTS_SERVICE_URL}/products`);
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching products:', error.message);
-    res.status(500).json({
-      error: 'Failed to fetch products',
-      message: error.message
-    });
-  }
-});
-
-// Get product by ID
-app.get('/api/products/:id', async (req, res) => {
-  try {
-    const response = await axios.get(`${PRODUCTS_SERVICE_URL}/products/${req.params.id}`);
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error fetching product:', error.message);
-    if (error.response && error.response.status === 404) {
-      res.status(404).json({ error: 'Product not found' });
-    } else {
-      res.status(500).json({
-        error: 'Failed to fetch product',
-        message: error.message
-      });
-    }
-  }
-});
-
-// Create new product
-app.post('/api/products', async (req, res) => {
-  try {
-    const response = await axios.post(`${PRODUCTS_SERVICE_URL}/products`, req.body);
-    res.status(201).json(response.data);
-  } catch (error) {
-    console.error('Error creating product:', error.message);
-    res.status(500).json({
-      error: 'Failed to create product',
-      message: error.message
-    });
-  }
-});
-
-// Update product
-app.put('/api/products/:id', async (req, res) => {
-  try {
-    const response = await axios.put(`${PRODUCTS_SERVICE_URL}/products/${req.params.id}`, req.body);
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error updating product:', error.message);
-    if (error.response && error.response.status === 404) {
-      res.status(404).json({ error: 'Product not found' });
-    } else {
-      res.status(500).json({
-        error: 'Failed to update product',
-        message: error.message
-      });
-    }
-  }
-});
-
-// Delete product
-app.delete('/api/products/:id', async (req, res) => {
-  try {
-    const response = await axios.delete(`${PRODUCTS_SERVICE_URL}/products/${req.params.id}`);
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error deleting product:', error.message);
-    if (error.response && error.response.status === 404) {
-      res.status(404).json({ error: 'Product not found' });
-    } else {
-      res.status(500).json({
-        error: 'Failed to delete product',
-        message: error.message
-      });
-    }
-  }
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({
-    error: 'Internal server error',
-    message: err.message
-  });
-});
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Not found',
-    path: req.path
-  });
-});
+// /api/v1/... and /api/v2/... go on as /api/..., with req.apiVersion set
+app.use(versioning.resolve);
+app.use(authenticate());
+// Tenant from the token, X-Tenant-Id or the subdomain, checked against the
+// users service
+app.use(createTenantResolver({ upstreams, ...tenancy }));
+app.use(createRateLimiter({
+  // GraphQL requests count against the default policy like any other
+  routes: [...routes, { prefix: graphql.path }],
+  policies: rateLimits.policies,
+  dailyQuota: rateLimits.dailyQuota,
+  apiKeys: parseApiKeys(process.env.API_KEYS),
+  store: limiterStore,
+  metrics
+}));
+
+// GraphQL over the same routes; resolvers apply their access rules per call
+app.use(graphql.path, createGraphQLRouter({
+  routes,
+  upstreams,
+  cache,
+  metrics,
+  maxDepth: graphql.maxDepth,
+  maxComplexity: graphql.maxComplexity
+}));
+
+app.use(authorize(routes));
+// Request bodies of older versions are rewritten before they are checked
+app.use(versioning.transform);
+// Requests and responses that break the services' documents are reported
+// (CONTRACT_VALIDATION=report) or the requests rejected (enforce)
+app.use(createContractValidator({
+  mode: openapi.contractValidation,
+  routes,
+  document: apiDocs.document,
+  metrics
+}));
+app.use(createProxy({ routes, upstreams, cache, metrics }));
+
+// Unknown endpoints and errors as application/problem+json
+app.use(notFoundHandler());
+app.use(errorHandler());
 
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log('===========================================');
-  console.log(`API Gateway running on port ${PORT}`);
-  console.log(`Users Service: ${USERS_SERVICE_URL}`);
-  console.log(`Products Service: ${PRODUCTS_SERVICE_URL}`);
-  console.log('===========================================');
+lifecycle.listen(app, PORT, HOST, () => {
+  logger.info('API Gateway started', {
+    port: PORT,
+    upstreams: Object.fromEntries(
+      Object.values(upstreams).map(upstream => [upstream.name, upstream.url])
+    ),
+    rateLimitStore: limiterStore.driver,
+    tenantDomain: tenancy.domain,
+    contractValidation: openapi.contractValidation
+  });
+  if (isDefaultSecret()) {
+    logger.warn('JWT_SECRET is not set - using the insecure development default');
+  }
 });
@@ -0,0 +1,126 @@
+const { RedisClient } = require('../shared/redis-client');
+
+// State stores for the rate limiter (see rate-limit.js).
+//
+//   memory - buckets and counters live in this gateway process
+//   redis  - kept in Redis (or the kv-store stand-in) so several gateway
+//            instances share one limit per client
+//
+// Both expose take(key, policy) to spend one token from a bucket and
+// increment(key, ttl) for quota counters.
+
+const STORES = ['memory', 'redis'];
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+// Token bucket: `capacity` tokens, refilled continuously at
+// `refillPerSecond`. A missing bucket is a full one.
+function consume(state, { capacity, refillPerSecond }, now) {
+  const elapsed = state ? Math.max(0, now - state.updatedAt) / 1000 : 0;
+  const available = state ? Math.min(capacity, state.tokens + elapsed * refillPerSecond) : capacity;
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+
+  return {
+    allowed,
+    state: { tokens, updatedAt: now },
+    remaining: Math.floor(tokens),
+    // Seconds until the next token, and until the bucket is full again
+    retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / refillPerSecond),
+    reset: Math.ceil((capacity - tokens) / refillPerSecond)
+  };
+}
+
+function createMemoryStore({ sweepInterval = 60000 } = {}) {
+  const buckets = new Map();
+  const counters = new Map();
+
+  // Full buckets and expired counters carry no information
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      if (bucket.expiresAt <= now) buckets.delete(key);
+    });
+    counters.forEach((counter, key) => {
+      if (counter.expiresAt <= now) counters.delete(key);
+    });
+  }, sweepInterval);
+  sweep.unref();
+
+  return {
+    driver: 'memory',
+
+    async take(key, policy) {
+      const now = Date.now();
+      const result = consume(buckets.get(key), policy, now);
+      buckets.set(key, { ...result.state, expiresAt: now + result.reset * 1000 });
+      return result;
+    },
+
+    async increment(key, ttl) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now) {
+        counter = { value: 0, expiresAt: now + ttl };
+        counters.set(key, counter);
+      }
+      return ++counter.value;
+    },
+
+    close() {
+      clearInterval(sweep);
+    }
+  };
+}
+
+function createRedisStore({ url, timeout }) {
+  const client = new RedisClient(url, { timeout });
+
+  return {
+    driver: 'redis',
+
+    // Optimistic transaction: if another gateway changes the bucket between
+    // our read and write, EXEC returns null and we try again
+    take(key, policy) {
+      return client.exclusive(async () => {
+        for (let attempt = 0; attempt < MAX_TRANSACTION_ATTEMPTS; attempt++) {
+          await client.command('WATCH', key);
+          const stored = await client.command('GET', key);
+
+          const now = Date.now();
+          const result = consume(stored ? JSON.parse(stored) : null, policy, now);
+
+          await client.command('MULTI');
+          await client.command('SET', key, JSON.stringify(result.state), 'PX', result.reset * 1000 + 1000);
+          const committed = await client.command('EXEC');
+          if (committed !== null) return result;
+        }
+        throw new Error(`Rate limit bucket ${key} is too contended`);
+      });
+    },
+
+    increment(key, ttl) {
+      return client.exclusive(async () => {
+        const value = await client.command('INCR', key);
+        if (value === 1) await client.command('PEXPIRE', key, ttl);
+        return value;
+      });
+    },
+
+    close() {
+      client.close();
+    }
+  };
+}
+
+function createLimiterStore({ driver = 'memory', url, timeout } = {}) {
+  if (!STORES.includes(driver)) {
+    throw new Error(`Unknown rate limit store "${driver}" (expected ${STORES.join(' or ')})`);
+  }
+  if (driver === 'redis') {
+    if (!url) throw new Error('REDIS_URL is required for the redis rate limit store');
+    return createRedisStore({ url, timeout });
+  }
+  return createMemoryStore();
+}
+
+module.exports = { createLimiterStore, consume };
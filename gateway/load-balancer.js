@@ -0,0 +1,34 @@
+// Instance selection for an upstream with several registered instances.
+//
+//   round-robin        - take turns
+//   least-outstanding  - the instance with the fewest requests in flight
+//                        (ties are broken round-robin)
+
+const STRATEGIES = ['round-robin', 'least-outstanding'];
+
+function createBalancer(strategy = 'round-robin') {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown load balancing strategy "${strategy}" (expected ${STRATEGIES.join(' or ')})`);
+  }
+
+  let counter = 0;
+
+  function roundRobin(instances) {
+    const instance = instances[counter % instances.length];
+    counter = (counter + 1) % Number.MAX_SAFE_INTEGER;
+    return instance;
+  }
+
+  return {
+    strategy,
+    pick(instances) {
+      if (instances.length === 0) return null;
+      if (strategy === 'round-robin') return roundRobin(instances);
+
+      const fewest = Math.min(...instances.map(instance => instance.outstanding));
+      return roundRobin(instances.filter(instance => instance.outstanding === fewest));
+    }
+  };
+}
+
+module.exports = { createBalancer, STRATEGIES };
@@ -0,0 +1,380 @@
+// Generic reverse proxy driven by the route table in routes.js.
+//
+// Request and response bodies are streamed through untouched, the query
+// string and end-to-end headers are forwarded in both directions and the
+// upstream status code is returned as-is. Only failures to reach the
+// upstream at all are turned into gateway errors: 502 when it cannot be
+// reached, 504 when it times out and 503 while its circuit is open.
+//
+// Upstream calls go through the clients from upstream.js. Idempotent requests
+// are retried there; their bodies are buffered first so they can be resent.
+//
+// Routes with a `cache` entry are served from the response cache
+// (response-cache.js) when possible; X-Cache tells the client whether the
+// response was a HIT, a MISS or a BYPASS. Writes passing through drop the
+// cached responses they may have changed.
+//
+// Responses to older API versions with a response transformer
+// (res.locals.transformResponse, see versioning.js) are the exception to
+// streaming: successful JSON bodies are read whole, transformed and sent
+// with a new Content-Length and ETag.
+
+const crypto = require('crypto');
+const logger = require('../shared/logger');
+const { sendProblem } = require('../shared/problem');
+
+// Hop-by-hop headers apply to a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Conditional request headers; on a cache miss the gateway asks for the full
+// response so it can be stored, and answers the condition itself
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since'];
+
+// Upstream response headers that belong to one request and are not cached
+const UNCACHED_HEADERS = ['date', 'x-request-id', 'traceparent'];
+
+// Larger idempotent bodies are streamed and not retried
+const MAX_BUFFERED_BODY = 1024 * 1024;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function stripHopByHop(headers) {
+  const result = { ...headers };
+  // Headers named in Connection are hop-by-hop as well
+  const listed = (headers.connection || '').split(',').map(h => h.trim().toLowerCase());
+
+  [...HOP_BY_HOP_HEADERS, ...listed].forEach(name => {
+    delete result[name];
+  });
+
+  return result;
+}
+
+// A response may be stored unless the service or the client forbids it or it
+// differs between callers
+function isStorable(req, response) {
+  const headers = response.data.headers;
+  return req.method === 'GET' &&
+    response.status === 200 &&
+    !headers['set-cookie'] &&
+    !headers.vary &&
+    !/no-store|private/.test(headers['cache-control'] || '') &&
+    !/no-store/.test(req.get('Cache-Control') || '');
+}
+
+// Keep a copy of a body as it streams past; onComplete is not called for
+// bodies over limit bytes
+function captureBody(stream, limit, onComplete) {
+  const chunks = [];
+  let size = 0;
+  stream.on('data', (chunk) => {
+    size += chunk.length;
+    if (size <= limit) chunks.push(chunk);
+  });
+  stream.on('end', () => {
+    if (size <= limit) onComplete(Buffer.concat(chunks));
+  });
+}
+
+// Responses the API version transformers rewrite
+function isTransformable(req, response) {
+  const headers = response.data.headers;
+  return req.method !== 'HEAD' &&
+    response.status >= 200 && response.status < 300 && response.status !== 204 &&
+    !headers['content-encoding'] &&
+    /^application\/(.+\+)?json\b/.test(headers['content-type'] || '');
+}
+
+// Mirror Express: a 304 carries the validators but no body or body headers
+function sendNotModified(res) {
+  ['content-type', 'content-length', 'transfer-encoding'].forEach(name => res.removeHeader(name));
+  res.status(304).end();
+}
+
+function serveCached(req, res, entry) {
+  res.set(entry.headers);
+  res.set('Age', String(Math.floor((Date.now() - entry.storedAt) / 1000)));
+  res.set('X-Cache', 'HIT');
+
+  if (req.fresh) return sendNotModified(res);
+  res.status(entry.status);
+  res.end(req.method === 'HEAD' ? undefined : entry.body);
+}
+
+// Paths are checked and forwarded as sent, so one that a service would read
+// differently, with `.` or `..` segments (plain or percent-encoded) or
+// encoded slashes and backslashes, is refused before anything looks at it:
+// /api/users/2/../1 would pass as user 2's and reach user 1's record.
+function rejectAmbiguousPaths() {
+  return (req, res, next) => {
+    const path = req.url.split('?')[0];
+    const ambiguous = /%2f|%5c|\\/i.test(path) || path.split('/').some(segment => {
+      const decoded = segment.replace(/%2e/gi, '.');
+      return decoded === '.' || decoded === '..';
+    });
+    if (ambiguous) {
+      return sendProblem(res, 'INVALID_PATH', 'Paths may not contain dot segments or encoded separators');
+    }
+    next();
+  };
+}
+
+// Find the route whose prefix matches the path on a segment boundary,
+// preferring the longest prefix
+function matchRoute(routes, path) {
+  return routes
+    .filter(route => path === route.prefix || path.startsWith(route.prefix + '/'))
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+}
+
+// Cache tags a write through route may change: its own and any it `invalidates`
+function writeTags(route) {
+  return [...(route.cache ? route.cache.tags : []), ...(route.invalidates || [])];
+}
+
+function forwardedHeaders(req, route) {
+  const clientIp = req.socket.remoteAddress;
+  const priorFor = req.headers['x-forwarded-for'];
+  // /api/v1/users when the client named a version in the path
+  const prefix = req.versionPrefix ? req.versionPrefix + route.prefix.slice('/api'.length) : route.prefix;
+
+  return {
+    'x-forwarded-for': priorFor ? `${priorFor}, ${clientIp}` : clientIp,
+    'x-forwarded-host': req.headers['x-forwarded-host'] || req.headers.host,
+    'x-forwarded-proto': req.headers['x-forwarded-proto'] || req.protocol,
+    'x-forwarded-prefix': prefix,
+    // The public URL, for links the services put in their responses
+    'x-forwarded-uri': req.originalUrl
+  };
+}
+
+// Send the response to an older API version, read whole and transformed
+async function sendTransformed(req, res, { route, upstreamResponse, cache, cacheKey, cacheGeneration, checkResponse, transformResponse }) {
+  let text;
+  try {
+    text = (await readBody(upstreamResponse.data)).toString('utf8');
+  } catch (error) {
+    // Logged and answered by the stream's error handler
+    return;
+  }
+  // The services' contract is that of the latest version
+  if (checkResponse) checkResponse(upstreamResponse.status, upstreamResponse.data.headers, text);
+
+  let body;
+  try {
+    body = Buffer.from(JSON.stringify(transformResponse(JSON.parse(text))));
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    body = Buffer.from(text);
+  }
+  res.set('Content-Length', String(body.length));
+  res.set('ETag', `"${crypto.createHash('sha1').update(body).digest('base64url')}"`);
+
+  if (cacheKey && isStorable(req, upstreamResponse) && body.length <= cache.maxEntryBytes) {
+    const cachedHeaders = stripHopByHop(upstreamResponse.data.headers);
+    UNCACHED_HEADERS.forEach(name => delete cachedHeaders[name]);
+    cache.set(cacheKey, {
+      status: upstreamResponse.status,
+      headers: { ...cachedHeaders, 'content-length': String(body.length), etag: res.get('ETag') },
+      body
+    }, { ttl: route.cache.ttl, tags: route.cache.tags, generation: cacheGeneration });
+  }
+  if (req.fresh) return sendNotModified(res);
+  res.end(body);
+}
+
+function createProxy({ routes, upstreams, cache = null, metrics = null }) {
+  routes.forEach(route => {
+    if (!upstreams[route.upstream]) {
+      throw new Error(`Route ${route.prefix} references unknown upstream "${route.upstream}"`);
+    }
+  });
+
+  const cacheLookups = metrics && cache && metrics.counter('gateway_cache_requests_total',
+    'Cacheable requests by cache result', ['route', 'result']);
+
+  function recordCacheResult(res, route, result) {
+    res.set('X-Cache', result);
+    if (cacheLookups) cacheLookups.inc({ route: route.prefix, result: result.toLowerCase() });
+  }
+
+  return async (req, res, next) => {
+    const route = matchRoute(routes, req.path);
+    if (!route) {
+      return next();
+    }
+
+    // Metrics and logs label proxied requests by route prefix
+    res.locals.routeTemplate = route.prefix;
+
+    const methods = route.methods.includes('GET') ? [...route.methods, 'HEAD'] : route.methods;
+    if (!methods.includes(req.method)) {
+      res.set('Allow', methods.join(', '));
+      return sendProblem(res, 'METHOD_NOT_ALLOWED', `${req.method} is not supported on ${route.prefix}`, {
+        allowed: methods
+      });
+    }
+
+    // Reads of cached routes are keyed by tenant, API version and the full
+    // URL, query string included
+    const cacheKey = cache && route.cache && ['GET', 'HEAD'].includes(req.method)
+      ? `${req.tenant} ${req.apiVersion} ${req.url}`
+      : null;
+    let cacheGeneration = null;
+    if (cacheKey) {
+      const directive = req.get('Cache-Control') || '';
+      const entry = /no-cache|no-store/.test(directive) ? undefined : cache.get(cacheKey);
+      if (entry) {
+        recordCacheResult(res, route, 'HIT');
+        return serveCached(req, res, entry);
+      }
+      recordCacheResult(res, route, /no-store/.test(directive) ? 'BYPASS' : 'MISS');
+      cacheGeneration = cache.generation(route.cache.tags);
+    }
+
+    // Writes drop what they may change: the route's own cached responses and
+    // those of any resources listed in `invalidates`
+    const invalidates = cache && !READ_METHODS.includes(req.method) ? writeTags(route) : [];
+
+    // url keeps the query string (and has lost any API version); only the
+    // prefix is rewritten
+    const targetPath = route.rewrite + req.url.slice(route.prefix.length);
+    const upstream = upstreams[route.upstream];
+    const hasBody = req.headers['content-length'] !== undefined ||
+      req.headers['transfer-encoding'] !== undefined;
+
+    // Only idempotent requests with a body we can hold on to are retried
+    let data;
+    let retryable = IDEMPOTENT_METHODS.includes(req.method);
+    if (Buffer.isBuffer(req.body)) {
+      // Already read, to check it against the API contract (contract.js)
+      data = req.body;
+    } else if (hasBody) {
+      const length = parseInt(req.headers['content-length']);
+      if (retryable && length <= MAX_BUFFERED_BODY) {
+        data = await readBody(req);
+      } else {
+        data = req;
+        retryable = false;
+      }
+    }
+
+    const headers = stripHopByHop(req.headers);
+    delete headers.host;
+    Object.assign(headers, forwardedHeaders(req, route));
+    if (cacheKey) CONDITIONAL_HEADERS.forEach(name => delete headers[name]);
+
+    // Abort the upstream call if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    let upstreamResponse;
+    try {
+      upstreamResponse = await upstream.request({
+        method: req.method,
+        path: targetPath,
+        headers,
+        data,
+        signal: controller.signal
+      }, { retryable });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+
+      logger.error('Error proxying request', {
+        method: req.method,
+        url: req.originalUrl,
+        upstream: route.upstream,
+        code: error.code,
+        error: error.message
+      });
+
+      if (error.code === 'CIRCUIT_OPEN') {
+        res.set('Retry-After', String(error.retryAfter));
+        return sendProblem(res, 'UPSTREAM_UNAVAILABLE', `${route.upstream} service is unavailable: ${error.message}`, {
+          upstream: route.upstream,
+          retryAfter: error.retryAfter
+        });
+      }
+      if (error.code === 'TIMEOUT') {
+        return sendProblem(res, 'UPSTREAM_TIMEOUT', `${route.upstream} service timed out: ${error.message}`, {
+          upstream: route.upstream
+        });
+      }
+      return sendProblem(res, 'UPSTREAM_UNREACHABLE', `Failed to reach ${route.upstream} service: ${error.message}`, {
+        upstream: route.upstream
+      });
+    } finally {
+      // Whether or not the service answered, the write may have happened
+      if (invalidates.length > 0) cache.invalidate(invalidates);
+    }
+
+    res.status(upstreamResponse.status);
+    Object.entries(stripHopByHop(upstreamResponse.data.headers)).forEach(([name, value]) => {
+      res.setHeader(name, value);
+    });
+
+    upstreamResponse.data.on('error', (error) => {
+      logger.error('Error streaming upstream response', { upstream: route.upstream, error: error.message });
+      res.destroy(error);
+    });
+
+    // Requests checked against the API contract have their response checked too
+    const { checkResponse, transformResponse } = res.locals;
+    if (transformResponse && req.method === 'HEAD') {
+      // Those of the latest version's body
+      ['content-length', 'etag'].forEach(name => res.removeHeader(name));
+    }
+    if (transformResponse && isTransformable(req, upstreamResponse)) {
+      return sendTransformed(req, res, {
+        route, upstreamResponse, cache, cacheKey, cacheGeneration, checkResponse, transformResponse
+      });
+    }
+    if (checkResponse) {
+      captureBody(upstreamResponse.data, MAX_BUFFERED_BODY, body => {
+        checkResponse(upstreamResponse.status, upstreamResponse.data.headers, body.toString('utf8'));
+      });
+    }
+
+    if (cacheKey && isStorable(req, upstreamResponse)) {
+      captureBody(upstreamResponse.data, cache.maxEntryBytes, (body) => {
+        const cachedHeaders = stripHopByHop(upstreamResponse.data.headers);
+        UNCACHED_HEADERS.forEach(name => delete cachedHeaders[name]);
+        cache.set(cacheKey, { status: upstreamResponse.status, headers: cachedHeaders, body }, {
+          ttl: route.cache.ttl,
+          tags: route.cache.tags,
+          generation: cacheGeneration
+        });
+      });
+      // The client's own If-None-Match / If-Modified-Since
+      if (req.fresh) {
+        upstreamResponse.data.resume();
+        return sendNotModified(res);
+      }
+    }
+    upstreamResponse.data.pipe(res);
+  };
+}
+
+module.exports = { createProxy, rejectAmbiguousPaths, matchRoute, readBody, writeTags, forwardedHeaders };
@@ -0,0 +1,124 @@
+const logger = require('../shared/logger');
+const { matchRoute } = require('./proxy');
+const { sendProblem } = require('../shared/problem');
+
+// Rate limiting and daily quotas for proxied routes.
+//
+// Every client has a token bucket per policy. The policy comes from the
+// route's `rateLimit` rules in the route table (per method, like `access`,
+// or per method and path below the prefix, like `POST /`, which wins) and
+// falls back to `default`. Clients are identified, in order, by
+//
+//   user - the authenticated user (Bearer token) of their tenant, as user
+//          IDs are only unique within one
+//   key  - an API key from API_KEYS, sent as X-API-Key
+//   ip   - the client address, per tenant
+//
+// On top of the buckets each client has a daily request quota (UTC days),
+// which API keys can raise or lower. Responses carry RateLimit-* and
+// X-Quota-* headers; rejected requests get 429 with Retry-After. If the
+// store cannot be reached the request is let through rather than failing.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// API_KEYS="key:name[:dailyQuota],..."
+function parseApiKeys(value) {
+  const keys = new Map();
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [key, name, quota] = entry.split(':');
+    keys.set(key, {
+      name: name || key.slice(0, 8),
+      quota: quota === undefined ? null : parseInt(quota)
+    });
+  });
+  return keys;
+}
+
+function policyName(route, method, path) {
+  const rules = (route && route.rateLimit) || {};
+  const subPath = route ? path.slice(route.prefix.length) || '/' : '/';
+  if (rules[`${method} ${subPath}`]) return rules[`${method} ${subPath}`];
+  if (rules[method]) return rules[method];
+  if (method === 'HEAD' && rules.GET) return rules.GET;
+  return 'default';
+}
+
+function createRateLimiter({ routes, policies, store, dailyQuota = 0, apiKeys = new Map(), metrics }) {
+  const rejections = metrics && metrics.counter('rate_limit_rejections_total',
+    'Requests rejected by the rate limiter', ['policy', 'reason']);
+
+  // Returns the client identity, or null for an unknown API key
+  function identify(req) {
+    if (req.user) return { id: `user:${req.user.tenant}:${req.user.id}`, quota: dailyQuota };
+
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      // The key is a credential for the gateway only
+      delete req.headers['x-api-key'];
+      const client = apiKeys.get(apiKey);
+      if (!client) return null;
+      return { id: `key:${client.name}`, quota: client.quota === null ? dailyQuota : client.quota };
+    }
+
+    // Set by the tenant resolver, which runs first
+    return { id: `ip:${req.get('X-Tenant-Id')}:${req.ip}`, quota: dailyQuota };
+  }
+
+  return async (req, res, next) => {
+    const route = matchRoute(routes, req.path);
+    if (!route) return next();
+
+    const client = identify(req);
+    if (!client) {
+      return sendProblem(res, 'INVALID_API_KEY');
+    }
+
+    const name = policyName(route, req.method, req.path);
+    const policy = policies[name] || policies.default;
+
+    let bucket;
+    let used;
+    try {
+      bucket = await store.take(`ratelimit:${name}:${client.id}`, policy);
+      if (bucket.allowed && client.quota > 0) {
+        const day = new Date().toISOString().slice(0, 10);
+        const msLeft = DAY_MS - (Date.now() % DAY_MS);
+        used = await store.increment(`quota:${client.id}:${day}`, msLeft);
+
+        res.set('X-Quota-Limit', String(client.quota));
+        res.set('X-Quota-Remaining', String(Math.max(0, client.quota - used)));
+        res.set('X-Quota-Reset', String(Math.ceil(msLeft / 1000)));
+      }
+    } catch (error) {
+      logger.warn('Rate limit store unavailable, allowing request', { store: store.driver, error: error.message });
+      return next();
+    }
+
+    res.set('RateLimit-Limit', String(policy.capacity));
+    res.set('RateLimit-Remaining', String(bucket.remaining));
+    res.set('RateLimit-Reset', String(bucket.reset));
+
+    if (!bucket.allowed) {
+      if (rejections) rejections.inc({ policy: name, reason: 'rate' });
+      res.set('Retry-After', String(bucket.retryAfter));
+      return sendProblem(res, 'RATE_LIMITED', `Rate limit "${name}" exceeded, retry in ${bucket.retryAfter}s`, {
+        policy: name,
+        retryAfter: bucket.retryAfter
+      });
+    }
+
+    if (used > client.quota) {
+      const retryAfter = res.get('X-Quota-Reset');
+      if (rejections) rejections.inc({ policy: name, reason: 'quota' });
+      res.set('Retry-After', retryAfter);
+      return sendProblem(res, 'QUOTA_EXCEEDED', `Daily quota of ${client.quota} requests used up`, {
+        quota: client.quota,
+        retryAfter: parseInt(retryAfter)
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { createRateLimiter, parseApiKeys };
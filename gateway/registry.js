@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const net = require('net');
+const express = require('express');
+const logger = require('../shared/logger');
+const { validate } = require('../shared/validation');
+const { sendProblem } = require('../shared/problem');
+
+// Service registry built into the gateway.
+//
+// Services register their name, URL and version on startup, send heartbeats
+// and deregister on shutdown. Instances that miss heartbeats for longer than
+// the TTL are evicted; instances the gateway failed to reach are skipped for
+// a short cool-down (unless no other instance is left).
+//
+// Registering decides where the gateway sends requests, passwords included,
+// so changes need the shared REGISTRY_TOKEN (without one the registry is
+// read-only) and may only name addresses on REGISTRY_ALLOWED_NETWORKS.
+
+// The VirtualBox host-only network and this machine
+const DEFAULT_NETWORKS = '192.168.56.0/24,127.0.0.0/8,::1/128';
+
+class ServiceRegistry {
+  constructor({ ttl = 30000, failureCooldown = 10000 } = {}) {
+    this.ttl = ttl;
+    this.failureCooldown = failureCooldown;
+    this.services = new Map();
+
+    this.evictionTimer = setInterval(() => this.evictStale(), Math.max(1000, ttl / 2));
+    this.evictionTimer.unref();
+  }
+
+  instancesOf(name) {
+    if (!this.services.has(name)) {
+      this.services.set(name, new Map());
+    }
+    return this.services.get(name);
+  }
+
+  // Registering the same name and URL again (e.g. after a restart) reuses
+  // the existing instance ID
+  register({ name, url, version }) {
+    const instances = this.instancesOf(name);
+    const baseUrl = url.replace(/\/+$/, '');
+    const existing = [...instances.values()].find(instance => instance.url === baseUrl);
+    const now = new Date().toISOString();
+
+    const instance = {
+      id: existing ? existing.id : crypto.randomUUID(),
+      name,
+      url: baseUrl,
+      version: version || null,
+      registeredAt: existing ? existing.registeredAt : now,
+      lastHeartbeat: now,
+      outstanding: existing ? existing.outstanding : 0,
+      failures: 0,
+      unhealthyUntil: null
+    };
+
+    instances.set(instance.id, instance);
+    logger.info('Registered service instance', { name, instanceId: instance.id, url: instance.url });
+    return instance;
+  }
+
+  heartbeat(name, id) {
+    const instance = this.instancesOf(name).get(id);
+    if (instance) {
+      instance.lastHeartbeat = new Date().toISOString();
+    }
+    return instance;
+  }
+
+  deregister(name, id) {
+    const instance = this.instancesOf(name).get(id);
+    if (instance) {
+      this.instancesOf(name).delete(id);
+      logger.info('Deregistered service instance', { name, instanceId: id });
+    }
+    return instance;
+  }
+
+  evictStale() {
+    const cutoff = Date.now() - this.ttl;
+    this.services.forEach((instances, name) => {
+      instances.forEach(instance => {
+        if (new Date(instance.lastHeartbeat).getTime() < cutoff) {
+          instances.delete(instance.id);
+          logger.warn('Evicted service instance without heartbeat', {
+            name,
+            instanceId: instance.id,
+            lastHeartbeat: instance.lastHeartbeat
+          });
+        }
+      });
+    });
+  }
+
+  // Registered instances that have not recently failed. Falls back to all
+  // registered instances rather than none.
+  healthy(name) {
+    const instances = [...this.instancesOf(name).values()];
+    const now = Date.now();
+    const available = instances.filter(instance => !instance.unhealthyUntil || instance.unhealthyUntil <= now);
+    return available.length > 0 ? available : instances;
+  }
+
+  reportFailure(instance) {
+    instance.failures++;
+    instance.unhealthyUntil = Date.now() + this.failureCooldown;
+  }
+
+  reportSuccess(instance) {
+    instance.failures = 0;
+    instance.unhealthyUntil = null;
+  }
+
+  list() {
+    const result = {};
+    this.services.forEach((instances, name) => {
+      result[name] = [...instances.values()].map(instance => ({
+        ...instance,
+        unhealthyUntil: instance.unhealthyUntil ? new Date(instance.unhealthyUntil).toISOString() : null
+      }));
+    });
+    return result;
+  }
+}
+
+const instanceSchema = {
+  body: {
+    name: { type: 'string', pattern: /^[a-z][a-z0-9-]*$/, maxLength: 50, required: true },
+    url: { type: 'string', pattern: /^https?:\/\//, maxLength: 200, required: true },
+    version: { type: 'string', maxLength: 50 }
+  }
+};
+
+// Comma-separated CIDRs ("10.0.0.0/8,::1/128") as a BlockList
+function parseNetworks(list) {
+  const networks = new net.BlockList();
+  list.split(',').map(cidr => cidr.trim()).filter(Boolean).forEach(cidr => {
+    const [address, prefix] = cidr.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    const bits = prefix === undefined ? (type === 'ipv4' ? 32 : 128) : parseInt(prefix, 10);
+    if (!net.isIP(address) || !(bits >= 0 && bits <= (type === 'ipv4' ? 32 : 128))) {
+      throw new Error(`Invalid network "${cidr}" in REGISTRY_ALLOWED_NETWORKS`);
+    }
+    networks.addSubnet(address, bits, type);
+  });
+  return networks;
+}
+
+// Whether the host of `url` is an address on one of `networks`. Host names
+// are refused: what they resolve to can change after registering.
+function onAllowedNetwork(url, networks) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const address = host === 'localhost' ? '127.0.0.1' : host;
+  const type = net.isIP(address);
+  return type !== 0 && networks.check(address, type === 6 ? 'ipv6' : 'ipv4');
+}
+
+function sameToken(given, expected) {
+  const a = Buffer.from(given || '');
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// /registry endpoints. Changes must carry REGISTRY_TOKEN in
+// X-Registry-Token; without a token they are refused.
+function createRegistryRouter(registry, { token, networks = DEFAULT_NETWORKS } = {}) {
+  const router = express.Router();
+  const allowed = parseNetworks(networks);
+  router.use(express.json());
+
+  router.use((req, res, next) => {
+    if (req.method === 'GET') return next();
+    if (!token) {
+      return sendProblem(res, 'INVALID_REGISTRY_TOKEN', 'The registry is read-only: the gateway has no REGISTRY_TOKEN');
+    }
+    if (!sameToken(req.get('X-Registry-Token'), token)) {
+      return sendProblem(res, 'INVALID_REGISTRY_TOKEN');
+    }
+    next();
+  });
+
+  // List all registered instances
+  router.get('/services', (req, res) => {
+    res.json({
+      ttl: registry.ttl,
+      services: registry.list()
+    });
+  });
+
+  // List instances of one service
+  router.get('/services/:name', (req, res) => {
+    res.json({
+      name: req.params.name,
+      instances: registry.list()[req.params.name] || []
+    });
+  });
+
+  // Register an instance
+  router.post('/services', validate(instanceSchema), (req, res) => {
+    const { name, url, version } = req.valid.body;
+
+    // The pattern only checks the scheme ("http://" passes it)
+    if (!URL.canParse(url)) {
+      return sendProblem(res, 'INVALID_URL', 'url is not a valid URL', { url });
+    }
+    if (!onAllowedNetwork(url, allowed)) {
+      return sendProblem(res, 'VALIDATION_FAILED', 'url is not on an allowed network', {
+        errors: [{ location: 'body', field: 'url', message: 'is not on an allowed network' }]
+      });
+    }
+
+    const instance = registry.register({ name, url, version });
+    res.status(201).json({
+      message: 'Instance registered successfully',
+      instance,
+      heartbeatInterval: Math.floor(registry.ttl / 3)
+    });
+  });
+
+  // Heartbeat; 404 tells the instance to register again
+  router.put('/services/:name/:id/heartbeat', (req, res) => {
+    const instance = registry.heartbeat(req.params.name, req.params.id);
+
+    if (!instance) {
+      return sendProblem(res, 'NOT_FOUND', `Instance ${req.params.id} is not registered`, {
+        instanceId: req.params.id
+      });
+    }
+
+    res.json({ instance });
+  });
+
+  // Deregister an instance
+  router.delete('/services/:name/:id', (req, res) => {
+    const instance = registry.deregister(req.params.name, req.params.id);
+
+    if (!instance) {
+      return sendProblem(res, 'NOT_FOUND', `Instance ${req.params.id} is not registered`, {
+        instanceId: req.params.id
+      });
+    }
+
+    res.json({
+      message: 'Instance deregistered successfully',
+      instance
+    });
+  });
+
+  return router;
+}
+
+module.exports = { ServiceRegistry, createRegistryRouter };
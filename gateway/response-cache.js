@@ -0,0 +1,97 @@
+// Bounded LRU cache for upstream GET responses.
+//
+// Routes opt in with `cache: { ttl, tags }` in the route table. Entries are
+// tagged with the resources they show (e.g. `products`) and a write through
+// the gateway drops every entry carrying one of the tags it affects. The
+// cache is bounded both by entry count and by total body size; the least
+// recently used entries go first.
+//
+// A per-tag generation counter guards against storing a response that was
+// fetched before a write but finished after it.
+
+class ResponseCache {
+  constructor({ maxEntries = 500, maxBytes = 10 * 1024 * 1024, maxEntryBytes = 1024 * 1024 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.maxEntryBytes = maxEntryBytes;
+
+    // Map iteration order is insertion order: the first key is the LRU one
+    this.entries = new Map();
+    this.bytes = 0;
+    this.generations = new Map();
+    this.counters = { stores: 0, invalidations: 0, evictions: 0 };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return undefined;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  // Snapshot to pass back to set() once the response has arrived
+  generation(tags) {
+    return tags.map(tag => this.generations.get(tag) || 0);
+  }
+
+  // entry: { status, headers, body (Buffer) }. Returns false if not stored.
+  set(key, entry, { ttl, tags, generation }) {
+    if (entry.body.length > this.maxEntryBytes) return false;
+    const current = this.generation(tags);
+    if (generation.some((value, i) => value !== current[i])) return false;
+
+    this.delete(key);
+    this.entries.set(key, { ...entry, tags, storedAt: Date.now(), expiresAt: Date.now() + ttl });
+    this.bytes += entry.body.length;
+    this.counters.stores++;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+      this.counters.evictions++;
+    }
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.body.length;
+  }
+
+  // Drop everything tagged with any of tags
+  invalidate(tags) {
+    if (tags.length === 0) return 0;
+    tags.forEach(tag => this.generations.set(tag, (this.generations.get(tag) || 0) + 1));
+
+    let dropped = 0;
+    this.entries.forEach((entry, key) => {
+      if (entry.tags.some(tag => tags.includes(tag))) {
+        this.delete(key);
+        dropped++;
+      }
+    });
+    this.counters.invalidations += dropped;
+    return dropped;
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = { ResponseCache };
@@ -0,0 +1,241 @@
+// Gateway route table
+//
+// Each entry maps a public path prefix to an upstream service. Everything
+// after the prefix (sub-paths and the query string) is appended to `rewrite`,
+// so `/api/users/7?fields=name` on the gateway becomes `/users/7?fields=name`
+// on the users service. New service endpoints under an existing prefix are
+// reachable without any gateway code; a new prefix is one entry here.
+//
+// `access` sets who may call each method (see auth.js). Methods without a
+// rule are public for reads and require a logged-in user for writes.
+// `rateLimit` picks the rate limit policy per method, or per method and path
+// below the prefix (`POST /` is the prefix itself; see rate-limit.js);
+// requests without one use the `default` policy.
+//
+// `cache: { ttl, tags }` lets the gateway keep GET responses for `ttl`
+// milliseconds (see response-cache.js); only routes whose responses are the
+// same for every caller may be cached. Writes through a route drop cached
+// responses with its tags and with the tags in `invalidates`.
+
+function envInt(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+// Upstream service settings. Each value can be overridden per service, e.g.
+// USERS_SERVICE_URL, USERS_TIMEOUT_MS, USERS_RETRIES, USERS_BREAKER_THRESHOLD
+// and USERS_BREAKER_RESET_MS for the users service.
+function upstream(name, defaultUrl) {
+  const prefix = name.toUpperCase();
+  return {
+    // Used while no instance of the service is registered
+    url: process.env[`${prefix}_SERVICE_URL`] || defaultUrl,
+    // round-robin or least-outstanding across registered instances
+    balancer: process.env[`${prefix}_LOAD_BALANCER`] || process.env.LOAD_BALANCER || 'round-robin',
+    // Milliseconds to wait for the service before answering 504
+    timeout: envInt(`${prefix}_TIMEOUT_MS`, 5000),
+    // Extra attempts for idempotent requests
+    retries: envInt(`${prefix}_RETRIES`, 2),
+    retryBaseDelay: envInt(`${prefix}_RETRY_BASE_DELAY_MS`, 100),
+    retryMaxDelay: envInt(`${prefix}_RETRY_MAX_DELAY_MS`, 2000),
+    breaker: {
+      // Consecutive failures that open the circuit
+      failureThreshold: envInt(`${prefix}_BREAKER_THRESHOLD`, 5),
+      // Milliseconds the circuit stays open before a trial request
+      resetTimeout: envInt(`${prefix}_BREAKER_RESET_MS`, 30000)
+    }
+  };
+}
+
+// Microservice URLs - Update these with your VM IPs
+const upstreams = {
+  users: upstream('users', 'http://192.168.56.11:3001'),
+  products: upstream('products', 'http://192.168.56.12:3002'),
+  orders: upstream('orders', 'http://192.168.56.13:3003')
+};
+
+// Token bucket policies: bursts of up to `capacity` requests, refilled at
+// `perMinute` requests a minute. Each can be overridden, e.g.
+// RATE_LIMIT_SIGNUP_CAPACITY and RATE_LIMIT_SIGNUP_PER_MINUTE.
+function rateLimitPolicy(name, capacity, perMinute) {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const limit = {
+    capacity: envInt(`${prefix}_CAPACITY`, capacity),
+    perMinute: envInt(`${prefix}_PER_MINUTE`, perMinute)
+  };
+  return { ...limit, refillPerSecond: limit.perMinute / 60 };
+}
+
+const rateLimits = {
+  policies: {
+    default: rateLimitPolicy('default', 120, 120),
+    // Credential guessing
+    auth: rateLimitPolicy('auth', 10, 5),
+    // Account creation
+    signup: rateLimitPolicy('signup', 5, 1)
+  },
+  // Requests per client per UTC day; 0 disables quotas
+  dailyQuota: envInt('RATE_LIMIT_DAILY_QUOTA', 10000)
+};
+
+// Response cache limits; CACHE_MAX_ENTRIES=0 turns caching off
+const responseCache = {
+  maxEntries: envInt('CACHE_MAX_ENTRIES', 500),
+  maxBytes: envInt('CACHE_MAX_BYTES', 10 * 1024 * 1024),
+  maxEntryBytes: envInt('CACHE_MAX_ENTRY_BYTES', 1024 * 1024)
+};
+
+const routes = [
+  {
+    prefix: '/api/users',
+    upstream: 'users',
+    rewrite: '/users',
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    // POST is registration; users may only read and edit their own record,
+    // so listing and exporting users, with their emails and statuses, is for
+    // admins. PATCH changes account statuses.
+    access: { GET: 'self', POST: 'public', PUT: 'self', PATCH: 'admin', DELETE: 'admin' },
+    // Only registration; the admin endpoints below it (import, invite,
+    // restore) are not signups
+    rateLimit: { 'POST /': 'signup' }
+  },
+  {
+    prefix: '/api/auth',
+    upstream: 'users',
+    rewrite: '/auth',
+    methods: ['POST'],
+    access: { POST: 'public' },
+    rateLimit: { POST: 'auth' }
+  },
+  {
+    prefix: '/api/products',
+    upstream: 'products',
+    rewrite: '/products',
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    access: { POST: 'admin', PUT: 'admin', PATCH: 'admin', DELETE: 'admin' },
+    cache: { ttl: 30000, tags: ['products'] }
+  },
+  {
+    prefix: '/api/orders',
+    upstream: 'orders',
+    rewrite: '/orders',
+    methods: ['GET', 'POST', 'PATCH'],
+    access: { GET: 'user', POST: 'user', PATCH: 'admin' },
+    // Placing and cancelling orders reserves and releases stock
+    invalidates: ['products']
+  },
+  {
+    prefix: '/api/search',
+    upstream: 'products',
+    rewrite: '/search',
+    methods: ['GET'],
+    cache: { ttl: 30000, tags: ['products'] }
+  },
+  {
+    prefix: '/api/categories',
+    upstream: 'products',
+    rewrite: '/categories',
+    methods: ['GET'],
+    cache: { ttl: 60000, tags: ['products'] }
+  },
+  // Promotions change the products' effective prices
+  {
+    prefix: '/api/promotions',
+    upstream: 'products',
+    rewrite: '/promotions',
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+    access: { POST: 'admin', PATCH: 'admin', DELETE: 'admin' },
+    invalidates: ['products']
+  },
+  {
+    prefix: '/api/exchange-rates',
+    upstream: 'products',
+    rewrite: '/exchange-rates',
+    methods: ['GET'],
+    cache: { ttl: 60000, tags: ['products'] }
+  },
+  {
+    prefix: '/api/stats/users',
+    upstream: 'users',
+    rewrite: '/stats/users',
+    methods: ['GET'],
+    // Counts accounts by status
+    access: { GET: 'admin' }
+  },
+  {
+    prefix: '/api/stats/products',
+    upstream: 'products',
+    rewrite: '/stats/products',
+    methods: ['GET'],
+    cache: { ttl: 10000, tags: ['products'] }
+  },
+  {
+    prefix: '/api/stats/orders',
+    upstream: 'orders',
+    rewrite: '/stats/orders',
+    methods: ['GET']
+  },
+  // Tenants are managed by admins of the default tenant (see tenancy.js)
+  {
+    prefix: '/api/tenants',
+    upstream: 'users',
+    rewrite: '/tenants',
+    methods: ['GET', 'POST', 'PATCH'],
+    access: { GET: 'admin', POST: 'admin', PATCH: 'admin' }
+  },
+  // Webhook subscriptions live with the service whose events they receive
+  {
+    prefix: '/api/webhooks/users',
+    upstream: 'users',
+    rewrite: '/webhooks',
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+    access: { GET: 'admin', POST: 'admin', PATCH: 'admin', DELETE: 'admin' }
+  },
+  {
+    prefix: '/api/webhooks/products',
+    upstream: 'products',
+    rewrite: '/webhooks',
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+    access: { GET: 'admin', POST: 'admin', PATCH: 'admin', DELETE: 'admin' }
+  }
+];
+
+// GraphQL endpoint (see graphql.js); queries over either limit are rejected
+const graphql = {
+  path: '/graphql',
+  maxDepth: envInt('GRAPHQL_MAX_DEPTH', 8),
+  maxComplexity: envInt('GRAPHQL_MAX_COMPLEXITY', 1000)
+};
+
+// Versions of the public API, oldest first (see versioning.js). All but the
+// latest have a transformer module rewriting their traffic to the next one.
+// Clients naming no version get API_DEFAULT_VERSION.
+const apiVersions = {
+  defaultVersion: process.env.API_DEFAULT_VERSION || 'v1',
+  versions: [
+    {
+      name: 'v1',
+      deprecatedAt: '2026-10-19',
+      sunsetAt: process.env.API_V1_SUNSET || '2027-04-30',
+      transformers: require('./transformers/v1')
+    },
+    { name: 'v2' }
+  ]
+};
+
+// Tenant resolution (see tenancy.js): TENANT_DOMAIN turns subdomains of it
+// into tenants; tenants are looked up again after TENANT_CACHE_TTL_MS
+const tenancy = {
+  domain: process.env.TENANT_DOMAIN || null,
+  ttl: envInt('TENANT_CACHE_TTL_MS', 30000)
+};
+
+// OpenAPI document of the gateway (see api-docs.js), built from those of the
+// services, and whether proxied traffic is checked against it: `off`,
+// `report` or `enforce` (see contract.js)
+const openapi = {
+  refreshInterval: envInt('OPENAPI_REFRESH_MS', 60000),
+  contractValidation: process.env.CONTRACT_VALIDATION || 'off'
+};
+
+module.exports = { upstreams, routes, rateLimits, responseCache, apiVersions, tenancy, graphql, openapi };
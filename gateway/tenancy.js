@@ -0,0 +1,122 @@
+const logger = require('../shared/logger');
+const { DEFAULT_TENANT, TENANT_ID, enterTenant } = require('../shared/tenancy');
+const { sendProblem } = require('../shared/problem');
+const { readBody } = require('./proxy');
+
+// Tenant of every request (see shared/tenancy.js), taken from, in order:
+//
+//   1. the `tenant` claim of the access token
+//   2. the X-Tenant-Id header
+//   3. the subdomain of TENANT_DOMAIN the request was sent to
+//      (acme.shop.example.com with TENANT_DOMAIN=shop.example.com)
+//
+// and the default tenant with none of them. A token is only good for its own
+// tenant: a header or subdomain naming another one is answered with 403
+// TENANT_MISMATCH. Anonymous requests, such as logins, pick their tenant with
+// the header or subdomain.
+//
+// Tenants other than the default one are looked up in the users service and
+// kept for `ttl` milliseconds; unknown ones get 404 TENANT_NOT_FOUND and
+// suspended ones 403 TENANT_SUSPENDED. Writes to the tenant admin API through
+// this gateway drop what it knows at once.
+//
+// The tenant goes on to the services in X-Tenant-Id, replacing whatever the
+// client sent.
+
+function subdomainTenant(hostname, domain) {
+  if (!domain || !hostname || !hostname.endsWith(`.${domain}`)) return null;
+  const subdomain = hostname.slice(0, -domain.length - 1);
+  return subdomain.includes('.') ? null : subdomain;
+}
+
+function createTenantResolver({ upstreams, domain = null, ttl = 30000, adminPrefix = '/api/tenants' }) {
+  // Tenant ID -> { tenant, checkedAt }, tenant null when there is none
+  const known = new Map();
+  const pending = new Map();
+
+  async function fetchTenant(id) {
+    const response = await upstreams.users.request({
+      method: 'GET',
+      path: `/tenants/${id}`,
+      headers: { accept: 'application/json', 'x-tenant-id': DEFAULT_TENANT }
+    }, { retryable: true });
+    const text = (await readBody(response.data)).toString('utf8');
+    if (response.status === 404) return null;
+    if (response.status !== 200) throw new Error(`users service answered ${response.status}`);
+    return JSON.parse(text);
+  }
+
+  // The tenant with id, or null; a failed lookup falls back on what is known
+  function lookup(id) {
+    const entry = known.get(id);
+    if (entry && Date.now() - entry.checkedAt < ttl) return Promise.resolve(entry.tenant);
+    if (!pending.has(id)) {
+      pending.set(id, fetchTenant(id)
+        .then(tenant => {
+          known.set(id, { tenant, checkedAt: Date.now() });
+          return tenant;
+        })
+        .catch(error => {
+          if (!entry) throw error;
+          logger.warn('Tenant lookup failed, using the last known state', { tenantId: id, error: error.message });
+          return entry.tenant;
+        })
+        .finally(() => pending.delete(id)));
+    }
+    return pending.get(id);
+  }
+
+  return async (req, res, next) => {
+    const requested = [
+      req.get('X-Tenant-Id') && { source: 'X-Tenant-Id', tenant: req.get('X-Tenant-Id') },
+      subdomainTenant(req.hostname, domain) && { source: 'subdomain', tenant: subdomainTenant(req.hostname, domain) }
+    ].filter(Boolean);
+
+    const invalid = requested.find(({ tenant }) => !TENANT_ID.test(tenant));
+    if (invalid) {
+      return sendProblem(res, 'VALIDATION_FAILED', `${invalid.source} is not a valid tenant ID`, {
+        errors: [{ location: 'headers', field: invalid.source.toLowerCase(), message: `must match ${TENANT_ID}` }]
+      });
+    }
+
+    const claimed = req.user && req.user.tenant;
+    const tenant = claimed || (requested[0] && requested[0].tenant) || DEFAULT_TENANT;
+    const other = requested.find(candidate => candidate.tenant !== tenant);
+    if (other) {
+      return sendProblem(res, 'TENANT_MISMATCH',
+        claimed
+          ? `The access token is for tenant ${tenant}, not ${other.tenant}`
+          : `${requested[0].source} names tenant ${tenant} but ${other.source} names ${other.tenant}`,
+        { tenant, requested: other.tenant });
+    }
+
+    if (tenant !== DEFAULT_TENANT) {
+      let record;
+      try {
+        record = await lookup(tenant);
+      } catch (error) {
+        return sendProblem(res, 'UPSTREAM_UNAVAILABLE', `Tenant ${tenant} could not be looked up: ${error.message}`, {
+          upstream: 'users'
+        });
+      }
+      if (!record) return sendProblem(res, 'TENANT_NOT_FOUND', `Tenant ${tenant} does not exist`, { tenant });
+      if (record.status === 'suspended') {
+        return sendProblem(res, 'TENANT_SUSPENDED', `Tenant ${tenant} is suspended`, {
+          tenant,
+          suspendedAt: record.suspendedAt
+        });
+      }
+    }
+
+    // Tenants created or changed through this gateway are seen at once
+    if (req.method !== 'GET' && req.method !== 'HEAD' && req.path.startsWith(adminPrefix)) {
+      res.once('finish', () => known.clear());
+    }
+
+    enterTenant(req, tenant);
+    req.headers['x-tenant-id'] = tenant;
+    next();
+  };
+}
+
+module.exports = { createTenantResolver };
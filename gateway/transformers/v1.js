@@ -0,0 +1,36 @@
+// v1 of the public API, in terms of v2 (see versioning.js).
+//
+// v2 sends money amounts in statistics as numbers rounded to cents; v1 sent
+// them as strings with two decimals ("24.99").
+
+function twoDecimals(amount) {
+  return typeof amount === 'number' ? amount.toFixed(2) : amount;
+}
+
+module.exports = [
+  {
+    method: 'GET',
+    path: '/api/categories',
+    response: body => ({
+      ...body,
+      categories: body.categories.map(category => ({
+        ...category,
+        averagePrice: twoDecimals(category.averagePrice)
+      }))
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/stats/products',
+    response: body => ({
+      ...body,
+      totalValue: twoDecimals(body.totalValue),
+      averagePrice: twoDecimals(body.averagePrice)
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/stats/orders',
+    response: body => ({ ...body, revenue: twoDecimals(body.revenue) })
+  }
+];
@@ -0,0 +1,205 @@
+const axios = require('axios');
+const { outgoingHeaders } = require('../shared/tracing');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { createBalancer } = require('./load-balancer');
+
+// Resilient HTTP client for one upstream service: per-upstream timeout,
+// retries with jittered exponential backoff (only when the caller says the
+// request is safe to repeat) and a circuit breaker that fails fast while the
+// service is down.
+//
+// Requests go to the instances registered for the service in the registry,
+// chosen by the configured balancer, so a retry usually lands on another
+// instance. With no registered instances the configured URL is used.
+
+// Statuses that mean "the service is not able to answer right now"
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+class UpstreamError extends Error {
+  constructor(message, { code, upstream, retryAfter, cause } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.upstream = upstream;
+    this.retryAfter = retryAfter;
+    this.cause = cause;
+  }
+}
+
+function isTimeout(error) {
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+}
+
+// "Full jitter" backoff: a random delay up to the exponential cap
+function backoffDelay(attempt, { retryBaseDelay, retryMaxDelay }) {
+  const cap = Math.min(retryMaxDelay, retryBaseDelay * 2 ** attempt);
+  return Math.floor(Math.random() * cap);
+}
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+function createUpstream(name, config, registry, instruments) {
+  const breaker = new CircuitBreaker(config.breaker);
+  const balancer = createBalancer(config.balancer);
+  const counters = { requests: 0, retries: 0, timeouts: 0, errors: 0 };
+  const staticInstance = { id: 'static', url: config.url, outstanding: 0 };
+
+  function pickInstance() {
+    const registered = registry ? registry.healthy(name) : [];
+    return registered.length > 0 ? balancer.pick(registered) : staticInstance;
+  }
+
+  // One attempt; resolves with the axios response or rejects with the
+  // reason it counts as a failure
+  async function attempt(options) {
+    const instance = pickInstance();
+    const done = () => { instance.outstanding--; };
+    const stopTimer = instruments.duration.startTimer({ upstream: name });
+    instance.outstanding++;
+
+    let response;
+    try {
+      response = await axios.request({
+        ...options,
+        url: instance.url + options.path,
+        // The gateway's own trace context replaces whatever the client sent
+        headers: { ...options.headers, ...outgoingHeaders() },
+        timeout: config.timeout,
+        responseType: 'stream',
+        decompress: false,
+        maxRedirects: 0,
+        // Every upstream status is a valid answer to pass back
+        validateStatus: () => true
+      });
+    } catch (error) {
+      done();
+      stopTimer({ status: 'error' });
+      instruments.errors.inc({ upstream: name, reason: isTimeout(error) ? 'timeout' : 'unreachable' });
+      if (instance !== staticInstance) registry.reportFailure(instance);
+      throw error;
+    }
+
+    stopTimer({ status: response.status });
+
+    // The request is in flight until its body has been consumed
+    response.data.once('close', done);
+
+    if (RETRYABLE_STATUSES.includes(response.status)) {
+      instruments.errors.inc({ upstream: name, reason: `status_${response.status}` });
+      if (instance !== staticInstance) registry.reportFailure(instance);
+      const error = new Error(`${name} service responded ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+
+    if (instance !== staticInstance) registry.reportSuccess(instance);
+    return response;
+  }
+
+  // Send a request. `retryable` must only be set for idempotent requests
+  // whose body (if any) can be sent again.
+  async function request(options, { retryable = false } = {}) {
+    const maxAttempts = retryable ? config.retries + 1 : 1;
+    counters.requests++;
+
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      if (!breaker.tryAcquire()) {
+        instruments.errors.inc({ upstream: name, reason: 'circuit_open' });
+        throw new UpstreamError(`${name} service circuit is open`, {
+          code: 'CIRCUIT_OPEN',
+          upstream: name,
+          retryAfter: breaker.retryAfterSeconds()
+        });
+      }
+
+      try {
+        const response = await attempt(options);
+        breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        if (options.signal && options.signal.aborted) {
+          breaker.release();
+          throw error;
+        }
+
+        breaker.recordFailure(error.message);
+        if (isTimeout(error)) counters.timeouts++;
+
+        const lastAttempt = attemptNumber + 1 >= maxAttempts;
+        if (lastAttempt) {
+          counters.errors++;
+          // An upstream 502/503/504 is still an answer: pass it through
+          if (error.response) return error.response;
+
+          throw new UpstreamError(error.message, {
+            code: isTimeout(error) ? 'TIMEOUT' : 'UNREACHABLE',
+            upstream: name,
+            cause: error
+          });
+        }
+
+        // Drop the failed response before trying again
+        if (error.response) error.response.data.destroy();
+        counters.retries++;
+        await sleep(backoffDelay(attemptNumber, config), options.signal);
+      }
+    }
+  }
+
+  return {
+    name,
+    url: config.url,
+    request,
+    // Base URLs requests may currently go to
+    instanceUrls() {
+      const registered = registry ? registry.healthy(name) : [];
+      return registered.length > 0 ? registered.map(instance => instance.url) : [config.url];
+    },
+    health() {
+      return {
+        url: config.url,
+        balancer: balancer.strategy,
+        instances: registry ? registry.healthy(name).length : 0,
+        timeout: config.timeout,
+        retries: config.retries,
+        circuit: breaker.snapshot(),
+        ...counters
+      };
+    }
+  };
+}
+
+function createUpstreams(config, registry, metrics) {
+  const instruments = {
+    duration: metrics.histogram('upstream_request_duration_seconds',
+      'Time until an upstream answered (response headers), in seconds', ['upstream', 'status']),
+    errors: metrics.counter('upstream_errors_total',
+      'Failed upstream calls by reason', ['upstream', 'reason'])
+  };
+
+  const upstreams = Object.fromEntries(
+    Object.entries(config).map(([name, upstreamConfig]) => [
+      name,
+      createUpstream(name, upstreamConfig, registry, instruments)
+    ])
+  );
+
+  const circuitStates = { closed: 0, 'half-open': 1, open: 2 };
+  metrics.gauge('upstream_circuit_state', 'Upstream circuit state: 0 closed, 1 half-open, 2 open',
+    ['upstream'], () => Object.values(upstreams).map(upstream => ({
+      labels: { upstream: upstream.name },
+      value: circuitStates[upstream.health().circuit.state]
+    })));
+
+  return upstreams;
+}
+
+module.exports = { createUpstreams, UpstreamError };
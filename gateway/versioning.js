@@ -0,0 +1,178 @@
+const { sendProblem } = require('../shared/problem');
+const { readBody } = require('./proxy');
+
+// Versions of the public API (the table in routes.js).
+//
+// The services speak the latest version only; older ones are kept at the
+// gateway by transformer modules that rewrite requests and responses. A
+// client picks its version in the path or in a header:
+//
+//   GET /api/v1/categories
+//   GET /api/categories        Accept-Version: v1 (or 1)
+//
+// and gets the default version with neither. Path versions are stripped
+// before the request goes on, so the route table, access rules, rate limits
+// and the contract validator only see /api/categories. Unknown versions are
+// answered with 400 UNSUPPORTED_API_VERSION.
+//
+// Every versioned response carries API-Version; those of deprecated versions
+// also Deprecation (RFC 9745) and Sunset (RFC 8594). Requests are counted
+// per version and how it was chosen (path, header or default) in
+// gateway_api_version_requests_total and at GET /versions.
+//
+// The transformer module of a version lists the operations that differ from
+// the next version:
+//
+//   { method: 'GET', path: '/api/products/:id',
+//     request: (body, req) => nextVersionBody,
+//     response: (body, req) => thisVersionBody }
+//
+// A v1 request to a v3 gateway passes through the v1 and v2 request
+// transformers in turn, and its response through the v2 and v1 response
+// transformers. Only JSON bodies are transformed, and responses only when
+// successful.
+
+const VERSION_PATH = /^\/api\/(v\d+)(?=\/|$)/;
+
+// Larger request bodies cannot be transformed
+const MAX_TRANSFORMED_BODY = 1024 * 1024;
+
+function compilePath(path) {
+  const source = path.split('/').map(segment =>
+    (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))).join('/');
+  return new RegExp(`^${source}/?$`);
+}
+
+// `v2`, `V2` and `2` all name v2
+function versionName(value) {
+  const name = value.trim().toLowerCase();
+  return /^\d+$/.test(name) ? `v${name}` : name;
+}
+
+// Dates of the table as HTTP-dates and epoch seconds
+function httpDate(date) {
+  return new Date(date).toUTCString();
+}
+
+function epochSeconds(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+function createVersioning({ versions, defaultVersion, metrics = null }) {
+  const names = versions.map(version => version.name);
+  if (!names.includes(defaultVersion)) {
+    throw new Error(`Default API version "${defaultVersion}" is not one of ${names.join(', ')}`);
+  }
+
+  const table = versions.map((version, i) => ({
+    ...version,
+    latest: i === versions.length - 1,
+    transformers: (version.transformers || []).map(transformer => ({
+      ...transformer,
+      pattern: compilePath(transformer.path)
+    }))
+  }));
+  const usage = new Map(names.map(name => [name, 0]));
+  const requests = metrics && metrics.counter('gateway_api_version_requests_total',
+    'API requests by version and how the version was chosen', ['version', 'source']);
+
+  // Transformers from the version at index to the latest, oldest first
+  function transformersFor(index, req) {
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    return table.slice(index, -1).map(version => version.transformers.find(transformer =>
+      transformer.method === method && transformer.pattern.test(req.path)));
+  }
+
+  // Picks the version of /api/* requests; answers unknown ones
+  function resolve(req, res, next) {
+    if (req.path !== '/api' && !req.path.startsWith('/api/')) return next();
+
+    let name = defaultVersion;
+    let source = 'default';
+    const inPath = VERSION_PATH.exec(req.path);
+    if (inPath) {
+      name = inPath[1];
+      source = 'path';
+      req.url = '/api' + req.url.slice(inPath[0].length);
+      req.versionPrefix = inPath[0];
+    } else if (req.get('Accept-Version')) {
+      name = versionName(req.get('Accept-Version'));
+      source = 'header';
+    }
+    // Unversioned paths answer per header
+    if (!inPath) res.vary('Accept-Version');
+
+    const index = names.indexOf(name);
+    if (index === -1) {
+      return sendProblem(res, 'UNSUPPORTED_API_VERSION', `API version ${name} is not supported`, {
+        supported: names
+      });
+    }
+    const version = table[index];
+
+    req.apiVersion = name;
+    usage.set(name, usage.get(name) + 1);
+    if (requests) requests.inc({ version: name, source });
+
+    res.set('API-Version', name);
+    if (version.deprecatedAt) res.set('Deprecation', `@${epochSeconds(version.deprecatedAt)}`);
+    if (version.sunsetAt) res.set('Sunset', httpDate(version.sunsetAt));
+
+    res.locals.apiVersionIndex = index;
+    next();
+  }
+
+  // Rewrites the request body to the latest version and sets up the
+  // response transformers for the proxy (res.locals.transformResponse)
+  async function transform(req, res, next) {
+    const index = res.locals.apiVersionIndex;
+    if (index === undefined) return next();
+    const transformers = transformersFor(index, req).filter(Boolean);
+
+    const upgrades = transformers.filter(transformer => transformer.request);
+    if (upgrades.length > 0 && req.is('application/json')) {
+      if (parseInt(req.headers['content-length']) > MAX_TRANSFORMED_BODY) {
+        return sendProblem(res, 'PAYLOAD_TOO_LARGE',
+          `API version ${req.apiVersion} request bodies are limited to ${MAX_TRANSFORMED_BODY} bytes`);
+      }
+      let body = await readBody(req);
+      try {
+        const value = upgrades.reduce((current, transformer) => transformer.request(current, req),
+          JSON.parse(body.toString('utf8')));
+        body = Buffer.from(JSON.stringify(value));
+      } catch (error) {
+        // Malformed bodies go on as sent, for the service to answer
+        if (!(error instanceof SyntaxError)) throw error;
+      }
+      // The proxy and the contract validator take the buffered body
+      req.body = body;
+      req.headers['content-length'] = String(body.length);
+      delete req.headers['transfer-encoding'];
+    }
+
+    const downgrades = transformers.filter(transformer => transformer.response).reverse();
+    if (downgrades.length > 0) {
+      res.locals.transformResponse = body =>
+        downgrades.reduce((current, transformer) => transformer.response(current, req), body);
+    }
+    next();
+  }
+
+  // GET /versions: the table with the requests served per version
+  function handler(req, res) {
+    res.json({
+      defaultVersion,
+      versions: table.map(version => ({
+        version: version.name,
+        status: version.latest ? 'current' : version.deprecatedAt ? 'deprecated' : 'supported',
+        deprecatedAt: version.deprecatedAt || null,
+        sunsetAt: version.sunsetAt || null,
+        requests: usage.get(version.name)
+      }))
+    });
+  }
+
+  return { resolve, transform, handler };
+}
+
+module.exports = { createVersioning };
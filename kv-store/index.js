@@ -0,0 +1,310 @@
+const net = require('net');
+const logger = require('../shared/logger');
+const { RespError, encodeValue, decodeValue, simple } = require('../shared/resp');
+
+// Redis-compatible key-value store for the gateway's shared rate limiter and
+// the services' event broker.
+//
+// A stand-in for a real Redis server on setups without one: it speaks RESP
+// and implements the commands the gateway uses (strings, counters, expiry and
+// WATCH/MULTI/EXEC transactions), PUBLISH/SUBSCRIBE for events, plus a few
+// for inspection with redis-cli. Data is kept in memory only. Point several
+// gateways at it with RATE_LIMIT_STORE=redis REDIS_URL=redis://<host>:6379,
+// and the services with EVENT_BROKER=redis EVENT_BROKER_URL=redis://<host>:6379.
+
+const PORT = parseInt(process.env.PORT) || 6379;
+const HOST = process.env.HOST || '0.0.0.0';
+const PASSWORD = process.env.KV_PASSWORD || null;
+const SWEEP_INTERVAL = 10000;
+
+logger.configure({ service: 'kv-store' });
+
+// key -> { value, expiresAt }
+const data = new Map();
+// key -> write counter, compared by EXEC for WATCHed keys
+const versions = new Map();
+// Open connections, so the sweep keeps versions someone is watching
+const sessions = new Set();
+// channel -> sockets subscribed to it
+const channels = new Map();
+
+function publish(channel, message) {
+  const subscribers = channels.get(channel) || new Set();
+  const push = encodeValue(['message', channel, message]);
+  subscribers.forEach(socket => socket.write(push));
+  return subscribers.size;
+}
+
+function touch(key) {
+  versions.set(key, (versions.get(key) || 0) + 1);
+}
+
+// Expired keys are removed when read and by a periodic sweep
+function lookup(key) {
+  const entry = data.get(key);
+  if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    data.delete(key);
+    touch(key);
+    return undefined;
+  }
+  return entry;
+}
+
+function write(key, value, expiresAt = null) {
+  data.set(key, { value, expiresAt });
+  touch(key);
+}
+
+function remove(key) {
+  if (!lookup(key)) return 0;
+  data.delete(key);
+  touch(key);
+  return 1;
+}
+
+function incrementBy(key, amount) {
+  const entry = lookup(key);
+  const current = entry ? Number(entry.value) : 0;
+  if (!Number.isInteger(current) || !Number.isInteger(amount)) {
+    return new RespError('ERR value is not an integer or out of range');
+  }
+  write(key, String(current + amount), entry ? entry.expiresAt : null);
+  return current + amount;
+}
+
+function expire(key, ms) {
+  const entry = lookup(key);
+  if (!entry) return 0;
+  write(key, entry.value, Date.now() + ms);
+  return 1;
+}
+
+function ttl(key, unit) {
+  const entry = lookup(key);
+  if (!entry) return -2;
+  if (entry.expiresAt === null) return -1;
+  return Math.ceil((entry.expiresAt - Date.now()) / unit);
+}
+
+// SET key value [EX seconds | PX milliseconds] [NX | XX]
+function set(key, value, options) {
+  let expiresAt = null;
+  let condition = null;
+
+  for (let i = 0; i < options.length; i++) {
+    const option = options[i].toUpperCase();
+    if (option === 'EX' || option === 'PX') {
+      const amount = parseInt(options[++i]);
+      if (!(amount > 0)) return new RespError('ERR invalid expire time in \'set\' command');
+      expiresAt = Date.now() + (option === 'EX' ? amount * 1000 : amount);
+    } else if (option === 'NX' || option === 'XX') {
+      condition = option;
+    } else {
+      return new RespError('ERR syntax error');
+    }
+  }
+
+  const exists = lookup(key) !== undefined;
+  if ((condition === 'NX' && exists) || (condition === 'XX' && !exists)) return null;
+  write(key, value, expiresAt);
+  return simple('OK');
+}
+
+// Commands: name -> [arity (negative = at least), handler]
+const COMMANDS = {
+  PING: [-1, ([message]) => (message === undefined ? simple('PONG') : message)],
+  ECHO: [2, ([message]) => message],
+  PUBLISH: [3, ([channel, message]) => publish(channel, message)],
+  GET: [2, ([key]) => {
+    const entry = lookup(key);
+    return entry ? entry.value : null;
+  }],
+  SET: [-3, ([key, value, ...options]) => set(key, value, options)],
+  DEL: [-2, keys => keys.reduce((count, key) => count + remove(key), 0)],
+  EXISTS: [-2, keys => keys.filter(key => lookup(key)).length],
+  INCR: [2, ([key]) => incrementBy(key, 1)],
+  INCRBY: [3, ([key, amount]) => incrementBy(key, Number(amount))],
+  DECR: [2, ([key]) => incrementBy(key, -1)],
+  EXPIRE: [3, ([key, seconds]) => expire(key, parseInt(seconds) * 1000)],
+  PEXPIRE: [3, ([key, ms]) => expire(key, parseInt(ms))],
+  TTL: [2, ([key]) => ttl(key, 1000)],
+  PTTL: [2, ([key]) => ttl(key, 1)],
+  DBSIZE: [1, () => [...data.keys()].filter(key => lookup(key)).length],
+  FLUSHALL: [-1, () => {
+    [...data.keys()].forEach(key => touch(key));
+    data.clear();
+    return simple('OK');
+  }],
+  // redis-cli asks for command docs on connect
+  COMMAND: [-1, () => []]
+};
+
+function run(name, args) {
+  const command = COMMANDS[name];
+  if (!command) return new RespError(`ERR unknown command '${name.toLowerCase()}'`);
+
+  const [arity, handler] = command;
+  const count = args.length + 1;
+  if (arity > 0 ? count !== arity : count < -arity) {
+    return new RespError(`ERR wrong number of arguments for '${name.toLowerCase()}' command`);
+  }
+  return handler(args);
+}
+
+// Per-connection state: authentication, WATCHed keys and a queued transaction
+function handleConnection(socket) {
+  const session = { authenticated: !PASSWORD, watched: new Map(), queue: null, channels: new Set() };
+  let buffer = Buffer.alloc(0);
+  sessions.add(session);
+  socket.on('close', () => {
+    sessions.delete(session);
+    unsubscribe([...session.channels]);
+  });
+
+  function unwatch() {
+    session.watched.clear();
+  }
+
+  // Replies to (UN)SUBSCRIBE: one confirmation per channel
+  function subscribe(names) {
+    return names.map(channel => {
+      if (!channels.has(channel)) channels.set(channel, new Set());
+      channels.get(channel).add(socket);
+      session.channels.add(channel);
+      return ['subscribe', channel, session.channels.size];
+    });
+  }
+
+  function unsubscribe(names) {
+    return names.map(channel => {
+      const subscribers = channels.get(channel);
+      if (subscribers) {
+        subscribers.delete(socket);
+        if (subscribers.size === 0) channels.delete(channel);
+      }
+      session.channels.delete(channel);
+      return ['unsubscribe', channel, session.channels.size];
+    });
+  }
+
+  function execute([rawName, ...args]) {
+    const name = String(rawName || '').toUpperCase();
+
+    if (name === 'AUTH') {
+      if (PASSWORD && args[args.length - 1] === PASSWORD) {
+        session.authenticated = true;
+        return simple('OK');
+      }
+      return new RespError('WRONGPASS invalid password');
+    }
+    if (!session.authenticated) return new RespError('NOAUTH Authentication required.');
+    if (name === 'QUIT') {
+      socket.end(encodeValue(simple('OK')));
+      return undefined;
+    }
+
+    // A subscribed connection only takes subscription commands
+    if (name === 'SUBSCRIBE' || name === 'UNSUBSCRIBE') {
+      if (name === 'SUBSCRIBE' && args.length === 0) {
+        return new RespError('ERR wrong number of arguments for \'subscribe\' command');
+      }
+      const replies = name === 'SUBSCRIBE' ? subscribe(args) : unsubscribe(args.length ? args : [...session.channels]);
+      replies.forEach(reply => socket.write(encodeValue(reply)));
+      return undefined;
+    }
+    if (session.channels.size > 0 && name !== 'PING') {
+      return new RespError(`ERR Can't execute '${name.toLowerCase()}': only (UN)SUBSCRIBE / PING / QUIT are allowed in this context`);
+    }
+
+    if (session.queue) {
+      if (name === 'EXEC') {
+        const queue = session.queue;
+        session.queue = null;
+        const conflict = [...session.watched].some(([key, version]) => {
+          lookup(key);
+          return (versions.get(key) || 0) !== version;
+        });
+        unwatch();
+        if (conflict) return null;
+        return queue.map(([queuedName, queuedArgs]) => run(queuedName, queuedArgs));
+      }
+      if (name === 'DISCARD') {
+        session.queue = null;
+        unwatch();
+        return simple('OK');
+      }
+      if (name === 'MULTI') return new RespError('ERR MULTI calls can not be nested');
+      if (name === 'WATCH') return new RespError('ERR WATCH inside MULTI is not allowed');
+      session.queue.push([name, args]);
+      return simple('QUEUED');
+    }
+
+    switch (name) {
+      case 'MULTI':
+        session.queue = [];
+        return simple('OK');
+      case 'EXEC':
+        return new RespError('ERR EXEC without MULTI');
+      case 'DISCARD':
+        return new RespError('ERR DISCARD without MULTI');
+      case 'WATCH':
+        if (args.length === 0) return new RespError('ERR wrong number of arguments for \'watch\' command');
+        args.forEach(key => {
+          // Let a pending expiry happen now rather than count as a change later
+          lookup(key);
+          session.watched.set(key, versions.get(key) || 0);
+        });
+        return simple('OK');
+      case 'UNWATCH':
+        unwatch();
+        return simple('OK');
+      default:
+        return run(name, args);
+    }
+  }
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    try {
+      let request;
+      while (buffer.length > 0 && (request = decodeValue(buffer))) {
+        buffer = buffer.subarray(request.offset);
+        const reply = Array.isArray(request.value)
+          ? execute(request.value)
+          : new RespError('ERR only RESP arrays are supported');
+        if (reply !== undefined) socket.write(encodeValue(reply));
+      }
+    } catch (error) {
+      socket.end(encodeValue(new RespError(`ERR ${error.message}`)));
+    }
+  });
+
+  socket.on('error', (error) => {
+    logger.debug('Client connection error', { error: error.message });
+  });
+}
+
+const server = net.createServer(handleConnection);
+
+const sweep = setInterval(() => {
+  [...data.keys()].forEach(key => lookup(key));
+  versions.forEach((version, key) => {
+    const watched = [...sessions].some(session => session.watched.has(key));
+    if (!data.has(key) && !watched) versions.delete(key);
+  });
+}, SWEEP_INTERVAL);
+sweep.unref();
+
+server.listen(PORT, HOST, () => {
+  logger.info('kv-store started', { port: PORT, auth: Boolean(PASSWORD) });
+});
+
+function shutdown(signal) {
+  logger.info('Shutdown signal received, closing connections', { signal });
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 1000).unref();
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,62 @@
+const axios = require('axios');
+const { outgoingHeaders } = require('../shared/tracing');
+
+// HTTP clients for the services the orders service depends on.
+// Calls go straight to the services, not through the gateway.
+const USERS_SERVICE_URL = process.env.USERS_SERVICE_URL || 'http://192.168.56.11:3001';
+const PRODUCTS_SERVICE_URL = process.env.PRODUCTS_SERVICE_URL || 'http://192.168.56.12:3002';
+// Calls give up after <NAME>_TIMEOUT_MS, as the gateway's do
+const USERS_TIMEOUT = parseInt(process.env.USERS_TIMEOUT_MS) || 5000;
+const PRODUCTS_TIMEOUT = parseInt(process.env.PRODUCTS_TIMEOUT_MS) || 5000;
+
+// Every call carries the trace context of the request being handled
+const http = axios.create();
+http.interceptors.request.use(config => {
+  Object.entries(outgoingHeaders()).forEach(([name, value]) => config.headers.set(name, value));
+  return config;
+});
+
+// Resolve to the record, or null when the service answers 404
+async function getOrNull(url, timeout) {
+  try {
+    const response = await http.get(url, { timeout });
+    return response.data;
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function fetchUser(userId) {
+  return getOrNull(`${USERS_SERVICE_URL}/users/${userId}`, USERS_TIMEOUT);
+}
+
+// With its prices in `currency`
+function fetchProduct(productId, currency) {
+  return getOrNull(`${PRODUCTS_SERVICE_URL}/products/${productId}?currency=${currency}`, PRODUCTS_TIMEOUT);
+}
+
+async function reserveStock(productId, quantity) {
+  const response = await http.post(`${PRODUCTS_SERVICE_URL}/products/${productId}/stock/reserve`, { quantity }, {
+    timeout: PRODUCTS_TIMEOUT
+  });
+  return response.data.product;
+}
+
+async function releaseStock(productId, quantity) {
+  const response = await http.post(`${PRODUCTS_SERVICE_URL}/products/${productId}/stock/release`, { quantity }, {
+    timeout: PRODUCTS_TIMEOUT
+  });
+  return response.data.product;
+}
+
+module.exports = {
+  USERS_SERVICE_URL,
+  PRODUCTS_SERVICE_URL,
+  fetchUser,
+  fetchProduct,
+  reserveStock,
+  releaseStock
+};
@@ -0,0 +1,349 @@
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const { createOrdersRepository } = require('./repository');
+const { fetchUser, fetchProduct, USERS_SERVICE_URL, PRODUCTS_SERVICE_URL } = require('./clients');
+const { reserveLines, releaseLines } = require('./saga');
+const schemas = require('./schemas');
+const { toMinor, toMajor } = require('./money');
+const { startRegistration } = require('../shared/registration');
+const { createLifecycle } = require('../shared/lifecycle');
+const { createMetrics } = require('../shared/metrics');
+const tracing = require('../shared/tracing');
+const { createStore } = require('../shared/storage');
+const { tenantMiddleware, createTenantScope } = require('../shared/tenancy');
+const { validate } = require('../shared/validation');
+const { serveOpenApi } = require('../shared/openapi');
+const { sendProblem, errorHandler, notFoundHandler } = require('../shared/problem');
+const logger = require('../shared/logger');
+
+const app = express();
+const PORT = process.env.PORT || 3003;
+const HOST = process.env.HOST || '0.0.0.0';
+// Currency orders are priced in; products priced in another are converted
+// at the products service's exchange rates
+const ORDER_CURRENCY = process.env.ORDER_CURRENCY || 'USD';
+
+// Structured JSON logs (LOG_LEVEL sets the minimum level)
+logger.configure({ service: 'orders-service' });
+
+// Readiness, in-flight request tracking and graceful shutdown
+const lifecycle = createLifecycle({ service: 'orders-service' });
+
+// Prometheus metrics, exposed at /metrics
+const metrics = createMetrics({ service: 'orders-service' });
+
+// Middleware
+// Tracing comes first so every later log line carries the request's IDs;
+// the context is re-entered after the body parser, which loses it, and
+// gains the request's tenant (X-Tenant-Id).
+app.use(tracing.middleware);
+app.use(lifecycle.track);
+app.use(metrics.middleware);
+app.use(cors());
+app.use(express.json());
+app.use(tracing.bindContext);
+app.use(tenantMiddleware);
+
+// Storage (durable by default, STORAGE_DRIVER=memory for throwaway runs): the default
+// tenant's orders in DATA_DIR, other tenants' under DATA_DIR/tenants/<id>
+const store = createStore({ dataDir: process.env.DATA_DIR || path.join(__dirname, 'data') });
+lifecycle.addReadinessCheck('storage', () => store.isWritable());
+
+// One orders repository per tenant; `orders` is the current request's
+const tenantOrders = createTenantScope(store, (tenant, tenantStore) =>
+  createOrdersRepository({ store: tenantStore, currency: ORDER_CURRENCY }));
+const orders = tenantOrders.repository;
+
+// Domain metrics per tenant, computed at scrape time
+metrics.gauge('orders_total', 'Orders by status', ['tenant', 'status'], () =>
+  tenantOrders.each((repository, tenant) => Object.entries(repository.stats().byStatus)
+    .map(([status, value]) => ({ labels: { tenant, status }, value }))).flat()
+);
+metrics.gauge('orders_revenue', 'Total of confirmed and shipped orders', ['tenant', 'currency'], () =>
+  tenantOrders.each((repository, tenant) => Object.entries(repository.stats().revenueByCurrency)
+    .map(([currency, value]) => ({ labels: { tenant, currency }, value }))).flat()
+);
+
+// Allowed status changes: pending -> confirmed -> shipped, and cancellation
+// of anything that has not shipped yet. An order is `cancelling` while its
+// stock is given back, so a second cancel cannot release it again; one left
+// cancelling by a restart can be cancelled again to finish.
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['shipped', 'cancelled'],
+  shipped: [],
+  cancelling: ['cancelled'],
+  cancelled: []
+};
+
+const STARTED_AT = new Date().toISOString();
+
+// Whether a cancellation of this process is still releasing the order's stock
+function beingCancelled(order) {
+  return order.status === 'cancelling' && order.statusHistory[order.statusHistory.length - 1].at >= STARTED_AT;
+}
+
+// Reply for a dependency that could not be reached or answered with an error
+function upstreamError(res, service, error) {
+  logger.error('Error calling dependency', { dependency: service, error: error.message });
+  return sendProblem(res, 'DEPENDENCY_FAILED', `Failed to reach ${service} service: ${error.message}`, {
+    dependency: service
+  });
+}
+
+// 404 problem for an unknown order ID
+function orderNotFound(res, orderId) {
+  return sendProblem(res, 'NOT_FOUND', `Order ${orderId} not found`, { orderId });
+}
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    status: lifecycle.ready ? 'healthy' : 'shutting-down',
+    service: 'orders-service',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    totalOrders: orders.count()
+  });
+});
+
+// Liveness and readiness probes
+app.get('/health/live', lifecycle.liveHandler);
+app.get('/health/ready', lifecycle.readyHandler);
+
+// Prometheus metrics
+app.get('/metrics', metrics.handler);
+
+// OpenAPI document of every route, and a page to browse and try it
+serveOpenApi(app, { title: 'Orders Service', version: '1.0.0', schemas: schemas });
+
+// Root endpoint
+app.get('/', (req, res) => {
+  res.json({
+    message: 'Orders Service - Order Management Microservice',
+    version: '1.0.0',
+    endpoints: {
+      health: '/health',
+      live: '/health/live',
+      ready: '/health/ready',
+      metrics: '/metrics',
+      openapi: '/openapi.json',
+      docs: '/docs',
+      orders: '/orders',
+      orderById: '/orders/:id',
+      orderStatus: '/orders/:id/status',
+      stats: '/stats/orders'
+    }
+  });
+});
+
+// The user whose orders a caller may see and place: users only their own,
+// admins and calls without X-User-Role (from inside the network, not through
+// the gateway) anyone's, as null
+function ownerScope(req) {
+  const callerRole = req.get('X-User-Role');
+  if (callerRole === undefined || callerRole === 'admin') return null;
+  return parseInt(req.get('X-User-Id')) || 0;
+}
+
+// Get all orders
+app.get('/orders', validate(schemas.listOrders), (req, res) => {
+  const owner = ownerScope(req);
+  const { status, limit } = req.valid.query;
+  const userId = owner === null ? req.valid.query.userId : owner;
+
+  if (owner !== null && req.valid.query.userId !== undefined && req.valid.query.userId !== owner) {
+    return sendProblem(res, 'FORBIDDEN', 'Users can only list their own orders');
+  }
+
+  const filteredOrders = orders.list({ userId, status, limit });
+
+  res.json({
+    count: filteredOrders.length,
+    orders: filteredOrders
+  });
+});
+
+// Get order by ID
+app.get('/orders/:id', validate(schemas.getOrder), (req, res) => {
+  const orderId = req.valid.params.id;
+  const order = orders.findById(orderId);
+  const owner = ownerScope(req);
+
+  // Other users' orders are not found rather than forbidden, so their IDs
+  // give nothing away
+  if (!order || (owner !== null && order.userId !== owner)) {
+    return orderNotFound(res, orderId);
+  }
+
+  res.json(order);
+});
+
+// Place a new order
+app.post('/orders', validate(schemas.createOrder), async (req, res) => {
+  const { userId, items } = req.valid.body;
+  const owner = ownerScope(req);
+
+  if (owner !== null && userId !== owner) {
+    return sendProblem(res, 'FORBIDDEN', 'Users can only place orders for themselves');
+  }
+
+  // Merge repeated products into one line each
+  const quantities = new Map();
+  for (const { productId, quantity } of items) {
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+  }
+
+  // The buyer must exist
+  let user;
+  try {
+    user = await fetchUser(userId);
+  } catch (error) {
+    return upstreamError(res, 'users', error);
+  }
+
+  if (!user) {
+    return sendProblem(res, 'INVALID_REFERENCE', `User ${userId} does not exist`, { userId });
+  }
+
+  // Price every line from the current catalog
+  const lines = [];
+  for (const [productId, quantity] of quantities) {
+    let product;
+    try {
+      product = await fetchProduct(productId, ORDER_CURRENCY);
+    } catch (error) {
+      return upstreamError(res, 'products', error);
+    }
+
+    if (!product) {
+      return sendProblem(res, 'INVALID_REFERENCE', `Product ${productId} does not exist`, { productId });
+    }
+
+    // At the price after any running promotion
+    lines.push({
+      productId,
+      name: product.name,
+      quantity,
+      unitPrice: product.effectivePrice,
+      lineTotal: toMajor(toMinor(product.effectivePrice, ORDER_CURRENCY) * quantity, ORDER_CURRENCY)
+    });
+  }
+
+  // Reserve stock for every line, or none of them
+  const reservation = await reserveLines(lines);
+
+  if (!reservation.ok) {
+    const { failedLine, error, unreleased } = reservation;
+
+    if (unreleased.length > 0) {
+      logger.error('Failed order left stock reserved', {
+        userId: user.id,
+        productIds: unreleased.map(line => line.productId)
+      });
+    }
+
+    if (error.response && error.response.status === 409) {
+      const { available } = error.response.data;
+      return sendProblem(res, 'INSUFFICIENT_STOCK',
+        `Only ${available} unit(s) of product ${failedLine.productId} in stock, ${failedLine.quantity} requested`, {
+          productId: failedLine.productId,
+          requested: failedLine.quantity,
+          available
+        });
+    }
+    return upstreamError(res, 'products', error);
+  }
+
+  const newOrder = orders.create({
+    userId: user.id,
+    status: 'pending',
+    currency: ORDER_CURRENCY,
+    lines: reservation.lines,
+    total: toMajor(reservation.lines.reduce((sum, line) => sum + toMinor(line.lineTotal, ORDER_CURRENCY), 0),
+      ORDER_CURRENCY)
+  });
+
+  res.status(201).json({
+    message: 'Order created successfully',
+    order: newOrder
+  });
+});
+
+// Move an order to its next status
+app.patch('/orders/:id/status', validate(schemas.updateStatus), async (req, res) => {
+  const orderId = req.valid.params.id;
+  const order = orders.findById(orderId);
+
+  if (!order) {
+    return orderNotFound(res, orderId);
+  }
+
+  const { status } = req.valid.body;
+
+  if (beingCancelled(order)) {
+    return sendProblem(res, 'INVALID_TRANSITION', `Order ${orderId} is already being cancelled`, { allowed: [] });
+  }
+
+  if (!TRANSITIONS[order.status].includes(status)) {
+    return sendProblem(res, 'INVALID_TRANSITION', `Cannot change order from ${order.status} to ${status}`, {
+      allowed: TRANSITIONS[order.status]
+    });
+  }
+
+  // Cancelling puts the reserved stock back
+  if (status === 'cancelled') {
+    // The status to go back to if a line cannot be released
+    const history = order.statusHistory;
+    const previous = order.status === 'cancelling' ? history[history.length - 2].status : order.status;
+    orders.update(orderId, { status: 'cancelling' });
+    const release = await releaseLines(order.lines);
+
+    if (release.failed.length > 0) {
+      // Keep the progress so a retry only releases what is left
+      orders.update(orderId, { status: previous, lines: release.lines });
+      return sendProblem(res, 'DEPENDENCY_FAILED', 'Failed to restock every line, order not cancelled', {
+        dependency: 'products',
+        unreleased: release.failed.map(line => line.productId)
+      });
+    }
+
+    const cancelled = orders.update(orderId, { status, lines: release.lines });
+    return res.json({
+      message: 'Order cancelled successfully',
+      order: cancelled
+    });
+  }
+
+  const updated = orders.update(orderId, { status });
+
+  res.json({
+    message: `Order ${status} successfully`,
+    order: updated
+  });
+});
+
+// Get order statistics
+app.get('/stats/orders', validate(schemas.orderStats), (req, res) => {
+  res.json(orders.stats());
+});
+
+// Unknown endpoints and errors as application/problem+json
+app.use(notFoundHandler());
+app.use(errorHandler());
+
+// Start server
+lifecycle.listen(app, PORT, HOST, () => {
+  logger.info('Orders Service started', {
+    port: PORT,
+    usersService: USERS_SERVICE_URL,
+    productsService: PRODUCTS_SERVICE_URL,
+    storageDriver: store.driver,
+    totalOrders: orders.count()
+  });
+
+  // Register with the gateway's service registry (when REGISTRY_URL is set)
+  const registration = startRegistration({ name: 'orders', port: PORT, version: '1.0.0' });
+  lifecycle.onShutdown(() => registration.deregister());
+});
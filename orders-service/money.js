@@ -0,0 +1,27 @@
+// Money in the orders service.
+//
+// Orders show their prices and totals as decimal numbers in their currency,
+// but lines and totals are computed as integers in its minor unit (cents for
+// USD, yen for JPY), so they add up exactly.
+
+const scales = new Map();
+
+// 10 to the power of the currency's minor-unit digits, as Intl knows them
+function scale(currency) {
+  if (!scales.has(currency)) {
+    const { maximumFractionDigits } = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions();
+    scales.set(currency, 10 ** maximumFractionDigits);
+  }
+  return scales.get(currency);
+}
+
+// Minor units of a decimal amount, rounded to the currency's minor unit
+function toMinor(amount, currency) {
+  return Math.round(amount * scale(currency));
+}
+
+function toMajor(minor, currency) {
+  return minor / scale(currency);
+}
+
+module.exports = { toMinor, toMajor };
@@ -0,0 +1,92 @@
+const { toMinor, toMajor } = require('./money');
+
+// Orders repository - the only place route handlers touch order records.
+// There is one per tenant, on the tenant's `store` (see shared/tenancy.js).
+// Orders from before currencies count as `currency`, the one orders are
+// priced in.
+function createOrdersRepository({ store, currency }) {
+  const orders = store.collection('orders');
+
+  return {
+    list({ userId, status, limit } = {}) {
+      let result = orders.all();
+
+      if (userId) {
+        result = result.filter(order => order.userId === userId);
+      }
+      if (status) {
+        result = result.filter(order => order.status === status);
+      }
+      if (limit) {
+        result = result.slice(0, limit);
+      }
+
+      return result;
+    },
+
+    findById(id) {
+      return orders.get(id);
+    },
+
+    create(fields) {
+      const now = new Date().toISOString();
+      return orders.put({
+        id: orders.nextId(),
+        ...fields,
+        statusHistory: [{ status: fields.status, at: now }],
+        createdAt: now
+      });
+    },
+
+    update(id, changes) {
+      const order = orders.get(id);
+      if (!order) return null;
+
+      const now = new Date().toISOString();
+      const statusHistory = changes.status && changes.status !== order.status
+        ? [...order.statusHistory, { status: changes.status, at: now }]
+        : order.statusHistory;
+
+      return orders.put({
+        ...order,
+        ...changes,
+        statusHistory,
+        updatedAt: now
+      });
+    },
+
+    count() {
+      return orders.count();
+    },
+
+    stats() {
+      const all = orders.all();
+      const byStatus = {};
+      all.forEach(order => {
+        byStatus[order.status] = (byStatus[order.status] || 0) + 1;
+      });
+
+      // Added up per currency in minor units: amounts in different
+      // currencies cannot be summed
+      const revenue = { [currency]: 0 };
+      all
+        .filter(order => order.status === 'confirmed' || order.status === 'shipped')
+        .forEach(order => {
+          const orderCurrency = order.currency || currency;
+          revenue[orderCurrency] = (revenue[orderCurrency] || 0) + toMinor(order.total, orderCurrency);
+        });
+      const revenueByCurrency = Object.fromEntries(Object.entries(revenue)
+        .map(([code, minor]) => [code, toMajor(minor, code)]));
+
+      return {
+        total: all.length,
+        byStatus,
+        currency,
+        revenue: revenueByCurrency[currency],
+        revenueByCurrency
+      };
+    }
+  };
+}
+
+module.exports = { createOrdersRepository };
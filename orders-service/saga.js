@@ -0,0 +1,62 @@
+const { reserveStock, releaseStock } = require('./clients');
+const logger = require('../shared/logger');
+
+// Stock reservation saga for multi-line orders.
+//
+// Lines are reserved one at a time. When a line cannot be reserved, every line
+// reserved before it is released again (the compensating step), so a failed
+// order never leaves stock held. Lines carry a `released` flag so that a
+// release interrupted half-way can be retried without restocking twice.
+
+// Release every line that has not been released yet. Returns the lines with
+// updated flags and the lines that could not be released.
+async function releaseLines(lines) {
+  const updated = [];
+  const failed = [];
+
+  for (const line of lines) {
+    if (line.released) {
+      updated.push(line);
+      continue;
+    }
+
+    try {
+      await releaseStock(line.productId, line.quantity);
+      updated.push({ ...line, released: true });
+    } catch (error) {
+      logger.error('Error releasing reserved stock', {
+        productId: line.productId,
+        quantity: line.quantity,
+        error: error.message
+      });
+      updated.push(line);
+      failed.push(line);
+    }
+  }
+
+  return { lines: updated, failed };
+}
+
+// Reserve stock for all lines, compensating on the first failure.
+async function reserveLines(lines) {
+  const reserved = [];
+
+  for (const line of lines) {
+    try {
+      await reserveStock(line.productId, line.quantity);
+      reserved.push({ ...line, released: false });
+    } catch (error) {
+      const compensation = await releaseLines(reserved);
+      return {
+        ok: false,
+        failedLine: line,
+        error,
+        unreleased: compensation.failed
+      };
+    }
+  }
+
+  return { ok: true, lines: reserved };
+}
+
+module.exports = { reserveLines, releaseLines };
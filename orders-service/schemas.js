@@ -0,0 +1,132 @@
+const { withMessage } = require('../shared/openapi');
+
+// Request and response schemas for every route (see shared/validation.js)
+
+const STATUSES = ['pending', 'confirmed', 'shipped', 'cancelling', 'cancelled'];
+// `cancelling` is only ever set by the service itself
+const TARGET_STATUSES = STATUSES.filter(status => status !== 'cancelling');
+
+// An order as returned by the API
+const order = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', min: 1, required: true },
+    userId: { type: 'integer', min: 1, required: true },
+    status: { type: 'string', enum: STATUSES, required: true },
+    lines: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          productId: { type: 'integer', min: 1, required: true },
+          name: { type: 'string', required: true },
+          quantity: { type: 'integer', min: 1, required: true },
+          unitPrice: { type: 'number', required: true },
+          lineTotal: { type: 'number', required: true },
+          // Set once the line's stock has been given back
+          released: { type: 'boolean' }
+        }
+      }
+    },
+    total: { type: 'number', required: true },
+    // Of the prices and total; orders from before currencies have none
+    currency: { type: 'string' },
+    statusHistory: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: STATUSES, required: true },
+          at: { type: 'string', required: true }
+        }
+      }
+    },
+    createdAt: { type: 'string', required: true },
+    updatedAt: { type: 'string' }
+  }
+};
+
+const savedOrder = withMessage({ order: { ...order, required: true } });
+
+const orderId = {
+  id: { type: 'integer', min: 1, required: true }
+};
+
+module.exports = {
+  listOrders: {
+    summary: 'List orders',
+    query: {
+      userId: { type: 'integer', min: 1 },
+      status: { type: 'string', enum: STATUSES },
+      limit: { type: 'integer', min: 1, max: 1000 }
+    },
+    responses: {
+      200: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer', min: 0, required: true },
+          orders: { type: 'array', items: order, required: true }
+        }
+      }
+    }
+  },
+
+  getOrder: {
+    summary: 'Get an order',
+    params: orderId,
+    responses: { 200: order }
+  },
+
+  createOrder: {
+    summary: 'Place an order',
+    description: 'Stock is reserved for every line, or the order fails and nothing is reserved.',
+    body: {
+      userId: { type: 'integer', min: 1, required: true },
+      items: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 100,
+        items: {
+          type: 'object',
+          properties: {
+            productId: { type: 'integer', min: 1, required: true },
+            quantity: { type: 'integer', min: 1, required: true }
+          }
+        }
+      }
+    },
+    responses: { 201: savedOrder }
+  },
+
+  updateStatus: {
+    summary: 'Change the status of an order',
+    description: 'Cancelling an order gives its stock back.',
+    params: orderId,
+    body: {
+      status: { type: 'string', enum: TARGET_STATUSES, required: true }
+    },
+    responses: { 200: savedOrder }
+  },
+
+  orderStats: {
+    summary: 'Order statistics',
+    responses: {
+      200: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer', min: 0, required: true },
+          byStatus: { type: 'object', values: { type: 'integer', min: 1 }, required: true },
+          // Orders are priced in this currency (ORDER_CURRENCY)
+          currency: { type: 'string', required: true },
+          // Confirmed and shipped orders in `currency`
+          revenue: { type: 'number', min: 0, required: true },
+          // Confirmed and shipped orders in each currency they were placed in
+          revenueByCurrency: { type: 'object', values: { type: 'number', min: 0 }, required: true }
+        }
+      }
+    }
+  }
+};
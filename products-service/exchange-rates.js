@@ -0,0 +1,18 @@
+// Exchange rates for showing prices in other currencies (`?currency=`):
+// units of each currency per one unit of the base currency. Products without
+// a currency of their own are priced in the base currency.
+//
+// This table is the service's own, not a live feed. Point
+// EXCHANGE_RATES_FILE at a JSON file of the same shape to use other rates;
+// they are read at start.
+module.exports = {
+  base: 'USD',
+  rates: {
+    EUR: 0.92,
+    GBP: 0.79,
+    CHF: 0.88,
+    CAD: 1.37,
+    AUD: 1.52,
+    JPY: 149.8
+  }
+};
@@ -1,81 +1,266 @@
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const { createProductsRepository } = require('./repository');
+const { loadExchangeRates, createPricing } = require('./pricing');
+const schemas = require('./schemas');
+const { startRegistration } = require('../shared/registration');
+const { createLifecycle } = require('../shared/lifecycle');
+const { createMetrics } = require('../shared/metrics');
+const tracing = require('../shared/tracing');
+const { enableConditionalGet, setLastModified, versionTag, ifMatch } = require('../shared/http-cache');
+const { validate } = require('../shared/validation');
+const { requireAdmin } = require('../shared/access');
+const { serveOpenApi } = require('../shared/openapi');
+const { paginate } = require('../shared/pagination');
+const { runImport, sendExport } = require('../shared/bulk');
+const { createStore } = require('../shared/storage');
+const { DEFAULT_TENANT, tenantMiddleware, createTenantScope } = require('../shared/tenancy');
+const { createBroker } = require('../shared/broker');
+const { createOutbox, startRelay } = require('../shared/outbox');
+const { createWebhooks } = require('../shared/webhooks');
+const { sendProblem, ProblemError, errorHandler, notFoundHandler } = require('../shared/problem');
+const logger = require('../shared/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
+const HOST = process.env.HOST || '0.0.0.0';
+// Default reservation lifetime in seconds, and how often expiry is checked
+const RESERVATION_TTL = parseInt(process.env.RESERVATION_TTL) || 900;
+const RESERVATION_SWEEP_MS = parseInt(process.env.RESERVATION_SWEEP_MS) || 5000;
+// Days a deleted product can be restored before it is purged, and how often
+// due purges are looked for
+const DELETED_RETENTION_DAYS = parseFloat(process.env.DELETED_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = parseInt(process.env.PURGE_INTERVAL_MS) || 3600000;
+
+// Structured JSON logs (LOG_LEVEL sets the minimum level)
+logger.configure({ service: 'products-service' });
+
+// Readiness, in-flight request tracking and graceful shutdown
+const lifecycle = createLifecycle({ service: 'products-service' });
+
+// Prometheus metrics, exposed at /metrics
+const metrics = createMetrics({ service: 'products-service' });
 
 // Middleware
+// Tracing comes first so every later log line carries the request's IDs;
+// the context is re-entered after the body parser, which loses it, and
+// gains the request's tenant (X-Tenant-Id).
+app.use(tracing.middleware);
+app.use(lifecycle.track);
+app.use(metrics.middleware);
 app.use(cors());
 app.use(express.json());
+app.use(tracing.bindContext);
+app.use(tenantMiddleware);
+
+// ETag / Last-Modified validators and 304 responses on reads
+enableConditionalGet(app);
+
+// Storage (durable by default, STORAGE_DRIVER=memory for throwaway runs): events,
+// webhooks and the default tenant's products in DATA_DIR, other tenants'
+// products under DATA_DIR/tenants/<id>
+const store = createStore({ dataDir: process.env.DATA_DIR || path.join(__dirname, 'data') });
+lifecycle.addReadinessCheck('storage', () => store.isWritable());
+
+// Domain events, written together with the changes they describe
+const outbox = createOutbox(store, { source: 'products-service' });
+
+// Currencies and exchange rates (exchange-rates.js or EXCHANGE_RATES_FILE),
+// the same for every tenant
+const pricing = createPricing(loadExchangeRates());
 
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-  next();
-});
-
-// In-memory database (replace with actual database in production)
-let products = [
-  {
-    id: 1,
-    name: 'Laptop Pro X1',
-    description: 'High-performance laptop for professionals',
-    price: 1299.99,
-    category: 'Electronics',
-    stock: 45,
-    createdAt: new Date('2024-01-10').toISOString()
-  },
-  {
-    id: 2,
-    name: 'Wireless Mouse',
-    description: 'Ergonomic wireless mouse with precision tracking',
-    price: 29.99,
-    category: 'Accessories',
-    stock: 150,
-    createdAt: new Date('2024-01-15').toISOString()
-  },
-  {
-    id: 3,
-    name: 'USB-C Hub',
-    description: '7-in-1 USB-C hub with HDMI, USB 3.0, and card reader',
-    price: 49.99,
-    category: 'Accessories',
-    stock: 80,
-    createdAt: new Date('2024-02-01').toISOString()
-  },
-  {
-    id: 4,
-    name: 'Mechanical Keyboard',
-    description: 'RGB mechanical gaming keyboard with Cherry MX switches',
-    price: 159.99,
-    category: 'Accessories',
-    stock: 60,
-    createdAt: new Date('2024-02-05').toISOString()
-  },
-  {
-    id: 5,
-    name: '4K Monitor',
-    description: '27-inch 4K IPS monitor with HDR support',
-    price: 399.99,
-    category: 'Electronics',
-    stock: 25,
-    createdAt: new Date('2024-02-10').toISOString()
-  }
-];
-
-let nextProductId = 6;
+// One products repository per tenant; `products` is the current request's
+const tenantProducts = createTenantScope(store, (tenant, tenantStore) =>
+  createProductsRepository({ store: tenantStore, outbox, pricing, seed: tenant === DEFAULT_TENANT }));
+const products = tenantProducts.repository;
+
+// Domain events: the relay publishes the outbox to the broker (EVENT_BROKER),
+// webhook subscribers get them from there
+const broker = createBroker();
+const webhooks = createWebhooks({ store, broker, source: 'products-service', metrics });
+webhooks.start();
+const relay = startRelay({ outbox, broker, metrics });
+lifecycle.onShutdown(async () => {
+  webhooks.stop();
+  await relay.stop();
+  broker.close();
+});
+
+// Domain metrics per tenant, computed at scrape time
+function perTenant(value) {
+  return () => tenantProducts.each((repository, tenant) => ({ labels: { tenant }, value: value(repository) }));
+}
+metrics.gauge('products_total', 'Products in the catalog', ['tenant'], perTenant(repository => repository.count()));
+metrics.gauge('products_stock_units', 'Units in stock across all products', ['tenant'],
+  perTenant(repository => repository.stats().totalStock));
+metrics.gauge('inventory_value', 'Sum of list price x stock over all products, in the base currency', ['tenant'],
+  perTenant(repository => repository.stats().totalValue));
+metrics.gauge('products_by_category', 'Products per category', ['tenant', 'category'], () =>
+  tenantProducts.each((repository, tenant) => repository.categories()
+    .map(category => ({ labels: { tenant, category: category.name }, value: category.count }))).flat()
+);
+
+// Expire reservations in the background, in every tenant; reads expire due
+// ones as well
+const reservationSweep = setInterval(() => {
+  tenantProducts.each(repository => {
+    const expired = repository.expireReservations();
+    if (expired > 0) logger.info('Stock reservations expired', { count: expired });
+  });
+}, RESERVATION_SWEEP_MS);
+reservationSweep.unref();
+
+// Purge products deleted longer than the retention period ago, in every tenant
+function purgeDeleted() {
+  tenantProducts.each(repository => {
+    const purged = repository.purgeDeleted(Date.now() - DELETED_RETENTION_DAYS * 86400000);
+    if (purged > 0) logger.info('Deleted products purged', { count: purged });
+  });
+}
+purgeDeleted();
+const purgeSweep = setInterval(purgeDeleted, PURGE_INTERVAL_MS);
+purgeSweep.unref();
+
+// 404 problem for an unknown product ID
+function productNotFound(res, productId) {
+  return sendProblem(res, 'NOT_FOUND', `Product ${productId} not found`, { productId });
+}
+
+function skuTaken(res, sku) {
+  return sendProblem(res, 'SKU_TAKEN', `SKU ${sku} is already in use`, { sku });
+}
+
+function insufficientStock(res, product, requested) {
+  const available = products.available(product);
+  return sendProblem(res, 'INSUFFICIENT_STOCK',
+    `Only ${available} unit(s) of product ${product.id} available, ${requested} requested`, {
+      productId: product.id,
+      requested,
+      available
+    });
+}
+
+// ETag of a product: its version, and the version of the promotion priced
+// into it, as a variant (see shared/http-cache.js)
+function productTag(product) {
+  const promotion = product.promotion && products.findPromotion(product.promotion.id);
+  return versionTag(product.version, promotion ? `p${promotion.id}.${promotion.version}` : undefined);
+}
+
+// The currency a read asks prices in (?currency), which needs an exchange
+// rate; undefined for the products' own
+function requestedCurrency(req) {
+  const { currency } = req.valid.query;
+  if (currency && !pricing.isSupported(currency)) {
+    throw new ProblemError('UNSUPPORTED_CURRENCY', `No exchange rate for ${currency}`, {
+      currency,
+      supported: pricing.currencies()
+    });
+  }
+  return currency;
+}
+
+// What is wrong with a price to store in `currency`, as a validation error;
+// null when nothing is
+function priceError(price, currency) {
+  if (!pricing.isSupported(currency)) {
+    return { field: 'currency', message: `must be one of ${pricing.currencies().join(', ')}` };
+  }
+  if (price !== undefined && !pricing.fits(price, currency)) {
+    const digits = pricing.digits(currency);
+    return { field: 'price', message: `must have at most ${digits} decimal(s) in ${currency}` };
+  }
+  return null;
+}
+
+function checkPrice(price, currency) {
+  const error = priceError(price, currency);
+  if (error) {
+    throw new ProblemError('VALIDATION_FAILED', `${error.field} ${error.message}`, {
+      errors: [{ location: 'body', ...error }]
+    });
+  }
+}
+
+// Writes may send If-Match with the product's ETag (its version); a stale
+// one gets 412 instead of overwriting someone else's change
+function checkVersion(req, res, product) {
+  if (ifMatch(req, versionTag(product.version))) return true;
+  sendProblem(res, 'PRECONDITION_FAILED',
+    `Product ${product.id} has changed, it is now at version ${product.version}`, {
+      productId: product.id,
+      version: product.version
+    });
+  return false;
+}
+
+// Who made a change, for the stock ledger and audit trail (set by the gateway)
+function actor(req) {
+  return { userId: parseInt(req.get('X-User-Id')) || null };
+}
+
+// Import plan for one row (see shared/bulk.js)
+function prepareImport(row, movement) {
+  const problem = (field, message) => ({ errors: [{ field, message }] });
+  let existing = null;
+  if (row.sku) {
+    existing = products.findBySku(row.sku) || null;
+    if (existing && existing.deletedAt) return problem('sku', `belongs to deleted product ${existing.id}`);
+  } else if (row.name) {
+    const named = products.findByName(row.name);
+    if (named.length > 1) return problem('name', `matches ${named.length} products; give a sku`);
+    existing = named[0] || null;
+  } else {
+    return problem('sku', 'or name is required');
+  }
+  
+  const invalidPrice = priceError(row.price, row.currency || (existing ? existing.currency : pricing.base));
+  if (invalidPrice) return { errors: [invalidPrice] };
+  
+  if (!existing) {
+    const missing = ['name', 'price', 'category'].filter(field => row[field] === undefined);
+    if (missing.length > 0) return { errors: missing.map(field => ({ field, message: 'is required' })) };
+    return {
+      action: 'created',
+      apply: () => products.create({ description: '', stock: 0, ...row }, movement)
+    };
+  }
+  
+  const changes = Object.fromEntries(Object.entries(row).filter(([field, value]) => existing[field] !== value));
+  if (Object.keys(changes).length === 0) return { action: 'unchanged', id: existing.id };
+  if (changes.stock !== undefined && changes.stock < existing.reserved) {
+    return problem('stock', `must be at least the ${existing.reserved} unit(s) reserved`);
+  }
+  if (changes.sku && products.isSkuTaken(changes.sku, existing.id)) return problem('sku', 'is already in use');
+  return {
+    action: 'updated',
+    id: existing.id,
+    apply: () => products.update(existing.id, changes, movement)
+  };
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
-    status: 'healthy',
+    status: lifecycle.ready ? 'healthy' : 'shutting-down',
     service: 'products-service',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    totalProducts: products.length
+    totalProducts: products.count()
   });
 });
 
+// Liveness and readiness probes
+app.get('/health/live', lifecycle.liveHandler);
+app.get('/health/ready', lifecycle.readyHandler);
+
+// Prometheus metrics
+app.get('/metrics', metrics.handler);
+
+// OpenAPI document of every route, and a page to browse and try it
+serveOpenApi(app, { title: 'Products Service', version: '1.0.0', schemas: { ...schemas, ...webhooks.schemas } });
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -83,135 +268,135 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      webhooks: '/webhooks',
+      live: '/health/live',
+      ready: '/health/ready',
+      metrics: '/metrics',
+      openapi: '/openapi.json',
+      docs: '/docs',
       products: '/products',
       productById: '/products/:id',
+      importProducts: '/products/import',
+      exportProducts: '/products/export',
+      restoreProduct: '/products/:id/restore',
+      productHistory: '/products/:id/history',
+      priceHistory: '/products/:id/price-history',
+      promotions: '/promotions',
+      exchangeRates: '/exchange-rates',
       categories: '/categories',
-      search: '/products/search'
+      search: '/search',
+      suggest: '/search/suggest'
     }
   });
 });
 
 // Get all products
-app.get('/products', (req, res) => {
-  const { category, minPrice, maxPrice, limit } = req.query;
+app.get('/products', validate(schemas.listProducts), (req, res) => {
+  const { ids, category, minPrice, maxPrice, inStock, includeDeleted } = req.valid.query;
+  const currency = requestedCurrency(req);
+  if (includeDeleted && !requireAdmin(req, res, 'list deleted products')) return;
   
-  let filteredProducts = products;
-  
-  // Filter by category if specified
-  if (category) {
-    filteredProducts = filteredProducts.filter(p => 
-      p.category.toLowerCase() === category.toLowerCase()
-    );
-  }
-  
-  // Filter by price range if specified
-  if (minPrice) {
-    filteredProducts = filteredProducts.filter(p => p.price >= parseFloat(minPrice));
-  }
-  if (maxPrice) {
-    filteredProducts = filteredProducts.filter(p => p.price <= parseFloat(maxPrice));
-  }
-  
-  // Limit results if specified
-  if (limit) {
-    filteredProducts = filteredProducts.slice(0, parseInt(limit));
-  }
+  const page = paginate(req, res,
+    products.list({ ids, category, minPrice, maxPrice, inStock, includeDeleted, currency }));
   
+  setLastModified(res, products.lastModified());
   res.json({
-    count: filteredProducts.length,
-    products: filteredProducts
+    ...page.meta,
+    products: page.items
+  });
+});
+
+// Stream the products matching the list filters as CSV or NDJSON
+app.get('/products/export', validate(schemas.exportProducts), (req, res) => {
+  const { ids, category, minPrice, maxPrice, inStock, includeDeleted } = req.valid.query;
+  if (includeDeleted && !requireAdmin(req, res, 'export deleted products')) return;
+  
+  sendExport(req, res, products.list({ ids, category, minPrice, maxPrice, inStock, includeDeleted }), {
+    name: 'products',
+    columns: schemas.exportProducts.columns
   });
 });
 
 // Get product by ID
-app.get('/products/:id', (req, res) => {
-  const productId = parseInt(req.params.id);
-  const product = products.find(p => p.id === productId);
+app.get('/products/:id', validate(schemas.getProduct), (req, res) => {
+  const productId = req.valid.params.id;
+  const { includeDeleted } = req.valid.query;
+  const currency = requestedCurrency(req);
+  if (includeDeleted && !requireAdmin(req, res, 'see deleted products')) return;
+  
+  const product = products.findById(productId, { includeDeleted, currency });
   
   if (!product) {
-    return res.status(404).json({
-      error: 'Product not found',
-      productId: productId
-    });
+    return productNotFound(res, productId);
   }
   
+  // A promotion starting or ending changes the product's effective price
+  const changedAt = new Date(product.deletedAt || product.updatedAt || product.createdAt);
+  setLastModified(res, Math.max(changedAt, products.pricesChangedAt()));
+  res.set('ETag', productTag(product));
   res.json(product);
 });
 
-// Search products
-app.get('/search', (req, res) => {
-  const { q } = req.query;
+// Search products: ranked full-text matches, filters and facet counts
+app.get('/search', validate(schemas.search), (req, res) => {
+  const { q, ids, category, minPrice, maxPrice, inStock } = req.valid.query;
+  const currency = requestedCurrency(req);
   
-  if (!q) {
-    return res.status(400).json({
-      error: 'Search query is required',
-      usage: '/search?q=laptop'
-    });
-  }
+  const results = products.search({ q, ids, category, minPrice, maxPrice, inStock, currency });
+  // Best matches first unless another order is asked for
+  const page = paginate(req, res, results.products, { defaultSort: q ? ['-score'] : ['id'] });
   
-  const searchTerm = q.toLowerCase();
-  const results = products.filter(p => 
-    p.name.toLowerCase().includes(searchTerm) ||
-    p.description.toLowerCase().includes(searchTerm) ||
-    p.category.toLowerCase().includes(searchTerm)
-  );
+  setLastModified(res, products.lastModified());
+  res.json({
+    query: q || null,
+    ...page.meta,
+    facets: results.facets,
+    products: page.items
+  });
+});
+
+// Autocomplete the last word of a search
+app.get('/search/suggest', validate(schemas.suggest), (req, res) => {
+  const { q, limit } = req.valid.query;
   
+  setLastModified(res, products.lastModified());
   res.json({
     query: q,
-    count: results.length,
-    products: results
+    suggestions: products.suggest(q, limit || 10)
   });
 });
 
 // Get all categories
-app.get('/categories', (req, res) => {
-  const categories = [...new Set(products.map(p => p.category))];
-  
-  const categoryStats = categories.map(cat => ({
-    name: cat,
-    count: products.filter(p => p.category === cat).length,
-    averagePrice: (
-      products
-        .filter(p => p.category === cat)
-        .reduce((sum, p) => sum + p.price, 0) /
-      products.filter(p => p.category === cat).length
-    ).toFixed(2)
-  }));
+app.get('/categories', validate(schemas.categories), (req, res) => {
+  const currency = requestedCurrency(req) || pricing.base;
+  const categoryStats = products.categories({ currency });
   
+  setLastModified(res, products.lastModified());
   res.json({
-    count: categories.length,
+    count: categoryStats.length,
+    currency,
     categories: categoryStats
   });
 });
 
 // Create new product
-app.post('/products', (req, res) => {
-  const { name, description, price, category, stock } = req.body;
+app.post('/products', validate(schemas.createProduct), (req, res) => {
+  const { sku, name, description, price, currency, category, stock } = req.valid.body;
+  checkPrice(price, currency || pricing.base);
   
-  // Validation
-  if (!name || !price || !category) {
-    return res.status(400).json({
-      error: 'Name, price, and category are required'
-    });
-  }
-  
-  if (price <= 0) {
-    return res.status(400).json({
-      error: 'Price must be greater than 0'
-    });
+  if (sku && products.isSkuTaken(sku)) {
+    return skuTaken(res, sku);
   }
   
-  const newProduct = {
-    id: nextProductId++,
+  const newProduct = products.create({
+    ...(sku && { sku }),
     name,
     description: description || '',
-    price: parseFloat(price),
+    price,
+    currency: currency || pricing.base,
     category,
-    stock: stock || 0,
-    createdAt: new Date().toISOString()
-  };
-  
-  products.push(newProduct);
+    stock: stock || 0
+  }, actor(req));
   
   res.status(201).json({
     message: 'Product created successfully',
@@ -219,129 +404,467 @@ app.post('/products', (req, res) => {
   });
 });
 
+// Create or update products from CSV or NDJSON rows, matched by SKU or name
+app.post('/products/import', validate(schemas.importProducts), async (req, res) => {
+  const movement = { type: 'import', reason: 'Product imported', ...actor(req) };
+  
+  const report = await runImport(req, {
+    rules: schemas.importProducts.rows,
+    ignore: ['id', 'reserved', 'version', 'createdAt', 'updatedAt', 'deletedAt'],
+    key: row => (row.sku ? `sku:${row.sku}` : row.name ? `name:${row.name.toLowerCase()}` : null),
+    prepare: row => prepareImport(row, movement)
+  });
+  
+  res.json(report);
+});
+
 // Update product
-app.put('/products/:id', (req, res) => {
-  const productId = parseInt(req.params.id);
-  const productIndex = products.findIndex(p => p.id === productId);
-  
-  if (productIndex === -1) {
-    return res.status(404).json({
-      error: 'Product not found',
-      productId: productId
-    });
-  }
+app.put('/products/:id', validate(schemas.updateProduct), (req, res) => {
+  const productId = req.valid.params.id;
+  const existing = products.findById(productId);
   
-  const { name, description, price, category, stock } = req.body;
+  if (!existing) {
+    return productNotFound(res, productId);
+  }
+  if (!checkVersion(req, res, existing)) return;
   
-  // Validate price if provided
-  if (price !== undefined && price <= 0) {
-    return res.status(400).json({
-      error: 'Price must be greater than 0'
-    });
+  const { sku, stock, price, currency } = req.valid.body;
+  // A new currency without a price keeps the amount, which must fit it
+  checkPrice(price !== undefined ? price : existing.price, currency || existing.currency);
+  if (stock !== undefined && stock < existing.reserved) {
+    return insufficientStock(res, existing, existing.stock - stock);
+  }
+  if (sku && products.isSkuTaken(sku, productId)) {
+    return skuTaken(res, sku);
   }
   
-  // Update product fields
-  if (name) products[productIndex].name = name;
-  if (description !== undefined) products[productIndex].description = description;
-  if (price) products[productIndex].price = parseFloat(price);
-  if (category) products[productIndex].category = category;
-  if (stock !== undefined) products[productIndex].stock = parseInt(stock);
-  products[productIndex].updatedAt = new Date().toISOString();
+  // Only the fields sent are changed
+  const product = products.update(productId, req.valid.body, actor(req));
   
+  res.set('ETag', productTag(product));
   res.json({
     message: 'Product updated successfully',
-    product: products[productIndex]
+    product: product
   });
 });
 
-// Delete product
-app.delete('/products/:id', (req, res) => {
-  const productId = parseInt(req.params.id);
-  const productIndex = products.findIndex(p => p.id === productId);
+// Delete product (soft: restorable until purged)
+app.delete('/products/:id', validate(schemas.deleteProduct), (req, res) => {
+  const productId = req.valid.params.id;
+  const deletedProduct = products.remove(productId, actor(req));
   
-  if (productIndex === -1) {
-    return res.status(404).json({
-      error: 'Product not found',
-      productId: productId
-    });
+  if (!deletedProduct) {
+    return productNotFound(res, productId);
   }
   
-  const deletedProduct = products.splice(productIndex, 1)[0];
-  
   res.json({
     message: 'Product deleted successfully',
     product: deletedProduct
   });
 });
 
+// Restore a deleted product
+app.post('/products/:id/restore', validate(schemas.restoreProduct), (req, res) => {
+  const productId = req.valid.params.id;
+  if (!requireAdmin(req, res, 'restore products')) return;
+  
+  const product = products.restore(productId, actor(req));
+  
+  if (!product) {
+    return sendProblem(res, 'NOT_FOUND', `No deleted product ${productId}`, { productId });
+  }
+  
+  res.set('ETag', productTag(product));
+  res.json({
+    message: 'Product restored successfully',
+    product: product
+  });
+});
+
+// Audit trail of a product, newest first
+app.get('/products/:id/history', validate(schemas.productHistory), (req, res) => {
+  const productId = req.valid.params.id;
+  if (!requireAdmin(req, res, 'see audit trails')) return;
+  
+  // Purged products keep their trail
+  const history = products.history(productId);
+  if (history.length === 0 && !products.findById(productId, { includeDeleted: true })) {
+    return productNotFound(res, productId);
+  }
+  
+  const { action } = req.valid.query;
+  const entries = history.filter(entry => !action || entry.action === action);
+  const page = paginate(req, res, entries, { defaultSort: ['-id'] });
+  
+  res.json({
+    productId,
+    ...page.meta,
+    history: page.items
+  });
+});
+
+// Price history of a product, newest first
+app.get('/products/:id/price-history', validate(schemas.priceHistory), (req, res) => {
+  const productId = req.valid.params.id;
+  
+  // Purged products keep their history
+  const history = products.priceHistory(productId);
+  if (history.length === 0 && !products.findById(productId, { includeDeleted: true })) {
+    return productNotFound(res, productId);
+  }
+  
+  const page = paginate(req, res, history, { defaultSort: ['-id'] });
+  
+  res.json({
+    productId,
+    ...page.meta,
+    history: page.items
+  });
+});
+
 // Get product statistics
-app.get('/stats/products', (req, res) => {
-  const stats = {
-    total: products.length,
-    totalValue: products.reduce((sum, p) => sum + (p.price * p.stock), 0).toFixed(2),
-    averagePrice: (products.reduce((sum, p) => sum + p.price, 0) / products.length).toFixed(2),
-    totalStock: products.reduce((sum, p) => sum + p.stock, 0),
-    byCategory: {}
+app.get('/stats/products', validate(schemas.productStats), (req, res) => {
+  const currency = requestedCurrency(req);
+  
+  setLastModified(res, products.lastModified());
+  res.json(products.stats({ currency }));
+});
+
+// The exchange-rate table prices are converted with
+app.get('/exchange-rates', validate(schemas.exchangeRates), (req, res) => {
+  setLastModified(res, pricing.loadedAt);
+  res.json(pricing.table());
+});
+
+// 404 problem for an unknown promotion ID
+function promotionNotFound(res, promotionId) {
+  return sendProblem(res, 'NOT_FOUND', `Promotion ${promotionId} not found`, { promotionId });
+}
+
+// Checks a promotion as it would be after `changes`: a discount that fits
+// its type and currency, and an end after its start
+function checkPromotion(promotion) {
+  const fail = (field, message) => {
+    throw new ProblemError('VALIDATION_FAILED', `${field} ${message}`, {
+      errors: [{ location: 'body', field, message }]
+    });
   };
+  ['startsAt', 'endsAt'].forEach(field => {
+    if (Number.isNaN(Date.parse(promotion[field]))) fail(field, 'is not a valid date');
+  });
+  if (Date.parse(promotion.endsAt) <= Date.parse(promotion.startsAt)) fail('endsAt', 'must be after startsAt');
   
-  const categories = [...new Set(products.map(p => p.category))];
-  categories.forEach(cat => {
-    stats.byCategory[cat] = products.filter(p => p.category === cat).length;
+  if (promotion.type === 'percentage') {
+    if (promotion.value > 100) fail('value', 'must be at most 100 for a percentage');
+    if (promotion.currency) fail('currency', 'only applies to fixed discounts');
+    return;
+  }
+  const error = priceError(promotion.value, promotion.currency || pricing.base);
+  if (error) fail(error.field === 'price' ? 'value' : error.field, error.message);
+}
+
+// Promotions, filtered by status or by the product or category they apply to
+app.get('/promotions', validate(schemas.listPromotions), (req, res) => {
+  const { status, productId, category } = req.valid.query;
+  const page = paginate(req, res, products.listPromotions({ status, productId, category }));
+  
+  res.json({
+    ...page.meta,
+    promotions: page.items
   });
+});
+
+app.get('/promotions/:id', validate(schemas.getPromotion), (req, res) => {
+  const promotionId = req.valid.params.id;
+  const promotion = products.findPromotion(promotionId);
+  
+  if (!promotion) {
+    return promotionNotFound(res, promotionId);
+  }
   
-  res.json(stats);
+  res.json(promotion);
 });
 
-// Update stock
-app.patch('/products/:id/stock', (req, res) => {
-  const productId = parseInt(req.params.id);
-  const product = products.find(p => p.id === productId);
+// Create a promotion on a product or a category
+app.post('/promotions', validate(schemas.createPromotion), (req, res) => {
+  if (!requireAdmin(req, res, 'create promotions')) return;
+  const { productId, category } = req.valid.body;
+  if ((productId === undefined) === (category === undefined)) {
+    throw new ProblemError('VALIDATION_FAILED', 'Send either productId or category', {
+      errors: [{ location: 'body', field: 'productId', message: 'exactly one of productId and category is required' }]
+    });
+  }
   
-  if (!product) {
-    return res.status(404).json({
-      error: 'Product not found',
-      productId: productId
+  const fields = { startsAt: new Date().toISOString(), ...req.valid.body };
+  checkPromotion(fields);
+  if (productId !== undefined && !products.findById(productId)) {
+    return sendProblem(res, 'INVALID_REFERENCE', `Product ${productId} does not exist`, { productId });
+  }
+  
+  res.status(201).json({
+    message: 'Promotion created successfully',
+    promotion: products.createPromotion(fields, actor(req))
+  });
+});
+
+// Change a promotion's name, discount or dates
+app.patch('/promotions/:id', validate(schemas.updatePromotion), (req, res) => {
+  if (!requireAdmin(req, res, 'change promotions')) return;
+  const promotionId = req.valid.params.id;
+  const existing = products.findPromotion(promotionId);
+  
+  if (!existing) {
+    return promotionNotFound(res, promotionId);
+  }
+  
+  const changes = req.valid.body;
+  // Changing the kind of discount needs a value of that kind
+  if (changes.type && changes.type !== existing.type && changes.value === undefined) {
+    throw new ProblemError('VALIDATION_FAILED', 'value is required with a new type', {
+      errors: [{ location: 'body', field: 'value', message: 'is required with a new type' }]
     });
   }
+  const type = changes.type || existing.type;
+  checkPromotion({
+    ...existing,
+    ...changes,
+    currency: type === 'fixed' ? changes.currency || existing.currency : changes.currency
+  });
+  
+  res.json({
+    message: 'Promotion updated successfully',
+    promotion: products.updatePromotion(promotionId, changes)
+  });
+});
+
+app.delete('/promotions/:id', validate(schemas.deletePromotion), (req, res) => {
+  if (!requireAdmin(req, res, 'delete promotions')) return;
+  const promotionId = req.valid.params.id;
+  const promotion = products.removePromotion(promotionId);
   
-  const { quantity } = req.body;
+  if (!promotion) {
+    return promotionNotFound(res, promotionId);
+  }
   
-  if (quantity === undefined) {
-    return res.status(400).json({
-      error: 'Quantity is required'
+  res.json({
+    message: 'Promotion deleted successfully',
+    promotion
+  });
+});
+
+// Adjust stock by `delta` or set it to `quantity`, recorded in the ledger
+app.patch('/products/:id/stock', validate(schemas.setStock), (req, res) => {
+  const productId = req.valid.params.id;
+  const { delta, quantity, reason } = req.valid.body;
+  if ((delta === undefined) === (quantity === undefined)) {
+    throw new ProblemError('VALIDATION_FAILED', 'Send either delta or quantity', {
+      errors: [{ location: 'body', field: 'delta', message: 'exactly one of delta and quantity is required' }]
     });
   }
   
-  product.stock = parseInt(quantity);
-  product.updatedAt = new Date().toISOString();
+  const existing = products.findById(productId);
+  if (!existing) {
+    return productNotFound(res, productId);
+  }
+  if (!checkVersion(req, res, existing)) return;
+  
+  const change = delta !== undefined ? delta : quantity - existing.stock;
+  const product = products.adjustStock(productId, change, {
+    type: delta !== undefined ? 'adjustment' : 'set',
+    reason,
+    ...actor(req)
+  });
+  
+  if (!product) {
+    return insufficientStock(res, existing, -change);
+  }
   
+  res.set('ETag', productTag(product));
   res.json({
     message: 'Stock updated successfully',
     product: product
   });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({
-    error: 'Internal server error',
-    message: err.message
+// Stock ledger of a product, newest first
+app.get('/products/:id/stock/movements', validate(schemas.listMovements), (req, res) => {
+  const productId = req.valid.params.id;
+  if (!products.findById(productId)) {
+    return productNotFound(res, productId);
+  }
+  
+  const { type } = req.valid.query;
+  const movements = products.movements(productId).filter(movement => !type || movement.type === type);
+  const page = paginate(req, res, movements, { defaultSort: ['-id'] });
+  
+  res.json({
+    productId,
+    ...page.meta,
+    movements: page.items
+  });
+});
+
+// Take stock immediately (used by the orders service); fails rather than
+// dipping into stock that is reserved or not there
+app.post('/products/:id/stock/reserve', validate(schemas.reserveStock), (req, res) => {
+  const productId = req.valid.params.id;
+  const existing = products.findById(productId);
+  
+  if (!existing) {
+    return productNotFound(res, productId);
+  }
+  
+  const { quantity, reason } = req.valid.body;
+  const product = products.adjustStock(productId, -quantity, {
+    type: 'reserve',
+    reason: reason || 'Taken for an order',
+    ...actor(req)
+  });
+  
+  if (!product) {
+    return insufficientStock(res, existing, quantity);
+  }
+  
+  res.json({
+    message: 'Stock reserved successfully',
+    product: product
+  });
+});
+
+// Release previously reserved stock back to the product
+app.post('/products/:id/stock/release', validate(schemas.releaseStock), (req, res) => {
+  const productId = req.valid.params.id;
+  
+  if (!products.findById(productId)) {
+    return productNotFound(res, productId);
+  }
+  
+  const { quantity, reason } = req.valid.body;
+  const product = products.adjustStock(productId, quantity, {
+    type: 'release',
+    reason: reason || 'Returned from an order',
+    ...actor(req)
+  });
+  
+  res.json({
+    message: 'Stock released successfully',
+    product: product
+  });
+});
+
+// Hold stock for a while without taking it; commit or release it later
+app.post('/products/:id/stock/reservations', validate(schemas.createReservation), (req, res) => {
+  const productId = req.valid.params.id;
+  const existing = products.findById(productId);
+  
+  if (!existing) {
+    return productNotFound(res, productId);
+  }
+  
+  const { quantity, ttl, reference } = req.valid.body;
+  const reservation = products.reserve(productId, quantity, {
+    ttl: ttl || RESERVATION_TTL,
+    reference,
+    ...actor(req)
+  });
+  
+  if (!reservation) {
+    return insufficientStock(res, products.findById(productId), quantity);
+  }
+  
+  res.status(201).json({
+    message: 'Stock reserved successfully',
+    reservation,
+    product: products.findById(productId)
+  });
+});
+
+app.get('/products/:id/stock/reservations', validate(schemas.listReservations), (req, res) => {
+  const productId = req.valid.params.id;
+  if (!products.findById(productId)) {
+    return productNotFound(res, productId);
+  }
+  
+  const { status } = req.valid.query;
+  const reservations = products.reservations(productId)
+    .filter(reservation => !status || reservation.status === status);
+  
+  res.json({
+    productId,
+    count: reservations.length,
+    reservations
+  });
+});
+
+// Looks up the reservation in the path. Answers 404 if there is none, or 409
+// when an active one is needed and it has ended, and returns null then.
+function findReservation(req, res, { active = false } = {}) {
+  const { id, reservationId } = req.valid.params;
+  const reservation = products.findReservation(id, reservationId);
+  if (!reservation) {
+    sendProblem(res, 'NOT_FOUND', `Reservation ${reservationId} of product ${id} not found`, {
+      productId: id,
+      reservationId
+    });
+    return null;
+  }
+  if (active && reservation.status !== 'active') {
+    sendProblem(res, 'RESERVATION_NOT_ACTIVE', `Reservation ${reservationId} is ${reservation.status}`, {
+      reservationId,
+      reservationStatus: reservation.status
+    });
+    return null;
+  }
+  return reservation;
+}
+
+app.get('/products/:id/stock/reservations/:reservationId', validate(schemas.getReservation), (req, res) => {
+  const reservation = findReservation(req, res);
+  if (!reservation) return;
+  
+  res.json(reservation);
+});
+
+// Take a reservation's quantity out of stock
+app.post('/products/:id/stock/reservations/:reservationId/commit', validate(schemas.commitReservation), (req, res) => {
+  const reservation = findReservation(req, res, { active: true });
+  if (!reservation) return;
+  
+  res.json({
+    message: 'Reservation committed successfully',
+    reservation: products.commitReservation(reservation, actor(req)),
+    product: products.findById(reservation.productId)
   });
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Not found',
-    path: req.path
+// Give a reservation's quantity back to available stock
+app.post('/products/:id/stock/reservations/:reservationId/release', validate(schemas.releaseReservation), (req, res) => {
+  const reservation = findReservation(req, res, { active: true });
+  if (!reservation) return;
+  
+  res.json({
+    message: 'Reservation released successfully',
+    reservation: products.releaseReservation(reservation),
+    product: products.findById(reservation.productId)
   });
 });
 
+// Webhook subscriptions for this service's events
+webhooks.registerRoutes(app);
+
+// Unknown endpoints and errors as application/problem+json
+app.use(notFoundHandler());
+app.use(errorHandler());
+
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log('===========================================');
-  console.log(`Products Service running on port ${PORT}`);
-  console.log(`Total products in catalog: ${products.length}`);
-  console.log('===========================================');
+lifecycle.listen(app, PORT, HOST, () => {
+  logger.info('Products Service started', {
+    port: PORT,
+    storageDriver: store.driver,
+    totalProducts: products.count()
+  });
+
+  // Register with the gateway's service registry (when REGISTRY_URL is set)
+  const registration = startRegistration({ name: 'products', port: PORT, version: '1.0.0' });
+  lifecycle.onShutdown(() => registration.deregister());
 });
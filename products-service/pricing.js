@@ -0,0 +1,78 @@
+const fs = require('fs');
+
+// Money in the products service.
+//
+// Amounts are kept as integers in the minor unit of their ISO 4217 currency
+// (cents for USD, yen for JPY), so sums and averages are exact; the API
+// shows them as decimal numbers. Conversions between currencies go through
+// the exchange-rate table of exchange-rates.js and round half up to the
+// target currency's minor unit.
+
+// Minor-unit digits of a currency, as Intl knows them (2 for USD, 0 for JPY)
+function currencyDigits(currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+// The rate table: exchange-rates.js, or the JSON file EXCHANGE_RATES_FILE
+// names
+function loadExchangeRates(file = process.env.EXCHANGE_RATES_FILE) {
+  const table = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : require('./exchange-rates');
+  if (!/^[A-Z]{3}$/.test(table.base || '')) throw new Error('Exchange rates need a base currency');
+  Object.entries(table.rates || {}).forEach(([currency, rate]) => {
+    if (!/^[A-Z]{3}$/.test(currency) || !(rate > 0)) throw new Error(`Invalid exchange rate for ${currency}`);
+  });
+  return { base: table.base, rates: { ...table.rates, [table.base]: 1 } };
+}
+
+function createPricing({ base, rates }) {
+  const digits = new Map(Object.keys(rates).map(currency => [currency, currencyDigits(currency)]));
+  const scale = currency => 10 ** digits.get(currency);
+  const loadedAt = new Date();
+
+  return {
+    base,
+    // When the rates were read; converted prices may change then
+    loadedAt,
+
+    currencies: () => [...digits.keys()].sort(),
+
+    isSupported: currency => digits.has(currency),
+
+    digits: currency => digits.get(currency),
+
+    // Minor units of a decimal amount, rounded to the currency's minor unit
+    toMinor: (amount, currency) => Math.round(amount * scale(currency)),
+
+    // Whether amount has no more decimals than its currency's minor unit
+    fits: (amount, currency) => Math.abs(amount * scale(currency) - Math.round(amount * scale(currency))) < 1e-6,
+
+    toMajor: (minor, currency) => minor / scale(currency),
+
+    // minor units of `from` in minor units of `to`
+    convert(minor, from, to) {
+      if (from === to) return minor;
+      const amount = (minor / scale(from)) * (rates[to] / rates[from]) * scale(to);
+      // Floating point noise must not decide the rounding of an exact half
+      return Math.round(Number(amount.toFixed(6)));
+    },
+
+    // The table as the API shows it, rates against the base currency
+    table: () => ({
+      base,
+      rates: Object.fromEntries(Object.entries(rates).filter(([currency]) => currency !== base)),
+      loadedAt: loadedAt.toISOString()
+    })
+  };
+}
+
+// A minor-unit price less a promotion's discount, never below zero.
+// Percentages are of the price; fixed amounts are converted to the price's
+// currency first.
+function discountedPrice(pricing, priceMinor, currency, promotion) {
+  const discount = promotion.type === 'percentage'
+    ? Math.round(priceMinor * promotion.percent / 100)
+    : pricing.convert(promotion.amountMinor, promotion.currency, currency);
+  return Math.max(0, priceMinor - discount);
+}
+
+module.exports = { loadExchangeRates, createPricing, discountedPrice };
@@ -0,0 +1,653 @@
+const { createAuditLog } = require('../shared/audit');
+const { SearchIndex } = require('./search-index');
+const { discountedPrice } = require('./pricing');
+const seedProducts = require('./seed');
+
+// Fields that change through the stock endpoints rather than product updates
+const STOCK_FIELDS = ['stock', 'reserved', 'version', 'updatedAt'];
+
+// Upper bounds of the price facet buckets; the last bucket is open-ended
+const PRICE_BUCKETS = [25, 50, 100, 250, 500, 1000];
+
+// Products passing the filters, skipping the one named by `except` (facets
+// are counted as if their own filter was not applied). priceOf(product) is
+// the price the price filters compare.
+function applyFilters(all, { ids, category, minPrice, maxPrice, inStock } = {}, priceOf, except) {
+  return all.filter(p =>
+    (!ids || ids.includes(p.id)) &&
+    (except === 'category' || !category || p.category.toLowerCase() === category.toLowerCase()) &&
+    (except === 'price' || minPrice === undefined || priceOf(p) >= minPrice) &&
+    (except === 'price' || maxPrice === undefined || priceOf(p) <= maxPrice) &&
+    (inStock === undefined || (p.stock > 0) === inStock)
+  );
+}
+
+function categoryFacet(matches) {
+  const counts = new Map();
+  matches.forEach(p => counts.set(p.category, (counts.get(p.category) || 0) + 1));
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+function priceFacet(matches, priceOf) {
+  const bounds = [0, ...PRICE_BUCKETS];
+  return bounds.map((min, i) => {
+    const max = i < PRICE_BUCKETS.length ? PRICE_BUCKETS[i] : null;
+    return {
+      value: max === null ? `${min}+` : `${min}-${max}`,
+      min,
+      max,
+      count: matches.filter(p => priceOf(p) >= min && (max === null || priceOf(p) < max)).length
+    };
+  });
+}
+
+// Products repository - the only place route handlers touch product records.
+// There is one per tenant, on the tenant's `store` (see shared/tenancy.js);
+// events go to the service's `outbox`, and seed products are only loaded
+// when `seed` is set, for the default tenant.
+//
+// Deleting a product only stamps `deletedAt`: deleted products are left out
+// of reads, search and statistics (unless includeDeleted is asked for) and
+// cannot be stocked or reserved, but can be restored until purgeDeleted()
+// removes them for good.
+//
+// Records keep the list price in minor units (`priceMinor`) with its
+// `currency` (see pricing.js); the methods take and return products as the
+// API shows them, with a decimal `price` and the `effectivePrice` after the
+// best running promotion. Reads may ask for the prices in another
+// `currency`; price filters, facets and statistics compare prices in that
+// currency, or the base currency.
+function createProductsRepository({ store, outbox, pricing, seed = false }) {
+  const products = store.collection('products');
+  // Stock ledger and reservations (see the inventory methods below)
+  const movements = store.collection('stock_movements');
+  const reservations = store.collection('stock_reservations');
+  // Promotions and every change of a list price (see the pricing methods)
+  const promotions = store.collection('promotions');
+  const priceChanges = store.collection('price_changes');
+  // Who changed what, per product; the version is in the ETag already
+  const audit = createAuditLog(store, { ignore: ['updatedAt', 'version'] });
+
+  const isLive = product => Boolean(product && !product.deletedAt);
+  const liveProducts = () => products.filter(isLive);
+
+  // Stored price fields of a decimal `price` in `currency`
+  const priceFields = (price, currency) => ({ priceMinor: pricing.toMinor(price, currency), currency });
+
+  // Entry in the price history for a change of list price; `before` is null
+  // for a new product
+  function recordPriceChange(before, after, { userId } = {}, at = new Date().toISOString()) {
+    const entry = priceChanges.put({
+      id: priceChanges.nextId(),
+      productId: after.id,
+      priceMinor: after.priceMinor,
+      currency: after.currency,
+      previousPriceMinor: before ? before.priceMinor : null,
+      previousCurrency: before ? before.currency : null,
+      userId: userId || null,
+      at
+    });
+    if (before) {
+      const change = presentPriceChange(entry);
+      outbox.add('product.price_changed', {
+        productId: after.id,
+        price: change.price,
+        currency: change.currency,
+        change
+      }, { subject: `products/${after.id}` });
+    }
+    return entry;
+  }
+
+  // Seed data is only loaded on first start
+  if (seed && products.isNew) {
+    seedProducts.forEach(({ price, ...product }) => {
+      const created = products.put({
+        id: products.nextId(),
+        ...product,
+        ...priceFields(price, pricing.base),
+        version: 1,
+        reserved: 0
+      });
+      recordPriceChange(null, created, {}, created.createdAt);
+    });
+  }
+
+  // Records from before versioning and reservations
+  products.filter(product => product.version === undefined).forEach(product => {
+    products.put({ ...product, version: 1, reserved: 0 });
+  });
+
+  // Records from before minor units, whose prices were decimals in the base
+  // currency; their price history starts with that price
+  products.filter(product => product.priceMinor === undefined).forEach(({ price, ...product }) => {
+    const migrated = products.put({ ...product, ...priceFields(price, pricing.base) });
+    recordPriceChange(null, migrated, {}, migrated.updatedAt || migrated.createdAt);
+  });
+
+  // Active reservations, the only ones that can still expire
+  const activeReservations = new Set(
+    reservations.filter(reservation => reservation.status === 'active').map(reservation => reservation.id)
+  );
+
+  // Ledger entry for a stock change; `movement` says why
+  function recordMovement(before, after, { type, reason, userId, reservationId }) {
+    const entry = movements.put({
+      id: movements.nextId(),
+      productId: after.id,
+      type,
+      delta: after.stock - (before ? before.stock : 0),
+      stock: after.stock,
+      reason: reason || null,
+      reservationId: reservationId || null,
+      userId: userId || null,
+      at: new Date().toISOString()
+    });
+    outbox.add('product.stock_changed', {
+      productId: after.id,
+      stock: after.stock,
+      reserved: after.reserved,
+      movement: entry
+    }, { subject: `products/${after.id}` });
+    return entry;
+  }
+
+  function reservationEvent(reservation) {
+    const action = reservation.status === 'active' ? 'created' : reservation.status;
+    outbox.add(`product.reservation_${action}`, { reservation }, { subject: `products/${reservation.productId}` });
+  }
+
+  // Promotions running at `at` (ms)
+  function runningPromotions(at = Date.now()) {
+    return promotions.filter(promotion =>
+      new Date(promotion.startsAt).getTime() <= at && at < new Date(promotion.endsAt).getTime()
+    );
+  }
+
+  function appliesTo(promotion, product) {
+    return promotion.productId === product.id ||
+      (promotion.category !== null && promotion.category.toLowerCase() === product.category.toLowerCase());
+  }
+
+  // The running promotion giving a product its lowest price, with that
+  // price in minor units; null when none applies. Ties go to the older one.
+  function bestOffer(product, running) {
+    let best = null;
+    running.filter(promotion => appliesTo(promotion, product)).forEach(promotion => {
+      const priceMinor = discountedPrice(pricing, product.priceMinor, product.currency, promotion);
+      if (!best || priceMinor < best.priceMinor) best = { promotion, priceMinor };
+    });
+    return best;
+  }
+
+  // A product as the API shows it, its prices in `currency` (the product's
+  // own by default). `running` saves looking up the promotions per product.
+  function present(product, { currency, running = runningPromotions() } = {}) {
+    if (!product) return product;
+    const { priceMinor, ...rest } = product;
+    const shown = currency || product.currency;
+    const amount = minor => pricing.toMajor(pricing.convert(minor, product.currency, shown), shown);
+    const offer = bestOffer(product, running);
+    return {
+      ...rest,
+      price: amount(priceMinor),
+      currency: shown,
+      effectivePrice: amount(offer ? offer.priceMinor : priceMinor),
+      ...(offer && { promotion: promotionSummary(offer.promotion) })
+    };
+  }
+
+  // List price of a product in minor units of `currency`
+  const priceIn = currency => product => pricing.convert(product.priceMinor, product.currency, currency);
+  // ...and as a decimal, for the price filters and facets
+  const decimalPriceIn = currency => product => pricing.toMajor(priceIn(currency)(product), currency);
+
+  function presentPromotion(promotion) {
+    const { percent, amountMinor, ...rest } = promotion;
+    return {
+      ...rest,
+      value: promotion.type === 'percentage' ? percent : pricing.toMajor(amountMinor, promotion.currency),
+      status: promotionStatus(promotion)
+    };
+  }
+
+  // What a product response says about the promotion priced into it
+  function promotionSummary(promotion) {
+    const { id, name, type, value, currency, endsAt } = presentPromotion(promotion);
+    return { id, name, type, value, ...(currency && { currency }), endsAt };
+  }
+
+  function promotionStatus(promotion, at = Date.now()) {
+    if (at < new Date(promotion.startsAt).getTime()) return 'scheduled';
+    return at < new Date(promotion.endsAt).getTime() ? 'running' : 'ended';
+  }
+
+  // Stored fields of a promotion's discount: a percentage, or an amount in
+  // minor units of `currency`
+  function discountFields(type, value, currency) {
+    return type === 'percentage'
+      ? { type, percent: value, currency: null }
+      : { type, amountMinor: pricing.toMinor(value, currency), currency };
+  }
+
+  function presentPriceChange(entry) {
+    const { priceMinor, previousPriceMinor, ...rest } = entry;
+    return {
+      ...rest,
+      price: pricing.toMajor(priceMinor, entry.currency),
+      previousPrice: previousPriceMinor === null ? null : pricing.toMajor(previousPriceMinor, entry.previousCurrency)
+    };
+  }
+
+  // Full-text index, rebuilt at start and kept current on every write
+  const index = new SearchIndex();
+  liveProducts().forEach(product => index.add(product));
+
+  return {
+    // When any product record or price last changed
+    lastModified() {
+      return new Date(Math.max(products.lastModified, this.pricesChangedAt()));
+    },
+
+    // When prices last changed without a product changing: a promotion was
+    // written, started or ended, or the exchange rates were loaded
+    pricesChangedAt(at = Date.now()) {
+      const boundaries = promotions.all()
+        .flatMap(promotion => [promotion.startsAt, promotion.endsAt])
+        .map(time => new Date(time).getTime())
+        .filter(time => time <= at);
+      return new Date(Math.max(promotions.lastModified, pricing.loadedAt, ...boundaries));
+    },
+
+    list({ includeDeleted = false, currency, ...filters } = {}) {
+      const running = runningPromotions();
+      return applyFilters(includeDeleted ? products.all() : liveProducts(), filters,
+        decimalPriceIn(currency || pricing.base)).map(product => present(product, { currency, running }));
+    },
+
+    findById(id, { includeDeleted = false, currency } = {}) {
+      const product = products.get(id);
+      return includeDeleted || isLive(product) ? present(product, { currency }) : undefined;
+    },
+
+    // Deleted products included: they keep their SKU until purged
+    findBySku(sku) {
+      return present(products.find(product => product.sku === sku));
+    },
+
+    // True when another product (not excludeId) already uses this SKU
+    isSkuTaken(sku, excludeId) {
+      const existing = this.findBySku(sku);
+      return Boolean(existing && existing.id !== excludeId);
+    },
+
+    // Live products named name, ignoring case
+    findByName(name) {
+      const wanted = name.toLowerCase();
+      return liveProducts().filter(product => product.name.toLowerCase() === wanted).map(product => present(product));
+    },
+
+    // Ranked full-text search. Without q every product matches (score 0).
+    // Returns the filtered matches with their `score` and the category and
+    // price facets of the matches.
+    search({ q, currency, ...filters } = {}) {
+      let matches;
+      if (q) {
+        const scores = index.search(q);
+        matches = [...scores.entries()].map(([id, score]) => ({
+          ...products.get(id),
+          score: Math.round(score * 1000) / 1000
+        }));
+      } else {
+        matches = liveProducts().map(product => ({ ...product, score: 0 }));
+      }
+
+      const priceOf = decimalPriceIn(currency || pricing.base);
+      const running = runningPromotions();
+      return {
+        products: applyFilters(matches, filters, priceOf).map(product => present(product, { currency, running })),
+        facets: {
+          category: categoryFacet(applyFilters(matches, filters, priceOf, 'category')),
+          price: priceFacet(applyFilters(matches, filters, priceOf, 'price'), priceOf)
+        }
+      };
+    },
+
+    suggest(q, limit) {
+      return index.suggest(q, limit);
+    },
+
+    // Average list prices in `currency`, the base currency by default
+    categories({ currency = pricing.base } = {}) {
+      const all = liveProducts();
+      const names = [...new Set(all.map(p => p.category))];
+      const price = priceIn(currency);
+
+      return names.map(name => {
+        const inCategory = all.filter(p => p.category === name);
+        const total = inCategory.reduce((sum, p) => sum + price(p), 0);
+        return {
+          name,
+          count: inCategory.length,
+          averagePrice: pricing.toMajor(Math.round(total / inCategory.length), currency)
+        };
+      });
+    },
+
+    // `movement` ({ userId }) also says who made the change, for the audit
+    // trail
+    // `price` is a decimal in `currency` (the base currency by default)
+    create({ price, currency = pricing.base, ...fields }, movement = {}) {
+      const product = products.put({
+        id: products.nextId(),
+        ...fields,
+        ...priceFields(price, currency),
+        version: 1,
+        reserved: 0,
+        createdAt: new Date().toISOString()
+      });
+      outbox.add('product.created', { product: present(product) }, { subject: `products/${product.id}` });
+      audit.record('created', null, product, movement);
+      if (product.stock !== 0) {
+        recordMovement(null, product, { type: 'initial', reason: 'Product created', ...movement });
+      }
+      recordPriceChange(null, product, movement);
+      index.add(product);
+      return present(product);
+    },
+
+    // Apply changes and bump the version. A stock change is recorded in the
+    // ledger as `movement` ({ type, reason, userId, reservationId }), a
+    // price change in the price history. A new `currency` without a `price`
+    // keeps the amount.
+    update(id, { price, currency, ...changes }, movement = {}) {
+      const product = products.get(id);
+      if (!isLive(product)) return null;
+
+      const repriced = price !== undefined || currency !== undefined;
+      const updated = products.put({
+        ...product,
+        ...changes,
+        ...(repriced && priceFields(
+          price !== undefined ? price : pricing.toMajor(product.priceMinor, product.currency),
+          currency || product.currency
+        )),
+        version: product.version + 1,
+        updatedAt: new Date().toISOString()
+      });
+      const changed = Object.keys(updated)
+        .filter(field => !STOCK_FIELDS.includes(field) && updated[field] !== product[field])
+        .map(field => (field === 'priceMinor' ? 'price' : field));
+      if (changed.length > 0) {
+        outbox.add('product.updated', { product: present(updated), changes: changed }, { subject: `products/${id}` });
+      }
+      if (updated.stock !== product.stock) {
+        recordMovement(product, updated, { type: 'update', reason: 'Product updated', ...movement });
+      }
+      if (updated.priceMinor !== product.priceMinor || updated.currency !== product.currency) {
+        recordPriceChange(product, updated, movement);
+      }
+      audit.record('updated', product, updated, movement);
+      index.add(updated);
+      return present(updated);
+    },
+
+    // Stock that is neither sold nor reserved
+    available(product) {
+      return product.stock - product.reserved;
+    },
+
+    // Add delta (negative to take stock) unless that would leave less stock
+    // than is reserved. Returns the updated product, or null with nothing
+    // changed.
+    adjustStock(id, delta, movement) {
+      const product = products.get(id);
+      if (!isLive(product) || product.stock + delta < product.reserved) return null;
+
+      return this.update(id, { stock: product.stock + delta }, movement);
+    },
+
+    // Soft delete; active reservations are released
+    remove(id, movement = {}) {
+      if (!isLive(products.get(id))) return null;
+
+      reservations.filter(reservation => reservation.productId === id && reservation.status === 'active')
+        .forEach(reservation => this.closeReservation(reservation, 'released'));
+      index.remove(id);
+      const product = products.get(id);
+      const deleted = products.put({ ...product, version: product.version + 1, deletedAt: new Date().toISOString() });
+      outbox.add('product.deleted', { product: present(deleted) }, { subject: `products/${id}` });
+      audit.record('deleted', product, deleted, movement);
+      return present(deleted);
+    },
+
+    // Undo remove(). Returns null unless the product is deleted.
+    restore(id, movement = {}) {
+      const product = products.get(id);
+      if (!product || !product.deletedAt) return null;
+
+      const { deletedAt, ...rest } = product;
+      const restored = products.put({ ...rest, version: product.version + 1, updatedAt: new Date().toISOString() });
+      outbox.add('product.restored', { product: present(restored) }, { subject: `products/${id}` });
+      audit.record('restored', product, restored, movement);
+      index.add(restored);
+      return present(restored);
+    },
+
+    // Remove products deleted before `before` (ms) for good; their ledger,
+    // reservations and audit trail are kept. Returns how many were purged.
+    purgeDeleted(before) {
+      const expired = products.filter(product =>
+        product.deletedAt && new Date(product.deletedAt).getTime() < before
+      );
+      expired.forEach(product => {
+        products.remove(product.id);
+        outbox.add('product.purged', { productId: product.id }, { subject: `products/${product.id}` });
+        audit.record('purged', product, null);
+      });
+      return expired.length;
+    },
+
+    // Audit entries of a product, oldest first; kept after a purge
+    history(id) {
+      return audit.history(id);
+    },
+
+    // List price changes of a product, oldest first, each in the currency
+    // it was made in; kept after a purge
+    priceHistory(productId) {
+      return priceChanges.filter(entry => entry.productId === productId).map(presentPriceChange);
+    },
+
+    // Promotions, filtered by `status` or by the product or category they
+    // apply to (a product's promotions include those of its category)
+    listPromotions({ status, productId, category } = {}) {
+      const product = productId !== undefined ? products.get(productId) : null;
+      return promotions.all()
+        .filter(promotion =>
+          (!status || promotionStatus(promotion) === status) &&
+          (productId === undefined || (product ? appliesTo(promotion, product) : promotion.productId === productId)) &&
+          (!category || (promotion.category !== null && promotion.category.toLowerCase() === category.toLowerCase()))
+        )
+        .map(presentPromotion);
+    },
+
+    findPromotion(id) {
+      const promotion = promotions.get(id);
+      return promotion ? presentPromotion(promotion) : null;
+    },
+
+    // A discount of `type` percentage or fixed by `value` (a percentage, or
+    // a decimal amount in `currency`) on one product or every product of a
+    // category, from startsAt until endsAt
+    createPromotion(fields, { userId } = {}) {
+      const { name, type, value, currency = pricing.base, productId, category, startsAt, endsAt } = fields;
+      const now = new Date().toISOString();
+      const promotion = promotions.put({
+        id: promotions.nextId(),
+        name,
+        ...discountFields(type, value, currency),
+        productId: productId || null,
+        category: category || null,
+        startsAt: startsAt ? new Date(startsAt).toISOString() : now,
+        endsAt: new Date(endsAt).toISOString(),
+        version: 1,
+        createdBy: userId || null,
+        createdAt: now
+      });
+      const created = presentPromotion(promotion);
+      outbox.add('promotion.created', { promotion: created }, { subject: `promotions/${promotion.id}` });
+      return created;
+    },
+
+    // Change a promotion's name, discount or dates; its target stays
+    updatePromotion(id, { type, value, currency, ...changes }) {
+      const promotion = promotions.get(id);
+      if (!promotion) return null;
+
+      ['startsAt', 'endsAt'].filter(field => changes[field]).forEach(field => {
+        changes[field] = new Date(changes[field]).toISOString();
+      });
+      const current = presentPromotion(promotion);
+      const discountChanged = type !== undefined || value !== undefined || currency !== undefined;
+      const { percent, amountMinor, ...rest } = promotion;
+      const updated = promotions.put({
+        ...(discountChanged ? rest : promotion),
+        ...changes,
+        ...(discountChanged && discountFields(
+          type || promotion.type,
+          value !== undefined ? value : current.value,
+          currency || promotion.currency || pricing.base
+        )),
+        version: promotion.version + 1,
+        updatedAt: new Date().toISOString()
+      });
+      outbox.add('promotion.updated', { promotion: presentPromotion(updated) }, { subject: `promotions/${id}` });
+      return presentPromotion(updated);
+    },
+
+    removePromotion(id) {
+      const promotion = promotions.get(id);
+      if (!promotion) return null;
+
+      promotions.remove(id);
+      outbox.add('promotion.deleted', { promotion: presentPromotion(promotion) }, { subject: `promotions/${id}` });
+      return presentPromotion(promotion);
+    },
+
+    // Ledger entries of a product, oldest first
+    movements(productId) {
+      return movements.filter(movement => movement.productId === productId);
+    },
+
+    // Hold quantity for ttl seconds without taking it from stock. Returns the
+    // reservation, or null if not enough stock is available.
+    reserve(productId, quantity, { ttl, reference, userId }) {
+      this.expireReservations();
+      const product = products.get(productId);
+      if (!isLive(product) || this.available(product) < quantity) return null;
+
+      const now = Date.now();
+      const reservation = reservations.put({
+        id: reservations.nextId(),
+        productId,
+        quantity,
+        status: 'active',
+        reference: reference || null,
+        userId: userId || null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttl * 1000).toISOString(),
+        closedAt: null
+      });
+      activeReservations.add(reservation.id);
+      this.update(productId, { reserved: product.reserved + quantity });
+      reservationEvent(reservation);
+      return reservation;
+    },
+
+    reservations(productId) {
+      this.expireReservations();
+      return reservations.filter(reservation => reservation.productId === productId);
+    },
+
+    findReservation(productId, reservationId) {
+      this.expireReservations();
+      const reservation = reservations.get(reservationId);
+      return reservation && reservation.productId === productId ? reservation : null;
+    },
+
+    // Take a reserved quantity out of stock for good
+    commitReservation(reservation, movement = {}) {
+      const product = products.get(reservation.productId);
+      return this.closeReservation(reservation, 'committed', {
+        stock: product.stock - reservation.quantity
+      }, {
+        type: 'commit',
+        reason: `Reservation ${reservation.id} committed`,
+        reservationId: reservation.id,
+        ...movement
+      });
+    },
+
+    releaseReservation(reservation) {
+      return this.closeReservation(reservation, 'released');
+    },
+
+    // End an active reservation, returning its quantity to available stock
+    // (plus any other product changes). Returns the closed reservation.
+    closeReservation(reservation, status, changes = {}, movement = {}) {
+      const closed = reservations.put({ ...reservation, status, closedAt: new Date().toISOString() });
+      activeReservations.delete(reservation.id);
+
+      const product = products.get(reservation.productId);
+      if (product) {
+        this.update(product.id, { ...changes, reserved: product.reserved - reservation.quantity }, movement);
+      }
+      reservationEvent(closed);
+      return closed;
+    },
+
+    // Expire active reservations whose time is up. Returns how many expired.
+    expireReservations(now = Date.now()) {
+      let expired = 0;
+      activeReservations.forEach(id => {
+        const reservation = reservations.get(id);
+        if (new Date(reservation.expiresAt).getTime() <= now) {
+          this.closeReservation(reservation, 'expired');
+          expired++;
+        }
+      });
+      return expired;
+    },
+
+    count() {
+      return liveProducts().length;
+    },
+
+    // Money in `currency`, the base currency by default, summed in minor
+    // units at list prices
+    stats({ currency = pricing.base } = {}) {
+      const all = liveProducts();
+      const price = priceIn(currency);
+      const totalPrice = all.reduce((sum, p) => sum + price(p), 0);
+      const stats = {
+        total: all.length,
+        currency,
+        totalValue: pricing.toMajor(all.reduce((sum, p) => sum + price(p) * p.stock, 0), currency),
+        averagePrice: all.length > 0 ? pricing.toMajor(Math.round(totalPrice / all.length), currency) : 0,
+        totalStock: all.reduce((sum, p) => sum + p.stock, 0),
+        byCategory: {}
+      };
+
+      all.forEach(p => {
+        stats.byCategory[p.category] = (stats.byCategory[p.category] || 0) + 1;
+      });
+
+      return stats;
+    }
+  };
+}
+
+module.exports = { createProductsRepository };
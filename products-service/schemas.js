@@ -0,0 +1,570 @@
+const { pageQuery, pageResponse } = require('../shared/pagination');
+const { withMessage } = require('../shared/openapi');
+const { auditEntry, AUDIT_ACTIONS, AUDIT_FIELDS } = require('../shared/audit');
+const { importQuery, exportQuery, importReport, EXPORT_FORMATS } = require('../shared/bulk');
+
+// Request and response schemas for every route (see shared/validation.js)
+
+// Sort keys, and the fields a response can be narrowed to
+const SORT_FIELDS = ['id', 'sku', 'name', 'price', 'effectivePrice', 'category', 'stock', 'createdAt', 'updatedAt'];
+const PRODUCT_FIELDS = [...SORT_FIELDS, 'description', 'currency', 'promotion', 'deletedAt'];
+// Columns of an export, in order
+const EXPORT_FIELDS = ['id', 'sku', 'name', 'description', 'price', 'currency', 'category', 'stock', 'reserved',
+  'version', 'createdAt', 'updatedAt', 'deletedAt'];
+
+const CURRENCY = /^[A-Z]{3}$/;
+const PROMOTION_TYPES = ['percentage', 'fixed'];
+const PROMOTION_STATUSES = ['scheduled', 'running', 'ended'];
+// A date, or a date and time (ISO 8601)
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Filters shared by the product list and search
+const productFilters = {
+  ids: { type: 'list', minItems: 1, maxItems: 100, items: { type: 'integer', min: 1 } },
+  category: { type: 'string', minLength: 1 },
+  minPrice: { type: 'number', min: 0 },
+  maxPrice: { type: 'number', min: 0 },
+  inStock: { type: 'boolean' }
+};
+
+const productId = {
+  id: { type: 'integer', min: 1, required: true }
+};
+
+// Prices shown in another currency than the products' own
+const currencyQuery = {
+  currency: { type: 'string', pattern: CURRENCY, description: 'Show prices in this currency (see /exchange-rates)' }
+};
+
+// Admins only
+const includeDeleted = { type: 'boolean', description: 'Include deleted products (admins only)' };
+
+const productFields = {
+  // The supplier's article number, unique across products
+  sku: { type: 'string', minLength: 1, maxLength: 64, pattern: /^[A-Za-z0-9._\/-]+$/ },
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 2000 },
+  // In `currency`, with no more decimals than its minor unit
+  price: { type: 'number', exclusiveMin: 0 },
+  // ISO 4217 code of a currency with an exchange rate; the base currency by
+  // default
+  currency: { type: 'string', pattern: CURRENCY },
+  category: { type: 'string', minLength: 1, maxLength: 100 },
+  stock: { type: 'integer', min: 0 }
+};
+
+const promotionId = {
+  id: { type: 'integer', min: 1, required: true }
+};
+
+const promotionFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  type: { type: 'string', enum: PROMOTION_TYPES },
+  // A percentage of the price, or an amount in `currency`
+  value: { type: 'number', exclusiveMin: 0 },
+  // Fixed discounts only; the base currency by default
+  currency: { type: 'string', pattern: CURRENCY },
+  startsAt: { type: 'string', pattern: TIMESTAMP },
+  endsAt: { type: 'string', pattern: TIMESTAMP }
+};
+
+const stockQuantity = {
+  quantity: { type: 'integer', min: 1, required: true },
+  reason: { type: 'string', minLength: 1, maxLength: 200 }
+};
+
+const reservationId = {
+  ...productId,
+  reservationId: { type: 'integer', min: 1, required: true }
+};
+
+const MOVEMENT_TYPES = ['initial', 'update', 'import', 'adjustment', 'set', 'reserve', 'release', 'commit'];
+const MOVEMENT_FIELDS = ['id', 'productId', 'type', 'delta', 'stock', 'reason', 'reservationId', 'userId', 'at'];
+const RESERVATION_STATUSES = ['active', 'committed', 'released', 'expired'];
+const PRICE_CHANGE_FIELDS = ['id', 'productId', 'price', 'currency', 'previousPrice', 'previousCurrency', 'userId',
+  'at'];
+const PROMOTION_SORT_FIELDS = ['id', 'name', 'startsAt', 'endsAt', 'createdAt'];
+const PROMOTION_FIELDS = [...PROMOTION_SORT_FIELDS, 'type', 'value', 'currency', 'productId', 'category', 'status',
+  'version', 'createdBy', 'updatedAt'];
+
+// Records as returned by the API
+const product = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', min: 1, required: true },
+    sku: { type: 'string' },
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    // List price, in `currency`
+    price: { type: 'number', required: true },
+    currency: { type: 'string', required: true },
+    // Price after the best running promotion, the list price without one
+    effectivePrice: { type: 'number', required: true },
+    // Only while a promotion applies
+    promotion: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer', min: 1, required: true },
+        name: { type: 'string', required: true },
+        type: { type: 'string', enum: PROMOTION_TYPES, required: true },
+        value: { type: 'number', required: true },
+        currency: { type: 'string' },
+        endsAt: { type: 'string', required: true }
+      }
+    },
+    category: { type: 'string', required: true },
+    stock: { type: 'integer', required: true },
+    // Units held by active reservations
+    reserved: { type: 'integer', min: 0 },
+    // Raised by every change, and the product's ETag
+    version: { type: 'integer', min: 1 },
+    createdAt: { type: 'string', required: true },
+    updatedAt: { type: 'string' },
+    // Only on deleted products
+    deletedAt: { type: 'string' }
+  }
+};
+
+const movement = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', min: 1, required: true },
+    productId: { type: 'integer', min: 1, required: true },
+    type: { type: 'string', enum: MOVEMENT_TYPES, required: true },
+    delta: { type: 'integer', required: true },
+    stock: { type: 'integer', required: true },
+    reason: { type: 'string', nullable: true },
+    reservationId: { type: 'integer', nullable: true },
+    userId: { type: 'integer', nullable: true },
+    at: { type: 'string', required: true }
+  }
+};
+
+const reservation = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', min: 1, required: true },
+    productId: { type: 'integer', min: 1, required: true },
+    quantity: { type: 'integer', min: 1, required: true },
+    status: { type: 'string', enum: RESERVATION_STATUSES, required: true },
+    reference: { type: 'string', nullable: true },
+    userId: { type: 'integer', nullable: true },
+    createdAt: { type: 'string', required: true },
+    expiresAt: { type: 'string', required: true },
+    closedAt: { type: 'string', nullable: true }
+  }
+};
+
+const priceChange = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', min: 1, required: true },
+    productId: { type: 'integer', min: 1, required: true },
+    price: { type: 'number', required: true },
+    currency: { type: 'string', required: true },
+    // Null for the first price of a product
+    previousPrice: { type: 'number', nullable: true, required: true },
+    previousCurrency: { type: 'string', nullable: true, required: true },
+    userId: { type: 'integer', nullable: true },
+    at: { type: 'string', required: true }
+  }
+};
+
+const promotion = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', min: 1, required: true },
+    name: { type: 'string', required: true },
+    type: { type: 'string', enum: PROMOTION_TYPES, required: true },
+    value: { type: 'number', required: true },
+    // Of a fixed discount
+    currency: { type: 'string', nullable: true },
+    // One of productId and category is set
+    productId: { type: 'integer', nullable: true, required: true },
+    category: { type: 'string', nullable: true, required: true },
+    startsAt: { type: 'string', required: true },
+    endsAt: { type: 'string', required: true },
+    status: { type: 'string', enum: PROMOTION_STATUSES, required: true },
+    version: { type: 'integer', min: 1 },
+    createdBy: { type: 'integer', nullable: true },
+    createdAt: { type: 'string', required: true },
+    updatedAt: { type: 'string' }
+  }
+};
+
+const facetValue = {
+  type: 'object',
+  properties: {
+    value: { type: 'string', required: true },
+    count: { type: 'integer', min: 0, required: true },
+    min: { type: 'number' },
+    max: { type: 'number', nullable: true }
+  }
+};
+
+const savedProduct = withMessage({ product: { ...product, required: true } });
+const savedPromotion = withMessage({ promotion: { ...promotion, required: true } });
+
+// A reservation change and the product it applies to
+const reservationChange = withMessage({
+  reservation: { ...reservation, required: true },
+  product: { ...product, required: true }
+});
+
+module.exports = {
+  listProducts: {
+    summary: 'List products',
+    query: {
+      ...productFilters,
+      ...currencyQuery,
+      includeDeleted,
+      ...pageQuery({ sort: SORT_FIELDS, fields: PRODUCT_FIELDS })
+    },
+    responses: { 200: pageResponse('products', product) }
+  },
+
+  exportProducts: {
+    summary: 'Export products',
+    description: 'Streams the products matching the list filters as CSV (the default) or NDJSON.',
+    query: {
+      ...productFilters,
+      includeDeleted,
+      ...exportQuery(EXPORT_FIELDS)
+    },
+    columns: EXPORT_FIELDS,
+    responses: { 200: { type: 'string', mediaTypes: Object.values(EXPORT_FORMATS) } }
+  },
+
+  importProducts: {
+    summary: 'Import products',
+    description: 'Creates or updates a product per CSV or NDJSON row, matched by `sku`, or by `name` for rows ' +
+      'without one. The columns of an export that cannot be written (id, reserved, version, timestamps) ' +
+      'are ignored.',
+    query: importQuery(),
+    rawBody: Object.values(EXPORT_FORMATS),
+    rows: productFields,
+    responses: { 200: importReport }
+  },
+
+  getProduct: {
+    summary: 'Get a product',
+    params: productId,
+    query: { ...currencyQuery, includeDeleted },
+    responses: { 200: product }
+  },
+
+  // Results also sort and project by relevance `score`
+  search: {
+    summary: 'Search products',
+    description: 'Ranked, typo-tolerant full-text search with category and price facets. ' +
+      'Sorted by relevance (`-score`) when `q` is given.',
+    query: {
+      q: { type: 'string', minLength: 1, maxLength: 200 },
+      ...productFilters,
+      ...currencyQuery,
+      ...pageQuery({ sort: [...SORT_FIELDS, 'score'], fields: [...PRODUCT_FIELDS, 'score'] })
+    },
+    responses: {
+      200: pageResponse('products', {
+        ...product,
+        properties: { ...product.properties, score: { type: 'number', min: 0 } }
+      }, {
+        query: { type: 'string', nullable: true, required: true },
+        facets: {
+          type: 'object',
+          required: true,
+          properties: {
+            category: { type: 'array', items: facetValue, required: true },
+            price: { type: 'array', items: facetValue, required: true }
+          }
+        }
+      })
+    }
+  },
+
+  suggest: {
+    summary: 'Autocomplete a search',
+    query: {
+      q: { type: 'string', minLength: 1, maxLength: 200, required: true },
+      limit: { type: 'integer', min: 1, max: 20 }
+    },
+    responses: {
+      200: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', required: true },
+          suggestions: {
+            type: 'array',
+            required: true,
+            items: {
+              type: 'object',
+              properties: {
+                text: { type: 'string', required: true },
+                matches: { type: 'integer', min: 1, required: true }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  categories: {
+    summary: 'List categories',
+    query: currencyQuery,
+    responses: {
+      200: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer', min: 0, required: true },
+          // Of the average prices: the base currency unless another is asked for
+          currency: { type: 'string', required: true },
+          categories: {
+            type: 'array',
+            required: true,
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', required: true },
+                count: { type: 'integer', min: 1, required: true },
+                // Of the list prices, rounded to the currency's minor unit
+                averagePrice: { type: 'number', min: 0, required: true }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  createProduct: {
+    summary: 'Create a product',
+    body: {
+      ...productFields,
+      name: { ...productFields.name, required: true },
+      price: { ...productFields.price, required: true },
+      category: { ...productFields.category, required: true }
+    },
+    responses: { 201: savedProduct }
+  },
+
+  updateProduct: {
+    summary: 'Update a product',
+    description: 'Only the fields sent are changed. Send If-Match with the product\'s ETag to fail ' +
+      'with 412 instead of overwriting a concurrent change.',
+    params: productId,
+    body: productFields,
+    responses: { 200: savedProduct }
+  },
+
+  deleteProduct: {
+    summary: 'Delete a product',
+    description: 'Active reservations are released. The product can be restored until deleted products are purged.',
+    params: productId,
+    responses: { 200: savedProduct }
+  },
+
+  restoreProduct: {
+    summary: 'Restore a deleted product',
+    description: 'Admins only.',
+    params: productId,
+    responses: { 200: savedProduct }
+  },
+
+  productHistory: {
+    summary: 'Audit trail of a product',
+    description: 'Every change with who made it and the fields before and after, newest first. Admins only.',
+    params: productId,
+    query: {
+      action: { type: 'string', enum: AUDIT_ACTIONS },
+      ...pageQuery({ sort: ['id'], fields: AUDIT_FIELDS })
+    },
+    responses: {
+      200: pageResponse('history', auditEntry, { productId: { type: 'integer', min: 1, required: true } })
+    }
+  },
+
+  productStats: {
+    summary: 'Product statistics',
+    description: 'Money at list prices, in the base currency unless another is asked for.',
+    query: currencyQuery,
+    responses: {
+      200: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer', min: 0, required: true },
+          currency: { type: 'string', required: true },
+          // Exact sums of minor units; the average is rounded to the minor unit
+          totalValue: { type: 'number', min: 0, required: true },
+          averagePrice: { type: 'number', min: 0, required: true },
+          totalStock: { type: 'integer', required: true },
+          byCategory: { type: 'object', values: { type: 'integer', min: 1 }, required: true }
+        }
+      }
+    }
+  },
+
+  priceHistory: {
+    summary: 'Price history of a product',
+    description: 'Every change of the list price, newest first, in the currency it was made in.',
+    params: productId,
+    query: pageQuery({ sort: ['id'], fields: PRICE_CHANGE_FIELDS }),
+    responses: {
+      200: pageResponse('history', priceChange, { productId: { type: 'integer', min: 1, required: true } })
+    }
+  },
+
+  exchangeRates: {
+    summary: 'Exchange rates',
+    description: 'Units of each currency per unit of the base currency, used to show prices in other currencies.',
+    responses: {
+      200: {
+        type: 'object',
+        properties: {
+          base: { type: 'string', required: true },
+          rates: { type: 'object', values: { type: 'number', exclusiveMin: 0 }, required: true },
+          loadedAt: { type: 'string', required: true }
+        }
+      }
+    }
+  },
+
+  listPromotions: {
+    summary: 'List promotions',
+    query: {
+      status: { type: 'string', enum: PROMOTION_STATUSES },
+      // A product's promotions include those of its category
+      productId: { type: 'integer', min: 1 },
+      category: { type: 'string', minLength: 1 },
+      ...pageQuery({ sort: PROMOTION_SORT_FIELDS, fields: PROMOTION_FIELDS })
+    },
+    responses: { 200: pageResponse('promotions', promotion) }
+  },
+
+  getPromotion: {
+    summary: 'Get a promotion',
+    params: promotionId,
+    responses: { 200: promotion }
+  },
+
+  createPromotion: {
+    summary: 'Create a promotion',
+    description: 'A percentage or fixed discount on one product (`productId`) or a whole `category`, from ' +
+      '`startsAt` (now by default) until `endsAt`. Where several run at once, a product gets the lowest price.',
+    body: {
+      ...promotionFields,
+      name: { ...promotionFields.name, required: true },
+      type: { ...promotionFields.type, required: true },
+      value: { ...promotionFields.value, required: true },
+      endsAt: { ...promotionFields.endsAt, required: true },
+      productId: { type: 'integer', min: 1 },
+      category: { type: 'string', minLength: 1, maxLength: 100 }
+    },
+    responses: { 201: savedPromotion }
+  },
+
+  updatePromotion: {
+    summary: 'Update a promotion',
+    description: 'Only the fields sent are changed; what the promotion applies to cannot be.',
+    params: promotionId,
+    body: promotionFields,
+    responses: { 200: savedPromotion }
+  },
+
+  deletePromotion: {
+    summary: 'Delete a promotion',
+    params: promotionId,
+    responses: { 200: savedPromotion }
+  },
+
+  // Either a relative `delta` or an absolute `quantity`, always with a reason
+  setStock: {
+    summary: 'Adjust or set stock',
+    description: 'Send either `delta` or `quantity`. Honours If-Match like updates do.',
+    params: productId,
+    body: {
+      delta: { type: 'integer' },
+      quantity: { type: 'integer', min: 0 },
+      reason: { type: 'string', minLength: 1, maxLength: 200, required: true }
+    },
+    responses: { 200: savedProduct }
+  },
+
+  reserveStock: {
+    summary: 'Take stock',
+    description: 'Used by the orders service; fails rather than taking reserved stock.',
+    params: productId,
+    body: stockQuantity,
+    responses: { 200: savedProduct }
+  },
+
+  releaseStock: {
+    summary: 'Give taken stock back',
+    params: productId,
+    body: stockQuantity,
+    responses: { 200: savedProduct }
+  },
+
+  listMovements: {
+    summary: 'Stock ledger of a product',
+    params: productId,
+    query: {
+      type: { type: 'string', enum: MOVEMENT_TYPES },
+      ...pageQuery({ sort: ['id'], fields: MOVEMENT_FIELDS })
+    },
+    responses: {
+      200: pageResponse('movements', movement, { productId: { type: 'integer', min: 1, required: true } })
+    }
+  },
+
+  createReservation: {
+    summary: 'Reserve stock',
+    description: 'Holds stock until the reservation is committed, released or expires.',
+    params: productId,
+    body: {
+      quantity: { type: 'integer', min: 1, required: true },
+      // Seconds until the reservation expires
+      ttl: { type: 'integer', min: 1, max: 86400 },
+      // Caller's own identifier, e.g. a cart or order ID
+      reference: { type: 'string', minLength: 1, maxLength: 200 }
+    },
+    responses: { 201: reservationChange }
+  },
+
+  listReservations: {
+    summary: 'List the reservations of a product',
+    params: productId,
+    query: {
+      status: { type: 'string', enum: RESERVATION_STATUSES }
+    },
+    responses: {
+      200: {
+        type: 'object',
+        properties: {
+          productId: { type: 'integer', min: 1, required: true },
+          count: { type: 'integer', min: 0, required: true },
+          reservations: { type: 'array', items: reservation, required: true }
+        }
+      }
+    }
+  },
+
+  getReservation: {
+    summary: 'Get a reservation',
+    params: reservationId,
+    responses: { 200: reservation }
+  },
+
+  commitReservation: {
+    summary: 'Commit a reservation',
+    description: 'Takes the reserved quantity out of stock.',
+    params: reservationId,
+    responses: { 200: reservationChange }
+  },
+
+  releaseReservation: {
+    summary: 'Release a reservation',
+    params: reservationId,
+    responses: { 200: reservationChange }
+  }
+};
@@ -0,0 +1,184 @@
+// In-process full-text index over the catalog.
+//
+// Name, category and description are split into lowercase, accent-free
+// tokens and kept in an inverted index (token -> product -> occurrences per
+// field). A query matches the products that contain every query token,
+// where a query token matches an indexed token
+//
+//   exactly                  "hub"     -> hub
+//   as a prefix (3+ chars)   "key"     -> keyboard
+//   with typos               "keybord" -> keyboard (1 edit from 4 chars, 2 from 8)
+//
+// Scores add up, per query token, its best match: the match weight times the
+// token's inverse document frequency times the field-weighted occurrences, so
+// a word in the name counts more than the same word in the description.
+
+const FIELD_WEIGHTS = { name: 3, category: 2, description: 1 };
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: 0.5 };
+const MIN_PREFIX_LENGTH = 3;
+const STOP_WORDS = new Set(['a', 'an', 'and', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token));
+}
+
+// Typos allowed for a query token of this length
+function maxEdits(token) {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+// Optimal string alignment distance (adjacent swaps count as one edit),
+// giving up once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+class SearchIndex {
+  constructor() {
+    // token -> Map(productId -> { name, category, description } occurrences)
+    this.postings = new Map();
+    // productId -> tokens indexed for it, to remove them again
+    this.documents = new Map();
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  // Index a product, replacing what was indexed for it before
+  add(product) {
+    this.remove(product.id);
+
+    const tokens = new Set();
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      tokenize(product[field]).forEach(token => {
+        if (!this.postings.has(token)) this.postings.set(token, new Map());
+        const postings = this.postings.get(token);
+        if (!postings.has(product.id)) postings.set(product.id, { name: 0, category: 0, description: 0 });
+        postings.get(product.id)[field]++;
+        tokens.add(token);
+      });
+    });
+    this.documents.set(product.id, tokens);
+  }
+
+  remove(id) {
+    const tokens = this.documents.get(id);
+    if (!tokens) return;
+
+    tokens.forEach(token => {
+      const postings = this.postings.get(token);
+      postings.delete(id);
+      if (postings.size === 0) this.postings.delete(token);
+    });
+    this.documents.delete(id);
+  }
+
+  // Indexed tokens a query token matches, with the weight of each match
+  expand(queryToken) {
+    const matches = [];
+    const edits = maxEdits(queryToken);
+
+    this.postings.forEach((postings, token) => {
+      if (token === queryToken) {
+        matches.push({ token, weight: MATCH_WEIGHTS.exact });
+      } else if (queryToken.length >= MIN_PREFIX_LENGTH && token.startsWith(queryToken)) {
+        matches.push({ token, weight: MATCH_WEIGHTS.prefix });
+      } else if (edits > 0 && editDistance(queryToken, token, edits) <= edits) {
+        matches.push({ token, weight: MATCH_WEIGHTS.fuzzy });
+      }
+    });
+    return matches;
+  }
+
+  idf(token) {
+    const postings = this.postings.get(token);
+    return Math.log(1 + this.documents.size / postings.size);
+  }
+
+  // Map of productId -> score for the products matching every query token
+  search(query) {
+    const queryTokens = [...new Set(tokenize(query))];
+    if (queryTokens.length === 0) return new Map();
+
+    let scores = null;
+    for (const queryToken of queryTokens) {
+      // Best score this query token reaches in each product
+      const tokenScores = new Map();
+      this.expand(queryToken).forEach(({ token, weight }) => {
+        const idf = this.idf(token);
+        this.postings.get(token).forEach((occurrences, id) => {
+          const fieldScore = Object.entries(FIELD_WEIGHTS)
+            .reduce((sum, [field, fieldWeight]) => sum + fieldWeight * occurrences[field], 0);
+          const score = weight * idf * fieldScore;
+          if (score > (tokenScores.get(id) || 0)) tokenScores.set(id, score);
+        });
+      });
+
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        const combined = new Map();
+        scores.forEach((score, id) => {
+          if (tokenScores.has(id)) combined.set(id, score + tokenScores.get(id));
+        });
+        scores = combined;
+      }
+      if (scores.size === 0) break;
+    }
+    return scores;
+  }
+
+  // Completions of the last word of `query`: indexed tokens starting with it
+  // that still match some product together with the words before it, most
+  // matches first
+  suggest(query, limit) {
+    const queryTokens = tokenize(query);
+    const last = queryTokens.pop();
+    if (!last) return [];
+
+    const before = queryTokens.join(' ');
+    const candidates = before ? this.search(before) : null;
+
+    const suggestions = [];
+    this.postings.forEach((postings, token) => {
+      if (!token.startsWith(last)) return;
+      const matches = candidates
+        ? [...postings.keys()].filter(id => candidates.has(id)).length
+        : postings.size;
+      if (matches > 0) suggestions.push({ text: before ? `${before} ${token}` : token, matches });
+    });
+
+    return suggestions
+      .sort((a, b) => b.matches - a.matches || a.text.localeCompare(b.text))
+      .slice(0, limit);
+  }
+}
+
+module.exports = { SearchIndex };
@@ -0,0 +1,43 @@
+// Initial catalog, loaded the first time the service starts with an empty store
+module.exports = [
+  {
+    name: 'Laptop Pro X1',
+    description: 'High-performance laptop for professionals',
+    price: 1299.99,
+    category: 'Electronics',
+    stock: 45,
+    createdAt: new Date('2024-01-10').toISOString()
+  },
+  {
+    name: 'Wireless Mouse',
+    description: 'Ergonomic wireless mouse with precision tracking',
+    price: 29.99,
+    category: 'Accessories',
+    stock: 150,
+    createdAt: new Date('2024-01-15').toISOString()
+  },
+  {
+    name: 'USB-C Hub',
+    description: '7-in-1 USB-C hub with HDMI, USB 3.0, and card reader',
+    price: 49.99,
+    category: 'Accessories',
+    stock: 80,
+    createdAt: new Date('2024-02-01').toISOString()
+  },
+  {
+    name: 'Mechanical Keyboard',
+    description: 'RGB mechanical gaming keyboard with Cherry MX switches',
+    price: 159.99,
+    category: 'Accessories',
+    stock: 60,
+    createdAt: new Date('2024-02-05').toISOString()
+  },
+  {
+    name: '4K Monitor',
+    description: '27-inch 4K IPS monitor with HDR support',
+    price: 399.99,
+    category: 'Electronics',
+    stock: 25,
+    createdAt: new Date('2024-02-10').toISOString()
+  }
+];
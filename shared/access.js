@@ -0,0 +1,21 @@
+const { sendProblem } = require('./problem');
+
+// Access checks the services make themselves, on top of the gateway's. The
+// gateway always sends the caller's role in X-User-Role; calls made directly
+// on the service network carry no such header and are trusted.
+
+// For what only admins may see or do, such as deleted records and audit
+// trails: answers 403 FORBIDDEN and returns false for anyone else. Responses
+// shown to admins only must not be kept by shared caches such as the
+// gateway's.
+function requireAdmin(req, res, action) {
+  const callerRole = req.get('X-User-Role');
+  if (callerRole !== undefined && callerRole !== 'admin') {
+    sendProblem(res, 'FORBIDDEN', `Only admins can ${action}`);
+    return false;
+  }
+  res.set('Cache-Control', 'private');
+  return true;
+}
+
+module.exports = { requireAdmin };
@@ -0,0 +1,89 @@
+const { currentContext } = require('./context');
+
+// Per-record audit trail: who changed which fields of a record, and when.
+//
+// Repositories record every write next to the write itself, like outbox
+// events, in the `audit_log` collection of their store:
+//
+//   { "id": 12, "recordId": 4, "action": "updated", "userId": 1,
+//     "requestId": "...", "at": "...",
+//     "changes": { "price": { "before": 19.99, "after": 24.99 } } }
+//
+// `action` is created, updated, deleted, restored or purged; `userId` is
+// null for changes the service made on its own (expiry, purges) or that
+// came in without an identity. Fields in `ignore` are left out of the
+// diffs, those in `redact` are listed with their values masked.
+
+const ACTIONS = ['created', 'updated', 'deleted', 'restored', 'purged'];
+const REDACTED = '[redacted]';
+
+const FIELDS = ['id', 'recordId', 'action', 'userId', 'requestId', 'at', 'changes'];
+
+// Response rule of an entry, for the services' route schemas
+const auditEntry = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', min: 1, required: true },
+    recordId: { type: 'integer', min: 1, required: true },
+    action: { type: 'string', enum: ACTIONS, required: true },
+    userId: { type: 'integer', nullable: true, required: true },
+    requestId: { type: 'string', nullable: true, required: true },
+    at: { type: 'string', required: true },
+    // Field name to { before, after }
+    changes: { type: 'object', values: { type: 'object' }, required: true }
+  }
+};
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  return typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b);
+}
+
+// { field: { before, after } } for every field that differs
+function diff(before, after, { ignore, redact }) {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changes = {};
+  fields.filter(field => !ignore.includes(field)).forEach(field => {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (sameValue(from, to)) return;
+    const masked = redact.includes(field);
+    changes[field] = {
+      before: from === undefined ? null : masked ? REDACTED : from,
+      after: to === undefined ? null : masked ? REDACTED : to
+    };
+  });
+  return changes;
+}
+
+function createAuditLog(store, { ignore = ['updatedAt'], redact = [] } = {}) {
+  const entries = store.collection('audit_log');
+
+  return {
+    // Record what action did to a record, given its state before and after
+    // (null when there was none). Updates that changed nothing are skipped.
+    record(action, before, after, { userId } = {}) {
+      if (!ACTIONS.includes(action)) throw new Error(`Unknown audit action "${action}"`);
+      const changes = diff(before, after, { ignore, redact });
+      if (action === 'updated' && Object.keys(changes).length === 0) return null;
+
+      const context = currentContext();
+      return entries.put({
+        id: entries.nextId(),
+        recordId: (after || before).id,
+        action,
+        userId: userId || null,
+        requestId: context ? context.requestId : null,
+        at: new Date().toISOString(),
+        changes
+      });
+    },
+
+    // Entries of a record, oldest first
+    history(recordId) {
+      return entries.filter(entry => entry.recordId === recordId);
+    }
+  };
+}
+
+module.exports = { createAuditLog, auditEntry, AUDIT_ACTIONS: ACTIONS, AUDIT_FIELDS: FIELDS };
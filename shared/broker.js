@@ -0,0 +1,122 @@
+const { EventEmitter } = require('events');
+const { RedisClient } = require('./redis-client');
+const logger = require('./logger');
+
+// Event broker: carries domain events from the outbox relay to consumers.
+//
+// Two drivers with the same interface, publish(event) and
+// subscribe(handler):
+//
+//   memory - in-process, for a single service (default)
+//   redis  - Redis pub/sub on the channel `events`, shared by every service
+//            pointed at the same server (a real Redis or the bundled
+//            kv-store), so consumers can run in any process
+//
+// Pub/sub only reaches subscribers connected at the time; the outbox makes
+// sure every event is published, not that every consumer was listening.
+
+const CHANNEL = 'events';
+const RECONNECT_DELAY = 1000;
+
+// Handlers run after the publisher's turn and their errors are only logged
+function callHandler(handler, event) {
+  setImmediate(async () => {
+    try {
+      await handler(event);
+    } catch (error) {
+      logger.error('Event handler failed', { eventType: event.type, eventId: event.id, error });
+    }
+  });
+}
+
+function createMemoryBroker() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    driver: 'memory',
+
+    async publish(event) {
+      emitter.emit(CHANNEL, event);
+    },
+
+    subscribe(handler) {
+      const listener = event => callHandler(handler, event);
+      emitter.on(CHANNEL, listener);
+      return () => emitter.off(CHANNEL, listener);
+    },
+
+    close() {
+      emitter.removeAllListeners();
+    }
+  };
+}
+
+function createRedisBroker({ url, timeout }) {
+  // A subscribed connection cannot publish, so there are two
+  const publisher = new RedisClient(url, { timeout });
+  const subscriber = new RedisClient(url, { timeout });
+  const handlers = new Set();
+  let listening = false;
+  let closed = false;
+
+  function onMessage(channel, message) {
+    let event;
+    try {
+      event = JSON.parse(message);
+    } catch (error) {
+      logger.warn('Ignoring malformed event from broker', { channel, error: error.message });
+      return;
+    }
+    handlers.forEach(handler => callHandler(handler, event));
+  }
+
+  // Subscribe, and again whenever the connection is lost
+  function listen() {
+    if (closed) return;
+    subscriber.subscribe(CHANNEL, onMessage).catch(error => {
+      logger.warn('Event broker unavailable, retrying', { host: subscriber.host, error: error.message });
+      setTimeout(listen, RECONNECT_DELAY).unref();
+    });
+  }
+  subscriber.onDisconnect = () => setTimeout(listen, RECONNECT_DELAY).unref();
+
+  return {
+    driver: 'redis',
+
+    async publish(event) {
+      await publisher.command('PUBLISH', CHANNEL, JSON.stringify(event));
+    },
+
+    subscribe(handler) {
+      handlers.add(handler);
+      if (!listening) {
+        listening = true;
+        listen();
+      }
+      return () => handlers.delete(handler);
+    },
+
+    close() {
+      closed = true;
+      publisher.close();
+      subscriber.close();
+    }
+  };
+}
+
+// EVENT_BROKER (memory | redis), EVENT_BROKER_URL, EVENT_BROKER_TIMEOUT_MS
+function createBroker(options = {}) {
+  const driver = options.driver || process.env.EVENT_BROKER || 'memory';
+
+  if (driver === 'memory') return createMemoryBroker();
+  if (driver === 'redis') {
+    return createRedisBroker({
+      url: options.url || process.env.EVENT_BROKER_URL || 'redis://127.0.0.1:6379',
+      timeout: options.timeout || parseInt(process.env.EVENT_BROKER_TIMEOUT_MS) || 1000
+    });
+  }
+  throw new Error(`Unknown EVENT_BROKER "${driver}" (expected "memory" or "redis")`);
+}
+
+module.exports = { createBroker };
@@ -0,0 +1,348 @@
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { ProblemError } = require('./problem');
+const { checkFields } = require('./validation');
+
+// Bulk import and export of records as CSV or NDJSON.
+//
+// Imports read the request body as a stream, `text/csv` (a header row of
+// field names, RFC 4180 quoting, empty cells left out) or
+// `application/x-ndjson` (one JSON object per line). Every row is checked
+// against the service's rules and planned by the service's prepare(), which
+// looks the row up by its key and says whether it would create, update or
+// leave a record unchanged. Then, per the query:
+//
+//   ?dryRun=true         nothing is written; the report says what would be
+//   ?mode=atomic         the default: all rows are applied, or none when any
+//                        row fails (400 VALIDATION_FAILED with the row errors)
+//   ?mode=best-effort    valid rows are applied, failed ones reported
+//
+// The report lists every row with its line number:
+//
+//   {"dryRun":false,"mode":"best-effort","total":3,"created":1,"updated":1,
+//    "unchanged":0,"failed":1,"rows":[{"row":2,"action":"created","id":7},
+//    ...,{"row":4,"action":"failed","errors":[{"field":"price","message":"..."}]}]}
+//
+// Exports stream the records given as CSV (the default) or NDJSON.
+
+const FORMATS = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+const MODES = ['atomic', 'best-effort'];
+const ACTIONS = ['created', 'updated', 'unchanged', 'failed'];
+
+const MAX_IMPORT_BYTES = parseInt(process.env.IMPORT_MAX_BYTES) || 10 * 1024 * 1024;
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 10000;
+
+// Query rules of an import route
+function importQuery() {
+  return {
+    dryRun: { type: 'boolean' },
+    mode: { type: 'string', enum: MODES }
+  };
+}
+
+// Query rules of an export route, next to the list's own filters
+function exportQuery(fields) {
+  return {
+    format: { type: 'string', enum: Object.keys(FORMATS) },
+    fields: { type: 'list', minItems: 1, items: { type: 'string', enum: fields } }
+  };
+}
+
+// Response rule of an import report
+const importReport = {
+  type: 'object',
+  properties: {
+    dryRun: { type: 'boolean', required: true },
+    mode: { type: 'string', enum: MODES, required: true },
+    total: { type: 'integer', min: 0, required: true },
+    created: { type: 'integer', min: 0, required: true },
+    updated: { type: 'integer', min: 0, required: true },
+    unchanged: { type: 'integer', min: 0, required: true },
+    failed: { type: 'integer', min: 0, required: true },
+    rows: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          // Line of the row in the upload
+          row: { type: 'integer', min: 1, required: true },
+          action: { type: 'string', enum: ACTIONS, required: true },
+          id: { type: 'integer', min: 1 },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string', required: true },
+                message: { type: 'string', required: true }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Incremental CSV parser; onRecord(cells, line) is called per record
+function createCsvParser(onRecord) {
+  let cells = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let quoteSeen = false;
+  let line = 1;
+  let recordLine = 1;
+
+  function endField() {
+    cells.push(field);
+    field = '';
+    quoted = false;
+  }
+
+  function endRecord() {
+    endField();
+    // Blank lines are skipped
+    if (cells.length > 1 || cells[0] !== '') onRecord(cells, recordLine);
+    cells = [];
+    recordLine = line;
+  }
+
+  return {
+    write(text) {
+      for (const char of text) {
+        if (inQuotes) {
+          if (quoteSeen) {
+            quoteSeen = false;
+            if (char === '"') {
+              field += '"';
+              continue;
+            }
+            inQuotes = false;
+          } else if (char === '"') {
+            quoteSeen = true;
+            continue;
+          } else {
+            if (char === '\n') line++;
+            field += char;
+            continue;
+          }
+        }
+
+        if (char === '"' && field === '' && !quoted) {
+          inQuotes = true;
+          quoted = true;
+        } else if (char === ',') {
+          endField();
+        } else if (char === '\n') {
+          line++;
+          endRecord();
+        } else if (char !== '\r') {
+          field += char;
+        }
+      }
+    },
+
+    end() {
+      if (inQuotes && !quoteSeen) {
+        throw new ProblemError('MALFORMED_BODY', `Unterminated quoted field starting on line ${recordLine}`);
+      }
+      if (field !== '' || quoted || cells.length > 0) endRecord();
+    }
+  };
+}
+
+// Incremental NDJSON parser; onRecord(text, line) is called per line
+function createNdjsonParser(onRecord) {
+  let rest = '';
+  let line = 0;
+
+  function emit(text) {
+    line++;
+    if (text.trim() !== '') onRecord(text, line);
+  }
+
+  return {
+    write(text) {
+      const lines = (rest + text).split('\n');
+      rest = lines.pop();
+      lines.forEach(emit);
+    },
+
+    end() {
+      if (rest !== '') emit(rest);
+    }
+  };
+}
+
+function uploadFormat(req) {
+  if (req.is('text/csv')) return 'csv';
+  if (req.is(['application/x-ndjson', 'application/ndjson'])) return 'ndjson';
+  throw new ProblemError('UNSUPPORTED_MEDIA_TYPE',
+    `Send the rows as ${FORMATS.csv} or ${FORMATS.ndjson}, not ${req.get('Content-Type') || 'no content type'}`);
+}
+
+// Rows of the upload as { row, values } or { row, errors }
+async function readRows(req) {
+  const format = uploadFormat(req);
+  const rows = [];
+  let header = null;
+
+  function add(row) {
+    if (rows.length === MAX_IMPORT_ROWS) {
+      throw new ProblemError('PAYLOAD_TOO_LARGE', `Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+    rows.push(row);
+  }
+
+  const parser = format === 'csv'
+    ? createCsvParser((cells, line) => {
+      if (!header) {
+        header = cells.map(name => name.trim());
+        return;
+      }
+      if (cells.length !== header.length) {
+        return add({ row: line, errors: [{ field: '', message: `has ${cells.length} fields, the header ${header.length}` }] });
+      }
+      const values = {};
+      header.forEach((name, i) => {
+        if (cells[i] !== '') values[name] = cells[i];
+      });
+      add({ row: line, values });
+    })
+    : createNdjsonParser((text, line) => {
+      let values;
+      try {
+        values = JSON.parse(text);
+      } catch (error) {
+        return add({ row: line, errors: [{ field: '', message: 'is not valid JSON' }] });
+      }
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        return add({ row: line, errors: [{ field: '', message: 'must be a JSON object' }] });
+      }
+      add({ row: line, values });
+    });
+
+  const decoder = new StringDecoder('utf8');
+  let bytes = 0;
+  let first = true;
+  for await (const chunk of req) {
+    bytes += chunk.length;
+    if (bytes > MAX_IMPORT_BYTES) {
+      throw new ProblemError('PAYLOAD_TOO_LARGE', `Imports are limited to ${MAX_IMPORT_BYTES} bytes`);
+    }
+    let text = decoder.write(chunk);
+    if (first && text) {
+      // Spreadsheets like to start CSV files with a byte order mark
+      text = text.replace(/^\uFEFF/, '');
+      first = false;
+    }
+    parser.write(text);
+  }
+  parser.write(decoder.end());
+  parser.end();
+  return rows;
+}
+
+// Import the rows of req. `rules` checks a row (every field optional; CSV
+// cells are converted like query values); fields in `ignore` are dropped
+// first, e.g. the read-only columns of an export. `key(values)` names the
+// record a row is about (null when it names none), so a file cannot name
+// one twice. prepare(values) returns { errors } or { action: 'created' |
+// 'updated' | 'unchanged', id, apply }, apply() writing the row and
+// returning the record; apply() must not fail. The plans are made and
+// applied in one synchronous step, so nothing changes in between: slow work
+// on a row, like hashing a password, goes in the optional async
+// load(values), which returns the values to plan with.
+async function runImport(req, { rules, ignore = [], key, load, prepare }) {
+  const { dryRun = false, mode = 'atomic' } = req.valid.query;
+  const rows = await readRows(req);
+  const seen = new Map();
+
+  const results = [];
+  const accepted = [];
+  for (const { row, values, errors } of rows) {
+    if (errors) {
+      results.push({ row, action: 'failed', errors });
+      continue;
+    }
+    const input = Object.fromEntries(Object.entries(values).filter(([name]) => !ignore.includes(name)));
+    const checked = checkFields(input, rules, '', true);
+    if (checked.errors.length > 0) {
+      results.push({ row, action: 'failed', errors: checked.errors });
+      continue;
+    }
+
+    const name = key(checked.values);
+    if (name !== null && seen.has(name)) {
+      results.push({ row, action: 'failed', errors: [{ field: '', message: `names the same record as row ${seen.get(name)}` }] });
+      continue;
+    }
+    if (name !== null) seen.set(name, row);
+
+    const result = { row };
+    results.push(result);
+    accepted.push({ result, values: load ? await load(checked.values) : checked.values });
+  }
+
+  // No awaits from here on
+  for (const { result, values } of accepted) {
+    const plan = prepare(values);
+    Object.assign(result, plan.errors ? { action: 'failed', errors: plan.errors } : plan);
+  }
+
+  const failed = results.filter(result => result.action === 'failed');
+  if (!dryRun && mode === 'atomic' && failed.length > 0) {
+    const errors = failed.flatMap(({ row, errors }) =>
+      errors.map(error => ({ location: 'body', row, ...error })));
+    throw new ProblemError('VALIDATION_FAILED',
+      `${failed.length} of ${results.length} row(s) are invalid; nothing was imported`, { errors });
+  }
+
+  const report = { dryRun, mode, total: results.length, created: 0, updated: 0, unchanged: 0, failed: failed.length };
+  report.rows = results.map(({ apply, ...result }) => {
+    if (result.action !== 'failed') report[result.action]++;
+    if (!dryRun && apply && result.action !== 'unchanged') result.id = apply().id;
+    return result;
+  });
+  return report;
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Stream records to res as CSV (with `columns` as header) or NDJSON,
+// as `<name>.csv` / `<name>.ndjson`. ?fields narrows the columns.
+function sendExport(req, res, records, { name, columns }) {
+  const { format = 'csv', fields } = req.valid.query;
+  const selected = fields ? columns.filter(column => fields.includes(column)) : columns;
+
+  res.type(FORMATS[format]);
+  res.set('Content-Disposition', `attachment; filename="${name}.${format}"`);
+
+  function* lines() {
+    if (format === 'csv') yield selected.join(',') + '\r\n';
+    for (const record of records) {
+      yield format === 'csv'
+        ? selected.map(column => csvCell(record[column])).join(',') + '\r\n'
+        : JSON.stringify(Object.fromEntries(selected.map(column => [column, record[column] ?? null]))) + '\n';
+    }
+  }
+  Readable.from(lines()).pipe(res);
+}
+
+module.exports = {
+  EXPORT_FORMATS: FORMATS,
+  importQuery,
+  exportQuery,
+  importReport,
+  runImport,
+  sendExport
+};
@@ -0,0 +1,17 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context (trace and request IDs) available anywhere in the
+// asynchronous call chain of a request. Set by tracing.js, read by the logger
+// and by code making outgoing calls.
+
+const storage = new AsyncLocalStorage();
+
+function runWithContext(context, callback) {
+  return storage.run(context, callback);
+}
+
+function currentContext() {
+  return storage.getStore() || null;
+}
+
+module.exports = { runWithContext, currentContext };
@@ -0,0 +1,214 @@
+// Interactive API reference served at /docs (see openapi.js).
+//
+// A single self-contained page: it loads the OpenAPI document from specUrl,
+// lists the operations by tag and lets the reader send requests with their
+// own parameters, body and access token (kept in localStorage). No external
+// scripts or styles are loaded.
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+const STYLE = `
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { background: #24292f; color: #fff; padding: 12px 24px; display: flex; gap: 16px; align-items: center; flex-wrap: wrap; }
+  header h1 { font-size: 18px; margin: 0; flex: 1; }
+  header input { padding: 4px 8px; border-radius: 4px; border: 0; min-width: 240px; }
+  main { max-width: 1100px; margin: 0 auto; padding: 16px 24px; }
+  h2 { text-transform: capitalize; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+  details { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; margin: 6px 0; }
+  summary { cursor: pointer; padding: 8px 12px; font-family: ui-monospace, monospace; }
+  summary .method { display: inline-block; width: 64px; font-weight: bold; text-transform: uppercase; }
+  summary .text { font-family: system-ui, sans-serif; color: #57606a; margin-left: 12px; }
+  .get { color: #0969da; } .post { color: #1a7f37; } .put, .patch { color: #9a6700; } .delete { color: #cf222e; }
+  .body { padding: 0 12px 12px; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+  td, th { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+  td input { width: 100%; box-sizing: border-box; }
+  textarea { width: 100%; box-sizing: border-box; min-height: 120px; font-family: ui-monospace, monospace; }
+  pre { background: #f6f8fa; padding: 8px; overflow: auto; max-height: 400px; white-space: pre-wrap; }
+  button { padding: 4px 16px; cursor: pointer; }
+  .muted { color: #57606a; }
+  .lock { color: #9a6700; }
+`;
+
+const SCRIPT = `
+  const specUrl = document.currentScript.dataset.spec;
+  const tokenInput = document.getElementById('token');
+  const filterInput = document.getElementById('filter');
+  const main = document.querySelector('main');
+  tokenInput.value = localStorage.getItem('apiDocsToken') || '';
+  tokenInput.addEventListener('change', () => localStorage.setItem('apiDocsToken', tokenInput.value.trim()));
+
+  // Element with attributes and children; strings become text nodes
+  function el(tag, attributes, ...children) {
+    const node = document.createElement(tag);
+    Object.entries(attributes || {}).forEach(([name, value]) => node.setAttribute(name, value));
+    children.flat().forEach(child => {
+      if (child !== null && child !== undefined) node.append(child instanceof Node ? child : String(child));
+    });
+    return node;
+  }
+
+  function resolve(spec, value) {
+    while (value && value.$ref) {
+      value = value.$ref.slice(2).split('/').reduce((node, key) => node && node[key], spec);
+    }
+    return value;
+  }
+
+  // A plausible value for a schema, to start a request body from
+  function example(spec, schema, depth = 0) {
+    schema = resolve(spec, schema) || {};
+    if (schema.enum) return schema.enum[0];
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    switch (type) {
+      case 'object':
+        if (depth > 5) return {};
+        return Object.fromEntries(Object.entries(schema.properties || {})
+          .map(([name, property]) => [name, example(spec, property, depth + 1)]));
+      case 'array': return depth > 5 ? [] : [example(spec, schema.items, depth + 1)];
+      case 'integer': return schema.minimum !== undefined ? schema.minimum : 1;
+      case 'number': return schema.minimum !== undefined ? schema.minimum : 1.5;
+      case 'boolean': return true;
+      case 'string': return schema.format === 'email' ? 'user@example.com' : 'string';
+      default: return null;
+    }
+  }
+
+  function describeSchema(schema) {
+    if (!schema) return '';
+    const type = Array.isArray(schema.type) ? schema.type.join(' | ') : schema.type || '';
+    const items = schema.items && schema.items.enum ? ' of ' + schema.items.enum.join(', ') : '';
+    const values = schema.enum ? ': ' + schema.enum.filter(value => value !== null).join(', ') : '';
+    return type + items + values;
+  }
+
+  async function send(spec, method, path, inputs, body, output) {
+    let url = path;
+    const query = new URLSearchParams();
+    for (const { parameter, input } of inputs) {
+      const value = input.value.trim();
+      if (parameter.in === 'path') url = url.replace('{' + parameter.name + '}', encodeURIComponent(value));
+      else if (value) query.set(parameter.name, value);
+    }
+    const search = query.toString().replace(/%2C/g, ',');
+    const headers = { accept: 'application/json' };
+    if (tokenInput.value.trim()) headers.authorization = 'Bearer ' + tokenInput.value.trim();
+    const options = { method: method.toUpperCase(), headers };
+    if (body) {
+      headers['content-type'] = body.type;
+      options.body = body.input.value;
+    }
+
+    output.textContent = 'Sending...';
+    const started = performance.now();
+    try {
+      const response = await fetch(url + (search ? '?' + search : ''), options);
+      const text = await response.text();
+      let body = text;
+      try { body = JSON.stringify(JSON.parse(text), null, 2); } catch (error) { /* not JSON */ }
+      const lines = [response.status + ' ' + response.statusText + ' (' + Math.round(performance.now() - started) + ' ms)'];
+      response.headers.forEach((value, name) => lines.push(name + ': ' + value));
+      output.textContent = lines.join('\\n') + '\\n\\n' + body;
+    } catch (error) {
+      output.textContent = 'Request failed: ' + error.message;
+    }
+  }
+
+  function renderOperation(spec, method, path, operation) {
+    const parameters = (operation.parameters || []).map(parameter => resolve(spec, parameter));
+    const inputs = parameters.map(parameter => ({ parameter, input: el('input', { placeholder: parameter.required ? 'required' : '' }) }));
+    // JSON bodies start from an example; others (CSV, ...) from nothing
+    const content = operation.requestBody && resolve(spec, operation.requestBody).content;
+    const body = content && { type: Object.keys(content)[0], input: el('textarea', {}) };
+    if (body && body.type === 'application/json') {
+      body.input.value = JSON.stringify(example(spec, content[body.type].schema), null, 2);
+    }
+    const output = el('pre', { class: 'muted' }, 'No request sent yet');
+    const button = el('button', {}, 'Send');
+    button.addEventListener('click', () => send(spec, method, path, inputs, body, output));
+
+    const secured = (operation.security || spec.security || []).every(requirement => Object.keys(requirement).length > 0);
+    const statuses = Object.keys(operation.responses || {}).join(', ');
+
+    return el('details', { 'data-search': (method + ' ' + path + ' ' + (operation.summary || '')).toLowerCase() },
+      el('summary', {},
+        el('span', { class: 'method ' + method }, method),
+        path,
+        operation.summary ? el('span', { class: 'text' }, operation.summary) : null,
+        secured ? el('span', { class: 'lock', title: 'Requires an access token' }, ' \\u{1F512}') : null),
+      el('div', { class: 'body' },
+        operation.description ? el('p', {}, operation.description) : null,
+        el('p', { class: 'muted' }, 'Operation ', el('code', {}, operation.operationId || ''),
+          operation['x-access'] ? ' - access: ' + operation['x-access'] : '',
+          ' - responses: ' + statuses),
+        inputs.length > 0 ? el('table', {},
+          el('tr', {}, el('th', {}, 'Parameter'), el('th', {}, 'In'), el('th', {}, 'Type'), el('th', {}, 'Value')),
+          inputs.map(({ parameter, input }) => el('tr', {},
+            el('td', {}, parameter.name + (parameter.required ? ' *' : '')),
+            el('td', {}, parameter.in),
+            el('td', { class: 'muted' }, describeSchema(parameter.schema)),
+            el('td', {}, input)))) : null,
+        body ? [el('p', {}, 'Body (' + body.type + ')'), body.input] : null,
+        el('p', {}, button),
+        output));
+  }
+
+  function render(spec) {
+    document.title = spec.info.title;
+    document.querySelector('h1').textContent = spec.info.title + ' ' + spec.info.version;
+    main.textContent = '';
+    if (spec.info.description) main.append(el('p', {}, spec.info.description));
+
+    const byTag = new Map();
+    Object.entries(spec.paths).forEach(([path, item]) => {
+      ['get', 'post', 'put', 'patch', 'delete'].forEach(method => {
+        if (!item[method]) return;
+        const tag = (item[method].tags || ['default'])[0];
+        if (!byTag.has(tag)) byTag.set(tag, []);
+        byTag.get(tag).push(renderOperation(spec, method, path, item[method]));
+      });
+    });
+    byTag.forEach((operations, tag) => main.append(el('section', {}, el('h2', {}, tag), operations)));
+  }
+
+  filterInput.addEventListener('input', () => {
+    const text = filterInput.value.trim().toLowerCase();
+    document.querySelectorAll('details').forEach(node => {
+      node.hidden = text !== '' && !node.dataset.search.includes(text);
+    });
+  });
+
+  fetch(specUrl, { headers: { accept: 'application/json' } })
+    .then(response => {
+      if (!response.ok) throw new Error(specUrl + ' answered ' + response.status);
+      return response.json();
+    })
+    .then(render)
+    .catch(error => { main.textContent = 'Could not load the API description: ' + error.message; });
+`;
+
+function renderDocsPage({ title, specUrl }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <input id="filter" type="search" placeholder="Filter operations">
+  <input id="token" type="password" placeholder="Access token (Bearer)" autocomplete="off">
+</header>
+<main><p class="muted">Loading ${escapeHtml(specUrl)}...</p></main>
+<script data-spec="${escapeHtml(specUrl)}">${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDocsPage };
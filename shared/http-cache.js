@@ -0,0 +1,38 @@
+// Conditional GET support shared by the services.
+//
+// Express computes an ETag from every response body; enableConditionalGet()
+// makes it a strong one. Handlers add Last-Modified with setLastModified().
+// Express then answers If-None-Match / If-Modified-Since requests that still
+// match with 304 Not Modified and no body.
+//
+// Versioned records use their version as ETag instead (versionTag()), which
+// writes check against If-Match with ifMatch() to catch lost updates. A
+// record whose representation also changes for other reasons (a product's
+// price under a promotion) adds a variant to the tag, which still matches
+// its version.
+
+function enableConditionalGet(app) {
+  app.set('etag', 'strong');
+}
+
+// timestamp: Date or ISO string; HTTP dates have a one-second resolution
+function setLastModified(res, timestamp) {
+  if (!timestamp) return;
+  res.set('Last-Modified', new Date(timestamp).toUTCString());
+}
+
+// Strong entity tag for a record version, and an optional variant of it
+function versionTag(version, variant) {
+  return variant ? `"${version}-${variant}"` : `"${version}"`;
+}
+
+// False when the request sends If-Match and none of its tags is etag or a
+// variant of it. Only strong tags can match (RFC 9110 strong comparison).
+function ifMatch(req, etag) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return true;
+  const variantPrefix = etag.slice(0, -1) + '-';
+  return header.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag.startsWith(variantPrefix));
+}
+
+module.exports = { enableConditionalGet, setLastModified, versionTag, ifMatch };
@@ -0,0 +1,145 @@
+// Liveness / readiness probes and graceful shutdown, shared by all services.
+//
+// On SIGTERM or SIGINT the service reports itself not ready, runs its
+// shutdown hooks (e.g. deregistering from the gateway), stops accepting
+// connections and waits for in-flight requests to finish. Whatever is still
+// running after SHUTDOWN_TIMEOUT_MS is cut off and the process exits, so a
+// PM2 restart drains requests instead of dropping them.
+
+const logger = require('./logger');
+
+const DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+
+function createLifecycle({ service, shutdownTimeout } = {}) {
+  const deadline = shutdownTimeout ||
+    parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || DEFAULT_SHUTDOWN_TIMEOUT;
+  const readinessChecks = [];
+  const shutdownHooks = [];
+
+  let ready = false;
+  let shuttingDown = false;
+  let inFlight = 0;
+  let drained = null;
+
+  function notifyIfDrained() {
+    if (shuttingDown && inFlight === 0 && drained) drained();
+  }
+
+  const lifecycle = {
+    get ready() {
+      return ready && !shuttingDown;
+    },
+
+    get inFlight() {
+      return inFlight;
+    },
+
+    // Extra readiness condition; return true/false or throw
+    addReadinessCheck(name, check) {
+      readinessChecks.push({ name, check });
+    },
+
+    onShutdown(hook) {
+      shutdownHooks.push(hook);
+    },
+
+    // Middleware counting requests in flight; register it first
+    track(req, res, next) {
+      inFlight++;
+      let finished = false;
+      const done = () => {
+        if (finished) return;
+        finished = true;
+        inFlight--;
+        notifyIfDrained();
+      };
+      res.on('finish', done);
+      res.on('close', done);
+
+      // Ask keep-alive clients to reconnect elsewhere while draining
+      if (shuttingDown) res.set('Connection', 'close');
+      next();
+    },
+
+    // GET /health/live - the process is up and serving HTTP
+    liveHandler(req, res) {
+      res.json({
+        status: 'live',
+        service,
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime()
+      });
+    },
+
+    // GET /health/ready - the service should receive traffic
+    async readyHandler(req, res) {
+      const checks = {};
+      let ok = lifecycle.ready;
+
+      for (const { name, check } of readinessChecks) {
+        try {
+          checks[name] = (await check()) ? 'ok' : 'failing';
+        } catch (error) {
+          checks[name] = `failing: ${error.message}`;
+        }
+        if (checks[name] !== 'ok') ok = false;
+      }
+
+      res.status(ok ? 200 : 503).json({
+        status: ok ? 'ready' : (shuttingDown ? 'shutting-down' : 'not-ready'),
+        service,
+        timestamp: new Date().toISOString(),
+        inFlight,
+        checks
+      });
+    },
+
+    // Start the HTTP server and install the signal handlers
+    listen(app, port, host, onListening) {
+      const server = app.listen(port, host, () => {
+        ready = true;
+        if (onListening) onListening(server);
+      });
+
+      async function shutdown(signal) {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        logger.info('Shutdown signal received, draining requests', { signal, inFlight });
+
+        for (const hook of shutdownHooks) {
+          try {
+            await hook();
+          } catch (error) {
+            logger.error('Error in shutdown hook', { error });
+          }
+        }
+
+        server.close();
+        server.closeIdleConnections();
+
+        const timer = setTimeout(() => {
+          logger.warn('Shutdown deadline reached with requests still in flight', { inFlight });
+          server.closeAllConnections();
+          process.exit(1);
+        }, deadline);
+        timer.unref();
+
+        await new Promise(resolve => {
+          drained = resolve;
+          notifyIfDrained();
+        });
+
+        logger.info('All requests drained, exiting');
+        process.exit(0);
+      }
+
+      process.once('SIGTERM', () => shutdown('SIGTERM'));
+      process.once('SIGINT', () => shutdown('SIGINT'));
+      return server;
+    }
+  };
+
+  return lifecycle;
+}
+
+module.exports = { createLifecycle };
@@ -0,0 +1,61 @@
+const { currentContext } = require('./context');
+
+// Structured JSON logger, one object per line on stdout:
+//
+//   {"timestamp":"...","level":"info","service":"users-service",
+//    "traceId":"...","requestId":"...","tenant":"...","message":"...", ...fields}
+//
+// The service name is set once at startup with configure(); LOG_LEVEL
+// (debug, info, warn, error) sets the minimum level. Trace fields and the
+// tenant come from the current request context, or from bindings given to
+// child().
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const settings = {
+  service: 'unknown',
+  threshold: LEVELS[process.env.LOG_LEVEL] || LEVELS.info
+};
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+function write(level, bindings, message, fields = {}) {
+  if (LEVELS[level] < settings.threshold) return;
+
+  const context = currentContext();
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    service: settings.service,
+    ...(context ? { traceId: context.traceId, requestId: context.requestId, tenant: context.tenant } : {}),
+    ...bindings,
+    message
+  };
+
+  Object.entries(fields).forEach(([name, value]) => {
+    entry[name] = value instanceof Error ? serializeError(value) : value;
+  });
+
+  process.stdout.write(JSON.stringify(entry) + '\n');
+}
+
+function createLogger(bindings = {}) {
+  return {
+    debug: (message, fields) => write('debug', bindings, message, fields),
+    info: (message, fields) => write('info', bindings, message, fields),
+    warn: (message, fields) => write('warn', bindings, message, fields),
+    error: (message, fields) => write('error', bindings, message, fields),
+    child: (moreBindings) => createLogger({ ...bindings, ...moreBindings })
+  };
+}
+
+const logger = createLogger();
+
+logger.configure = ({ service, level }) => {
+  if (service) settings.service = service;
+  if (level && LEVELS[level]) settings.threshold = LEVELS[level];
+};
+
+module.exports = logger;
@@ -0,0 +1,206 @@
+// Prometheus metrics in the text exposition format, shared by all services.
+//
+// createMetrics() gives each app a registry with HTTP request metrics
+// (count, latency histogram and in-flight gauge, labelled by route template,
+// method and status) and process metrics. Apps add their own counters,
+// gauges and histograms; gauges can compute their value at scrape time.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return '{' + entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',') + '}';
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    Object.assign(this, { name, help, labelNames, type: 'counter' });
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(this.labelNames, labels);
+    const entry = this.values.get(key) || { labels: pickLabels(this.labelNames, labels), value: 0 };
+    entry.value += amount;
+    this.values.set(key, entry);
+  }
+
+  samples() {
+    return [...this.values.values()].map(({ labels, value }) => ({ name: this.name, labels, value }));
+  }
+}
+
+class Gauge extends Counter {
+  // collect() may return a number (unlabelled) or [{ labels, value }]
+  constructor(name, help, labelNames = [], collect = null) {
+    super(name, help, labelNames);
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, { labels: pickLabels(this.labelNames, labels), value });
+  }
+
+  dec(labels = {}, amount = 1) {
+    this.inc(labels, -amount);
+  }
+
+  samples() {
+    if (!this.collect) return super.samples();
+
+    const collected = this.collect();
+    if (typeof collected === 'number') {
+      return [{ name: this.name, labels: {}, value: collected }];
+    }
+    return collected.map(({ labels, value }) => ({
+      name: this.name,
+      labels: pickLabels(this.labelNames, labels),
+      value
+    }));
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    Object.assign(this, { name, help, labelNames, type: 'histogram' });
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.values = new Map();
+  }
+
+  observe(labels, value) {
+    const key = labelKey(this.labelNames, labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = {
+        labels: pickLabels(this.labelNames, labels),
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      };
+      this.values.set(key, entry);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // Returns a function that observes the seconds elapsed when called
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  samples() {
+    const samples = [];
+    this.values.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: String(bound) }, value: counts[i] });
+      });
+      samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+      samples.push({ name: `${this.name}_sum`, labels, value: sum });
+      samples.push({ name: `${this.name}_count`, labels, value: count });
+    });
+    return samples;
+  }
+}
+
+// Route template for a finished request: what the app recorded in
+// res.locals.routeTemplate, else the matched Express route, else "unmatched"
+// so unknown URLs cannot blow up label cardinality.
+function routeTemplate(req, res) {
+  if (res.locals && res.locals.routeTemplate) return res.locals.routeTemplate;
+  if (req.route && req.route.path) return (req.baseUrl || '') + req.route.path;
+  return 'unmatched';
+}
+
+function createMetrics({ service } = {}) {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  const registry = {
+    counter: (name, help, labelNames) => register(new Counter(name, help, labelNames)),
+    gauge: (name, help, labelNames, collect) => register(new Gauge(name, help, labelNames, collect)),
+    histogram: (name, help, labelNames, buckets) => register(new Histogram(name, help, labelNames, buckets)),
+
+    render() {
+      const lines = [];
+      metrics.forEach(metric => {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        metric.samples().forEach(({ name, labels, value }) => {
+          lines.push(`${name}${formatLabels({ service, ...labels })} ${value}`);
+        });
+      });
+      return lines.join('\n') + '\n';
+    }
+  };
+
+  const requests = registry.counter('http_requests_total',
+    'HTTP requests handled', ['method', 'route', 'status']);
+  const duration = registry.histogram('http_request_duration_seconds',
+    'HTTP request latency in seconds', ['method', 'route', 'status']);
+  const inFlight = registry.gauge('http_requests_in_flight',
+    'HTTP requests currently being handled');
+
+  registry.gauge('process_uptime_seconds', 'Process uptime in seconds', [], () => process.uptime());
+  registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [],
+    () => process.memoryUsage().rss);
+  registry.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', [],
+    () => process.memoryUsage().heapUsed);
+
+  // Middleware recording the HTTP metrics; register it early
+  registry.middleware = (req, res, next) => {
+    const stopTimer = duration.startTimer();
+    let recorded = false;
+    inFlight.inc();
+
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      inFlight.dec();
+
+      const labels = { method: req.method, route: routeTemplate(req, res), status: res.statusCode };
+      requests.inc(labels);
+      stopTimer(labels);
+    };
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+  };
+
+  // GET /metrics
+  registry.handler = (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(registry.render());
+  };
+
+  return registry;
+}
+
+module.exports = { createMetrics, routeTemplate };
@@ -0,0 +1,248 @@
+const http = require('http');
+const { PROBLEMS, CONTENT_TYPE: PROBLEM_CONTENT_TYPE } = require('./problem');
+const { renderDocsPage } = require('./docs-page');
+
+// OpenAPI 3.1 documents generated from the routes of an Express app.
+//
+// Every route registered with app.get(), app.post(), ... is an operation.
+// Routes validated with validate(schema) (see validation.js) take their path
+// and query parameters and their JSON request body from the schema, and
+// their responses from its optional `responses` map of status to rule:
+//
+//   getUser: {
+//     summary: 'Get a user',
+//     params: { id: { type: 'integer', min: 1, required: true } },
+//     responses: { 200: user }
+//   }
+//
+// Routes reading a body other than JSON list its media types in `rawBody`;
+// a response rule with `mediaTypes` is a body of those types rather than
+// JSON.
+//
+// The operation ID is the schema's name in the `schemas` map given, its tag
+// the first segment of the path. Every operation may answer with a problem
+// (problem.js), documented as the `default` response.
+//
+// serveOpenApi() publishes the document at /openapi.json and an interactive
+// page for it at /docs.
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Tag of the routes without a schema: health, metrics, the docs themselves
+const SERVICE_TAG = 'service';
+
+// Validation rule to JSON Schema. Request objects are closed, as validate()
+// rejects unknown fields; response objects may gain members.
+function toJsonSchema(rule, { request = false } = {}) {
+  let schema;
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+      schema = { type: 'string' };
+      if (rule.type === 'email') schema.format = 'email';
+      if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+      if (rule.maxLength !== undefined || rule.type === 'email') schema.maxLength = rule.maxLength || 254;
+      if (rule.pattern) schema.pattern = rule.pattern.source;
+      break;
+    case 'integer':
+    case 'number':
+      schema = { type: rule.type };
+      if (rule.min !== undefined) schema.minimum = rule.min;
+      if (rule.exclusiveMin !== undefined) schema.exclusiveMinimum = rule.exclusiveMin;
+      if (rule.max !== undefined) schema.maximum = rule.max;
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'array':
+    case 'list':
+      schema = { type: 'array' };
+      if (rule.items) schema.items = toJsonSchema(rule.items, { request });
+      if (rule.minItems !== undefined) schema.minItems = rule.minItems;
+      if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+      break;
+    case 'object':
+      schema = rule.properties ? objectSchema(rule.properties, { request }) : { type: 'object' };
+      if (rule.values) schema.additionalProperties = toJsonSchema(rule.values, { request });
+      break;
+    default:
+      throw new Error(`Unknown schema type "${rule.type}"`);
+  }
+
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.description) schema.description = rule.description;
+  if (rule.nullable) {
+    schema.type = [schema.type, 'null'];
+    if (schema.enum) schema.enum = [...schema.enum, null];
+  }
+  return schema;
+}
+
+function objectSchema(rules, { request = false } = {}) {
+  const required = Object.keys(rules).filter(name => rules[name].required);
+  const schema = {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(rules).map(([name, rule]) => [name, toJsonSchema(rule, { request })]))
+  };
+  if (required.length > 0) schema.required = required;
+  if (request) schema.additionalProperties = false;
+  return schema;
+}
+
+// Response rule of a body with a message and the given members
+function withMessage(properties) {
+  return {
+    type: 'object',
+    properties: {
+      message: { type: 'string', required: true },
+      ...properties
+    }
+  };
+}
+
+function parameters(location, rules = {}) {
+  return Object.entries(rules).map(([name, rule]) => {
+    const parameter = {
+      name,
+      in: location,
+      required: location === 'path' || Boolean(rule.required),
+      schema: toJsonSchema(rule, { request: true })
+    };
+    if (rule.description) parameter.description = rule.description;
+    // Lists are comma-separated: ?fields=id,name
+    if (rule.type === 'list') Object.assign(parameter, { style: 'form', explode: false });
+    return parameter;
+  });
+}
+
+function responses(rules = {}) {
+  const result = {};
+  Object.entries(rules).forEach(([status, rule]) => {
+    const { mediaTypes = ['application/json'], ...schema } = rule;
+    result[status] = {
+      description: http.STATUS_CODES[status] || 'Response',
+      content: Object.fromEntries(mediaTypes.map(type => [type, { schema: toJsonSchema(schema) }]))
+    };
+  });
+  if (Object.keys(result).length === 0) result['200'] = { description: 'OK' };
+  result.default = { $ref: '#/components/responses/Problem' };
+  return result;
+}
+
+// `/users/:id` to `/users/{id}`
+function templatePath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// getHealthLive for GET /health/live
+function defaultOperationId(method, path) {
+  const words = path.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return method + (words.length > 0 ? words : ['root'])
+    .map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+// { method, path, schema } of every route registered on the app
+function appRoutes(app) {
+  const found = [];
+  app.router.stack.forEach(layer => {
+    const route = layer.route;
+    if (!route || typeof route.path !== 'string') return;
+
+    const validator = route.stack.find(entry => entry.handle.schema);
+    Object.keys(route.methods).filter(method => METHODS.includes(method)).forEach(method => {
+      found.push({ method, path: route.path, schema: validator ? validator.handle.schema : null });
+    });
+  });
+  return found;
+}
+
+const PROBLEM_SCHEMA = {
+  type: 'object',
+  description: 'RFC 7807 problem details; problems may add members of their own',
+  properties: {
+    type: { type: 'string' },
+    title: { type: 'string' },
+    status: { type: 'integer' },
+    code: { type: 'string', enum: Object.keys(PROBLEMS) },
+    detail: { type: 'string' },
+    instance: { type: 'string' },
+    requestId: { type: 'string' }
+  },
+  required: ['type', 'title', 'status', 'code']
+};
+
+// OpenAPI document of app. `paths` adds operations the app's own route list
+// does not show, e.g. those of mounted routers.
+function createDocument(app, { title, version, description, schemas = {}, paths = {} }) {
+  const names = new Map(Object.entries(schemas).map(([name, schema]) => [schema, name]));
+  const operationIds = new Set();
+  const document = {
+    openapi: '3.1.0',
+    info: { title, version, ...(description && { description }) },
+    paths: {},
+    components: {
+      schemas: { Problem: PROBLEM_SCHEMA },
+      responses: {
+        Problem: {
+          description: 'Error',
+          content: { [PROBLEM_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/Problem' } } }
+        }
+      }
+    }
+  };
+
+  appRoutes(app).forEach(({ method, path, schema }) => {
+    let operationId = (schema && names.get(schema)) || defaultOperationId(method, path);
+    // The same schema may validate several routes
+    if (operationIds.has(operationId)) operationId = defaultOperationId(method, path);
+    operationIds.add(operationId);
+
+    const operation = {
+      operationId,
+      tags: [schema ? path.split('/')[1] || SERVICE_TAG : SERVICE_TAG]
+    };
+    if (schema) {
+      if (schema.summary) operation.summary = schema.summary;
+      if (schema.description) operation.description = schema.description;
+      const params = [...parameters('path', schema.params), ...parameters('query', schema.query)];
+      if (params.length > 0) operation.parameters = params;
+      if (schema.body) {
+        operation.requestBody = {
+          required: true,
+          content: { 'application/json': { schema: objectSchema(schema.body, { request: true }) } }
+        };
+      } else if (schema.rawBody) {
+        operation.requestBody = {
+          required: true,
+          content: Object.fromEntries(schema.rawBody.map(type => [type, { schema: { type: 'string' } }]))
+        };
+      }
+    }
+    operation.responses = responses(schema ? schema.responses : undefined);
+
+    const template = templatePath(path);
+    document.paths[template] = { ...document.paths[template], [method]: operation };
+  });
+
+  Object.entries(paths).forEach(([path, item]) => {
+    document.paths[path] = { ...document.paths[path], ...item };
+  });
+  return document;
+}
+
+// GET /openapi.json and GET /docs. The document is built on first request,
+// when every route has been registered.
+function serveOpenApi(app, options) {
+  let document = null;
+
+  app.get('/openapi.json', (req, res) => {
+    if (!document) document = createDocument(app, options);
+    res.json(document);
+  });
+
+  app.get('/docs', (req, res) => {
+    res.type('html').send(renderDocsPage({ title: options.title, specUrl: '/openapi.json' }));
+  });
+}
+
+module.exports = { createDocument, serveOpenApi, toJsonSchema, withMessage };
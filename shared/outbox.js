@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { currentContext } = require('./context');
+const { currentTenant } = require('./tenancy');
+const logger = require('./logger');
+
+// Transactional outbox for domain events.
+//
+// Repositories add an event to the outbox collection in the same synchronous
+// step as the write it describes, so both reach storage before the request
+// is answered and neither without the other short of a crash between the two
+// appends. The relay then publishes outbox entries to the broker in order and
+// removes them once published. Entries left over by a crash or a broker
+// outage are published after the restart or once the broker is back:
+// delivery is at least once, and consumers dedupe by event `id`.
+//
+// Events:
+//
+//   { "id": "<uuid>", "type": "product.updated", "source": "products-service",
+//     "tenant": "default", "subject": "products/4", "time": "...",
+//     "requestId": "...", "data": { ... } }
+//
+// A service keeps one outbox for all its tenants; `tenant` is the tenant
+// whose records the event is about.
+
+const RELAY_INTERVAL = 1000;
+
+function createOutbox(store, { source }) {
+  const entries = store.collection('outbox');
+  let onAdd = null;
+
+  return {
+    source,
+
+    // Record an event; `subject` names the resource it is about
+    add(type, data, { subject } = {}) {
+      const context = currentContext();
+      const event = {
+        id: crypto.randomUUID(),
+        type,
+        source,
+        tenant: currentTenant(),
+        subject: subject || null,
+        time: new Date().toISOString(),
+        requestId: context ? context.requestId : null,
+        data
+      };
+      entries.put({ id: entries.nextId(), event });
+      if (onAdd) onAdd();
+      return event;
+    },
+
+    // Oldest first
+    pending() {
+      return entries.all().sort((a, b) => a.id - b.id);
+    },
+
+    count() {
+      return entries.count();
+    },
+
+    markPublished(entry) {
+      entries.remove(entry.id);
+    },
+
+    // Called after every add, so the relay does not wait for its next tick
+    onAdd(callback) {
+      onAdd = callback;
+    }
+  };
+}
+
+// Publish outbox entries to broker until stopped. Stops at the first failure
+// to keep events in order and retries on the next tick.
+function startRelay({ outbox, broker, metrics = null, interval = RELAY_INTERVAL }) {
+  const published = metrics && metrics.counter('events_published_total',
+    'Domain events published to the broker', ['type']);
+  if (metrics) {
+    metrics.gauge('events_outbox_pending', 'Events in the outbox waiting to be published', [], () => outbox.count());
+  }
+
+  let running = null;
+  let again = false;
+
+  async function flush() {
+    for (const entry of outbox.pending()) {
+      try {
+        await broker.publish(entry.event);
+      } catch (error) {
+        logger.warn('Publishing event failed, will retry', {
+          eventType: entry.event.type,
+          eventId: entry.event.id,
+          broker: broker.driver,
+          error: error.message
+        });
+        return;
+      }
+      outbox.markPublished(entry);
+      if (published) published.inc({ type: entry.event.type });
+    }
+  }
+
+  // One flush at a time; a run requested during one starts after it
+  function run() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = flush().finally(() => {
+      running = null;
+      if (again) {
+        again = false;
+        run();
+      }
+    });
+    return running;
+  }
+
+  outbox.onAdd(() => setImmediate(run));
+  const timer = setInterval(run, interval);
+  timer.unref();
+  run();
+
+  return {
+    flush: run,
+    stop() {
+      clearInterval(timer);
+      outbox.onAdd(null);
+      return running || Promise.resolve();
+    }
+  };
+}
+
+module.exports = { createOutbox, startRelay };
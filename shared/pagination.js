@@ -0,0 +1,228 @@
+const { ProblemError } = require('./problem');
+
+// Paging, sorting and sparse fieldsets for list endpoints.
+//
+//   ?limit=20&offset=40         offset paging
+//   ?limit=20&cursor=<opaque>   cursor paging, stable while records change
+//   ?sort=price,-createdAt      sort keys, `-` for descending
+//   ?fields=id,name,price       only return these fields
+//
+// pageQuery() returns the query rules for a route schema and paginate()
+// applies them to the full, filtered result of a request; pageResponse() is
+// the rule of the response, for the OpenAPI document. Items are always
+// ordered by `id` after the requested keys, so every order is total and a
+// cursor (the sort keys of the item it starts after or before) identifies a
+// unique position. Responses carry X-Total-Count and a Link header with
+// first / prev / next / last links; the links keep the request's other
+// parameters and use the public path when the request came through the
+// gateway.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Query rules for a list endpoint sortable by `sort` and projectable to `fields`
+function pageQuery({ sort, fields }) {
+  return {
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT },
+    offset: { type: 'integer', min: 0 },
+    cursor: { type: 'string', minLength: 1, maxLength: 1000 },
+    sort: {
+      type: 'list',
+      minItems: 1,
+      maxItems: 5,
+      items: { type: 'string', enum: sort.flatMap(field => [field, '-' + field]) }
+    },
+    fields: { type: 'list', minItems: 1, items: { type: 'string', enum: fields } }
+  };
+}
+
+// Response rule of a page of `item`s under `name`, with the paging members
+// paginate() adds. Item fields are optional as ?fields may leave them out.
+function pageResponse(name, item, properties = {}) {
+  const optional = Object.fromEntries(Object.entries(item.properties)
+    .map(([field, rule]) => [field, { ...rule, required: false }]));
+  return {
+    type: 'object',
+    properties: {
+      ...properties,
+      count: { type: 'integer', min: 0, required: true },
+      total: { type: 'integer', min: 0, required: true },
+      limit: { type: 'integer', min: 1, required: true },
+      // Only on offset paging
+      offset: { type: 'integer', min: 0 },
+      nextCursor: { type: 'string', nullable: true, required: true },
+      prevCursor: { type: 'string', nullable: true, required: true },
+      [name]: { type: 'array', required: true, items: { ...item, properties: optional } }
+    }
+  };
+}
+
+function invalidQuery(field, message) {
+  return new ProblemError('VALIDATION_FAILED', `${field} ${message}`, {
+    errors: [{ location: 'query', field, message }]
+  });
+}
+
+// `sort` list to [{ field, direction }], with `id` as the final tie-breaker
+function parseSort(sort) {
+  const keys = sort.map(key => key.startsWith('-')
+    ? { field: key.slice(1), direction: -1 }
+    : { field: key, direction: 1 });
+  if (!keys.some(key => key.field === 'id')) keys.push({ field: 'id', direction: 1 });
+  return keys;
+}
+
+// Missing values sort after present ones in either direction
+function compareValues(a, b) {
+  const aMissing = a === null;
+  const bMissing = b === null;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Compares two lists of key values under the sort keys
+function compareKeys(a, b, keys) {
+  for (let i = 0; i < keys.length; i++) {
+    const order = compareValues(a[i], b[i]);
+    if (order === 0) continue;
+    return a[i] === null || b[i] === null ? order : order * keys[i].direction;
+  }
+  return 0;
+}
+
+function keyValues(item, keys) {
+  return keys.map(key => item[key.field] === undefined ? null : item[key.field]);
+}
+
+// Cursors are base64url JSON: the sort they belong to, the direction and the
+// key values of the item the page starts after (next) or ends before (prev).
+// `k: null` on a prev cursor means the end of the list, i.e. the last page.
+function encodeCursor(sortKey, direction, values) {
+  return Buffer.from(JSON.stringify({ s: sortKey, d: direction, k: values })).toString('base64url');
+}
+
+function decodeCursor(cursor, sortKey, keys) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidQuery('cursor', 'is not a valid cursor');
+  }
+  if (!decoded || typeof decoded.s !== 'string' || !['next', 'prev'].includes(decoded.d)) {
+    throw invalidQuery('cursor', 'is not a valid cursor');
+  }
+  if (decoded.s !== sortKey) {
+    throw invalidQuery('cursor', `belongs to sort "${decoded.s}", not "${sortKey}"`);
+  }
+  if (decoded.k !== null && (!Array.isArray(decoded.k) || decoded.k.length !== keys.length)) {
+    throw invalidQuery('cursor', 'is not a valid cursor');
+  }
+  return decoded;
+}
+
+function project(item, fields) {
+  if (!fields) return item;
+  const projected = {};
+  fields.forEach(field => {
+    if (item[field] !== undefined) projected[field] = item[field];
+  });
+  return projected;
+}
+
+// Path the client used, which differs from req.path behind the gateway
+function publicPath(req) {
+  const uri = req.get('X-Forwarded-Uri') || req.originalUrl;
+  return uri.split('?')[0];
+}
+
+function linkHeader(req, links) {
+  const base = publicPath(req);
+  const query = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+  query.delete('offset');
+  query.delete('cursor');
+
+  return Object.entries(links)
+    .filter(([, params]) => params)
+    .map(([rel, params]) => {
+      const linkQuery = new URLSearchParams(query);
+      Object.entries(params).forEach(([name, value]) => linkQuery.set(name, String(value)));
+      // Commas are legal in a query and keep sort / fields readable
+      const search = linkQuery.toString().replace(/%2C/g, ',');
+      return `<${base}${search ? '?' + search : ''}>; rel="${rel}"`;
+    })
+    .join(', ');
+}
+
+// Sorts, pages and projects items per req.valid.query. Sets X-Total-Count and
+// Link on res and returns { items, meta }, meta being the paging members of
+// the response body. Throws a VALIDATION_FAILED ProblemError for a bad cursor.
+function paginate(req, res, items, { defaultSort = ['id'] } = {}) {
+  const query = req.valid.query;
+  if (query.offset !== undefined && query.cursor !== undefined) {
+    throw invalidQuery('cursor', 'cannot be combined with offset');
+  }
+
+  const limit = query.limit || DEFAULT_LIMIT;
+  const sort = query.sort || defaultSort;
+  const sortKey = sort.join(',');
+  const keys = parseSort(sort);
+
+  const sorted = items
+    .map(item => ({ item, values: keyValues(item, keys) }))
+    .sort((a, b) => compareKeys(a.values, b.values, keys));
+  const total = sorted.length;
+
+  let start;
+  let end;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sortKey, keys);
+    if (cursor.d === 'next') {
+      start = sorted.findIndex(entry => compareKeys(entry.values, cursor.k, keys) > 0);
+      if (start === -1) start = total;
+      end = Math.min(total, start + limit);
+    } else {
+      end = cursor.k === null ? -1 : sorted.findIndex(entry => compareKeys(entry.values, cursor.k, keys) >= 0);
+      if (end === -1) end = total;
+      start = Math.max(0, end - limit);
+    }
+  } else {
+    start = Math.min(query.offset || 0, total);
+    end = Math.min(total, start + limit);
+  }
+
+  const page = sorted.slice(start, end);
+  const hasNext = end < total;
+  const hasPrev = start > 0;
+  const nextCursor = hasNext && page.length > 0 ? encodeCursor(sortKey, 'next', page[page.length - 1].values) : null;
+  const prevCursor = hasPrev ? encodeCursor(sortKey, 'prev', page.length > 0 ? page[0].values : null) : null;
+
+  const meta = { count: page.length, total, limit };
+  let links;
+  if (query.cursor) {
+    links = {
+      first: total > 0 ? {} : null,
+      prev: prevCursor && { cursor: prevCursor },
+      next: nextCursor && { cursor: nextCursor },
+      last: total > 0 ? { cursor: encodeCursor(sortKey, 'prev', null) } : null
+    };
+  } else {
+    meta.offset = start;
+    links = {
+      first: total > 0 ? { offset: 0 } : null,
+      prev: hasPrev ? { offset: Math.max(0, start - limit) } : null,
+      next: hasNext ? { offset: end } : null,
+      last: total > 0 ? { offset: Math.floor((total - 1) / limit) * limit } : null
+    };
+  }
+  meta.nextCursor = nextCursor;
+  meta.prevCursor = prevCursor;
+
+  res.set('X-Total-Count', String(total));
+  const link = linkHeader(req, links);
+  if (link) res.set('Link', link);
+
+  return { items: page.map(entry => project(entry.item, query.fields)), meta };
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, pageQuery, pageResponse, paginate };
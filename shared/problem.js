@@ -0,0 +1,129 @@
+const logger = require('./logger');
+
+// RFC 7807 problem details: the error format of every service and the gateway.
+//
+//   HTTP/1.1 404 Not Found
+//   Content-Type: application/problem+json
+//
+//   {"type":"/problems/not-found","title":"Resource not found","status":404,
+//    "code":"NOT_FOUND","detail":"Product 42 not found","instance":"/products/42",
+//    "requestId":"..."}
+//
+// `code` is stable and listed below; clients should branch on it rather than
+// on `title` or `detail`. Problems may add members of their own, such as the
+// field list of VALIDATION_FAILED.
+
+const PROBLEMS = {
+  VALIDATION_FAILED: { status: 400, title: 'Request validation failed' },
+  MALFORMED_BODY: { status: 400, title: 'Malformed request body' },
+  INVALID_PATH: { status: 400, title: 'Ambiguous request path' },
+  INVALID_REFERENCE: { status: 400, title: 'Referenced resource does not exist' },
+  UNSUPPORTED_API_VERSION: { status: 400, title: 'Unsupported API version' },
+  UNSUPPORTED_CURRENCY: { status: 400, title: 'Unsupported currency' },
+  INVALID_URL: { status: 400, title: 'Invalid URL' },
+  INVALID_ACCOUNT_TOKEN: { status: 400, title: 'Invalid, used or expired link' },
+  AUTHENTICATION_REQUIRED: { status: 401, title: 'Authentication required' },
+  INVALID_TOKEN: { status: 401, title: 'Invalid or expired access token' },
+  INVALID_CREDENTIALS: { status: 401, title: 'Invalid email or password' },
+  INVALID_REFRESH_TOKEN: { status: 401, title: 'Invalid or expired refresh token' },
+  INVALID_API_KEY: { status: 401, title: 'Invalid API key' },
+  INVALID_REGISTRY_TOKEN: { status: 401, title: 'Invalid registry token' },
+  FORBIDDEN: { status: 403, title: 'Insufficient permissions' },
+  INVALID_CURRENT_PASSWORD: { status: 403, title: 'Current password is wrong' },
+  TENANT_MISMATCH: { status: 403, title: 'Token belongs to another tenant' },
+  TENANT_SUSPENDED: { status: 403, title: 'Tenant is suspended' },
+  EMAIL_NOT_VERIFIED: { status: 403, title: 'Email address not verified' },
+  ACCOUNT_DEACTIVATED: { status: 403, title: 'Account is deactivated' },
+  NOT_FOUND: { status: 404, title: 'Resource not found' },
+  ROUTE_NOT_FOUND: { status: 404, title: 'No such endpoint' },
+  TENANT_NOT_FOUND: { status: 404, title: 'Unknown tenant' },
+  METHOD_NOT_ALLOWED: { status: 405, title: 'Method not allowed' },
+  EMAIL_TAKEN: { status: 409, title: 'Email already in use' },
+  SKU_TAKEN: { status: 409, title: 'SKU already in use' },
+  TENANT_EXISTS: { status: 409, title: 'Tenant already exists' },
+  INSUFFICIENT_STOCK: { status: 409, title: 'Insufficient stock' },
+  INVALID_TRANSITION: { status: 409, title: 'Status change not allowed' },
+  RESERVATION_NOT_ACTIVE: { status: 409, title: 'Reservation is no longer active' },
+  PRECONDITION_FAILED: { status: 412, title: 'Resource has changed' },
+  PAYLOAD_TOO_LARGE: { status: 413, title: 'Request body too large' },
+  UNSUPPORTED_MEDIA_TYPE: { status: 415, title: 'Unsupported request body type' },
+  ACCOUNT_LOCKED: { status: 423, title: 'Account is locked' },
+  RATE_LIMITED: { status: 429, title: 'Too many requests' },
+  QUOTA_EXCEEDED: { status: 429, title: 'Daily quota exceeded' },
+  INTERNAL_ERROR: { status: 500, title: 'Internal server error' },
+  DEPENDENCY_FAILED: { status: 502, title: 'A dependency failed' },
+  UPSTREAM_UNREACHABLE: { status: 502, title: 'Upstream service unreachable' },
+  UPSTREAM_UNAVAILABLE: { status: 503, title: 'Upstream service unavailable' },
+  UPSTREAM_TIMEOUT: { status: 504, title: 'Upstream service timed out' }
+};
+
+const CONTENT_TYPE = 'application/problem+json';
+
+function problemType(code) {
+  return '/problems/' + code.toLowerCase().replace(/_/g, '-');
+}
+
+// Error carrying a problem, for code paths that throw rather than respond
+class ProblemError extends Error {
+  constructor(code, detail, extensions = {}) {
+    super(detail || (PROBLEMS[code] || PROBLEMS.INTERNAL_ERROR).title);
+    this.name = 'ProblemError';
+    this.code = code;
+    this.extensions = extensions;
+  }
+}
+
+function sendProblem(res, code, detail, extensions = {}) {
+  const problem = PROBLEMS[code];
+  if (!problem) throw new Error(`Unknown problem code ${code}`);
+
+  res.status(problem.status);
+  res.set('Content-Type', CONTENT_TYPE);
+  return res.json({
+    type: problemType(code),
+    title: problem.title,
+    status: problem.status,
+    code,
+    detail: detail || problem.title,
+    // The public URL when the request came through the gateway
+    instance: res.req.get('X-Forwarded-Uri') || res.req.originalUrl,
+    ...extensions
+  });
+}
+
+// Last error middleware of every app
+function errorHandler() {
+  return (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+
+    if (err instanceof ProblemError) {
+      return sendProblem(res, err.code, err.message, err.extensions);
+    }
+    // Body parser errors
+    if (err.type === 'entity.parse.failed') {
+      return sendProblem(res, 'MALFORMED_BODY', 'Request body is not valid JSON');
+    }
+    if (err.type === 'entity.too.large') {
+      return sendProblem(res, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${err.limit} bytes`);
+    }
+
+    logger.error('Unhandled error', { error: err });
+    sendProblem(res, 'INTERNAL_ERROR', err.message);
+  };
+}
+
+// Fallback for requests no route matched
+function notFoundHandler() {
+  return (req, res) => {
+    sendProblem(res, 'ROUTE_NOT_FOUND', `No endpoint for ${req.method} ${req.path}`);
+  };
+}
+
+module.exports = {
+  PROBLEMS,
+  CONTENT_TYPE,
+  ProblemError,
+  sendProblem,
+  errorHandler,
+  notFoundHandler
+};
@@ -0,0 +1,132 @@
+const net = require('net');
+const { encodeCommand, decodeValue, RespError } = require('./resp');
+
+// Minimal Redis client, used by the gateway's rate limiter store and the
+// event broker.
+//
+// One connection, opened on first use and reopened after an error. Replies
+// arrive in the order commands were sent, so pending commands are a FIFO
+// queue. exclusive() runs a sequence of commands (e.g. WATCH/MULTI/EXEC)
+// without commands from other callers in between.
+//
+// subscribe() turns the connection into a subscriber: published messages are
+// passed to the callback, and onDisconnect (if set) is called when the
+// connection drops so the caller can subscribe again.
+
+class RedisClient {
+  constructor(url, { timeout = 1000 } = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = parseInt(parsed.port) || 6379;
+    this.password = decodeURIComponent(parsed.password || '') || null;
+    this.timeout = timeout;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    this.lock = Promise.resolve();
+    this.onMessage = null;
+    this.onDisconnect = null;
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setNoDelay(true);
+
+      const timer = setTimeout(() => socket.destroy(new Error('Connection timed out')), this.timeout);
+
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        this.connecting = null;
+        resolve();
+      });
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('error', (error) => {
+        clearTimeout(timer);
+        this.reset(error);
+        reject(error);
+      });
+      socket.on('close', () => this.reset(new Error('Connection closed')));
+    });
+
+    return this.connecting.then(() => {
+      if (this.password) return this.send(['AUTH', this.password]);
+    });
+  }
+
+  // Fail everything in flight and start from scratch on the next command
+  reset(error) {
+    const wasConnected = this.socket !== null;
+    if (this.socket) this.socket.destroy();
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending.splice(0).forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    if (wasConnected && this.onDisconnect) this.onDisconnect(error);
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    while (this.buffer.length > 0 && (reply = decodeValue(this.buffer))) {
+      this.buffer = this.buffer.subarray(reply.offset);
+
+      // Pushed by the server in subscriber mode, not a reply to a command
+      const value = reply.value;
+      if (this.onMessage && Array.isArray(value) && value[0] === 'message') {
+        this.onMessage(value[1], value[2]);
+        continue;
+      }
+
+      const { resolve, reject, timer } = this.pending.shift() || {};
+      if (!resolve) continue;
+      clearTimeout(timer);
+      if (reply.value instanceof RespError) reject(reply.value);
+      else resolve(reply.value);
+    }
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => this.reset(new Error(`Redis ${args[0]} timed out`)), this.timeout);
+      this.pending.push({ resolve, reject, timer });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  // Receive messages published to channel; the connection can then only be
+  // used for (un)subscribing
+  async subscribe(channel, onMessage) {
+    this.onMessage = onMessage;
+    return this.command('SUBSCRIBE', channel);
+  }
+
+  // Run fn(client) with the connection to itself
+  exclusive(fn) {
+    const run = this.lock.then(() => fn(this));
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  close() {
+    if (this.socket) this.socket.end();
+    this.socket = null;
+  }
+}
+
+module.exports = { RedisClient };
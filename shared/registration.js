@@ -0,0 +1,108 @@
+const os = require('os');
+const logger = require('./logger');
+
+// Self-registration with the gateway's service registry.
+//
+// Enabled when REGISTRY_URL (the gateway's base URL) is set. The service
+// registers on startup, heartbeats at the interval the registry asks for,
+// registers again if the registry has forgotten it (e.g. gateway restart) and
+// deregisters on shutdown. SERVICE_URL overrides the advertised address.
+
+const RETRY_DELAY = 5000;
+const REQUEST_TIMEOUT = 3000;
+
+// First IPv4 address, preferring the VirtualBox host-only network
+function advertisedUrl(port) {
+  if (process.env.SERVICE_URL) return process.env.SERVICE_URL;
+
+  const addresses = Object.values(os.networkInterfaces())
+    .flat()
+    .filter(address => address.family === 'IPv4' && !address.internal);
+  const preferred = addresses.find(address => address.address.startsWith('192.168.56.')) || addresses[0];
+
+  return `http://${preferred ? preferred.address : '127.0.0.1'}:${port}`;
+}
+
+function startRegistration({ name, port, version }) {
+  const registryUrl = process.env.REGISTRY_URL;
+  if (!registryUrl) {
+    return { enabled: false, deregister: async () => {} };
+  }
+
+  const url = advertisedUrl(port);
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.REGISTRY_TOKEN) {
+    headers['X-Registry-Token'] = process.env.REGISTRY_TOKEN;
+  }
+
+  let instance = null;
+  let heartbeatInterval = RETRY_DELAY;
+  let timer = null;
+  let stopped = false;
+
+  function call(method, path, body) {
+    return fetch(`${registryUrl}/registry/services${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+  }
+
+  function schedule(task, delay) {
+    if (stopped) return;
+    timer = setTimeout(task, delay);
+    timer.unref();
+  }
+
+  async function register() {
+    try {
+      const response = await call('POST', '', { name, url, version });
+      if (!response.ok) throw new Error(`registry responded ${response.status}`);
+
+      const body = await response.json();
+      instance = body.instance;
+      heartbeatInterval = body.heartbeatInterval;
+      logger.info('Registered with the service registry', { registryUrl, name, instanceId: instance.id, url });
+      schedule(heartbeat, heartbeatInterval);
+    } catch (error) {
+      logger.error('Error registering with the service registry', { registryUrl, error: error.message });
+      schedule(register, RETRY_DELAY);
+    }
+  }
+
+  async function heartbeat() {
+    try {
+      const response = await call('PUT', `/${name}/${instance.id}/heartbeat`);
+      if (response.status === 404) {
+        logger.warn('Registry no longer knows this instance, registering again', { instanceId: instance.id });
+        return register();
+      }
+      if (!response.ok) throw new Error(`registry responded ${response.status}`);
+    } catch (error) {
+      logger.error('Error sending heartbeat to the service registry', { registryUrl, error: error.message });
+    }
+    schedule(heartbeat, heartbeatInterval);
+  }
+
+  register();
+
+  return {
+    enabled: true,
+    url,
+    async deregister() {
+      stopped = true;
+      clearTimeout(timer);
+      if (!instance) return;
+
+      try {
+        await call('DELETE', `/${name}/${instance.id}`);
+        logger.info('Deregistered from the service registry', { registryUrl });
+      } catch (error) {
+        logger.error('Error deregistering from the service registry', { registryUrl, error: error.message });
+      }
+    }
+  };
+}
+
+module.exports = { startRegistration };
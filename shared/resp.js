@@ -0,0 +1,77 @@
+// RESP (REdis Serialization Protocol) encoding and decoding, shared by the
+// gateway's Redis client and the kv-store stand-in.
+//
+// Only RESP2 is supported: simple strings, errors, integers, bulk strings
+// and arrays, which is all the rate limiter needs.
+
+class RespError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RespError';
+  }
+}
+
+// A command as sent by clients: an array of bulk strings
+function encodeCommand(args) {
+  return encodeValue(args.map(arg => String(arg)));
+}
+
+function encodeValue(value) {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (value instanceof RespError) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n` + value.map(encodeValue).join('');
+  if (value && value.simple) return `+${value.simple}\r\n`;
+
+  const text = String(value);
+  return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+// Status replies such as +OK
+function simple(text) {
+  return { simple: text };
+}
+
+// Parse one value from buffer at offset. Returns { value, offset } with the
+// offset after the value, or null when the buffer does not hold all of it yet.
+function decodeValue(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RespError(line), offset: next };
+    case ':':
+      return { value: parseInt(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < length; i++) {
+        const item = decodeValue(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RespError(`Protocol error: unexpected "${type}"`);
+  }
+}
+
+module.exports = { RespError, encodeCommand, encodeValue, decodeValue, simple };
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Storage engine used by the services' repositories.
+//
+// A collection keeps its records in memory. With the "file" driver every
+// change is also appended to a JSON-lines log under DATA_DIR, the log is
+// replayed on startup and rewritten as a snapshot once it has grown to a few
+// times the number of live records. The "memory" driver keeps nothing on disk,
+// for throwaway runs such as `node stack start --memory`.
+
+const DEFAULT_COMPACT_THRESHOLD = 500;
+
+// Memory backend: nothing to load, nothing to persist
+function createMemoryBackend() {
+  return {
+    load: () => null,
+    modifiedAt: () => null,
+    append: () => {},
+    compact: () => {}
+  };
+}
+
+// File backend: append-only JSON log, one operation per line
+function createFileBackend(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  return {
+    load() {
+      if (!fs.existsSync(file)) {
+        return null;
+      }
+
+      const entries = [];
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // A torn write can only happen on the last line; anything else is corruption
+          if (index < lines.length - 2) {
+            throw new Error(`Corrupt storage log ${file} at line ${index + 1}`);
+          }
+          logger.warn('Ignoring incomplete last entry in storage log', { file });
+        }
+      });
+
+      return entries;
+    },
+
+    modifiedAt() {
+      return fs.existsSync(file) ? fs.statSync(file).mtime : null;
+    },
+
+    append(entry) {
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    },
+
+    compact(entries) {
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+      fs.renameSync(tmpFile, file);
+    }
+  };
+}
+
+class Collection {
+  constructor(name, backend, options = {}) {
+    this.name = name;
+    this.backend = backend;
+    this.compactThreshold = options.compactThreshold || DEFAULT_COMPACT_THRESHOLD;
+    this.records = new Map();
+    this.sequence = 0;
+    this.logLength = 0;
+
+    const entries = backend.load();
+    // A collection is new until something has been written to it, which is
+    // how repositories decide whether to load their seed data
+    this.isNew = entries === null || entries.length === 0;
+    (entries || []).forEach(entry => this.apply(entry));
+    this.logLength = entries ? entries.length : 0;
+    // Time of the last change, for Last-Modified headers on collection reads
+    this.lastModified = backend.modifiedAt() || new Date();
+  }
+
+  apply(entry) {
+    switch (entry.op) {
+      case 'put':
+        this.records.set(entry.record.id, entry.record);
+        break;
+      case 'del':
+        this.records.delete(entry.id);
+        break;
+      case 'seq':
+        this.sequence = Math.max(this.sequence, entry.value);
+        break;
+      default:
+        throw new Error(`Unknown storage operation: ${entry.op}`);
+    }
+  }
+
+  write(entry) {
+    this.apply(entry);
+    this.backend.append(entry);
+    this.logLength++;
+    this.isNew = false;
+    this.lastModified = new Date();
+
+    if (this.logLength > this.compactThreshold && this.logLength > this.records.size * 2) {
+      this.compact();
+    }
+  }
+
+  compact() {
+    const snapshot = [{ op: 'seq', value: this.sequence }];
+    this.records.forEach(record => snapshot.push({ op: 'put', record }));
+    this.backend.compact(snapshot);
+    this.logLength = snapshot.length;
+  }
+
+  // Allocate the next numeric ID. The sequence is persisted so IDs are never
+  // reused, even after the highest record has been deleted.
+  nextId() {
+    const value = this.sequence + 1;
+    this.write({ op: 'seq', value });
+    return value;
+  }
+
+  all() {
+    return [...this.records.values()];
+  }
+
+  get(id) {
+    return this.records.get(id);
+  }
+
+  find(predicate) {
+    return this.all().find(predicate);
+  }
+
+  filter(predicate) {
+    return this.all().filter(predicate);
+  }
+
+  count() {
+    return this.records.size;
+  }
+
+  put(record) {
+    this.write({ op: 'put', record });
+    return record;
+  }
+
+  remove(id) {
+    const record = this.records.get(id);
+    if (record) {
+      this.write({ op: 'del', id });
+    }
+    return record;
+  }
+}
+
+function createStore(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'file';
+  const dataDir = options.dataDir || process.env.DATA_DIR;
+
+  if (driver !== 'memory' && driver !== 'file') {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "memory" or "file")`);
+  }
+  if (driver === 'file' && !dataDir) {
+    throw new Error('DATA_DIR is required for the file storage driver');
+  }
+
+  const collections = new Map();
+
+  return {
+    driver,
+    dataDir,
+
+    // Readiness check: the file driver needs a writable data directory
+    isWritable() {
+      if (driver !== 'file') return true;
+      fs.accessSync(dataDir, fs.constants.W_OK);
+      return true;
+    },
+
+    collection(name) {
+      if (!collections.has(name)) {
+        const backend = driver === 'file'
+          ? createFileBackend(path.join(dataDir, `${name}.log`))
+          : createMemoryBackend();
+        collections.set(name, new Collection(name, backend, options));
+      }
+      return collections.get(name);
+    }
+  };
+}
+
+module.exports = { createStore, Collection };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { currentContext, runWithContext } = require('./context');
+const { createStore } = require('./storage');
+const { sendProblem } = require('./problem');
+
+// Tenants: teams sharing one deployment without seeing each other's data.
+//
+// The gateway resolves the tenant of every request (gateway/tenancy.js) and
+// sends it on in X-Tenant-Id. Services read it with tenantMiddleware into
+// the request context, where currentTenant() finds it and from where it is
+// sent on with outgoing calls (tracing.outgoingHeaders()). Requests without
+// the header, such as direct calls on the service network in a single-team
+// setup, belong to the default tenant.
+//
+// Each tenant's records live in a store of their own (tenantStore()): the
+// default tenant's in DATA_DIR as before, any other's under
+// DATA_DIR/tenants/<id>/. IDs, uniqueness checks, lists and stats are
+// therefore per tenant without the repositories knowing about tenants.
+// createTenantScope() keeps one repository per tenant and hands out the
+// current tenant's.
+
+const DEFAULT_TENANT = 'default';
+
+// Also a valid DNS label, so a tenant can have a subdomain
+const TENANT_ID = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+
+function currentTenant() {
+  const context = currentContext();
+  return (context && context.tenant) || DEFAULT_TENANT;
+}
+
+// Run fn as if handling a request of tenant, e.g. for background jobs
+function runInTenant(tenant, fn) {
+  return runWithContext({ ...currentContext(), tenant }, fn);
+}
+
+// Make tenant the tenant of req and of the rest of its handling
+function enterTenant(req, tenant) {
+  req.tenant = tenant;
+  if (req.traceContext) req.traceContext.tenant = tenant;
+}
+
+// Services: the tenant of a request is the one the gateway sent.
+// Register after tracing.bindContext.
+function tenantMiddleware(req, res, next) {
+  const tenant = req.get('X-Tenant-Id') || DEFAULT_TENANT;
+  if (!TENANT_ID.test(tenant)) {
+    return sendProblem(res, 'VALIDATION_FAILED', 'X-Tenant-Id is not a valid tenant ID', {
+      errors: [{ location: 'headers', field: 'x-tenant-id', message: `must match ${TENANT_ID}` }]
+    });
+  }
+  enterTenant(req, tenant);
+  next();
+}
+
+// Store of tenant's records, given the service's own store
+function tenantStore(store, tenant) {
+  if (tenant === DEFAULT_TENANT) return store;
+  return createStore({ driver: store.driver, dataDir: path.join(store.dataDir, 'tenants', tenant) });
+}
+
+// Tenants with records on disk
+function storedTenants(store) {
+  const dir = path.join(store.dataDir, 'tenants');
+  if (store.driver !== 'file' || !fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(name => TENANT_ID.test(name));
+}
+
+// One repository per tenant, made by create(tenant, store) on first use.
+// `repository` stands for the current tenant's, so route handlers use it as
+// they would a single repository; each() runs fn(repository, tenant) for
+// every tenant, inside that tenant's context.
+function createTenantScope(store, create) {
+  const repositories = new Map();
+
+  function get(tenant) {
+    if (!repositories.has(tenant)) repositories.set(tenant, create(tenant, tenantStore(store, tenant)));
+    return repositories.get(tenant);
+  }
+
+  [DEFAULT_TENANT, ...storedTenants(store)].forEach(get);
+
+  return {
+    get,
+    repository: new Proxy({}, {
+      get: (target, name) => get(currentTenant())[name]
+    }),
+    tenants: () => [...repositories.keys()],
+    each(fn) {
+      return [...repositories.entries()].map(([tenant, repository]) =>
+        runInTenant(tenant, () => fn(repository, tenant)));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  TENANT_ID,
+  currentTenant,
+  runInTenant,
+  enterTenant,
+  tenantMiddleware,
+  tenantStore,
+  createTenantScope
+};
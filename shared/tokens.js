@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+// Minimal HS256 JSON Web Tokens, shared by the users service (which issues
+// them) and the gateway (which verifies them). Both must run with the same
+// JWT_SECRET.
+
+const DEFAULT_SECRET = 'change-me-in-production';
+
+function getSecret() {
+  return process.env.JWT_SECRET || DEFAULT_SECRET;
+}
+
+function isDefaultSecret() {
+  return getSecret() === DEFAULT_SECRET;
+}
+
+// Called by the gateway and the users service at startup. The default is
+// public, so anyone could sign tokens with it: only development runs
+// (NODE_ENV=development, as the stack launcher sets) may go without
+// JWT_SECRET.
+function requireSecret() {
+  if (isDefaultSecret() && process.env.NODE_ENV !== 'development') {
+    throw new Error('JWT_SECRET is not set: set it to the same secret on the gateway and the users service, ' +
+      'or NODE_ENV=development for a local run');
+  }
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function signature(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Sign claims, adding iat and exp (expiresIn is in seconds)
+function signToken(claims, expiresIn, secret = getSecret()) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + expiresIn }));
+
+  return `${header}.${payload}.${signature(`${header}.${payload}`, secret)}`;
+}
+
+// Return the claims of a correctly signed, unexpired token, or null
+function verifyToken(token, secret = getSecret()) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+
+  const [header, payload, sig] = parts;
+  const expected = Buffer.from(signature(`${header}.${payload}`, secret));
+  const actual = Buffer.from(sig);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    if (alg !== 'HS256') return null;
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return claims;
+}
+
+module.exports = { signToken, verifyToken, getSecret, isDefaultSecret, requireSecret };
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const { runWithContext, currentContext } = require('./context');
+const { routeTemplate } = require('./metrics');
+
+// Request correlation and W3C Trace Context propagation.
+//
+// Every request gets a trace ID (taken from an incoming `traceparent` or
+// generated), a span ID of its own and a request ID (taken from
+// `X-Request-Id` or generated). Both IDs are echoed in the response headers
+// and added to JSON error bodies, logged with every line written while the
+// request is handled, and sent on outgoing calls via outgoingHeaders(),
+// together with the request's tenant (see tenancy.js).
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function parseTraceparent(header) {
+  const match = TRACEPARENT.exec((header || '').trim().toLowerCase());
+  // All-zero IDs are invalid per the spec
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+  return { traceId: match[1], parentSpanId: match[2], traceFlags: match[3] };
+}
+
+function formatTraceparent({ traceId, spanId, traceFlags }) {
+  return `00-${traceId}-${spanId}-${traceFlags}`;
+}
+
+// Headers to send on a call made while handling the current request
+function outgoingHeaders() {
+  const context = currentContext();
+  if (!context) return {};
+  return {
+    traceparent: formatTraceparent(context),
+    'x-request-id': context.requestId,
+    ...(context.tenant && { 'x-tenant-id': context.tenant })
+  };
+}
+
+// Assigns the IDs, logs the request when it completes and runs the rest of
+// the chain inside the request context. Register it before body parsers.
+function middleware(req, res, next) {
+  const incoming = parseTraceparent(req.get('traceparent'));
+  const requestId = REQUEST_ID.test(req.get('X-Request-Id') || '')
+    ? req.get('X-Request-Id')
+    : crypto.randomUUID();
+
+  const context = {
+    traceId: incoming ? incoming.traceId : randomHex(16),
+    parentSpanId: incoming ? incoming.parentSpanId : null,
+    spanId: randomHex(8),
+    traceFlags: incoming ? incoming.traceFlags : '01',
+    requestId
+  };
+  req.traceContext = context;
+
+  res.set('X-Request-Id', requestId);
+  res.set('traceparent', formatTraceparent(context));
+
+  // Echo the request ID in every JSON error body
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' &&
+        !Array.isArray(body) && body.requestId === undefined) {
+      body = { ...body, requestId };
+    }
+    return json(body);
+  };
+
+  const started = process.hrtime.bigint();
+  const log = logger.child({ traceId: context.traceId, requestId });
+  res.on('finish', () => {
+    const fields = {
+      method: req.method,
+      route: routeTemplate(req, res),
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10
+    };
+    if (res.statusCode >= 500) log.error('request completed', fields);
+    else if (res.statusCode >= 400) log.warn('request completed', fields);
+    else log.info('request completed', fields);
+  });
+
+  runWithContext(context, next);
+}
+
+// Re-enter the request context after middleware that loses it (body parsers
+// resume the chain from stream events)
+function bindContext(req, res, next) {
+  if (!req.traceContext) return next();
+  runWithContext(req.traceContext, next);
+}
+
+module.exports = { middleware, bindContext, outgoingHeaders, parseTraceparent };
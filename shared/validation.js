@@ -0,0 +1,190 @@
+const { sendProblem } = require('./problem');
+
+// Declarative request validation.
+//
+// A route schema describes `params`, `query` and `body`, each as a map of
+// field name to rule:
+//
+//   {
+//     params: { id: { type: 'integer', min: 1, required: true } },
+//     body: {
+//       name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+//       email: { type: 'email', required: true },
+//       items: { type: 'array', minItems: 1, items: { type: 'object', properties: { ... } } }
+//     }
+//   }
+//
+// Types: string, email, integer, number, boolean, array, list, object. A
+// `list` is an array given as a comma-separated string in the query
+// (`?fields=id,name` or `?ids=1,2`), checked like an array. Other rule
+// keys: required, enum, minLength, maxLength, pattern, min, max,
+// exclusiveMin, minItems, maxItems, items, properties, and `values` for
+// objects used as maps (every value is checked against it).
+//
+// Route schemas may also give a `summary`, a `description`, the media
+// types of a `rawBody` the handler reads itself and the `responses` of the
+// route (status to rule) for the OpenAPI document (see openapi.js); response
+// rules may be `nullable`. Bulk routes keep their row rules and export
+// columns in `rows` and `columns` (see bulk.js). validate() ignores them.
+//
+// Path and query values arrive as strings and are converted to the rule's
+// type; JSON body values must already have it. Fields the schema does not
+// list are rejected. validate() answers 400 VALIDATION_FAILED with every
+// problem found, or stores the converted values in req.valid.
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Query and path values are strings; convert them to what the rule expects
+function fromString(value, rule) {
+  if (typeof value !== 'string') return value;
+  switch (rule.type) {
+    case 'integer':
+      return /^-?\d+$/.test(value) ? Number(value) : value;
+    case 'number':
+      return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'list':
+      return value.split(',').map(item => item.trim()).filter(Boolean)
+        .map(item => (rule.items ? fromString(item, rule.items) : item));
+    default:
+      return value;
+  }
+}
+
+// Returns a list of { field, message } problems with value against rule
+function checkValue(value, rule, field) {
+  const fail = message => [{ field, message }];
+
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+      if (typeof value !== 'string') return fail('must be a string');
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return fail(rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail(`must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.type === 'email' && (!EMAIL.test(value) || value.length > 254)) {
+        return fail('must be a valid email address');
+      }
+      if (rule.pattern && !rule.pattern.test(value)) return fail(`must match ${rule.pattern}`);
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return fail(rule.type === 'integer' ? 'must be an integer' : 'must be a number');
+      }
+      if (rule.type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+      if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) {
+        return fail(`must be greater than ${rule.exclusiveMin}`);
+      }
+      if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      break;
+    case 'array':
+    case 'list': {
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return fail(`must have at least ${rule.minItems} item(s)`);
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail(`must have at most ${rule.maxItems} item(s)`);
+      }
+      if (rule.items) {
+        return value.flatMap((item, i) => checkValue(item, rule.items, `${field}[${i}]`));
+      }
+      break;
+    }
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      if (rule.properties) return checkFields(value, rule.properties, `${field}.`).errors;
+      if (rule.values) {
+        return Object.entries(value).flatMap(([key, item]) => checkValue(item, rule.values, `${field}.${key}`));
+      }
+      break;
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`must be one of: ${rule.enum.join(', ')}`);
+  }
+  return [];
+}
+
+// Check an object of fields against a map of rules. Returns the known fields
+// (converted when convert is set) and the problems found. Also used for the
+// rows of bulk imports (bulk.js).
+function checkFields(input, rules, prefix = '', convert = false) {
+  const errors = [];
+  const values = {};
+
+  Object.keys(input).forEach(name => {
+    if (!rules[name]) errors.push({ field: prefix + name, message: 'is not allowed' });
+  });
+
+  Object.entries(rules).forEach(([name, rule]) => {
+    let value = input[name];
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push({ field: prefix + name, message: 'is required' });
+      return;
+    }
+    if (convert) {
+      // ?fields=id&fields=name is the same as ?fields=id,name
+      if (Array.isArray(value) && rule.type === 'list') value = value.join(',');
+      if (Array.isArray(value) && rule.type !== 'array') {
+        errors.push({ field: prefix + name, message: 'must be given once' });
+        return;
+      }
+      value = fromString(value, rule);
+    }
+
+    const fieldErrors = checkValue(value, rule, prefix + name);
+    errors.push(...fieldErrors);
+    if (fieldErrors.length === 0) values[name] = value;
+  });
+
+  return { values, errors };
+}
+
+// Middleware validating a request against schema
+function validate(schema) {
+  const middleware = (req, res, next) => {
+    const valid = {};
+    const errors = [];
+
+    ['params', 'query', 'body'].forEach(location => {
+      let input = req[location];
+      if (location === 'body') {
+        if (!schema.body) return;
+        if (input === undefined) input = {};
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+          errors.push({ location, field: '', message: 'must be a JSON object' });
+          return;
+        }
+      }
+
+      const result = checkFields(input || {}, schema[location] || {}, '', location !== 'body');
+      valid[location] = result.values;
+      errors.push(...result.errors.map(error => ({ location, ...error })));
+    });
+
+    if (errors.length > 0) {
+      const summary = errors.map(({ field, message }) => `${field || 'body'} ${message}`).join('; ');
+      return sendProblem(res, 'VALIDATION_FAILED', summary, { errors });
+    }
+
+    req.valid = valid;
+    next();
+  };
+  // For the OpenAPI document of the app
+  middleware.schema = schema;
+  return middleware;
+}
+
+module.exports = { validate, checkFields };
@@ -0,0 +1,466 @@
+const crypto = require('crypto');
+const { validate } = require('./validation');
+const { sendProblem } = require('./problem');
+const { pageQuery, pageResponse, paginate } = require('./pagination');
+const { withMessage } = require('./openapi');
+const { DEFAULT_TENANT, currentTenant } = require('./tenancy');
+const logger = require('./logger');
+
+// Webhook subscriptions and deliveries for a service's domain events.
+//
+// Consumers register a URL and the event types they want (`user.created`,
+// `product.*`, `*`). Every event of the service that matches an active
+// subscription becomes a delivery: a POST of the event as JSON, signed with
+// the subscription's secret,
+//
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// A delivery succeeds on any 2xx answer. Otherwise it is retried with
+// exponential backoff and, after the last attempt, moved to the dead letters,
+// from where it can be sent again by hand. Subscriptions and deliveries are
+// kept in the service's storage, so pending retries survive a restart.
+//
+// Subscriptions belong to the tenant that created them (see tenancy.js):
+// they only get that tenant's events and are only listed and managed by it.
+
+const POLL_INTERVAL = 500;
+const CONCURRENCY = 5;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+// Delivered deliveries are kept this long for inspection
+const RETENTION = 24 * 60 * 60 * 1000;
+
+const DELIVERY_FIELDS = [
+  'id', 'subscriptionId', 'eventId', 'eventType', 'status', 'attempts',
+  'lastStatus', 'lastError', 'nextAttemptAt', 'createdAt', 'deliveredAt'
+];
+
+const subscriptionId = {
+  id: { type: 'integer', min: 1, required: true }
+};
+
+// Event types or `<prefix>.*` / `*` patterns
+const eventPatterns = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 50,
+  items: { type: 'string', pattern: /^(\*|[a-z_]+(\.[a-z_]+)*(\.\*)?)$/, maxLength: 100 }
+};
+
+const subscription = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', min: 1, required: true },
+    url: { type: 'string', required: true },
+    events: { type: 'array', items: { type: 'string' }, required: true },
+    description: { type: 'string', required: true },
+    active: { type: 'boolean', required: true },
+    createdAt: { type: 'string', required: true },
+    updatedAt: { type: 'string' }
+  }
+};
+
+const delivery = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', min: 1, required: true },
+    subscriptionId: { type: 'integer', min: 1, required: true },
+    eventId: { type: 'string', required: true },
+    eventType: { type: 'string', required: true },
+    status: { type: 'string', enum: ['pending', 'delivered', 'dead'], required: true },
+    attempts: { type: 'integer', min: 0, required: true },
+    lastStatus: { type: 'integer', nullable: true },
+    lastError: { type: 'string', nullable: true },
+    nextAttemptAt: { type: 'string', nullable: true },
+    createdAt: { type: 'string', required: true },
+    deliveredAt: { type: 'string', nullable: true }
+  }
+};
+
+const schemas = {
+  listWebhooks: {
+    summary: 'List webhook subscriptions',
+    responses: {
+      200: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer', min: 0, required: true },
+          subscriptions: { type: 'array', items: subscription, required: true }
+        }
+      }
+    }
+  },
+  createWebhook: {
+    summary: 'Subscribe to events',
+    description: 'The secret signing the deliveries is only returned here.',
+    body: {
+      url: { type: 'string', pattern: /^https?:\/\/[^\s]+$/, maxLength: 2000, required: true },
+      events: { ...eventPatterns, required: true },
+      // Generated when not given
+      secret: { type: 'string', minLength: 16, maxLength: 200 },
+      description: { type: 'string', maxLength: 500 }
+    },
+    responses: {
+      201: withMessage({
+        subscription: {
+          ...subscription,
+          required: true,
+          properties: { ...subscription.properties, secret: { type: 'string', required: true } }
+        }
+      })
+    }
+  },
+  getWebhook: {
+    summary: 'Get a webhook subscription',
+    params: subscriptionId,
+    responses: { 200: subscription }
+  },
+  updateWebhook: {
+    summary: 'Pause, resume or refilter a subscription',
+    params: subscriptionId,
+    body: {
+      active: { type: 'boolean' },
+      events: eventPatterns
+    },
+    responses: { 200: withMessage({ subscription: { ...subscription, required: true } }) }
+  },
+  deleteWebhook: {
+    summary: 'Delete a webhook subscription',
+    description: 'Its pending deliveries are dropped with it.',
+    params: subscriptionId,
+    responses: { 200: withMessage({ subscription: { ...subscription, required: true } }) }
+  },
+  listDeliveries: {
+    summary: 'List the deliveries of a subscription',
+    params: subscriptionId,
+    query: {
+      status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+      ...pageQuery({ sort: ['id'], fields: DELIVERY_FIELDS })
+    },
+    responses: {
+      200: pageResponse('deliveries', delivery, { subscriptionId: { type: 'integer', min: 1, required: true } })
+    }
+  },
+  listDeadLetters: {
+    summary: 'List deliveries that ran out of attempts',
+    query: pageQuery({ sort: ['id'], fields: DELIVERY_FIELDS }),
+    responses: { 200: pageResponse('deliveries', delivery) }
+  },
+  retryDeadLetter: {
+    summary: 'Send a dead letter again',
+    params: { deliveryId: { type: 'integer', min: 1, required: true } },
+    responses: { 202: withMessage({ delivery: { ...delivery, required: true } }) }
+  }
+};
+
+// `product.*` matches every product event, `*` everything
+function matches(pattern, type) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('.*')) return type.startsWith(pattern.slice(0, -1));
+  return pattern === type;
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// The secret is only shown when the subscription is created
+function toPublic(subscription) {
+  const { secret, tenant, ...rest } = subscription;
+  return rest;
+}
+
+// Records from before tenants belong to the default one
+function tenantOf(record) {
+  return record.tenant || DEFAULT_TENANT;
+}
+
+function createWebhooks({
+  store,
+  broker,
+  source,
+  metrics = null,
+  maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  retryBaseDelay = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+  timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000
+}) {
+  const subscriptions = store.collection('webhook_subscriptions');
+  const deliveries = store.collection('webhook_deliveries');
+  const inFlight = new Set();
+
+  const attempts = metrics && metrics.counter('webhook_delivery_attempts_total',
+    'Webhook delivery attempts', ['result']);
+  if (metrics) {
+    metrics.gauge('webhook_deliveries', 'Webhook deliveries by status', ['status'], () =>
+      ['pending', 'dead'].map(status => ({
+        labels: { status },
+        value: deliveries.filter(delivery => delivery.status === status).length
+      }))
+    );
+  }
+
+  // Queue a delivery per matching subscription of the event's tenant;
+  // redelivered events are recognised by their ID
+  function enqueue(event) {
+    if (event.source !== source) return;
+
+    subscriptions.filter(subscription =>
+      subscription.active && tenantOf(subscription) === tenantOf(event) &&
+      subscription.events.some(pattern => matches(pattern, event.type))
+    ).forEach(subscription => {
+      const duplicate = deliveries.find(delivery =>
+        delivery.subscriptionId === subscription.id && delivery.eventId === event.id
+      );
+      if (duplicate) return;
+
+      deliveries.put({
+        id: deliveries.nextId(),
+        tenant: tenantOf(subscription),
+        subscriptionId: subscription.id,
+        eventId: event.id,
+        eventType: event.type,
+        event,
+        status: 'pending',
+        attempts: 0,
+        lastStatus: null,
+        lastError: null,
+        nextAttemptAt: new Date().toISOString(),
+        createdAt: new Date().toISOString(),
+        deliveredAt: null
+      });
+    });
+    setImmediate(tick);
+  }
+
+  async function attempt(delivery) {
+    const subscription = subscriptions.get(delivery.subscriptionId);
+    // Deleted since the delivery was queued
+    if (!subscription) return;
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let status = null;
+    let error = null;
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': `${source}-webhooks`,
+          'X-Webhook-Id': String(delivery.id),
+          'X-Event-Id': delivery.eventId,
+          'X-Event-Type': delivery.eventType,
+          'X-Webhook-Signature': `t=${timestamp},v1=${sign(subscription.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeout)
+      });
+      status = response.status;
+      // Only the status matters; drop the body
+      await response.arrayBuffer().catch(() => {});
+      if (!response.ok) error = `HTTP ${status}`;
+    } catch (caught) {
+      error = caught.name === 'TimeoutError' ? `Timed out after ${timeout}ms` : caught.message;
+    }
+
+    const current = deliveries.get(delivery.id);
+    if (!current) return;
+    const tries = current.attempts + 1;
+
+    if (!error) {
+      deliveries.put({
+        ...current,
+        status: 'delivered',
+        attempts: tries,
+        lastStatus: status,
+        lastError: null,
+        nextAttemptAt: null,
+        deliveredAt: new Date().toISOString()
+      });
+      if (attempts) attempts.inc({ result: 'delivered' });
+      return;
+    }
+
+    const dead = tries >= maxAttempts;
+    const delay = Math.min(MAX_RETRY_DELAY, retryBaseDelay * 2 ** (tries - 1));
+    deliveries.put({
+      ...current,
+      status: dead ? 'dead' : 'pending',
+      attempts: tries,
+      lastStatus: status,
+      lastError: error,
+      nextAttemptAt: dead ? null : new Date(Date.now() + delay).toISOString()
+    });
+    if (attempts) attempts.inc({ result: dead ? 'dead' : 'failed' });
+
+    const fields = {
+      deliveryId: current.id,
+      subscriptionId: current.subscriptionId,
+      eventType: current.eventType,
+      attempts: tries,
+      error
+    };
+    if (dead) logger.warn('Webhook delivery moved to dead letters', fields);
+    else logger.debug('Webhook delivery failed, will retry', fields);
+  }
+
+  // Start due deliveries, a few at a time, and forget old delivered ones
+  function tick() {
+    const now = Date.now();
+    deliveries.filter(delivery =>
+      delivery.status === 'delivered' && new Date(delivery.deliveredAt).getTime() < now - RETENTION
+    ).forEach(delivery => deliveries.remove(delivery.id));
+
+    const due = deliveries.filter(delivery =>
+      delivery.status === 'pending' && !inFlight.has(delivery.id) &&
+      new Date(delivery.nextAttemptAt).getTime() <= now
+    ).sort((a, b) => a.id - b.id);
+
+    due.slice(0, Math.max(0, CONCURRENCY - inFlight.size)).forEach(delivery => {
+      inFlight.add(delivery.id);
+      attempt(delivery)
+        .catch(error => logger.error('Webhook delivery error', { deliveryId: delivery.id, error }))
+        .finally(() => inFlight.delete(delivery.id));
+    });
+  }
+
+  function subscriptionNotFound(res, id) {
+    return sendProblem(res, 'NOT_FOUND', `Webhook subscription ${id} not found`, { subscriptionId: id });
+  }
+
+  // Records of the requesting tenant only
+  const own = record => Boolean(record && tenantOf(record) === currentTenant());
+
+  function findSubscription(id) {
+    const subscription = subscriptions.get(id);
+    return own(subscription) ? subscription : undefined;
+  }
+
+  // Deliveries as listed: without the tenant, like subscriptions
+  const listed = ({ tenant, ...delivery }) => delivery;
+
+  // Subscription API under prefix (e.g. /webhooks)
+  function registerRoutes(app, prefix = '/webhooks') {
+    app.get(prefix, validate(schemas.listWebhooks), (req, res) => {
+      const all = subscriptions.filter(own).map(toPublic);
+      res.json({ count: all.length, subscriptions: all });
+    });
+
+    app.post(prefix, validate(schemas.createWebhook), (req, res) => {
+      const { url, events, secret, description } = req.valid.body;
+      const subscription = subscriptions.put({
+        id: subscriptions.nextId(),
+        tenant: currentTenant(),
+        url,
+        events,
+        secret: secret || crypto.randomBytes(32).toString('hex'),
+        description: description || '',
+        active: true,
+        createdAt: new Date().toISOString()
+      });
+
+      res.status(201).json({
+        message: 'Webhook subscription created successfully',
+        subscription: { ...toPublic(subscription), secret: subscription.secret }
+      });
+    });
+
+    // Before /:id, which would not accept the name
+    app.get(`${prefix}/dead-letters`, validate(schemas.listDeadLetters), (req, res) => {
+      const page = paginate(req, res, deliveries.filter(delivery => own(delivery) && delivery.status === 'dead')
+        .map(listed), { defaultSort: ['-id'] });
+      res.json({ ...page.meta, deliveries: page.items });
+    });
+
+    app.post(`${prefix}/dead-letters/:deliveryId/retry`, validate(schemas.retryDeadLetter), (req, res) => {
+      const { deliveryId } = req.valid.params;
+      const delivery = deliveries.get(deliveryId);
+      if (!own(delivery) || delivery.status !== 'dead') {
+        return sendProblem(res, 'NOT_FOUND', `Dead letter ${deliveryId} not found`, { deliveryId });
+      }
+      if (!findSubscription(delivery.subscriptionId)) {
+        return subscriptionNotFound(res, delivery.subscriptionId);
+      }
+
+      const retried = deliveries.put({
+        ...delivery,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString()
+      });
+      setImmediate(tick);
+
+      res.status(202).json({
+        message: 'Delivery queued again',
+        delivery: listed(retried)
+      });
+    });
+
+    app.get(`${prefix}/:id`, validate(schemas.getWebhook), (req, res) => {
+      const subscription = findSubscription(req.valid.params.id);
+      if (!subscription) return subscriptionNotFound(res, req.valid.params.id);
+      res.json(toPublic(subscription));
+    });
+
+    // Pause / resume, or change the event filter
+    app.patch(`${prefix}/:id`, validate(schemas.updateWebhook), (req, res) => {
+      const subscription = findSubscription(req.valid.params.id);
+      if (!subscription) return subscriptionNotFound(res, req.valid.params.id);
+
+      const updated = subscriptions.put({ ...subscription, ...req.valid.body, updatedAt: new Date().toISOString() });
+      res.json({
+        message: 'Webhook subscription updated successfully',
+        subscription: toPublic(updated)
+      });
+    });
+
+    // Pending deliveries of the subscription are dropped with it
+    app.delete(`${prefix}/:id`, validate(schemas.deleteWebhook), (req, res) => {
+      const id = req.valid.params.id;
+      if (!findSubscription(id)) return subscriptionNotFound(res, id);
+      const subscription = subscriptions.remove(id);
+
+      deliveries.filter(delivery => delivery.subscriptionId === id && delivery.status !== 'delivered')
+        .forEach(delivery => deliveries.remove(delivery.id));
+      res.json({
+        message: 'Webhook subscription deleted successfully',
+        subscription: toPublic(subscription)
+      });
+    });
+
+    app.get(`${prefix}/:id/deliveries`, validate(schemas.listDeliveries), (req, res) => {
+      const id = req.valid.params.id;
+      if (!findSubscription(id)) return subscriptionNotFound(res, id);
+
+      const { status } = req.valid.query;
+      const page = paginate(req, res, deliveries.filter(delivery =>
+        delivery.subscriptionId === id && (!status || delivery.status === status)
+      ).map(listed), { defaultSort: ['-id'] });
+      res.json({ subscriptionId: id, ...page.meta, deliveries: page.items });
+    });
+  }
+
+  let unsubscribe = null;
+  let timer = null;
+
+  return {
+    registerRoutes,
+    // Route schemas by name, for the service's OpenAPI document
+    schemas,
+
+    // Listen for events and start delivering
+    start() {
+      unsubscribe = broker.subscribe(enqueue);
+      timer = setInterval(tick, POLL_INTERVAL);
+      timer.unref();
+    },
+
+    stop() {
+      if (unsubscribe) unsubscribe();
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = { createWebhooks };
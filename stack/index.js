@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { parseArgs } = require('util');
+const { NAMES, DEFAULT_SERVICES, plan } = require('./services');
+const { createSupervisor, readState, runningStack, isAlive, probe, sleep } = require('./supervisor');
+const { createFormatter, recentLines, follow } = require('./logs');
+const { seedUsers } = require('../users-service/seed');
+
+// Stack launcher: the whole system on one machine, for development and CI,
+// instead of a VM and PM2 per app.
+//
+//   node stack start [--detach] [--in-process] [--memory] [--port 3000]
+//                    [--services gateway,users,products,orders,kv]
+//   node stack status          readiness of every app
+//   node stack logs [app...] [--follow] [--lines 50]
+//   node stack seed [--tenant <id>]
+//   node stack reset [app...]
+//   node stack stop
+//
+// Each command works on the stack of one run directory (--run-dir or
+// STACK_RUN_DIR, stack/run by default), which holds its data, logs and
+// state; see services.js for the ports and wiring and supervisor.js for how
+// the apps are run.
+
+const USAGE = `Usage: node stack <command> [options]
+
+Commands:
+  start              Start the stack (in the foreground unless --detach)
+  stop               Stop a running stack
+  status             Show the readiness of every app
+  logs [app...]      Show the apps' logs, merged
+  seed               Load the seed users and products into a running stack
+  reset [app...]     Delete the apps' data (seed data is loaded on next start)
+
+Options:
+  --run-dir <dir>    Data, logs and state of the stack (default stack/run)
+  --port <port>      Gateway port; users, products, orders and kv follow it (default 3000)
+  --services <list>  Apps to start, of ${NAMES.join(', ')} (default ${DEFAULT_SERVICES.join(',')})
+  --in-process       Run the apps as worker threads of one process
+  --memory           Keep data in memory only
+  --detach           Start in the background and return once the stack is ready
+  --timeout <ms>     How long start waits for each app, stop for the stack (default 20000)
+  --follow, -f       Keep showing new log lines
+  --lines, -n <n>    Log lines to show (default 50)
+  --tenant <id>      Tenant to seed (default: the default tenant)
+  --json             Status as JSON`;
+
+const OPTIONS = {
+  'run-dir': { type: 'string' },
+  port: { type: 'string', default: '3000' },
+  services: { type: 'string' },
+  'in-process': { type: 'boolean', default: false },
+  memory: { type: 'boolean', default: false },
+  detach: { type: 'boolean', default: false },
+  timeout: { type: 'string', default: '20000' },
+  follow: { type: 'boolean', short: 'f', default: false },
+  lines: { type: 'string', short: 'n', default: '50' },
+  tenant: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  // Set by --detach on the launcher it starts: only the launcher's own
+  // messages are written to its output
+  background: { type: 'boolean', default: false }
+};
+
+class UsageError extends Error {}
+
+function integer(options, name) {
+  const value = Number(options[name]);
+  if (!Number.isInteger(value) || value < 0) throw new UsageError(`--${name} must be a whole number`);
+  return value;
+}
+
+// The apps named on the command line, all of `known` when none are
+function appNames(list, known = NAMES) {
+  const names = list.length > 0 ? list : known;
+  const unknown = names.filter(name => !known.includes(name));
+  if (unknown.length > 0) throw new UsageError(`Unknown app ${unknown.join(', ')} (one of ${known.join(', ')})`);
+  return names;
+}
+
+function print(line = '') {
+  process.stdout.write(line + '\n');
+}
+
+// The apps of the running stack, or of the one the options describe
+function currentServices(runDir, options) {
+  const state = runningStack(runDir);
+  const port = state ? state.port : integer(options, 'port');
+  const names = state
+    ? state.services.map(service => service.name)
+    : (options.services ? options.services.split(',') : DEFAULT_SERVICES);
+  return { state, services: plan(names, { port }) };
+}
+
+// A JSON request with a body to one of the apps
+function send(url, { method = 'POST', headers = {}, body, timeout = 30000 }) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, {
+      method,
+      timeout,
+      headers: { ...headers, 'content-length': Buffer.byteLength(body) }
+    }, response => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => {
+        try {
+          resolve({ status: response.statusCode, body: JSON.parse(text) });
+        } catch (error) {
+          resolve({ status: response.statusCode, body: text });
+        }
+      });
+    });
+    request.once('timeout', () => request.destroy(new Error(`${url} timed out`)));
+    request.once('error', reject);
+    request.end(body);
+  });
+}
+
+async function start(runDir, options) {
+  const running = runningStack(runDir);
+  if (running) throw new UsageError(`A stack is already running from ${runDir} (PID ${running.pid})`);
+
+  const port = integer(options, 'port');
+  const timeout = integer(options, 'timeout');
+  const services = plan(options.services ? options.services.split(',') : DEFAULT_SERVICES, { port });
+
+  if (options.detach) return detach(runDir, timeout * services.length);
+
+  const names = ['stack', ...services.map(service => service.name)];
+  const format = createFormatter(names);
+  const supervisor = createSupervisor({
+    services,
+    runDir,
+    port,
+    storage: options.memory ? 'memory' : (process.env.STORAGE_DRIVER || 'file'),
+    inProcess: options['in-process'],
+    startTimeout: timeout,
+    onLine: (name, line) => {
+      if (!options.background || name === 'stack') print(format(name, line));
+    }
+  });
+
+  let stopped = null;
+  const stop = () => {
+    stopped = stopped || supervisor.stop();
+    return stopped;
+  };
+  process.on('SIGINT', () => stop().then(() => process.exit(0)));
+  process.on('SIGTERM', () => stop().then(() => process.exit(0)));
+
+  if (!(await supervisor.start())) {
+    await stop();
+    return 1;
+  }
+  // Runs until stopped
+  return new Promise(() => {});
+}
+
+// Starts the launcher in the background and waits for its stack to be ready
+async function detach(runDir, timeout) {
+  fs.mkdirSync(runDir, { recursive: true });
+  const output = fs.openSync(path.join(runDir, 'launcher.log'), 'w');
+  const args = process.argv.slice(2).filter(arg => arg !== '--detach');
+  const launcher = spawn(process.execPath, [__filename, ...args, '--background'], {
+    detached: true,
+    stdio: ['ignore', output, output],
+    env: { ...process.env, STACK_RUN_DIR: runDir }
+  });
+  launcher.unref();
+  fs.closeSync(output);
+
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const state = readState(runDir);
+    if (state && state.pid === launcher.pid && state.ready) {
+      state.services.forEach(service => print(`${service.name.padEnd(9)} ${service.url}`));
+      print(`Stack running in the background (PID ${launcher.pid}); stop it with: node stack stop`);
+      return 0;
+    }
+    if (!isAlive(launcher.pid)) break;
+    await sleep(200);
+  }
+
+  process.stderr.write(`The stack did not start; see node stack logs and ${path.join(runDir, 'launcher.log')}\n`);
+  if (isAlive(launcher.pid)) process.kill(launcher.pid, 'SIGTERM');
+  return 1;
+}
+
+async function stop(runDir, options) {
+  const state = runningStack(runDir);
+  if (!state) {
+    print(`No stack is running from ${runDir}`);
+    return 0;
+  }
+
+  process.kill(state.pid, 'SIGTERM');
+  const deadline = Date.now() + integer(options, 'timeout');
+  while (isAlive(state.pid)) {
+    if (Date.now() > deadline) {
+      process.stderr.write(`The stack (PID ${state.pid}) did not stop in time\n`);
+      return 1;
+    }
+    await sleep(200);
+  }
+  print('Stack stopped');
+  return 0;
+}
+
+async function status(runDir, options) {
+  const { state, services } = currentServices(runDir, options);
+  const results = await Promise.all(services.map(async service => {
+    const started = Date.now();
+    const ready = await probe(service, 2000);
+    const entry = state && state.services.find(candidate => candidate.name === service.name);
+    return {
+      name: service.name,
+      url: service.url,
+      pid: entry ? entry.pid : null,
+      threadId: entry ? entry.threadId : null,
+      status: ready ? 'ready' : 'down',
+      latencyMs: Date.now() - started
+    };
+  }));
+  const healthy = results.every(result => result.status === 'ready');
+
+  if (options.json) {
+    print(JSON.stringify({ running: Boolean(state), healthy, services: results }, null, 2));
+  } else {
+    if (!state) print(`No stack is running from ${runDir}; checking the default ports`);
+    results.forEach(result => print([
+      result.name.padEnd(9),
+      result.url.padEnd(24),
+      result.status.padEnd(6),
+      `${result.latencyMs}ms`.padStart(7),
+      result.pid ? `  PID ${result.pid}` : result.threadId ? `  thread ${result.threadId}` : ''
+    ].join(' ')));
+  }
+  return healthy ? 0 : 1;
+}
+
+async function logs(runDir, options, positionals) {
+  // `stack` is the launcher's own log
+  const names = appNames(positionals, ['stack', ...NAMES]);
+  const format = createFormatter(names);
+  recentLines(runDir, names, integer(options, 'lines')).forEach(({ name, line }) => print(format(name, line)));
+  if (!options.follow) return 0;
+
+  const unfollow = follow(runDir, names, (name, line) => print(format(name, line)));
+  return new Promise(resolve => {
+    process.once('SIGINT', () => {
+      unfollow();
+      resolve(0);
+    });
+  });
+}
+
+// Imports the seed data through the services' import endpoints, so seeding a
+// stack that has data only updates the seed records. Seed users get new
+// random passwords, printed here, unless SEED_ADMIN_PASSWORD and
+// SEED_USER_PASSWORD are set.
+async function seed(runDir, options) {
+  const { state, services } = currentServices(runDir, options);
+  if (!state) throw new UsageError(`No stack is running from ${runDir}`);
+
+  const users = seedUsers();
+  users.filter(user => user.generated).forEach(user => print(`${user.email} has the password ${user.password}`));
+
+  const sets = [
+    { service: 'users', path: '/users/import', records: users.map(({ generated, ...user }) => user) },
+    { service: 'products', path: '/products/import', records: require('../products-service/seed') }
+  ];
+  let failed = false;
+  for (const set of sets) {
+    const service = services.find(candidate => candidate.name === set.service);
+    if (!service) continue;
+
+    const response = await send(`${service.url}${set.path}?mode=best-effort`, {
+      headers: {
+        'content-type': 'application/x-ndjson',
+        ...(options.tenant && { 'x-tenant-id': options.tenant })
+      },
+      body: set.records.map(record => JSON.stringify(record)).join('\n') + '\n'
+    });
+    if (response.status !== 200) {
+      failed = true;
+      print(`${set.service.padEnd(9)} failed: ${response.status} ${response.body.detail || response.body.title || ''}`);
+      continue;
+    }
+    const report = response.body;
+    print(`${set.service.padEnd(9)} ${report.created} created, ${report.updated} updated, ` +
+      `${report.unchanged} unchanged, ${report.failed} failed`);
+    if (report.failed > 0) failed = true;
+  }
+  return failed ? 1 : 0;
+}
+
+async function reset(runDir, options, positionals) {
+  const state = runningStack(runDir);
+  if (state) throw new UsageError(`Stop the stack first (node stack stop); it is running from ${runDir}`);
+
+  appNames(positionals).forEach(name => {
+    const dir = path.join(runDir, 'data', name);
+    if (!fs.existsSync(dir)) return;
+    fs.rmSync(dir, { recursive: true, force: true });
+    print(`Deleted ${dir}`);
+  });
+  print('Seed data is loaded on the next start');
+  return 0;
+}
+
+const COMMANDS = { start, stop, status, logs, seed, reset };
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...rest] = positionals;
+  if (options.help || !command || command === 'help') {
+    print(USAGE);
+    return command || options.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command ${command}`);
+
+  const runDir = path.resolve(options['run-dir'] || process.env.STACK_RUN_DIR || path.join(__dirname, 'run'));
+  return COMMANDS[command](runDir, options, rest);
+}
+
+main(process.argv.slice(2)).then(
+  code => {
+    if (code !== undefined) process.exitCode = code;
+  },
+  error => {
+    process.stderr.write(`${error.message}\n`);
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      process.stderr.write('Run node stack help for usage\n');
+      process.exitCode = 2;
+    } else {
+      process.exitCode = 1;
+    }
+  }
+);
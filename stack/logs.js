@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+
+// Logs of a stack: every app's output is kept as it was written in
+// <run dir>/logs/<app>.log, and shown merged, one line per entry:
+//
+//   14:03:07.412 products  info  Product created requestId=5b0c... productId=7
+//
+// with a colour per app and per level when writing to a terminal (unless
+// NO_COLOR is set). Lines that are not JSON log entries are shown as they
+// are.
+
+const COLOURS = [36, 35, 33, 32, 34, 96, 95];
+const LEVEL_COLOURS = { debug: 90, info: 32, warn: 33, error: 31 };
+// Shown in the message column, not as fields
+const OMITTED = ['timestamp', 'level', 'service', 'message', 'traceId', 'tenant'];
+
+function logFile(runDir, name) {
+  return path.join(runDir, 'logs', `${name}.log`);
+}
+
+function createFormatter(names, { colour = process.stdout.isTTY && !process.env.NO_COLOR } = {}) {
+  const width = Math.max(...names.map(name => name.length));
+  const paint = (code, text) => (colour && code ? `\x1b[${code}m${text}\x1b[0m` : text);
+  const appColour = name => COLOURS[names.indexOf(name) % COLOURS.length];
+
+  function value(field) {
+    return typeof field === 'string' ? field : JSON.stringify(field);
+  }
+
+  return (name, line) => {
+    const app = paint(appColour(name), name.padEnd(width));
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      entry = null;
+    }
+    if (!entry || typeof entry !== 'object' || !entry.message) return `${' '.repeat(12)} ${app}  ${line}`;
+
+    const time = (entry.timestamp || '').slice(11, 23).padEnd(12);
+    const level = paint(LEVEL_COLOURS[entry.level], (entry.level || '').padEnd(5));
+    const fields = Object.entries(entry)
+      .filter(([key, field]) => !OMITTED.includes(key) && field !== undefined && field !== null)
+      .map(([key, field]) => `${paint(90, `${key}=`)}${value(field)}`);
+    const tenant = entry.tenant && entry.tenant !== 'default' ? `[${entry.tenant}] ` : '';
+    return `${paint(90, time)} ${app}  ${level} ${tenant}${entry.message}${fields.length ? ' ' + fields.join(' ') : ''}`;
+  };
+}
+
+// Splits chunks of output into lines, keeping a partial last line for later
+function lineSplitter(onLine) {
+  let rest = '';
+  return chunk => {
+    const lines = (rest + chunk).split('\n');
+    rest = lines.pop();
+    lines.filter(line => line.trim()).forEach(onLine);
+  };
+}
+
+function timestampOf(line) {
+  const match = /"timestamp":"([^"]+)"/.exec(line);
+  return match ? match[1] : '';
+}
+
+// The last `lines` lines of each app's log, merged in time order
+function recentLines(runDir, names, lines) {
+  const merged = [];
+  names.forEach(name => {
+    const file = logFile(runDir, name);
+    if (!fs.existsSync(file)) return;
+    const all = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+    let previous = '';
+    all.slice(-lines).forEach((line, i) => {
+      // Lines without a timestamp stay after the entry before them
+      previous = timestampOf(line) || previous;
+      merged.push({ name, line, at: previous, i });
+    });
+  });
+  return merged
+    .sort((a, b) => a.at.localeCompare(b.at) || (a.name === b.name ? a.i - b.i : 0))
+    .slice(-lines);
+}
+
+// Calls onLine(name, line) for every line appended to the apps' logs from now
+// on; returns a function that stops following
+function follow(runDir, names, onLine, { interval = 250 } = {}) {
+  const files = names.map(name => {
+    const file = logFile(runDir, name);
+    return {
+      name,
+      file,
+      offset: fs.existsSync(file) ? fs.statSync(file).size : 0,
+      decoder: new StringDecoder('utf8'),
+      split: lineSplitter(line => onLine(name, line))
+    };
+  });
+
+  const timer = setInterval(() => {
+    files.forEach(entry => {
+      if (!fs.existsSync(entry.file)) return;
+      const size = fs.statSync(entry.file).size;
+      // Truncated by a new start of the stack
+      if (size < entry.offset) entry.offset = 0;
+      if (size === entry.offset) return;
+
+      const fd = fs.openSync(entry.file, 'r');
+      const buffer = Buffer.alloc(size - entry.offset);
+      fs.readSync(fd, buffer, 0, buffer.length, entry.offset);
+      fs.closeSync(fd);
+      entry.offset = size;
+      entry.split(entry.decoder.write(buffer));
+    });
+  }, interval);
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { logFile, createFormatter, lineSplitter, recentLines, follow };
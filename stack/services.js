@@ -0,0 +1,79 @@
+const path = require('path');
+
+// The apps the stack launcher runs, in start order, and how each is wired to
+// the others on one host.
+//
+// Every app gets a port relative to the gateway's (`--port`, 3000 by
+// default) and a data directory of its own under the run directory. The
+// service URLs the gateway and the orders service call are set to the local
+// ports, so nothing needs the VM addresses. With the kv-store in the stack,
+// the services publish events through it and the gateway keeps its rate
+// limits there, as they would with a shared Redis. Account mails of the
+// users service are written to <run dir>/mail unless MAIL_TRANSPORT is set,
+// their links leading to the stack's gateway unless APP_URL is.
+
+const ROOT = path.join(__dirname, '..');
+
+const SERVICES = [
+  { name: 'kv', dir: 'kv-store', offset: 4, protocol: 'redis', optional: true },
+  { name: 'users', dir: 'users-service', offset: 1, protocol: 'http' },
+  { name: 'products', dir: 'products-service', offset: 2, protocol: 'http' },
+  { name: 'orders', dir: 'orders-service', offset: 3, protocol: 'http' },
+  { name: 'gateway', dir: 'gateway', offset: 0, protocol: 'http' }
+];
+
+const NAMES = SERVICES.map(service => service.name);
+
+// Apps started when `--services` is not given
+const DEFAULT_SERVICES = SERVICES.filter(service => !service.optional).map(service => service.name);
+
+function serviceUrl(service, port) {
+  return `${service.protocol}://127.0.0.1:${port + service.offset}`;
+}
+
+// The apps named in `names`, in start order, with their ports and URLs
+function plan(names, { port }) {
+  const unknown = names.filter(name => !NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown service ${unknown.join(', ')} (one of ${NAMES.join(', ')})`);
+  }
+  return SERVICES.filter(service => names.includes(service.name)).map(service => ({
+    ...service,
+    entry: path.join(ROOT, service.dir, 'index.js'),
+    cwd: path.join(ROOT, service.dir),
+    port: port + service.offset,
+    url: serviceUrl(service, port)
+  }));
+}
+
+// Environment of `service` in a stack of `services` whose gateway listens on
+// `port`, over the launcher's own. Apps left out of the stack keep their
+// ports, so one started by hand is found there.
+function environment(service, services, { port, dataDir, storage }) {
+  const url = name => serviceUrl(SERVICES.find(candidate => candidate.name === name), port);
+  const kv = services.some(candidate => candidate.name === 'kv');
+
+  return {
+    ...process.env,
+    PORT: String(service.port),
+    HOST: '127.0.0.1',
+    DATA_DIR: path.join(dataDir, service.name),
+    STORAGE_DRIVER: storage,
+    // Lets the apps run without JWT_SECRET, on a shared development default
+    NODE_ENV: process.env.NODE_ENV || 'development',
+    USERS_SERVICE_URL: url('users'),
+    PRODUCTS_SERVICE_URL: url('products'),
+    ORDERS_SERVICE_URL: url('orders'),
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'file',
+    MAIL_DIR: process.env.MAIL_DIR || path.join(dataDir, '..', 'mail'),
+    APP_URL: process.env.APP_URL || url('gateway'),
+    ...(kv && {
+      EVENT_BROKER: 'redis',
+      EVENT_BROKER_URL: url('kv'),
+      RATE_LIMIT_STORE: 'redis',
+      REDIS_URL: url('kv')
+    })
+  };
+}
+
+module.exports = { NAMES, DEFAULT_SERVICES, plan, environment };
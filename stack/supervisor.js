@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const { spawn } = require('child_process');
+const { Worker } = require('worker_threads');
+const { environment } = require('./services');
+const { logFile, lineSplitter } = require('./logs');
+
+// Runs the apps of a stack and stops them again.
+//
+// Apps are started one at a time, in the order of services.js, each once the
+// one before it is ready (GET /health/ready answers 200, or the kv-store
+// accepts connections), so the gateway finds the services up. They run as
+// child processes or, in-process, as worker threads of the launcher
+// (worker.js). Their output is appended to <run dir>/logs/<app>.log and
+// handed to onLine(app, line).
+//
+// stop() stops them in reverse order the way PM2 would, with SIGTERM (or its
+// in-process equivalent), so each drains its requests first; apps still
+// running after `stopTimeout` are killed.
+//
+// The stack's state (the launcher's PID and the apps with their URLs) is kept
+// in <run dir>/stack.json while it runs, for the other commands.
+
+const STATE_FILE = 'stack.json';
+const POLL_INTERVAL = 200;
+
+function readState(runDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(runDir, STATE_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// The state of the stack running from runDir, or null
+function runningStack(runDir) {
+  const state = readState(runDir);
+  return state && isAlive(state.pid) ? state : null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Whether `service` answers its readiness probe
+function probe(service, timeout = 1000) {
+  return new Promise(resolve => {
+    if (service.protocol !== 'http') {
+      const socket = net.connect(service.port, '127.0.0.1');
+      socket.setTimeout(timeout, () => socket.destroy());
+      socket.once('connect', () => {
+        socket.destroy();
+        resolve(true);
+      });
+      socket.once('error', () => resolve(false));
+      socket.once('close', () => resolve(false));
+      return;
+    }
+    const request = http.get(`${service.url}/health/ready`, { timeout }, response => {
+      response.resume();
+      resolve(response.statusCode === 200);
+    });
+    request.once('timeout', () => request.destroy());
+    request.once('error', () => resolve(false));
+  });
+}
+
+function createSupervisor({ services, runDir, port, storage, inProcess = false, startTimeout = 20000, stopTimeout = 15000, onLine }) {
+  const dataDir = path.join(runDir, 'data');
+  const apps = [];
+  const startedAt = new Date().toISOString();
+  let ready = false;
+  let stopping = false;
+
+  function writeState() {
+    const state = {
+      pid: process.pid,
+      mode: inProcess ? 'in-process' : 'processes',
+      port,
+      storage,
+      ready,
+      startedAt,
+      services: apps.map(app => ({
+        name: app.service.name,
+        url: app.service.url,
+        pid: app.pid,
+        threadId: app.threadId,
+        running: app.running
+      }))
+    };
+    fs.writeFileSync(path.join(runDir, STATE_FILE), JSON.stringify(state, null, 2) + '\n');
+  }
+
+  // The launcher's own messages, as log entries of the `stack` app
+  function note(level, message, fields = {}) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), level, service: 'stack', message, ...fields });
+    fs.appendFileSync(logFile(runDir, 'stack'), line + '\n');
+    onLine('stack', line);
+  }
+
+  function launch(service) {
+    const env = environment(service, services, { port, dataDir, storage });
+    const log = fs.createWriteStream(logFile(runDir, service.name), { flags: 'w' });
+    const output = lineSplitter(line => onLine(service.name, line));
+    const app = { service, pid: null, threadId: null, running: true };
+
+    let child;
+    if (inProcess) {
+      child = new Worker(path.join(__dirname, 'worker.js'), {
+        workerData: { entry: service.entry },
+        env,
+        stdout: true,
+        stderr: true
+      });
+      app.threadId = child.threadId;
+      app.stop = () => child.postMessage('stop');
+      app.kill = () => child.terminate();
+    } else {
+      child = spawn(process.execPath, [service.entry], { cwd: service.cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
+      app.pid = child.pid;
+      app.stop = () => child.kill('SIGTERM');
+      app.kill = () => child.kill('SIGKILL');
+    }
+
+    [child.stdout, child.stderr].forEach(stream => {
+      stream.setEncoding('utf8');
+      stream.on('data', chunk => {
+        log.write(chunk);
+        output(chunk);
+      });
+    });
+
+    app.exited = new Promise(resolve => {
+      child.once('exit', code => {
+        app.running = false;
+        log.end();
+        if (!stopping) {
+          note('error', `${service.name} exited`, { code });
+          writeState();
+        }
+        resolve(code);
+      });
+    });
+    // A worker that fails to load its app reports the error here
+    child.once('error', error => note('error', `${service.name} failed`, { error: error.message }));
+
+    apps.push(app);
+    return app;
+  }
+
+  async function waitUntilReady(app) {
+    const deadline = Date.now() + startTimeout;
+    while (Date.now() < deadline) {
+      if (!app.running) return false;
+      if (await probe(app.service)) return true;
+      await sleep(POLL_INTERVAL);
+    }
+    return false;
+  }
+
+  return {
+    apps,
+
+    // Resolves with true once every app is ready, false when one is not
+    async start() {
+      fs.mkdirSync(path.join(runDir, 'logs'), { recursive: true });
+      fs.writeFileSync(logFile(runDir, 'stack'), '');
+      note('info', 'Starting stack', {
+        mode: inProcess ? 'in-process' : 'processes',
+        storage,
+        services: services.map(service => service.name)
+      });
+      writeState();
+
+      for (const service of services) {
+        const app = launch(service);
+        writeState();
+        if (!(await waitUntilReady(app))) {
+          note('error', `${service.name} did not become ready`, { url: service.url, timeoutMs: startTimeout });
+          return false;
+        }
+        note('info', `${service.name} ready`, {
+          url: service.url,
+          ...(inProcess ? { threadId: app.threadId } : { pid: app.pid })
+        });
+      }
+
+      ready = true;
+      writeState();
+      note('info', 'Stack ready', { gateway: (services.find(service => service.name === 'gateway') || {}).url });
+      return true;
+    },
+
+    async stop() {
+      if (stopping) return;
+      stopping = true;
+      note('info', 'Stopping stack');
+
+      for (const app of [...apps].reverse()) {
+        if (!app.running) continue;
+        app.stop();
+        const timer = setTimeout(() => {
+          note('warn', `${app.service.name} did not stop in time, killing it`, { timeoutMs: stopTimeout });
+          app.kill();
+        }, stopTimeout);
+        const code = await app.exited;
+        clearTimeout(timer);
+        note('info', `${app.service.name} stopped`, { code });
+      }
+
+      fs.rmSync(path.join(runDir, STATE_FILE), { force: true });
+      note('info', 'Stack stopped');
+    }
+  };
+}
+
+module.exports = { createSupervisor, readState, runningStack, isAlive, probe, sleep, STATE_FILE };
@@ -0,0 +1,14 @@
+const { parentPort, workerData } = require('worker_threads');
+
+// One app of an in-process stack, in a worker thread of the launcher (see
+// supervisor.js). Each worker loads its app with a module cache and an
+// environment of its own, so the apps do not share loggers or settings.
+//
+// Signals only reach the launcher's main thread; it asks the worker to stop
+// with a message, which is handled like a SIGTERM to a separate process.
+
+parentPort.on('message', message => {
+  if (message === 'stop') process.emit('SIGTERM', 'SIGTERM');
+});
+
+require(workerData.entry);
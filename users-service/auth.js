@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('../shared/tokens');
+const { DEFAULT_TENANT, currentTenant } = require('../shared/tenancy');
+
+// Access and refresh token issuing for /auth/*.
+//
+// Access tokens are short-lived and only verified by signature (at the
+// gateway). Refresh tokens are recorded in the repository by jti, rotated on
+// every use and revoked on logout or when the user is deleted.
+//
+// Both carry the user's tenant, which the gateway takes as the tenant of
+// every request made with the access token; a refresh token only works
+// within its tenant.
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60;
+
+function issueTokens(users, user) {
+  const jti = crypto.randomUUID();
+  const refreshExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL * 1000).toISOString();
+
+  users.saveRefreshToken(jti, user.id, refreshExpiresAt);
+
+  return {
+    tokenType: 'Bearer',
+    accessToken: signToken(
+      { sub: user.id, role: user.role, email: user.email, tenant: currentTenant(), type: 'access' },
+      ACCESS_TOKEN_TTL
+    ),
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken: signToken({ sub: user.id, jti, tenant: currentTenant(), type: 'refresh' }, REFRESH_TOKEN_TTL),
+    refreshExpiresAt
+  };
+}
+
+// Claims of a refresh token that is validly signed and not yet revoked, or null
+function verifyRefreshToken(users, token) {
+  const claims = verifyToken(token);
+  if (!claims || claims.type !== 'refresh' || (claims.tenant || DEFAULT_TENANT) !== currentTenant() ||
+      !users.findRefreshToken(claims.jti)) {
+    return null;
+  }
+  return claims;
+}
+
+module.exports = { issueTokens, verifyRefreshToken };
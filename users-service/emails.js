@@ -0,0 +1,80 @@
+const { DEFAULT_TENANT, currentTenant } = require('../shared/tenancy');
+
+// Texts of the account mails. Their links lead to the pages of APP_URL (the
+// gateway, which serves them, or a web app in front of it) that take the
+// token from the link and POST it to the matching /api/auth endpoint; users
+// of another tenant get its ID in the link too, to send as X-Tenant-Id.
+
+const APP_URL = (process.env.APP_URL || 'http://192.168.56.10:3000').replace(/\/$/, '');
+
+function link(page, token) {
+  const tenant = currentTenant();
+  const params = new URLSearchParams({ token, ...(tenant !== DEFAULT_TENANT && { tenant }) });
+  return `${APP_URL}/${page}?${params}`;
+}
+
+// "in 2 days", "in 1 hour"
+function validity(seconds) {
+  const [unit, size] = seconds >= 172800 ? ['day', 86400] : seconds >= 7200 ? ['hour', 3600] : ['minute', 60];
+  const count = Math.round(seconds / size);
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+// To a new address of an active user (pendingEmail), or the one a user
+// registered with
+function verification(user, token, ttl) {
+  if (user.pendingEmail) {
+    return {
+      to: user.pendingEmail,
+      subject: 'Confirm your new email address',
+      text: `Hello ${user.name},\n\n` +
+        'Please confirm this address to make it the email address of your account:\n\n' +
+        `${link('verify-email', token)}\n\n` +
+        `The link works once and expires in ${validity(ttl)}. ` +
+        'If you did not ask for this change, ignore this message; your account keeps its current address.\n'
+    };
+  }
+  return {
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hello ${user.name},\n\n` +
+      'Please confirm your email address to start using your account:\n\n' +
+      `${link('verify-email', token)}\n\n` +
+      `The link works once and expires in ${validity(ttl)}. If you did not sign up, ignore this message.\n`
+  };
+}
+
+function invitation(user, token, ttl) {
+  return {
+    to: user.email,
+    subject: 'You have been invited',
+    text: `Hello ${user.name},\n\n` +
+      'An account has been created for you. Choose a password to accept the invitation:\n\n' +
+      `${link('accept-invitation', token)}\n\n` +
+      `The link works once and expires in ${validity(ttl)}.\n`
+  };
+}
+
+function passwordReset(user, token, ttl) {
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hello ${user.name},\n\n` +
+      'Someone asked to reset the password of your account. Choose a new one here:\n\n' +
+      `${link('reset-password', token)}\n\n` +
+      `The link works once and expires in ${validity(ttl)}. ` +
+      'If you did not ask for it, ignore this message; your password stays the same.\n'
+  };
+}
+
+function locked(user) {
+  return {
+    to: user.email,
+    subject: 'Your account has been locked',
+    text: `Hello ${user.name},\n\n` +
+      'Your account was locked after too many failed login attempts. ' +
+      'Reset your password to unlock it, or ask an administrator to.\n'
+  };
+}
+
+module.exports = { verification, invitation, passwordReset, locked };
@@ -1,57 +1,277 @@
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const { createUsersRepository } = require('./repository');
+const { createTenantsRepository } = require('./tenants');
+const { hashPassword, verifyPassword } = require('./passwords');
+const schemas = require('./schemas');
+const { issueTokens, verifyRefreshToken } = require('./auth');
+const { createMailer } = require('./mailer');
+const emails = require('./emails');
+const { isDefaultSecret, requireSecret } = require('../shared/tokens');
+const { startRegistration } = require('../shared/registration');
+const { createLifecycle } = require('../shared/lifecycle');
+const { createMetrics } = require('../shared/metrics');
+const tracing = require('../shared/tracing');
+const { enableConditionalGet, setLastModified } = require('../shared/http-cache');
+const { validate } = require('../shared/validation');
+const { requireAdmin } = require('../shared/access');
+const { serveOpenApi } = require('../shared/openapi');
+const { paginate } = require('../shared/pagination');
+const { runImport, sendExport } = require('../shared/bulk');
+const { createStore } = require('../shared/storage');
+const { DEFAULT_TENANT, tenantMiddleware, createTenantScope, runInTenant } = require('../shared/tenancy');
+const { createBroker } = require('../shared/broker');
+const { createOutbox, startRelay } = require('../shared/outbox');
+const { createWebhooks } = require('../shared/webhooks');
+const { sendProblem, errorHandler, notFoundHandler } = require('../shared/problem');
+const logger = require('../shared/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const HOST = process.env.HOST || '0.0.0.0';
+// Days a deleted user can be restored before it is purged, and how often
+// due purges are looked for
+const DELETED_RETENTION_DAYS = parseFloat(process.env.DELETED_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = parseInt(process.env.PURGE_INTERVAL_MS) || 3600000;
+// Failed logins in a row that lock an account
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+// Whether users who register themselves confirm their email address first
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+// Seconds the links of account mails work
+const VERIFICATION_TOKEN_TTL = parseInt(process.env.VERIFICATION_TOKEN_TTL) || 2 * 24 * 60 * 60;
+const INVITATION_TOKEN_TTL = parseInt(process.env.INVITATION_TOKEN_TTL) || 7 * 24 * 60 * 60;
+const RESET_TOKEN_TTL = parseInt(process.env.RESET_TOKEN_TTL) || 60 * 60;
+
+// Structured JSON logs (LOG_LEVEL sets the minimum level)
+logger.configure({ service: 'users-service' });
+
+// Refuse to run with the public default JWT_SECRET outside development
+requireSecret();
+
+// Readiness, in-flight request tracking and graceful shutdown
+const lifecycle = createLifecycle({ service: 'users-service' });
+
+// Prometheus metrics, exposed at /metrics
+const metrics = createMetrics({ service: 'users-service' });
 
 // Middleware
+// Tracing comes first so every later log line carries the request's IDs;
+// the context is re-entered after the body parser, which loses it, and
+// gains the request's tenant (X-Tenant-Id).
+app.use(tracing.middleware);
+app.use(lifecycle.track);
+app.use(metrics.middleware);
 app.use(cors());
 app.use(express.json());
+app.use(tracing.bindContext);
+app.use(tenantMiddleware);
+
+// ETag / Last-Modified validators and 304 responses on reads
+enableConditionalGet(app);
+
+// Storage (durable by default, STORAGE_DRIVER=memory for throwaway runs): events,
+// webhooks, tenants and the default tenant's users in DATA_DIR, other
+// tenants' users under DATA_DIR/tenants/<id>
+const store = createStore({ dataDir: process.env.DATA_DIR || path.join(__dirname, 'data') });
+lifecycle.addReadinessCheck('storage', () => store.isWritable());
+
+// Domain events, written together with the changes they describe
+const outbox = createOutbox(store, { source: 'users-service' });
 
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-  next();
+// One users repository per tenant; `users` is the current request's
+const tenantUsers = createTenantScope(store, (tenant, tenantStore) =>
+  createUsersRepository({ store: tenantStore, outbox, seed: tenant === DEFAULT_TENANT }));
+const users = tenantUsers.repository;
+const tenants = createTenantsRepository(store);
+
+// Domain events: the relay publishes the outbox to the broker (EVENT_BROKER),
+// webhook subscribers get them from there
+const broker = createBroker();
+const webhooks = createWebhooks({ store, broker, source: 'users-service', metrics });
+webhooks.start();
+const relay = startRelay({ outbox, broker, metrics });
+
+// Account mails, queued with the changes that send them (MAIL_TRANSPORT)
+const mailer = createMailer({ store, metrics });
+mailer.start();
+lifecycle.onShutdown(async () => {
+  mailer.stop();
+  webhooks.stop();
+  await relay.stop();
+  broker.close();
 });
 
-// In-memory database (replace with actual database in production)
-let users = [
-  {
-    id: 1,
-    name: 'John Doe',
-    email: 'john.doe@example.com',
-    role: 'admin',
-    createdAt: new Date('2024-01-01').toISOString()
-  },
-  {
-    id: 2,
-    name: 'Jane Smith',
-    email: 'jane.smith@example.com',
-    role: 'user',
-    createdAt: new Date('2024-01-15').toISOString()
-  },
-  {
-    id: 3,
-    name: 'Bob Johnson',
-    email: 'bob.johnson@example.com',
-    role: 'user',
-    createdAt: new Date('2024-02-01').toISOString()
-  }
-];
-
-let nextUserId = 4;
+// Domain metrics, computed at scrape time
+metrics.gauge('users_total', 'Registered users by tenant and role', ['tenant', 'role'], () =>
+  tenantUsers.each((repository, tenant) => Object.entries(repository.stats().byRole)
+    .map(([role, value]) => ({ labels: { tenant, role }, value }))).flat()
+);
+metrics.gauge('user_accounts', 'Users by tenant and account status', ['tenant', 'status'], () =>
+  tenantUsers.each((repository, tenant) => Object.entries(repository.stats().byStatus)
+    .map(([status, value]) => ({ labels: { tenant, status }, value }))).flat()
+);
+metrics.gauge('tenants_total', 'Tenants by status', ['status'], () =>
+  ['active', 'suspended'].map(status => ({ labels: { status }, value: tenants.list({ status }).length }))
+);
+
+// Purge users deleted longer than the retention period ago, and expired
+// account tokens, in every tenant
+function purgeDeleted() {
+  tenantUsers.each(repository => {
+    const purged = repository.purgeDeleted(Date.now() - DELETED_RETENTION_DAYS * 86400000);
+    if (purged > 0) logger.info('Deleted users purged', { count: purged });
+    repository.purgeExpiredTokens();
+  });
+}
+purgeDeleted();
+const purgeSweep = setInterval(purgeDeleted, PURGE_INTERVAL_MS);
+purgeSweep.unref();
+
+// Only admins may grant the admin role. The gateway always sends the caller's
+// role in X-User-Role; calls made directly on the service network carry no
+// such header and are trusted.
+function mayAssignRole(req, role) {
+  const callerRole = req.get('X-User-Role');
+  return !role || role === 'user' || callerRole === undefined || callerRole === 'admin';
+}
+
+// Users may only change their own record, admins anyone's, trusted as
+// above. The gateway checks this too; this holds if a path slips past it.
+function requireSelfOrAdmin(req, res, userId) {
+  const callerRole = req.get('X-User-Role');
+  if (callerRole !== undefined && callerRole !== 'admin' && parseInt(req.get('X-User-Id')) !== userId) {
+    sendProblem(res, 'FORBIDDEN', 'Users can only change their own record');
+    return false;
+  }
+  return true;
+}
+
+// A user acting on their own record through the gateway
+function isSelf(req, userId) {
+  return req.get('X-User-Role') !== undefined && parseInt(req.get('X-User-Id')) === userId;
+}
+
+// Tenants are managed by the admins of the default tenant, trusted as above
+function requirePlatformAdmin(req, res) {
+  const callerRole = req.get('X-User-Role');
+  if (callerRole !== undefined && (callerRole !== 'admin' || req.tenant !== DEFAULT_TENANT)) {
+    sendProblem(res, 'FORBIDDEN', 'Only admins of the default tenant can manage tenants');
+    return false;
+  }
+  res.set('Cache-Control', 'private');
+  return true;
+}
+
+// Users who register themselves, rather than being created by an admin
+// (trusted as above), confirm their email address before they can log in,
+// and users confirm a new address of their own before it replaces the old one
+function needsVerification(req) {
+  const callerRole = req.get('X-User-Role');
+  return REQUIRE_EMAIL_VERIFICATION && callerRole !== undefined && callerRole !== 'admin';
+}
+
+// Account status changes admins may make: unlocking, deactivating and
+// reactivating, and verifying for the user
+const STATUS_TRANSITIONS = {
+  invited: ['deactivated'],
+  unverified: ['active', 'deactivated'],
+  active: ['locked', 'deactivated'],
+  locked: ['active', 'deactivated'],
+  deactivated: ['active']
+};
+
+// Why a user with the right password but another status cannot log in
+const LOGIN_REFUSALS = {
+  unverified: ['EMAIL_NOT_VERIFIED', 'Follow the link mailed to you to verify your email address first'],
+  locked: ['ACCOUNT_LOCKED', 'Too many failed logins; reset your password or ask an admin to unlock the account'],
+  deactivated: ['ACCOUNT_DEACTIVATED', 'This account has been deactivated']
+};
+
+// Statuses whose users can reset their password, which also unlocks and
+// verifies the account
+const RESETTABLE = ['active', 'locked', 'unverified'];
+
+// The mail of each kind of account token, and how long its link works
+const ACCOUNT_MAILS = {
+  verify: { compose: emails.verification, ttl: VERIFICATION_TOKEN_TTL },
+  invite: { compose: emails.invitation, ttl: INVITATION_TOKEN_TTL },
+  reset: { compose: emails.passwordReset, ttl: RESET_TOKEN_TTL }
+};
+
+// Mail a user a new link for `purpose`; earlier ones stop working
+function mailAccountLink(user, purpose) {
+  const { compose, ttl } = ACCOUNT_MAILS[purpose];
+  mailer.send(compose(user, users.issueAccountToken(user.id, purpose, ttl), ttl));
+}
+
+function tenantNotFound(res, tenantId) {
+  return sendProblem(res, 'NOT_FOUND', `Tenant ${tenantId} not found`, { tenantId });
+}
+
+// Who made a change, for the audit trail (set by the gateway)
+function actor(req) {
+  return { userId: parseInt(req.get('X-User-Id')) || null };
+}
+
+// Rows with a password get its hash before the import is planned
+async function loadImport({ password, ...row }) {
+  return password ? { ...row, passwordHash: await hashPassword(password) } : row;
+}
+
+// Import plan for one row (see shared/bulk.js)
+function prepareImport(row, by) {
+  if (!row.email) return { errors: [{ field: 'email', message: 'is required' }] };
+  const existing = users.findByEmail(row.email);
+  if (existing && existing.deletedAt) {
+    return { errors: [{ field: 'email', message: `belongs to deleted user ${existing.id}` }] };
+  }
+  
+  if (!existing) {
+    const errors = [];
+    if (!row.name) errors.push({ field: 'name', message: 'is required' });
+    if (!row.passwordHash) errors.push({ field: 'password', message: 'is required' });
+    if (errors.length > 0) return { errors };
+    const fields = { role: 'user', ...row };
+    return { action: 'created', apply: () => users.create(fields, by) };
+  }
+  
+  // A new password always counts as a change
+  const changes = Object.fromEntries(Object.entries(row).filter(([field, value]) => existing[field] !== value));
+  if (Object.keys(changes).length === 0) return { action: 'unchanged', id: existing.id };
+  return {
+    action: 'updated',
+    id: existing.id,
+    apply: () => {
+      const user = users.update(existing.id, changes, by);
+      // A new password or role invalidates existing sessions
+      if (changes.passwordHash || changes.role) users.revokeRefreshTokens(existing.id);
+      return user;
+    }
+  };
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
-    status: 'healthy',
+    status: lifecycle.ready ? 'healthy' : 'shutting-down',
     service: 'users-service',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    totalUsers: users.length
+    totalUsers: users.count()
   });
 });
 
+// Liveness and readiness probes
+app.get('/health/live', lifecycle.liveHandler);
+app.get('/health/ready', lifecycle.readyHandler);
+
+// Prometheus metrics
+app.get('/metrics', metrics.handler);
+
+// OpenAPI document of every route, and a page to browse and try it
+serveOpenApi(app, { title: 'Users Service', version: '1.0.0', schemas: { ...schemas, ...webhooks.schemas } });
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -59,133 +279,259 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      webhooks: '/webhooks',
+      live: '/health/live',
+      ready: '/health/ready',
+      metrics: '/metrics',
+      openapi: '/openapi.json',
+      docs: '/docs',
       users: '/users',
-      userById: '/users/:id'
+      userById: '/users/:id',
+      importUsers: '/users/import',
+      exportUsers: '/users/export',
+      inviteUser: '/users/invite',
+      userStatus: '/users/:id/status',
+      restoreUser: '/users/:id/restore',
+      userHistory: '/users/:id/history',
+      login: '/auth/login',
+      refresh: '/auth/refresh',
+      logout: '/auth/logout',
+      verifyEmail: '/auth/verify-email',
+      resendVerification: '/auth/resend-verification',
+      acceptInvitation: '/auth/accept-invitation',
+      forgotPassword: '/auth/forgot-password',
+      resetPassword: '/auth/reset-password',
+      tenants: '/tenants',
+      tenantById: '/tenants/:id'
     }
   });
 });
 
 // Get all users
-app.get('/users', (req, res) => {
-  const { role, limit } = req.query;
-  
-  let filteredUsers = users;
-  
-  // Filter by role if specified
-  if (role) {
-    filteredUsers = filteredUsers.filter(user => user.role === role);
-  }
+app.get('/users', validate(schemas.listUsers), (req, res) => {
+  const { role, status, ids, includeDeleted } = req.valid.query;
+  if (!requireAdmin(req, res, 'list users')) return;
   
-  // Limit results if specified
-  if (limit) {
-    filteredUsers = filteredUsers.slice(0, parseInt(limit));
-  }
+  const page = paginate(req, res, users.list({ role, status, ids, includeDeleted }));
   
+  setLastModified(res, users.lastModified());
   res.json({
-    count: filteredUsers.length,
-    users: filteredUsers
+    ...page.meta,
+    users: page.items
+  });
+});
+
+// Stream the users matching the list filters as CSV or NDJSON
+app.get('/users/export', validate(schemas.exportUsers), (req, res) => {
+  const { role, status, ids, includeDeleted } = req.valid.query;
+  if (!requireAdmin(req, res, 'export users')) return;
+  
+  sendExport(req, res, users.list({ role, status, ids, includeDeleted }), {
+    name: 'users',
+    columns: schemas.exportUsers.columns
   });
 });
 
 // Get user by ID
-app.get('/users/:id', (req, res) => {
-  const userId = parseInt(req.params.id);
-  const user = users.find(u => u.id === userId);
+app.get('/users/:id', validate(schemas.getUser), (req, res) => {
+  const userId = req.valid.params.id;
+  const { includeDeleted } = req.valid.query;
+  if (includeDeleted && !requireAdmin(req, res, 'see deleted users')) return;
+  
+  const user = users.findById(userId, { includeDeleted });
   
   if (!user) {
-    return res.status(404).json({
-      error: 'User not found',
-      userId: userId
-    });
+    return sendProblem(res, 'NOT_FOUND', `User ${userId} not found`, { userId });
   }
   
+  setLastModified(res, user.deletedAt || user.updatedAt || user.createdAt);
   res.json(user);
 });
 
 // Create new user
-app.post('/users', (req, res) => {
-  const { name, email, role } = req.body;
+app.post('/users', validate(schemas.createUser), async (req, res) => {
+  const { name, email, role, password } = req.valid.body;
   
-  // Validation
-  if (!name || !email) {
-    return res.status(400).json({
-      error: 'Name and email are required'
-    });
+  if (!mayAssignRole(req, role)) {
+    return sendProblem(res, 'FORBIDDEN', 'Only admins can create admin users');
   }
   
+  // Hashed first, so the email check and the create below happen in one
+  // step: nothing can register the same address in between
+  const passwordHash = await hashPassword(password);
+  
   // Check if email already exists
-  const existingUser = users.find(u => u.email === email);
-  if (existingUser) {
-    return res.status(409).json({
-      error: 'User with this email already exists'
-    });
+  if (users.isEmailTaken(email)) {
+    return sendProblem(res, 'EMAIL_TAKEN', 'A user with this email already exists');
   }
   
-  const newUser = {
-    id: nextUserId++,
+  const verify = needsVerification(req);
+  const newUser = users.create({
     name,
     email,
     role: role || 'user',
-    createdAt: new Date().toISOString()
-  };
+    status: verify ? 'unverified' : 'active',
+    passwordHash
+  }, actor(req));
   
-  users.push(newUser);
+  if (verify) mailAccountLink(newUser, 'verify');
   
   res.status(201).json({
-    message: 'User created successfully',
+    message: verify ? 'User registered; follow the link mailed to verify the email address'
+      : 'User created successfully',
     user: newUser
   });
 });
 
-// Update user
-app.put('/users/:id', (req, res) => {
-  const userId = parseInt(req.params.id);
-  const userIndex = users.findIndex(u => u.id === userId);
-  
-  if (userIndex === -1) {
-    return res.status(404).json({
-      error: 'User not found',
-      userId: userId
+// Create or update users from CSV or NDJSON rows, matched by email
+app.post('/users/import', validate(schemas.importUsers), async (req, res) => {
+  if (!requireAdmin(req, res, 'import users')) return;
+  
+  const report = await runImport(req, {
+    rules: schemas.importUsers.rows,
+    ignore: ['id', 'status', 'createdAt', 'updatedAt', 'lockedAt', 'deletedAt'],
+    key: row => row.email || null,
+    load: loadImport,
+    prepare: row => prepareImport(row, actor(req))
+  });
+  
+  res.json(report);
+});
+
+// Invite a user to choose a password; inviting again sends a new link
+app.post('/users/invite', validate(schemas.inviteUser), (req, res) => {
+  if (!requireAdmin(req, res, 'invite users')) return;
+  
+  const { name, email, role } = req.valid.body;
+  const existing = users.findByEmail(email);
+  
+  if (existing && !existing.deletedAt && existing.status === 'invited') {
+    mailAccountLink(existing, 'invite');
+    return res.json({
+      message: 'Invitation sent again',
+      user: existing
     });
   }
   
-  const { name, email, role } = req.body;
+  if (existing) {
+    return sendProblem(res, 'EMAIL_TAKEN', 'A user with this email already exists');
+  }
   
-  // Check if new email conflicts with existing user
-  if (email && email !== users[userIndex].email) {
-    const existingUser = users.find(u => u.email === email);
-    if (existingUser) {
-      return res.status(409).json({
-        error: 'User with this email already exists'
+  const user = users.create({ name, email, role: role || 'user', status: 'invited' }, actor(req));
+  mailAccountLink(user, 'invite');
+  
+  res.status(201).json({
+    message: 'Invitation sent',
+    user
+  });
+});
+
+// Update user
+app.put('/users/:id', validate(schemas.updateUser), async (req, res) => {
+  const userId = req.valid.params.id;
+  if (!requireSelfOrAdmin(req, res, userId)) return;
+  
+  const { name, email, role, password, currentPassword } = req.valid.body;
+  
+  // Users changing their own password confirm the current one, so a stolen
+  // session cannot take the account over; admins resetting another user's
+  // password do not need it
+  if (password && isSelf(req, userId)) {
+    if (!currentPassword) {
+      return sendProblem(res, 'VALIDATION_FAILED', 'currentPassword is required to change your own password', {
+        errors: [{ location: 'body', field: 'currentPassword', message: 'is required with password' }]
       });
     }
+    const record = users.findById(userId);
+    const credentials = record && users.findCredentials(record.email);
+    if (credentials && !(await verifyPassword(currentPassword, credentials.passwordHash))) {
+      return sendProblem(res, 'INVALID_CURRENT_PASSWORD');
+    }
+  }
+  
+  // Hashed before anything is looked up, so the checks below and the update
+  // happen in one step
+  const passwordHash = password && await hashPassword(password);
+  const existing = users.findById(userId);
+  
+  if (!existing) {
+    return sendProblem(res, 'NOT_FOUND', `User ${userId} not found`, { userId });
   }
   
+  if (role && role !== existing.role && !mayAssignRole(req, role)) {
+    return sendProblem(res, 'FORBIDDEN', 'Only admins can change roles');
+  }
+  
+  // Check if new email conflicts with existing user
+  if (email && users.isEmailTaken(email, userId)) {
+    return sendProblem(res, 'EMAIL_TAKEN', 'A user with this email already exists');
+  }
+  
+  // A new address of the user's own waits as pendingEmail until they follow
+  // the link mailed to it; the account keeps the old one meanwhile
+  const confirmEmail = Boolean(email) && email !== existing.email && needsVerification(req);
+  
   // Update user fields
-  if (name) users[userIndex].name = name;
-  if (email) users[userIndex].email = email;
-  if (role) users[userIndex].role = role;
-  users[userIndex].updatedAt = new Date().toISOString();
+  const changes = {};
+  if (name) changes.name = name;
+  if (email) changes[confirmEmail ? 'pendingEmail' : 'email'] = email;
+  if (role) changes.role = role;
+  if (passwordHash) changes.passwordHash = passwordHash;
+  
+  const user = users.update(userId, changes, actor(req));
+  
+  // A new password or role invalidates existing sessions
+  if (changes.passwordHash || (role && role !== existing.role)) {
+    users.revokeRefreshTokens(userId);
+  }
+  
+  if (confirmEmail) mailAccountLink(user, 'verify');
   
   res.json({
-    message: 'User updated successfully',
-    user: users[userIndex]
+    message: confirmEmail
+      ? 'User updated; the new email address takes effect once confirmed through the link mailed to it'
+      : 'User updated successfully',
+    user: user
   });
 });
 
-// Delete user
-app.delete('/users/:id', (req, res) => {
-  const userId = parseInt(req.params.id);
-  const userIndex = users.findIndex(u => u.id === userId);
+// Unlock, deactivate or reactivate an account
+app.patch('/users/:id/status', validate(schemas.updateUserStatus), (req, res) => {
+  const userId = req.valid.params.id;
+  if (!requireAdmin(req, res, 'change account statuses')) return;
   
-  if (userIndex === -1) {
-    return res.status(404).json({
-      error: 'User not found',
-      userId: userId
+  const user = users.findById(userId);
+  
+  if (!user) {
+    return sendProblem(res, 'NOT_FOUND', `User ${userId} not found`, { userId });
+  }
+  
+  const { status } = req.valid.body;
+  
+  if (!STATUS_TRANSITIONS[user.status].includes(status)) {
+    return sendProblem(res, 'INVALID_TRANSITION', `Cannot change account from ${user.status} to ${status}`, {
+      allowed: STATUS_TRANSITIONS[user.status]
     });
   }
   
-  const deletedUser = users.splice(userIndex, 1)[0];
+  const updated = users.setStatus(userId, status, {}, actor(req));
+  
+  res.json({
+    message: `User ${status === 'active' ? 'activated' : status} successfully`,
+    user: updated
+  });
+});
+
+// Delete user (soft: restorable until purged)
+app.delete('/users/:id', validate(schemas.deleteUser), (req, res) => {
+  const userId = req.valid.params.id;
+  if (!requireAdmin(req, res, 'delete users')) return;
+  
+  const deletedUser = users.remove(userId, actor(req));
+  
+  if (!deletedUser) {
+    return sendProblem(res, 'NOT_FOUND', `User ${userId} not found`, { userId });
+  }
   
   res.json({
     message: 'User deleted successfully',
@@ -193,41 +539,310 @@ app.delete('/users/:id', (req, res) => {
   });
 });
 
+// Restore a deleted user
+app.post('/users/:id/restore', validate(schemas.restoreUser), (req, res) => {
+  const userId = req.valid.params.id;
+  if (!requireAdmin(req, res, 'restore users')) return;
+  
+  const user = users.restore(userId, actor(req));
+  
+  if (!user) {
+    return sendProblem(res, 'NOT_FOUND', `No deleted user ${userId}`, { userId });
+  }
+  
+  res.json({
+    message: 'User restored successfully',
+    user: user
+  });
+});
+
+// Audit trail of a user, newest first
+app.get('/users/:id/history', validate(schemas.userHistory), (req, res) => {
+  const userId = req.valid.params.id;
+  if (!requireAdmin(req, res, 'see audit trails')) return;
+  
+  // Purged users keep their trail
+  const history = users.history(userId);
+  if (history.length === 0 && !users.findById(userId, { includeDeleted: true })) {
+    return sendProblem(res, 'NOT_FOUND', `User ${userId} not found`, { userId });
+  }
+  
+  const { action } = req.valid.query;
+  const entries = history.filter(entry => !action || entry.action === action);
+  const page = paginate(req, res, entries, { defaultSort: ['-id'] });
+  
+  res.json({
+    userId,
+    ...page.meta,
+    history: page.items
+  });
+});
+
 // Get user statistics
-app.get('/stats/users', (req, res) => {
-  const stats = {
-    total: users.length,
-    byRole: {
-      admin: users.filter(u => u.role === 'admin').length,
-      user: users.filter(u => u.role === 'user').length
-    },
-    recentUsers: users.slice(-5).reverse()
-  };
+app.get('/stats/users', validate(schemas.userStats), (req, res) => {
+  if (!requireAdmin(req, res, 'see user statistics')) return;
+  
+  setLastModified(res, users.lastModified());
+  res.json(users.stats());
+});
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+
+// Log in with email and password
+app.post('/auth/login', validate(schemas.login), async (req, res) => {
+  const { email, password } = req.valid.body;
+  
+  const user = users.findCredentials(email);
+  
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    if (user) {
+      const counted = users.recordFailedLogin(user.id, MAX_FAILED_LOGINS);
+      if (user.status === 'active' && counted.status === 'locked') {
+        logger.warn('Account locked after failed logins', { userId: user.id, failedLogins: MAX_FAILED_LOGINS });
+        mailer.send(emails.locked(counted));
+      }
+    }
+    return sendProblem(res, 'INVALID_CREDENTIALS');
+  }
+  
+  // Only a caller who knows the password learns the account's status
+  if (LOGIN_REFUSALS[user.status]) {
+    const [code, detail] = LOGIN_REFUSALS[user.status];
+    return sendProblem(res, code, detail, { accountStatus: user.status });
+  }
+  
+  users.resetFailedLogins(user.id);
+  res.json(issueTokens(users, user));
+});
+
+// Exchange a refresh token for a new token pair (the old one is revoked)
+app.post('/auth/refresh', validate(schemas.refresh), (req, res) => {
+  const claims = verifyRefreshToken(users, req.valid.body.refreshToken);
+  const user = claims && users.findById(claims.sub);
+  
+  // Sessions end with the account
+  if (!user || user.status !== 'active') {
+    return sendProblem(res, 'INVALID_REFRESH_TOKEN');
+  }
+  
+  users.revokeRefreshToken(claims.jti);
+  res.json(issueTokens(users, user));
+});
+
+// Revoke a refresh token
+app.post('/auth/logout', validate(schemas.logout), (req, res) => {
+  const claims = verifyRefreshToken(users, req.valid.body.refreshToken);
+  
+  if (!claims) {
+    return sendProblem(res, 'INVALID_REFRESH_TOKEN');
+  }
+  
+  users.revokeRefreshToken(claims.jti);
+  res.json({
+    message: 'Logged out successfully'
+  });
+});
+
+// Confirm the email address of a user who registered themselves, or the new
+// one an active user changed to
+app.post('/auth/verify-email', validate(schemas.verifyEmail), (req, res) => {
+  const userId = users.useAccountToken(req.valid.body.token, 'verify');
+  const user = userId && users.findById(userId);
+  
+  if (user && user.status === 'active' && user.pendingEmail) {
+    // Someone else may have taken the address since
+    if (users.isEmailTaken(user.pendingEmail, userId)) {
+      return sendProblem(res, 'EMAIL_TAKEN', 'A user with this email already exists');
+    }
+    return res.json({
+      message: 'Email address changed successfully',
+      user: users.confirmPendingEmail(userId, { userId })
+    });
+  }
+  
+  if (!user || user.status !== 'unverified') {
+    return sendProblem(res, 'INVALID_ACCOUNT_TOKEN');
+  }
+  
+  res.json({
+    message: 'Email address verified successfully',
+    user: users.setStatus(userId, 'active', {}, { userId })
+  });
+});
+
+// Mail an unverified user a new verification link. The answer is the same
+// for every email, so it cannot be used to find out who has an account.
+app.post('/auth/resend-verification', validate(schemas.resendVerification), (req, res) => {
+  const user = users.findByEmail(req.valid.body.email);
+  
+  if (user && !user.deletedAt && user.status === 'unverified') {
+    mailAccountLink(user, 'verify');
+  }
+  
+  res.status(202).json({
+    message: 'If an unverified account uses this email, a new link has been mailed to it'
+  });
+});
+
+// Choose a password for an invited user
+app.post('/auth/accept-invitation', validate(schemas.acceptInvitation), async (req, res) => {
+  const { token, password, name } = req.valid.body;
+  const userId = users.useAccountToken(token, 'invite');
+  const user = userId && users.findById(userId);
+  
+  if (!user || user.status !== 'invited') {
+    return sendProblem(res, 'INVALID_ACCOUNT_TOKEN');
+  }
+  
+  const changes = { passwordHash: await hashPassword(password) };
+  if (name) changes.name = name;
+  
+  res.json({
+    message: 'Invitation accepted successfully',
+    user: users.setStatus(userId, 'active', changes, { userId })
+  });
+});
+
+// Mail a password reset link, answering the same for every email
+app.post('/auth/forgot-password', validate(schemas.forgotPassword), (req, res) => {
+  const user = users.findByEmail(req.valid.body.email);
+  
+  if (user && !user.deletedAt && RESETTABLE.includes(user.status)) {
+    mailAccountLink(user, 'reset');
+  }
+  
+  res.status(202).json({
+    message: 'If an account uses this email, a password reset link has been mailed to it'
+  });
+});
+
+// Set a new password with the token of a reset link
+app.post('/auth/reset-password', validate(schemas.resetPassword), async (req, res) => {
+  const { token, password } = req.valid.body;
+  const userId = users.useAccountToken(token, 'reset');
+  const user = userId && users.findById(userId);
+  
+  if (!user || !RESETTABLE.includes(user.status)) {
+    return sendProblem(res, 'INVALID_ACCOUNT_TOKEN');
+  }
+  
+  const passwordHash = await hashPassword(password);
+  if (user.status === 'active') {
+    users.update(userId, { passwordHash }, { userId });
+    users.resetFailedLogins(userId);
+  } else {
+    users.setStatus(userId, 'active', { passwordHash }, { userId });
+  }
+  // A new password ends every session
+  users.revokeRefreshTokens(userId);
+  
+  res.json({
+    message: 'Password reset successfully'
+  });
+});
+
+// ============================================
+// TENANTS
+// ============================================
+
+// List tenants
+app.get('/tenants', validate(schemas.listTenants), (req, res) => {
+  if (!requirePlatformAdmin(req, res)) return;
+  
+  const page = paginate(req, res, tenants.list({ status: req.valid.query.status }));
+  
+  res.json({
+    ...page.meta,
+    tenants: page.items
+  });
+});
+
+// Get tenant by ID; the gateway looks tenants up here
+app.get('/tenants/:id', validate(schemas.getTenant), (req, res) => {
+  if (!requirePlatformAdmin(req, res)) return;
+  
+  const tenant = tenants.findById(req.valid.params.id);
   
-  res.json(stats);
+  if (!tenant) {
+    return tenantNotFound(res, req.valid.params.id);
+  }
+  
+  res.json(tenant);
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({
-    error: 'Internal server error',
-    message: err.message
+// Create a tenant with its first admin
+app.post('/tenants', validate(schemas.createTenant), async (req, res) => {
+  if (!requirePlatformAdmin(req, res)) return;
+  
+  const { id, name, admin } = req.valid.body;
+  
+  if (tenants.findById(id)) {
+    return sendProblem(res, 'TENANT_EXISTS', `Tenant ${id} already exists`, { tenantId: id });
+  }
+  
+  const passwordHash = await hashPassword(admin.password);
+  const tenant = tenants.create({ id, name });
+  const by = actor(req);
+  const firstAdmin = runInTenant(id, () => users.create({
+    name: admin.name,
+    email: admin.email,
+    role: 'admin',
+    passwordHash
+  }, by));
+  
+  res.status(201).json({
+    message: 'Tenant created successfully',
+    tenant,
+    admin: firstAdmin
   });
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Not found',
-    path: req.path
+// Rename, suspend or reactivate a tenant
+app.patch('/tenants/:id', validate(schemas.updateTenant), (req, res) => {
+  if (!requirePlatformAdmin(req, res)) return;
+  
+  const tenantId = req.valid.params.id;
+  const { status } = req.valid.body;
+  
+  if (!tenants.findById(tenantId)) {
+    return tenantNotFound(res, tenantId);
+  }
+  
+  if (tenantId === DEFAULT_TENANT && status === 'suspended') {
+    return sendProblem(res, 'FORBIDDEN', 'The default tenant cannot be suspended');
+  }
+  
+  const tenant = tenants.update(tenantId, req.valid.body);
+  
+  res.json({
+    message: 'Tenant updated successfully',
+    tenant
   });
 });
 
+// Webhook subscriptions for this service's events
+webhooks.registerRoutes(app);
+
+// Unknown endpoints and errors as application/problem+json
+app.use(notFoundHandler());
+app.use(errorHandler());
+
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log('===========================================');
-  console.log(`Users Service running on port ${PORT}`);
-  console.log(`Total users in database: ${users.length}`);
-  console.log('===========================================');
+lifecycle.listen(app, PORT, HOST, () => {
+  logger.info('Users Service started', {
+    port: PORT,
+    storageDriver: store.driver,
+    mailTransport: mailer.transport,
+    tenants: tenants.count(),
+    totalUsers: users.count()
+  });
+  if (isDefaultSecret()) {
+    logger.warn('JWT_SECRET is not set - using the insecure development default');
+  }
+
+  // Register with the gateway's service registry (when REGISTRY_URL is set)
+  const registration = startRegistration({ name: 'users', port: PORT, version: '1.0.0' });
+  lifecycle.onShutdown(() => registration.deregister());
 });
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// Password hashing with scrypt. Hashes are stored as
+// "scrypt$<salt>$<key>" (base64) so the scheme can change later.
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+function format(salt, key) {
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return format(salt, await scrypt(password, salt, KEY_LENGTH));
+}
+
+// Used for seed data, which is loaded before the server starts
+function hashPasswordSync(password) {
+  const salt = crypto.randomBytes(16);
+  return format(salt, crypto.scryptSync(password, salt, KEY_LENGTH));
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  hashPasswordSync,
+  verifyPassword
+};
@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const { createAuditLog } = require('../shared/audit');
+const { seedUsers } = require('./seed');
+const { hashPasswordSync } = require('./passwords');
+const logger = require('../shared/logger');
+
+// States of an account. Invited users have no password until they accept
+// their invitation, unverified ones registered themselves and have not yet
+// confirmed their email address; only active users can log in. Accounts are
+// locked after too many failed logins and deactivated by admins.
+const ACCOUNT_STATUSES = ['invited', 'unverified', 'active', 'locked', 'deactivated'];
+
+// Credentials and the failed login count never leave the repository through
+// the public read methods
+function toPublic(user) {
+  if (!user) return user;
+  const { passwordHash, failedLogins, ...rest } = user;
+  return rest;
+}
+
+// Account tokens are stored by their hash only, like passwords: a copy of
+// the store does not let anyone use them
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Users repository - the only place route handlers touch user records.
+// There is one per tenant, on the tenant's `store` (see shared/tenancy.js);
+// events go to the service's `outbox`, and seed users are only loaded when
+// `seed` is set, for the default tenant.
+//
+// Deleting a user only stamps `deletedAt`: deleted users are left out of
+// reads (unless includeDeleted is asked for) and cannot log in, but can be
+// restored until purgeDeleted() removes them for good. Their email stays
+// taken until then, so a restore never clashes with a newer account.
+//
+// Email verification, invitation and password reset links carry a random
+// token, kept in `account_tokens` as { id: <SHA-256 of the token>, userId,
+// purpose, expiresAt } until it is used or replaced by a newer one.
+function createUsersRepository({ store, outbox, seed = false }) {
+  const users = store.collection('users');
+  const refreshTokens = store.collection('refresh_tokens');
+  const accountTokens = store.collection('account_tokens');
+  // Who changed what, per user
+  const audit = createAuditLog(store, { redact: ['passwordHash'], ignore: ['failedLogins'] });
+
+  const isLive = user => Boolean(user && !user.deletedAt);
+
+  // Seed data is only loaded on first start
+  if (seed && users.isNew) {
+    seedUsers().forEach(({ password, generated, ...user }) => {
+      users.put({
+        id: users.nextId(),
+        ...user,
+        status: 'active',
+        passwordHash: hashPasswordSync(password)
+      });
+      if (generated) {
+        logger.warn('Seed user created with a random password; change it after logging in', { email: user.email, password });
+      }
+    });
+  }
+
+  // Users from before account states were all active
+  users.filter(user => !user.status).forEach(user => users.put({ ...user, status: 'active' }));
+
+  return {
+    // When any user record last changed
+    lastModified: () => users.lastModified,
+
+    list({ role, status, ids, includeDeleted = false } = {}) {
+      let result = ids ? ids.map(id => users.get(id)).filter(Boolean) : users.all();
+
+      if (!includeDeleted) {
+        result = result.filter(isLive);
+      }
+
+      if (role) {
+        result = result.filter(user => user.role === role);
+      }
+
+      if (status) {
+        result = result.filter(user => user.status === status);
+      }
+
+      return result.map(toPublic);
+    },
+
+    findById(id, { includeDeleted = false } = {}) {
+      const user = users.get(id);
+      return includeDeleted || isLive(user) ? toPublic(user) : undefined;
+    },
+
+    // Deleted users included
+    findByEmail(email) {
+      return toPublic(users.find(user => user.email === email));
+    },
+
+    // Full record including passwordHash, for credential checks only
+    findCredentials(email) {
+      return users.find(user => isLive(user) && user.email === email);
+    },
+
+    // True when another user (not excludeId) already uses this email
+    isEmailTaken(email, excludeId) {
+      const existing = this.findByEmail(email);
+      return Boolean(existing && existing.id !== excludeId);
+    },
+
+    // `actor` ({ userId }) is who made the change, for the audit trail.
+    // Users are active unless a `status` is given.
+    create(fields, actor = {}) {
+      const created = users.put({
+        id: users.nextId(),
+        ...fields,
+        status: fields.status || 'active',
+        createdAt: new Date().toISOString()
+      });
+      const user = toPublic(created);
+      outbox.add('user.created', { user }, { subject: `users/${user.id}` });
+      audit.record('created', null, created, actor);
+      return user;
+    },
+
+    update(id, changes, actor = {}) {
+      const user = users.get(id);
+      if (!isLive(user)) return null;
+
+      const saved = users.put({
+        ...user,
+        ...changes,
+        updatedAt: new Date().toISOString()
+      });
+      const updated = toPublic(saved);
+      // Names of the changed fields; the hash itself stays private
+      const changed = Object.keys(changes)
+        .filter(field => changes[field] !== user[field])
+        .map(field => (field === 'passwordHash' ? 'password' : field));
+      outbox.add('user.updated', { user: updated, changes: changed }, { subject: `users/${id}` });
+      audit.record('updated', user, saved, actor);
+      return updated;
+    },
+
+    // Make the pendingEmail of a user, confirmed through a verification
+    // link, their email. Returns null when there is none.
+    confirmPendingEmail(id, actor = {}) {
+      const user = users.get(id);
+      if (!isLive(user) || !user.pendingEmail) return null;
+
+      const { pendingEmail, ...rest } = user;
+      const saved = users.put({
+        ...rest,
+        email: pendingEmail,
+        updatedAt: new Date().toISOString()
+      });
+      const updated = toPublic(saved);
+      outbox.add('user.updated', { user: updated, changes: ['email'] }, { subject: `users/${id}` });
+      audit.record('updated', user, saved, actor);
+      return updated;
+    },
+
+    // Move a user to another account status, with any other `changes`
+    // (a new password, say). A user who is no longer active loses their
+    // sessions, a deactivated one also their unused account tokens.
+    setStatus(id, status, changes = {}, actor = {}) {
+      const user = users.get(id);
+      if (!isLive(user)) return null;
+
+      const now = new Date().toISOString();
+      const { lockedAt, ...rest } = user;
+      const saved = users.put({
+        ...rest,
+        // Active users start counting failed logins again
+        ...(status === 'active' && { failedLogins: 0 }),
+        ...changes,
+        status,
+        ...(status === 'locked' && { lockedAt: now }),
+        updatedAt: now
+      });
+      if (status !== 'active') this.revokeRefreshTokens(id);
+      if (status === 'deactivated') this.revokeAccountTokens(id);
+
+      const updated = toPublic(saved);
+      outbox.add('user.status_changed', { user: updated, previousStatus: user.status }, { subject: `users/${id}` });
+      audit.record('updated', user, saved, actor);
+      return updated;
+    },
+
+    // Count a failed login of an active user; the one that reaches
+    // `maxFailures` in a row locks the account. Returns the user.
+    recordFailedLogin(id, maxFailures) {
+      const user = users.get(id);
+      if (!isLive(user) || user.status !== 'active') return toPublic(user);
+
+      const failedLogins = (user.failedLogins || 0) + 1;
+      if (failedLogins >= maxFailures) return this.setStatus(id, 'locked', { failedLogins });
+      return toPublic(users.put({ ...user, failedLogins }));
+    },
+
+    // Count failed logins from zero again
+    resetFailedLogins(id) {
+      const user = users.get(id);
+      if (user && user.failedLogins) users.put({ ...user, failedLogins: 0 });
+    },
+
+    // Soft delete; the user's sessions end
+    remove(id, actor = {}) {
+      const user = users.get(id);
+      if (!isLive(user)) return null;
+
+      this.revokeRefreshTokens(id);
+      this.revokeAccountTokens(id);
+      const deleted = users.put({ ...user, deletedAt: new Date().toISOString() });
+      outbox.add('user.deleted', { user: toPublic(deleted) }, { subject: `users/${id}` });
+      audit.record('deleted', user, deleted, actor);
+      return toPublic(deleted);
+    },
+
+    // Undo remove(). Returns null unless the user is deleted.
+    restore(id, actor = {}) {
+      const user = users.get(id);
+      if (!user || !user.deletedAt) return null;
+
+      const { deletedAt, ...rest } = user;
+      const restored = users.put({ ...rest, updatedAt: new Date().toISOString() });
+      outbox.add('user.restored', { user: toPublic(restored) }, { subject: `users/${id}` });
+      audit.record('restored', user, restored, actor);
+      return toPublic(restored);
+    },
+
+    // Remove users deleted before `before` (ms) for good; their audit
+    // trail is kept. Returns how many were purged.
+    purgeDeleted(before) {
+      const expired = users.filter(user => user.deletedAt && new Date(user.deletedAt).getTime() < before);
+      expired.forEach(user => {
+        users.remove(user.id);
+        outbox.add('user.purged', { userId: user.id }, { subject: `users/${user.id}` });
+        audit.record('purged', user, null);
+      });
+      return expired.length;
+    },
+
+    // Audit entries of a user, oldest first; kept after a purge
+    history(id) {
+      return audit.history(id);
+    },
+
+    // Refresh tokens are tracked by their jti so they can be revoked
+    saveRefreshToken(jti, userId, expiresAt) {
+      refreshTokens.put({ id: jti, userId, expiresAt });
+    },
+
+    findRefreshToken(jti) {
+      const token = refreshTokens.get(jti);
+      if (token && new Date(token.expiresAt) <= new Date()) {
+        refreshTokens.remove(jti);
+        return undefined;
+      }
+      return token;
+    },
+
+    revokeRefreshToken(jti) {
+      return Boolean(refreshTokens.remove(jti));
+    },
+
+    revokeRefreshTokens(userId) {
+      refreshTokens
+        .filter(token => token.userId === userId)
+        .forEach(token => refreshTokens.remove(token.id));
+    },
+
+    // A new single-use token for `purpose` (verify, invite or reset), valid
+    // for `ttl` seconds; earlier ones of the user for the same purpose stop
+    // working. Returns the token, which is not kept.
+    issueAccountToken(userId, purpose, ttl) {
+      accountTokens
+        .filter(token => token.userId === userId && token.purpose === purpose)
+        .forEach(token => accountTokens.remove(token.id));
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      accountTokens.put({
+        id: tokenHash(token),
+        userId,
+        purpose,
+        expiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
+        createdAt: new Date().toISOString()
+      });
+      return token;
+    },
+
+    // The user ID a token for `purpose` was issued to, or undefined when it
+    // is unknown, expired or for something else. A valid token is used up.
+    useAccountToken(token, purpose) {
+      const record = accountTokens.get(tokenHash(token));
+      if (!record || record.purpose !== purpose) return undefined;
+
+      accountTokens.remove(record.id);
+      return new Date(record.expiresAt) > new Date() ? record.userId : undefined;
+    },
+
+    revokeAccountTokens(userId) {
+      accountTokens
+        .filter(token => token.userId === userId)
+        .forEach(token => accountTokens.remove(token.id));
+    },
+
+    // Forget expired account tokens. Returns how many there were.
+    purgeExpiredTokens(now = Date.now()) {
+      const expired = accountTokens.filter(token => new Date(token.expiresAt).getTime() <= now);
+      expired.forEach(token => accountTokens.remove(token.id));
+      return expired.length;
+    },
+
+    count() {
+      return users.filter(isLive).length;
+    },
+
+    stats() {
+      const all = users.filter(isLive);
+      return {
+        total: all.length,
+        byRole: {
+          admin: all.filter(u => u.role === 'admin').length,
+          user: all.filter(u => u.role === 'user').length
+        },
+        byStatus: Object.fromEntries(ACCOUNT_STATUSES.map(status =>
+          [status, all.filter(u => u.status === status).length])),
+        recentUsers: all.slice(-5).reverse().map(toPublic)
+      };
+    }
+  };
+}
+
+module.exports = { createUsersRepository, ACCOUNT_STATUSES };
@@ -0,0 +1,351 @@
+const { MIN_PASSWORD_LENGTH } = require('./passwords');
+const { pageQuery, pageResponse } = require('../shared/pagination');
+const { withMessage } = require('../shared/openapi');
+const { auditEntry, AUDIT_ACTIONS, AUDIT_FIELDS } = require('../shared/audit');
+const { importQuery, exportQuery, importReport, EXPORT_FORMATS } = require('../shared/bulk');
+const { TENANT_ID } = require('../shared/tenancy');
+const { TENANT_STATUSES } = require('./tenants');
+const { ACCOUNT_STATUSES } = require('./repository');
+
+// Request and response schemas for every route (see shared/validation.js)
+
+const ROLES = ['user', 'admin'];
+
+// Fields of a user as returned by the API
+const USER_FIELDS = ['id', 'name', 'email', 'role', 'status', 'createdAt', 'updatedAt', 'lockedAt', 'deletedAt'];
+
+const userId = {
+  id: { type: 'integer', min: 1, required: true }
+};
+
+// Admins only
+const includeDeleted = { type: 'boolean', description: 'Include deleted users (admins only)' };
+
+const status = { type: 'string', enum: ACCOUNT_STATUSES };
+
+const userFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  email: { type: 'email' },
+  role: { type: 'string', enum: ROLES },
+  password: { type: 'string', minLength: MIN_PASSWORD_LENGTH, maxLength: 1024 }
+};
+
+// A user as returned by the API
+const user = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', min: 1, required: true },
+    name: { type: 'string', required: true },
+    email: { type: 'email', required: true },
+    role: { type: 'string', enum: ROLES, required: true },
+    status: { ...status, required: true },
+    createdAt: { type: 'string', required: true },
+    updatedAt: { type: 'string' },
+    // Only while a new address of the user waits for confirmation
+    pendingEmail: { type: 'email' },
+    // Only on locked users
+    lockedAt: { type: 'string' },
+    // Only on deleted users
+    deletedAt: { type: 'string' }
+  }
+};
+
+const savedUser = withMessage({ user: { ...user, required: true } });
+
+// A token from an account mail
+const accountToken = { type: 'string', minLength: 1, maxLength: 200, required: true };
+
+const tokens = {
+  type: 'object',
+  properties: {
+    tokenType: { type: 'string', enum: ['Bearer'], required: true },
+    accessToken: { type: 'string', required: true },
+    // Seconds
+    expiresIn: { type: 'integer', required: true },
+    refreshToken: { type: 'string', required: true },
+    refreshExpiresAt: { type: 'string', required: true }
+  }
+};
+
+const refreshToken = {
+  refreshToken: { type: 'string', minLength: 1, required: true }
+};
+
+const TENANT_FIELDS = ['id', 'name', 'status', 'createdAt', 'updatedAt', 'suspendedAt'];
+
+const tenantId = {
+  id: { type: 'string', pattern: TENANT_ID, required: true }
+};
+
+// A tenant as returned by the API
+const tenant = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    status: { type: 'string', enum: TENANT_STATUSES, required: true },
+    createdAt: { type: 'string', required: true },
+    updatedAt: { type: 'string' },
+    suspendedAt: { type: 'string', nullable: true, required: true }
+  }
+};
+
+module.exports = {
+  listUsers: {
+    summary: 'List users',
+    description: 'Admins only.',
+    query: {
+      role: { type: 'string', enum: ROLES },
+      status,
+      // Only these users, e.g. to look up several at once
+      ids: { type: 'list', minItems: 1, maxItems: 100, items: { type: 'integer', min: 1 } },
+      includeDeleted,
+      ...pageQuery({ sort: USER_FIELDS, fields: USER_FIELDS })
+    },
+    responses: { 200: pageResponse('users', user) }
+  },
+
+  exportUsers: {
+    summary: 'Export users',
+    description: 'Streams the users matching the list filters as CSV (the default) or NDJSON. Admins only.',
+    query: {
+      role: { type: 'string', enum: ROLES },
+      status,
+      ids: { type: 'list', minItems: 1, maxItems: 100, items: { type: 'integer', min: 1 } },
+      includeDeleted,
+      ...exportQuery(USER_FIELDS)
+    },
+    columns: USER_FIELDS,
+    responses: { 200: { type: 'string', mediaTypes: Object.values(EXPORT_FORMATS) } }
+  },
+
+  importUsers: {
+    summary: 'Import users',
+    description: 'Creates or updates a user per CSV or NDJSON row, matched by `email`. New users need a ' +
+      '`name` and a `password` and are active; a new password or role ends the user\'s sessions. The ' +
+      'columns of an export that cannot be written (id, status, timestamps) are ignored. Admins only.',
+    query: importQuery(),
+    rawBody: Object.values(EXPORT_FORMATS),
+    rows: userFields,
+    responses: { 200: importReport }
+  },
+
+  getUser: {
+    summary: 'Get a user',
+    params: userId,
+    query: { includeDeleted },
+    responses: { 200: user }
+  },
+
+  createUser: {
+    summary: 'Register a user',
+    description: 'Users who register themselves are `unverified` until they follow the link mailed to them ' +
+      '(unless email verification is turned off); users created by admins are `active`. ' +
+      'Only admins can create admin users.',
+    body: {
+      ...userFields,
+      name: { ...userFields.name, required: true },
+      email: { ...userFields.email, required: true },
+      password: { ...userFields.password, required: true }
+    },
+    responses: { 201: savedUser }
+  },
+
+  inviteUser: {
+    summary: 'Invite a user',
+    description: 'Creates an `invited` user without a password and mails them a link to accept the ' +
+      'invitation. Inviting an invited user again sends a new link. Admins only.',
+    body: {
+      name: { ...userFields.name, required: true },
+      email: { ...userFields.email, required: true },
+      role: userFields.role
+    },
+    responses: { 200: savedUser, 201: savedUser }
+  },
+
+  updateUser: {
+    summary: 'Update a user',
+    description: 'Only the fields sent are changed. A new password or role ends the user\'s sessions. ' +
+      'A user changing their own email gets it as `pendingEmail` and a verification link mailed to it; ' +
+      'the email changes once the link is followed. Users changing their own password send the current one ' +
+      'as `currentPassword`.',
+    params: userId,
+    body: {
+      ...userFields,
+      currentPassword: { type: 'string', minLength: 1, maxLength: 1024 }
+    },
+    responses: { 200: savedUser }
+  },
+
+  updateUserStatus: {
+    summary: 'Change the account status of a user',
+    description: 'Unlocks (`locked` to `active`), deactivates and reactivates accounts, or marks an ' +
+      'unverified one verified. Users who are no longer active lose their sessions. Admins only.',
+    params: userId,
+    body: {
+      status: { ...status, required: true }
+    },
+    responses: { 200: savedUser }
+  },
+
+  deleteUser: {
+    summary: 'Delete a user',
+    description: 'The user can be restored until deleted users are purged, and cannot log in meanwhile.',
+    params: userId,
+    responses: { 200: savedUser }
+  },
+
+  restoreUser: {
+    summary: 'Restore a deleted user',
+    description: 'Admins only.',
+    params: userId,
+    responses: { 200: savedUser }
+  },
+
+  userHistory: {
+    summary: 'Audit trail of a user',
+    description: 'Every change with who made it and the fields before and after, newest first. Admins only.',
+    params: userId,
+    query: {
+      action: { type: 'string', enum: AUDIT_ACTIONS },
+      ...pageQuery({ sort: ['id'], fields: AUDIT_FIELDS })
+    },
+    responses: {
+      200: pageResponse('history', auditEntry, { userId: { type: 'integer', min: 1, required: true } })
+    }
+  },
+
+  userStats: {
+    summary: 'User statistics',
+    description: 'Admins only.',
+    responses: {
+      200: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer', min: 0, required: true },
+          byRole: { type: 'object', values: { type: 'integer', min: 0 }, required: true },
+          byStatus: { type: 'object', values: { type: 'integer', min: 0 }, required: true },
+          recentUsers: { type: 'array', items: user, required: true }
+        }
+      }
+    }
+  },
+
+  login: {
+    summary: 'Log in',
+    description: 'Exchanges email and password for an access token and a refresh token. Only active users ' +
+      'can log in; too many failed attempts in a row lock the account.',
+    body: {
+      email: { type: 'string', minLength: 1, required: true },
+      password: { type: 'string', minLength: 1, required: true }
+    },
+    responses: { 200: tokens }
+  },
+
+  refresh: {
+    summary: 'Refresh the access token',
+    description: 'The refresh token is revoked and replaced by the new one.',
+    body: refreshToken,
+    responses: { 200: tokens }
+  },
+
+  logout: {
+    summary: 'Log out',
+    body: refreshToken,
+    responses: { 200: withMessage({}) }
+  },
+
+  verifyEmail: {
+    summary: 'Verify an email address',
+    description: 'With the token of the link mailed on registration, after which the user is active, ' +
+      'or on a change of email, after which the `pendingEmail` becomes the email.',
+    body: { token: accountToken },
+    responses: { 200: savedUser }
+  },
+
+  resendVerification: {
+    summary: 'Mail a new verification link',
+    description: 'Answers the same whether or not an unverified user has this email.',
+    body: { email: { type: 'email', required: true } },
+    responses: { 202: withMessage({}) }
+  },
+
+  acceptInvitation: {
+    summary: 'Accept an invitation',
+    description: 'With the token of the invitation link: sets the password (and the name, if given); ' +
+      'the user becomes active.',
+    body: {
+      token: accountToken,
+      password: { ...userFields.password, required: true },
+      name: userFields.name
+    },
+    responses: { 200: savedUser }
+  },
+
+  forgotPassword: {
+    summary: 'Mail a password reset link',
+    description: 'Answers the same whether or not a user has this email.',
+    body: { email: { type: 'email', required: true } },
+    responses: { 202: withMessage({}) }
+  },
+
+  resetPassword: {
+    summary: 'Reset a password',
+    description: 'With the token of the reset link. Also unlocks a locked account and verifies an ' +
+      'unverified one; the user\'s sessions end.',
+    body: {
+      token: accountToken,
+      password: { ...userFields.password, required: true }
+    },
+    responses: { 200: withMessage({}) }
+  },
+
+  listTenants: {
+    summary: 'List tenants',
+    description: 'Admins of the default tenant only.',
+    query: {
+      status: { type: 'string', enum: TENANT_STATUSES },
+      ...pageQuery({ sort: TENANT_FIELDS, fields: TENANT_FIELDS })
+    },
+    responses: { 200: pageResponse('tenants', tenant) }
+  },
+
+  getTenant: {
+    summary: 'Get a tenant',
+    description: 'Admins of the default tenant only.',
+    params: tenantId,
+    responses: { 200: tenant }
+  },
+
+  createTenant: {
+    summary: 'Create a tenant',
+    description: 'With its first admin, who can log in with the tenant\'s ID in X-Tenant-Id. ' +
+      'Admins of the default tenant only.',
+    body: {
+      ...tenantId,
+      name: { type: 'string', minLength: 1, maxLength: 100, required: true },
+      admin: {
+        type: 'object',
+        required: true,
+        properties: {
+          name: { ...userFields.name, required: true },
+          email: { ...userFields.email, required: true },
+          password: { ...userFields.password, required: true }
+        }
+      }
+    },
+    responses: { 201: withMessage({ tenant: { ...tenant, required: true }, admin: { ...user, required: true } }) }
+  },
+
+  updateTenant: {
+    summary: 'Rename, suspend or reactivate a tenant',
+    description: 'Requests of a suspended tenant are refused at the gateway; its data is kept. ' +
+      'Admins of the default tenant only.',
+    params: tenantId,
+    body: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      status: { type: 'string', enum: TENANT_STATUSES }
+    },
+    responses: { 200: withMessage({ tenant: { ...tenant, required: true } }) }
+  }
+};
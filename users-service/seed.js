@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+// Initial users, loaded the first time the service starts with an empty store.
+// Their passwords come from SEED_ADMIN_PASSWORD (the admin) and
+// SEED_USER_PASSWORD (the others); without them each user gets a random one,
+// logged once when it is seeded, so no deployment starts with a password
+// published here. Change them after the first login.
+const USERS = [
+  {
+    name: 'John Doe',
+    email: 'john.doe@example.com',
+    role: 'admin',
+    createdAt: new Date('2024-01-01').toISOString()
+  },
+  {
+    name: 'Jane Smith',
+    email: 'jane.smith@example.com',
+    role: 'user',
+    createdAt: new Date('2024-01-15').toISOString()
+  },
+  {
+    name: 'Bob Johnson',
+    email: 'bob.johnson@example.com',
+    role: 'user',
+    createdAt: new Date('2024-02-01').toISOString()
+  }
+];
+
+// The seed users with a `password`, and `generated` when it is a random one
+function seedUsers() {
+  return USERS.map(user => {
+    const given = process.env[user.role === 'admin' ? 'SEED_ADMIN_PASSWORD' : 'SEED_USER_PASSWORD'];
+    return { ...user, password: given || crypto.randomBytes(12).toString('base64url'), generated: !given };
+  });
+}
+
+module.exports = { seedUsers };
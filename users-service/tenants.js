@@ -0,0 +1,64 @@
+const { DEFAULT_TENANT } = require('../shared/tenancy');
+
+// Tenants repository - the tenants sharing this deployment (see
+// shared/tenancy.js). Tenants are kept in the service's own store, next to
+// the events, not in any tenant's; the gateway looks them up to resolve and
+// check the tenant of every request.
+//
+//   { "id": "acme", "name": "Acme", "status": "active",
+//     "createdAt": "...", "updatedAt": "...", "suspendedAt": null }
+//
+// The default tenant always exists and cannot be suspended.
+
+const TENANT_STATUSES = ['active', 'suspended'];
+
+function createTenantsRepository(store) {
+  const tenants = store.collection('tenants');
+
+  if (!tenants.get(DEFAULT_TENANT)) {
+    tenants.put({
+      id: DEFAULT_TENANT,
+      name: 'Default',
+      status: 'active',
+      createdAt: new Date().toISOString(),
+      suspendedAt: null
+    });
+  }
+
+  return {
+    list({ status } = {}) {
+      return tenants.filter(tenant => !status || tenant.status === status);
+    },
+
+    findById(id) {
+      return tenants.get(id);
+    },
+
+    create({ id, name }) {
+      return tenants.put({
+        id,
+        name,
+        status: 'active',
+        createdAt: new Date().toISOString(),
+        suspendedAt: null
+      });
+    },
+
+    update(id, changes) {
+      const tenant = tenants.get(id);
+      if (!tenant) return null;
+
+      const now = new Date().toISOString();
+      const suspendedAt = changes.status && changes.status !== tenant.status
+        ? (changes.status === 'suspended' ? now : null)
+        : tenant.suspendedAt;
+      return tenants.put({ ...tenant, ...changes, suspendedAt, updatedAt: now });
+    },
+
+    count() {
+      return tenants.count();
+    }
+  };
+}
+
+module.exports = { createTenantsRepository, TENANT_STATUSES };